@@ -7,6 +7,7 @@ defmodule Examples.PubSub do
   - Event broadcasting patterns
   - Widget update flows
   - Multi-level event granularity
+  - Collaborative cursors with Phoenix.Presence
 
   Based on patterns from:
   - lib/my_app_web/live/chat_interface_live.ex
@@ -352,6 +353,91 @@ defmodule Examples.PubSub do
     defp apply_thinking_update(widgets, _data), do: widgets
   end
 
+  # ============================================================================
+  # COLLABORATIVE CURSORS
+  # ============================================================================
+
+  defmodule CollaborativeCursors do
+    @moduledoc """
+    Other users' cursors, selections and typing indicators, drawn by the
+    PresenceCursors hook (scripts/liveview-hooks/hooks/presence-cursors.js).
+
+    Phoenix.Presence tracks who is on the document, so leaves are seen even
+    when a tab dies. Cursor updates are too frequent for Presence metadata
+    and go over plain PubSub instead; broadcast_from/4 skips the sender.
+    """
+
+    use MyAppWeb, :live_view
+
+    alias MyAppWeb.Presence
+
+    @impl true
+    def mount(%{"id" => doc_id}, _session, socket) do
+      user = socket.assigns.current_user
+      topic = "document:#{doc_id}"
+      # One key per tab: two tabs of the same user get a cursor each
+      key = "#{user.id}:#{System.unique_integer([:positive])}"
+      me = %{key: key, name: user.name, color: user.color}
+
+      socket = assign(socket, topic: topic, me: me)
+
+      if connected?(socket) do
+        Phoenix.PubSub.subscribe(MyApp.PubSub, topic)
+        {:ok, _} = Presence.track(self(), topic, key, %{name: user.name, color: user.color})
+
+        # Who is already here; where they are arrives with their next update
+        {:ok, push_event(socket, "presence_update", %{peers: peers(Presence.list(topic), key)})}
+      else
+        {:ok, socket}
+      end
+    end
+
+    @impl true
+    def render(assigns) do
+      ~H"""
+      <div id="doc-editor" phx-hook="PresenceCursors" class="relative space-y-4">
+        <input id="doc-title" name="title" class="input w-full" />
+        <textarea id="doc-body" name="body" class="textarea w-full"></textarea>
+        <p data-presence-typing class="text-sm opacity-60" hidden></p>
+      </div>
+      """
+    end
+
+    @impl true
+    def handle_event("presence_sync", params, socket) do
+      peer =
+        Map.merge(socket.assigns.me, %{
+          cursor: params["cursor"],
+          field: params["field"],
+          selection: params["selection"],
+          typing: params["typing"] == true
+        })
+
+      Phoenix.PubSub.broadcast_from(MyApp.PubSub, self(), socket.assigns.topic, {:presence_sync, peer})
+      {:noreply, socket}
+    end
+
+    @impl true
+    def handle_info({:presence_sync, peer}, socket) do
+      {:noreply, push_event(socket, "presence_update", %{peers: [peer]})}
+    end
+
+    def handle_info(%Phoenix.Socket.Broadcast{event: "presence_diff", payload: diff}, socket) do
+      %{key: key} = socket.assigns.me
+
+      {:noreply,
+       socket
+       |> push_event("presence_remove", %{keys: Map.keys(diff.leaves) -- [key]})
+       |> push_event("presence_update", %{peers: peers(diff.joins, key)})}
+    end
+
+    defp peers(presences, own_key) do
+      for {key, %{metas: [meta | _]}} <- presences, key != own_key do
+        %{key: key, name: meta.name, color: meta.color}
+      end
+    end
+  end
+
   # ============================================================================
   # BEST PRACTICES
   # ============================================================================
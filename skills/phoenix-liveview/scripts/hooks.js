@@ -8,345 +8,72 @@
  * <div phx-hook="HookName" id="unique-id">...</div>
  *
  * IMPORTANT: Elements with phx-hook MUST have a unique ID.
- */
-
-// ============================================================================
-// ACTUAL HOOKS FROM EXAMPLE PROJECT
-// ============================================================================
-
-/**
- * ScrollToBottom - Auto-scroll container to bottom
- *
- * Use case: Chat interfaces, message lists
- *
- * Example:
- * <div phx-hook="ScrollToBottom" id="chat-messages" class="overflow-y-auto">
- *   <!-- messages -->
- * </div>
- */
-const ScrollToBottom = {
-  mounted() {
-    this.scrollToBottom()
-  },
-
-  updated() {
-    this.scrollToBottom()
-  },
-
-  scrollToBottom() {
-    this.el.scrollTop = this.el.scrollHeight
-  }
-}
-
-/**
- * CopyToClipboard - Copy text to clipboard
- *
- * Use case: Copy SQL queries, code snippets, API keys
- *
- * Server sends event with text to copy:
- * push_event(socket, "copy_to_clipboard", %{text: "SELECT * FROM users"})
- *
- * Example:
- * <div phx-hook="CopyToClipboard" id="copy-container">
- *   <button phx-click="copy_sql">Copy SQL</button>
- * </div>
- */
-const CopyToClipboard = {
-  mounted() {
-    this.handleEvent("copy_to_clipboard", ({text}) => {
-      navigator.clipboard.writeText(text).then(() => {
-        // Notify server of successful copy
-        this.pushEvent("copied", {})
-      }).catch(err => {
-        console.error('Failed to copy:', err)
-      })
-    })
-  }
-}
-
-/**
- * DownloadData - Download data as file
- *
- * Use case: Export CSV, JSON, SQL results
- *
- * Server sends event with file data:
- * push_event(socket, "download_data", %{
- *   data: csv_content,
- *   filename: "results.csv",
- *   type: "text/csv"
- * })
- *
- * Example:
- * <div phx-hook="DownloadData" id="download-container">
- *   <button phx-click="export_csv">Download CSV</button>
- * </div>
- */
-const DownloadData = {
-  mounted() {
-    this.handleEvent("download_data", ({data, filename, type}) => {
-      const blob = new Blob([data], { type })
-      const url = URL.createObjectURL(blob)
-      const a = document.createElement('a')
-      a.href = url
-      a.download = filename
-      document.body.appendChild(a)
-      a.click()
-      document.body.removeChild(a)
-      URL.revokeObjectURL(url)
-    })
-  }
-}
-
-// ============================================================================
-// ADDITIONAL USEFUL HOOKS
-// ============================================================================
-
-/**
- * AutoFocus - Focus element on mount or update
- *
- * Use case: Auto-focus input fields
- *
- * Example:
- * <input phx-hook="AutoFocus" id="search-input" type="text" />
- */
-const AutoFocus = {
-  mounted() {
-    this.el.focus()
-  },
-
-  updated() {
-    this.el.focus()
-  }
-}
-
-/**
- * InfiniteScroll - Load more content when scrolling to bottom
- *
- * Use case: Paginated lists, feeds
- *
- * Example:
- * <div phx-hook="InfiniteScroll" id="items-list" class="overflow-y-auto">
- *   <!-- items -->
- * </div>
- */
-const InfiniteScroll = {
-  mounted() {
-    this.pending = false
-
-    this.el.addEventListener("scroll", () => {
-      if (this.pending) return
-
-      const scrollHeight = this.el.scrollHeight
-      const scrollTop = this.el.scrollTop
-      const clientHeight = this.el.clientHeight
-
-      // Trigger when within 100px of bottom
-      if (scrollTop + clientHeight >= scrollHeight - 100) {
-        this.pending = true
-        this.pushEvent("load_more", {}, (reply, ref) => {
-          this.pending = false
-        })
-      }
-    })
-  }
-}
-
-/**
- * LocalStorage - Persist element value to localStorage
- *
- * Use case: Remember user preferences, form state
  *
- * Example:
- * <input
- *   phx-hook="LocalStorage"
- *   id="theme-toggle"
- *   data-storage-key="user-theme"
- *   type="checkbox"
- * />
+ * The hooks themselves live in ./liveview-hooks, a versioned package that
+ * the ui-design skill imports too: one module per hook in
+ * ./liveview-hooks/hooks, each documenting its data attributes, events and
+ * markup. This file re-exports it and collects the general hook patterns.
  */
-const LocalStorage = {
-  mounted() {
-    this.storageKey = this.el.dataset.storageKey
-    if (!this.storageKey) {
-      console.error('LocalStorage hook requires data-storage-key attribute')
-      return
-    }
-
-    // Load saved value
-    const savedValue = localStorage.getItem(this.storageKey)
-    if (savedValue !== null) {
-      if (this.el.type === 'checkbox') {
-        this.el.checked = savedValue === 'true'
-      } else {
-        this.el.value = savedValue
-      }
-    }
-
-    // Save on change
-    this.el.addEventListener('change', () => {
-      const value = this.el.type === 'checkbox'
-        ? this.el.checked
-        : this.el.value
-      localStorage.setItem(this.storageKey, value)
-    })
-  }
-}
-
-/**
- * Tooltip - Show tooltips using data attributes
- *
- * Use case: Help text, additional information
- *
- * Requires: DaisyUI (already in project)
- *
- * Example:
- * <button
- *   phx-hook="Tooltip"
- *   id="help-button"
- *   data-tip="This is helpful information"
- *   class="btn"
- * >
- *   Help
- * </button>
- */
-const Tooltip = {
-  mounted() {
-    // DaisyUI handles tooltips automatically with data-tip attribute
-    // This hook is for custom behavior if needed
-    const tip = this.el.dataset.tip
-    if (!tip) {
-      console.warn('Tooltip hook: no data-tip attribute found')
-    }
-  }
-}
-
-/**
- * ClickOutside - Detect clicks outside element
- *
- * Use case: Close dropdowns, modals
- *
- * Example:
- * <div phx-hook="ClickOutside" id="dropdown" phx-click-outside="close">
- *   <!-- dropdown content -->
- * </div>
- */
-const ClickOutside = {
-  mounted() {
-    this.handleClick = (e) => {
-      if (!this.el.contains(e.target)) {
-        this.pushEvent("click_outside", {})
-      }
-    }
-
-    document.addEventListener("click", this.handleClick)
-  },
-
-  destroyed() {
-    document.removeEventListener("click", this.handleClick)
-  }
-}
-
-/**
- * CodeHighlight - Syntax highlighting for code blocks
- *
- * Use case: Display SQL queries, code snippets
- *
- * Requires: highlight.js or similar library
- *
- * Example:
- * <pre phx-hook="CodeHighlight" id="sql-display">
- *   <code class="language-sql">{@sql}</code>
- * </pre>
- */
-const CodeHighlight = {
-  mounted() {
-    this.highlight()
-  },
-
-  updated() {
-    this.highlight()
-  },
-
-  highlight() {
-    if (typeof hljs !== 'undefined') {
-      hljs.highlightElement(this.el)
-    }
-  }
-}
-
-/**
- * AnimateValue - Animate number changes
- *
- * Use case: Dashboard metrics, counters
- *
- * Example:
- * <div phx-hook="AnimateValue" id="user-count" data-value={@user_count}>
- *   {@user_count}
- * </div>
- */
-const AnimateValue = {
-  mounted() {
-    this.animateToValue(this.el.dataset.value)
-  },
-
-  updated() {
-    this.animateToValue(this.el.dataset.value)
-  },
-
-  animateToValue(targetValue) {
-    const target = parseInt(targetValue) || 0
-    const current = parseInt(this.el.textContent) || 0
-
-    if (current === target) return
-
-    const duration = 500 // ms
-    const steps = 20
-    const stepValue = (target - current) / steps
-    const stepDuration = duration / steps
-
-    let currentStep = 0
-    const interval = setInterval(() => {
-      currentStep++
-      const newValue = Math.round(current + (stepValue * currentStep))
-      this.el.textContent = newValue
-
-      if (currentStep >= steps) {
-        clearInterval(interval)
-        this.el.textContent = target
-      }
-    }, stepDuration)
-  }
-}
 
 // ============================================================================
 // EXPORT HOOKS
 // ============================================================================
 
 /**
- * Export all hooks for use in LiveSocket
- *
  * Usage in app.js:
- * import { Hooks } from './hooks'
+ * import { createHooks } from "./hooks"
  *
  * const liveSocket = new LiveSocket("/live", Socket, {
- *   hooks: Hooks
+ *   hooks: createHooks({ except: ["CodeHighlight"] })
  * })
- */
-export const Hooks = {
-  // Example project hooks
-  ScrollToBottom,
-  CopyToClipboard,
-  DownloadData,
-
-  // Additional useful hooks
-  AutoFocus,
-  InfiniteScroll,
-  LocalStorage,
-  Tooltip,
-  ClickOutside,
-  CodeHighlight,
-  AnimateValue
-}
+ *
+ * `Hooks` is createHooks() with every hook and default options.
+ *
+ * Available hooks:
+ * - ScrollToBottom   Keep a container scrolled to the bottom
+ * - CopyToClipboard  Copy text, HTML or tables on a server event or click
+ * - PasteHandler     Upload pasted files, push pasted tables
+ * - DownloadData     Save server data as a file, chunked for large exports
+ * - UploadZone       Drop/paste uploads: validation, resizing, EXIF stripping, hashing, retries
+ * - AutoFocus        Focus an input on mount unless something else has focus
+ * - FocusScope       Server-targeted focus; focus kept across patches
+ * - FocusTrap        Keep Tab inside a panel, return focus on close
+ * - RovingFocus      Arrow-key navigation with one tab stop
+ * - InfiniteScroll   Load more when a sentinel scrolls into view
+ * - VirtualList      Virtual scrolling for large streams
+ * - DataTable        Resizable/movable columns, sticky headers, grid keys, TSV copy
+ * - StateStore       localStorage-backed state synced across tabs
+ * - FormDraft        Keep form edits and submits while offline
+ * - ThemeController  Light/dark/system and DaisyUI themes, synced across tabs
+ * - PresenceCursors  Other users' cursors, selections and typing indicators
+ * - Tooltip          Accessible positioned tooltip
+ * - Popover          Floating panel anchored to a button
+ * - ClickOutside     Dismissable layer: outside clicks, Escape, focus-out
+ * - Sortable         Drag-and-drop and keyboard reordering across lists
+ * - Modal            Stacked native <dialog> modals with confirm round trips
+ * - AutoResize       Grow a textarea with its content
+ * - MarkdownEditor   Markdown textarea: formatting, mentions, preview, image paste
+ * - SearchBox        Search as you type with results, history and URL sync
+ * - CodeHighlight    Lazy-loaded highlight.js
+ * - AnimateValue     Animated, locale-formatted numbers
+ * - RelativeTime     Self-updating "3 min ago" labels
+ * - Chart            Live line, area, bar and sparkline charts
+ * - Shortcuts        Keyboard shortcuts on [data-shortcut] elements
+ * - CommandPalette   Fuzzy command launcher
+ * - ShortcutHelp     Overlay listing the active shortcuts
+ */
+export {
+  Hooks,
+  createHooks,
+  defineHook,
+  VERSION,
+  registerStoreMigrations,
+  registerShortcut,
+  configureCodeHighlight,
+  configureTelemetry,
+  traceId,
+  themeState
+} from "./liveview-hooks/index.js"
 
 // ============================================================================
 // HOOK PATTERNS
@@ -370,13 +97,25 @@ export const Hooks = {
  * - this.handleEvent(event, callback) - Listen for server events
  * - this.upload(name, files) - Upload files
  * - this.uploadTo(element, name, files) - Upload files to specific element
+ *
+ * Hooks from createHooks() also get:
+ * - this.options - Data attributes parsed and validated against the hook's schema
+ *
+ * Hooks built with defineHook() also get scoped registrations that are
+ * released after destroyed() (see ./liveview-hooks/define-hook.js):
+ * - this.listen(target, type, handler, options) - addEventListener
+ * - this.setTimeout / this.setInterval / this.requestAnimationFrame
+ * - this.observe(observer, target, options) - Intersection/Resize/MutationObserver
+ * - this.onCleanup(fn) - Any other teardown
+ * Pass { pause: true } to suspend a registration while disconnected.
  */
 
 /**
  * Best Practices:
  *
  * 1. ✅ Always add unique ID to elements with phx-hook
- * 2. ✅ Clean up event listeners in destroyed()
+ * 2. ✅ Clean up listeners, timers and observers: register them with
+ *       defineHook()'s helpers, or undo them in destroyed()
  * 3. ✅ Use handleEvent for server → client communication
  * 4. ✅ Use pushEvent for client → server communication
  * 5. ❌ Don't mutate DOM directly - use LiveView updates
@@ -414,11 +153,18 @@ export const Hooks = {
  * ✅ CORRECT: Clean up in destroyed()
  * MyHook = {
  *   mounted() {
- *     this.handler = () => { /* ... */ }
+ *     this.handler = () => { ... }
  *     window.addEventListener("resize", this.handler)
  *   },
  *   destroyed() {
  *     window.removeEventListener("resize", this.handler)
  *   }
  * }
+ *
+ * ✅ ALSO CORRECT: Let defineHook clean up
+ * MyHook = defineHook({
+ *   mounted() {
+ *     this.listen(window, "resize", () => { ... })
+ *   }
+ * })
  */
@@ -0,0 +1,276 @@
+/**
+ * defineHook - Hooks that clean up after themselves
+ *
+ * Wraps a hook object and gives it scoped registration helpers. Everything
+ * registered through them is released after the hook's own destroyed() runs,
+ * so a hook only needs destroyed() for work of its own.
+ *
+ * - this.listen(target, type, handler, options)  addEventListener
+ * - this.setTimeout(fn, delay, options)          cleared with this.clearTimeout(id)
+ * - this.setInterval(fn, delay, options)         cleared with this.clearInterval(id)
+ * - this.requestAnimationFrame(fn)               cancelled with this.cancelAnimationFrame(id)
+ * - this.observe(observer, target, options)      Intersection/Resize/MutationObserver
+ * - this.handleEvent(event, callback)            LiveView's handleEvent, removed on destroy
+ * - this.onCleanup(fn)                           Anything else: channels, registries, third-party widgets
+ *
+ * listen, observe and onCleanup return a function that undoes just that
+ * registration.
+ *
+ * Pausing: pass `pause: true` in the options of listen, setTimeout,
+ * setInterval or observe to suspend the registration while the socket is
+ * disconnected. Listeners are removed and added back, a timeout resumes with
+ * the time it had left, an interval restarts, and an observer stops watching
+ * that target until the reconnect.
+ *
+ * Example:
+ * import { defineHook } from "./liveview-hooks"
+ *
+ * Hooks.Autosave = defineHook({
+ *   mounted() {
+ *     this.listen(this.el, "input", () => {
+ *       this.clearTimeout(this.timer)
+ *       this.timer = this.setTimeout(() => this.pushEvent("autosave", {}), 500, { pause: true })
+ *     })
+ *     this.listen(window, "beforeunload", () => this.flush())
+ *   }
+ * })
+ */
+
+// Registrations per mounted hook instance
+const scopes = new WeakMap()
+
+export function defineHook(hook) {
+  const { mounted, destroyed, disconnected, reconnected, ...rest } = hook
+
+  return {
+    ...rest,
+
+    mounted() {
+      const scope = createScope(this)
+      scopes.set(this, scope)
+      Object.assign(this, scope.helpers)
+      if (mounted) return mounted.call(this)
+    },
+
+    destroyed() {
+      const scope = scopes.get(this)
+      try {
+        if (destroyed) destroyed.call(this)
+      } finally {
+        if (scope) scope.dispose()
+        scopes.delete(this)
+      }
+    },
+
+    disconnected() {
+      const scope = scopes.get(this)
+      if (scope) scope.pause()
+      if (disconnected) disconnected.call(this)
+    },
+
+    reconnected() {
+      const scope = scopes.get(this)
+      if (scope) scope.resume()
+      if (reconnected) reconnected.call(this)
+    }
+  }
+}
+
+function createScope(hook) {
+  // Each entry: { pause, resume, dispose }; pause/resume only when pausable
+  const entries = new Set()
+  const timers = new Map()
+  const frames = new Map()
+  let nextId = 1
+  let paused = false
+
+  const register = (entry) => {
+    entries.add(entry)
+    if (paused && entry.pause) entry.pause()
+    return () => {
+      if (!entries.delete(entry)) return
+      entry.dispose()
+    }
+  }
+
+  const liveHandleEvent = hook.handleEvent
+  const liveRemoveHandleEvent = hook.removeHandleEvent
+
+  const timer = (repeat) => (fn, delay = 0, {pause = false} = {}) => {
+    const id = nextId++
+    let native = null
+    let due = 0
+    let remaining = delay
+
+    const start = (wait) => {
+      due = Date.now() + wait
+      if (repeat) {
+        native = setInterval(fn, delay)
+      } else {
+        native = setTimeout(() => {
+          native = null
+          forget()
+          fn()
+        }, wait)
+      }
+    }
+    const stop = () => {
+      if (native === null) return
+      if (repeat) {
+        clearInterval(native)
+      } else {
+        clearTimeout(native)
+      }
+      native = null
+    }
+
+    const forget = register({
+      pause: pause ? () => {
+        // Registered while paused: not started, so all of delay is left
+        if (native === null) return
+        remaining = Math.max(due - Date.now(), 0)
+        stop()
+      } : null,
+      resume: pause ? () => start(repeat ? delay : remaining) : null,
+      dispose: () => {
+        stop()
+        timers.delete(id)
+      }
+    })
+
+    timers.set(id, forget)
+    if (!paused || !pause) start(delay)
+    return id
+  }
+
+  const clearTimer = (id) => {
+    const forget = timers.get(id)
+    if (forget) forget()
+  }
+
+  // Targets per observer, so one can be paused or let go of without the rest
+  const observed = new Map()
+
+  const observeAgain = (observer) => {
+    for (const {target, options, suspended} of observed.get(observer) || []) {
+      if (!suspended) observer.observe(target, options)
+    }
+  }
+
+  const setSuspended = (observer, registration, suspended) => {
+    registration.suspended = suspended
+    if (!observer.unobserve) {
+      // MutationObserver can only let go of everything at once
+      observer.disconnect()
+      observeAgain(observer)
+    } else if (!suspended) {
+      observer.observe(registration.target, registration.options)
+    } else if (!observed.get(observer).some(other => other.target === registration.target && !other.suspended)) {
+      observer.unobserve(registration.target)
+    }
+  }
+
+  const helpers = {
+    listen(target, type, handler, options = {}) {
+      const { pause = false, ...listenerOptions } = typeof options === "boolean" ? { capture: options } : options
+      const add = () => target.addEventListener(type, handler, listenerOptions)
+      const remove = () => target.removeEventListener(type, handler, listenerOptions)
+
+      add()
+      return register({
+        pause: pause ? remove : null,
+        resume: pause ? add : null,
+        dispose: remove
+      })
+    },
+
+    setTimeout: timer(false),
+    setInterval: timer(true),
+    clearTimeout: clearTimer,
+    clearInterval: clearTimer,
+
+    requestAnimationFrame(fn) {
+      const id = nextId++
+      const native = requestAnimationFrame((now) => {
+        forget()
+        fn(now)
+      })
+      const forget = register({
+        dispose: () => {
+          cancelAnimationFrame(native)
+          frames.delete(id)
+        }
+      })
+      frames.set(id, forget)
+      return id
+    },
+
+    cancelAnimationFrame(id) {
+      const forget = frames.get(id)
+      if (forget) forget()
+    },
+
+    observe(observer, target, options = {}) {
+      const { pause = false, ...observeOptions } = options
+      const registration = { target, options: observeOptions, suspended: false }
+
+      if (!observed.has(observer)) observed.set(observer, [])
+      observed.get(observer).push(registration)
+      observer.observe(target, observeOptions)
+
+      return register({
+        pause: pause ? () => setSuspended(observer, registration, true) : null,
+        resume: pause ? () => setSuspended(observer, registration, false) : null,
+        dispose: () => {
+          const rest = (observed.get(observer) || []).filter(other => other !== registration)
+          observed.set(observer, rest)
+
+          if (observer.unobserve) {
+            observer.unobserve(target)
+          } else {
+            // MutationObserver can only let go of everything at once
+            observer.disconnect()
+            observeAgain(observer)
+          }
+          if (rest.length === 0) {
+            observer.disconnect()
+            observed.delete(observer)
+          }
+        }
+      })
+    },
+
+    handleEvent(event, callback) {
+      const ref = liveHandleEvent.call(hook, event, callback)
+      register({ dispose: () => liveRemoveHandleEvent.call(hook, ref) })
+      return ref
+    },
+
+    onCleanup(fn) {
+      return register({ dispose: fn })
+    }
+  }
+
+  return {
+    helpers,
+
+    pause() {
+      if (paused) return
+      paused = true
+      for (const entry of entries) if (entry.pause) entry.pause()
+    },
+
+    resume() {
+      if (!paused) return
+      paused = false
+      for (const entry of entries) if (entry.resume) entry.resume()
+    },
+
+    dispose() {
+      for (const entry of [...entries].reverse()) {
+        entries.delete(entry)
+        entry.dispose()
+      }
+    }
+  }
+}
@@ -0,0 +1,287 @@
+/**
+ * File Processing for Phoenix LiveView Uploads
+ *
+ * What the UploadZone hook does to files before this.upload hands them to
+ * LiveView:
+ *
+ * - acceptsFile: check a file against an accept list like allow_upload's
+ *   (".csv", "image/*", "application/pdf")
+ * - stripMetadata: drop EXIF, XMP and text chunks from JPEG and PNG files
+ *   without re-encoding them
+ * - resizeImage: scale an image down on a canvas and re-encode it (which
+ *   also drops its metadata)
+ * - createHasher: SHA-256 of a file in a Web Worker, so hashing a large
+ *   video doesn't freeze the page; on the main thread where workers are
+ *   unavailable
+ *
+ * Usage:
+ * import { stripMetadata, createHasher } from "./file-processing.js"
+ *
+ * const hasher = createHasher()
+ * const clean = await stripMetadata(file)
+ * const digest = await hasher.sha256(clean)
+ * hasher.terminate()
+ */
+
+/** True when `file` matches one of `accept` (extensions, MIME types, "type/*") */
+export function acceptsFile(file, accept = []) {
+  if (accept.length === 0) return true
+
+  const name = file.name.toLowerCase()
+  const type = (file.type || "").toLowerCase()
+
+  return accept.some((rule) => {
+    rule = rule.trim().toLowerCase()
+    if (rule.startsWith(".")) return name.endsWith(rule)
+    if (rule.endsWith("/*")) return type.startsWith(rule.slice(0, -1))
+    return type === rule
+  })
+}
+
+/**
+ * Read the EXIF orientation (1-8) of a JPEG, or 1 when it has none.
+ * Orientations other than 1 mean the pixels are stored rotated or mirrored.
+ */
+export function jpegOrientation(bytes) {
+  for (const segment of jpegSegments(bytes)) {
+    if (segment.marker !== 0xe1) continue
+
+    const { start, end } = segment
+    // "Exif\0\0", then a TIFF header
+    if (end - start < 14 || String.fromCharCode(...bytes.subarray(start, start + 4)) !== "Exif") continue
+
+    const tiff = start + 6
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+    const little = view.getUint16(tiff) === 0x4949
+    const ifd = tiff + view.getUint32(tiff + 4, little)
+    if (ifd + 2 > end) return 1
+
+    const count = view.getUint16(ifd, little)
+    for (let i = 0; i < count; i++) {
+      const entry = ifd + 2 + i * 12
+      if (entry + 12 > end) break
+      if (view.getUint16(entry, little) === 0x0112) return view.getUint16(entry + 8, little)
+    }
+  }
+  return 1
+}
+
+// APP1 (EXIF, XMP), APP13 (IPTC) and COM segments carry metadata
+const JPEG_METADATA = new Set([0xe1, 0xed, 0xfe])
+
+// Text, EXIF and timestamp chunks
+const PNG_METADATA = new Set(["tEXt", "zTXt", "iTXt", "eXIf", "tIME"])
+
+/**
+ * Return `file` without its metadata: a new File for JPEG and PNG images
+ * that had some, the same file otherwise. Pixels are untouched, so a JPEG
+ * stored rotated (see jpegOrientation) keeps its orientation, alone in an
+ * EXIF segment of its own; resizeImage is the way to store it upright.
+ */
+export async function stripMetadata(file) {
+  const bytes = new Uint8Array(await file.arrayBuffer())
+  let kept = null
+
+  if (file.type === "image/jpeg" && isJpeg(bytes)) {
+    const orientation = jpegOrientation(bytes)
+    let exif = orientation === 1 ? null : orientationSegment(orientation)
+    kept = [bytes.subarray(0, 2)]
+    let scan = false
+    for (const segment of jpegSegments(bytes)) {
+      // After JFIF, which has to come first
+      if (exif && segment.marker !== 0xe0) {
+        kept.push(exif)
+        exif = null
+      }
+      if (!JPEG_METADATA.has(segment.marker)) kept.push(bytes.subarray(segment.offset, segment.end))
+      // Everything from the start of scan on is image data
+      if (segment.marker === 0xda) {
+        kept.push(bytes.subarray(segment.end))
+        scan = true
+      }
+    }
+    // Not a JPEG we understand; better unstripped than broken
+    if (!scan) return file
+  } else if (file.type === "image/png" && isPng(bytes)) {
+    kept = [bytes.subarray(0, 8)]
+    for (const chunk of pngChunks(bytes)) {
+      if (!PNG_METADATA.has(chunk.type)) kept.push(bytes.subarray(chunk.offset, chunk.end))
+    }
+  }
+
+  if (!kept) return file
+  const size = kept.reduce((sum, part) => sum + part.length, 0)
+  if (size === bytes.length) return file
+
+  return new File(kept, file.name, { type: file.type, lastModified: file.lastModified })
+}
+
+/**
+ * Scale an image so neither side exceeds `maxDimension` and re-encode it as
+ * `type` (default: the file's own type). EXIF orientation is applied first,
+ * and the result has no metadata. Returns the file unchanged when it already
+ * fits and has the wanted type (unless `force` is set), or where the browser
+ * can't decode it or lacks canvas support.
+ */
+export async function resizeImage(file, { maxDimension = Infinity, type = file.type, quality = 0.85, force = false } = {}) {
+  if (typeof createImageBitmap !== "function") return file
+
+  let bitmap
+  try {
+    bitmap = await createImageBitmap(file, { imageOrientation: "from-image" })
+  } catch (_err) {
+    return file
+  }
+
+  const scale = Math.min(1, maxDimension / Math.max(bitmap.width, bitmap.height))
+  if (scale === 1 && type === file.type && !force) {
+    bitmap.close()
+    return file
+  }
+
+  const width = Math.max(1, Math.round(bitmap.width * scale))
+  const height = Math.max(1, Math.round(bitmap.height * scale))
+
+  const canvas = typeof OffscreenCanvas === "function"
+    ? new OffscreenCanvas(width, height)
+    : Object.assign(document.createElement("canvas"), { width, height })
+  canvas.getContext("2d").drawImage(bitmap, 0, 0, width, height)
+  bitmap.close()
+
+  const blob = canvas.convertToBlob
+    ? await canvas.convertToBlob({ type, quality })
+    : await new Promise(resolve => canvas.toBlob(resolve, type, quality))
+  if (!blob) return file
+
+  return new File([blob], renameForType(file.name, blob.type), { type: blob.type, lastModified: file.lastModified })
+}
+
+const HASH_WORKER = `
+self.onmessage = async ({ data: { id, file } }) => {
+  try {
+    const digest = await crypto.subtle.digest("SHA-256", await file.arrayBuffer())
+    self.postMessage({ id, digest })
+  } catch (err) {
+    self.postMessage({ id, error: String(err) })
+  }
+}
+`
+
+/**
+ * Hash files off the main thread. Returns { sha256(file), terminate() };
+ * sha256 resolves with the lowercase hex digest.
+ */
+export function createHasher() {
+  let worker = null
+  try {
+    if (typeof Worker === "function") {
+      const url = URL.createObjectURL(new Blob([HASH_WORKER], { type: "text/javascript" }))
+      worker = new Worker(url)
+      URL.revokeObjectURL(url)
+    }
+  } catch (_err) {
+    // CSP without worker-src blob: hash on the main thread instead
+    worker = null
+  }
+
+  const pending = new Map()
+  let nextId = 1
+
+  if (worker) {
+    worker.onmessage = ({data: {id, digest, error}}) => {
+      const request = pending.get(id)
+      if (!request) return
+      pending.delete(id)
+      if (error) {
+        request.reject(new Error(error))
+      } else {
+        request.resolve(toHex(digest))
+      }
+    }
+  }
+
+  return {
+    async sha256(file) {
+      if (!worker) return toHex(await crypto.subtle.digest("SHA-256", await file.arrayBuffer()))
+
+      const id = nextId++
+      return new Promise((resolve, reject) => {
+        pending.set(id, { resolve, reject })
+        worker.postMessage({ id, file })
+      })
+    },
+
+    terminate() {
+      if (worker) worker.terminate()
+      for (const request of pending.values()) request.reject(new Error("hasher terminated"))
+      pending.clear()
+    }
+  }
+}
+
+// Helpers
+
+function isJpeg(bytes) {
+  return bytes[0] === 0xff && bytes[1] === 0xd8
+}
+
+function isPng(bytes) {
+  return bytes.length > 8 && bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4e && bytes[3] === 0x47
+}
+
+// Marker segments up to and including start of scan: { marker, offset, start, end }
+// where start..end is the payload and offset..end the whole segment
+function* jpegSegments(bytes) {
+  if (!isJpeg(bytes)) return
+
+  let offset = 2
+  while (offset + 4 <= bytes.length && bytes[offset] === 0xff) {
+    const marker = bytes[offset + 1]
+    const length = (bytes[offset + 2] << 8) | bytes[offset + 3]
+    const end = offset + 2 + length
+    if (length < 2 || end > bytes.length) return
+
+    yield { marker, offset, start: offset + 4, end }
+    if (marker === 0xda) return
+    offset = end
+  }
+}
+
+// An APP1 segment with nothing but the orientation, in a big-endian TIFF
+function orientationSegment(orientation) {
+  return new Uint8Array([
+    0xff, 0xe1, 0, 34,
+    0x45, 0x78, 0x69, 0x66, 0, 0, // "Exif\0\0"
+    0x4d, 0x4d, 0, 0x2a, 0, 0, 0, 8, // TIFF header, first IFD at 8
+    0, 1, 0x01, 0x12, 0, 3, 0, 0, 0, 1, 0, orientation, 0, 0, // one SHORT entry: Orientation
+    0, 0, 0, 0 // no next IFD
+  ])
+}
+
+// Chunks after the signature: { type, offset, end }
+function* pngChunks(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  let offset = 8
+  while (offset + 12 <= bytes.length) {
+    const length = view.getUint32(offset)
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8))
+    const end = offset + 12 + length
+    if (end > bytes.length) return
+
+    yield { type, offset, end }
+    offset = end
+  }
+}
+
+function toHex(digest) {
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, "0")).join("")
+}
+
+const EXTENSIONS = { "image/jpeg": ".jpg", "image/png": ".png", "image/webp": ".webp", "image/avif": ".avif" }
+
+function renameForType(name, type) {
+  const extension = EXTENSIONS[type]
+  if (!extension || name.toLowerCase().endsWith(extension)) return name
+  if (type === "image/jpeg" && /\.jpe?g$/i.test(name)) return name
+  return name.replace(/\.[^.]*$/, "") + extension
+}
@@ -0,0 +1,124 @@
+/**
+ * Focus Helpers for Phoenix LiveView Hooks
+ *
+ * - focusableElements: the tabbable elements inside a container, in DOM order
+ * - trapTab: keep Tab and Shift+Tab cycling inside a container
+ * - focusKey / findByFocusKey: describe an element so the "same" element can
+ *   be found again after a patch or stream reset replaced the node
+ *
+ * Used by the focus hooks in ./hooks/focus.js and by Modal.
+ *
+ * Usage:
+ * import { focusKey, findByFocusKey } from "./focusable.js"
+ *
+ * const key = focusKey(document.activeElement, container)
+ * // after the patch
+ * const again = findByFocusKey(container, key)
+ * if (again) again.focus()
+ */
+
+export const FOCUSABLE =
+  'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])'
+
+/** Tabbable elements inside `root`, skipping ones that are not rendered */
+export function focusableElements(root) {
+  return Array.from(root.querySelectorAll(FOCUSABLE))
+    .filter(el => el.getClientRects().length > 0)
+}
+
+/** True when focus is nowhere in particular: the page itself has it */
+export function nothingFocused() {
+  const active = document.activeElement
+  return !active || active === document.body || active === document.documentElement
+}
+
+/**
+ * Handle a Tab keydown so focus wraps around inside `root` instead of
+ * leaving it. Does nothing for other keys.
+ */
+export function trapTab(e, root) {
+  if (e.key !== "Tab") return
+
+  const focusable = focusableElements(root)
+  if (focusable.length === 0) {
+    e.preventDefault()
+    return
+  }
+
+  const first = focusable[0]
+  const last = focusable[focusable.length - 1]
+  const active = document.activeElement
+
+  if (e.shiftKey && (active === first || !root.contains(active))) {
+    e.preventDefault()
+    last.focus()
+  } else if (!e.shiftKey && (active === last || !root.contains(active))) {
+    e.preventDefault()
+    first.focus()
+  }
+}
+
+// Attributes that name an element the same way across renders, best first
+const KEY_ATTRIBUTES = ["data-focus-key", "name"]
+
+/**
+ * Describe `el` in terms that survive its node being replaced: its id, or
+ * the nearest ancestor id inside `root` plus a data-focus-key or name
+ * attribute, or its position among same-tag elements there. Text fields also
+ * keep their selection.
+ */
+export function focusKey(el, root = document.body) {
+  const key = { id: el.id || null, scope: null, tag: el.tagName, attribute: null, value: null, index: 0 }
+
+  if (!key.id) {
+    const scope = el.parentElement && el.parentElement.closest("[id]")
+    const base = scope && root.contains(scope) ? scope : root
+    key.scope = base.id || null
+    key.attribute = KEY_ATTRIBUTES.find(name => el.hasAttribute(name)) || null
+    key.value = key.attribute && el.getAttribute(key.attribute)
+    key.index = candidates(base, key).indexOf(el)
+  }
+
+  try {
+    if (typeof el.selectionStart === "number") {
+      key.selection = [el.selectionStart, el.selectionEnd, el.selectionDirection]
+    }
+  } catch (_err) {
+    // Inputs like type="email" have no selection to keep
+  }
+
+  return key
+}
+
+/** Find the element `key` (from focusKey) describes, or null */
+export function findByFocusKey(root, key) {
+  if (!key) return null
+  if (key.id) {
+    const el = document.getElementById(key.id)
+    return el && root.contains(el) ? el : null
+  }
+
+  const base = key.scope ? document.getElementById(key.scope) : root
+  if (!base || !root.contains(base)) return null
+
+  const found = candidates(base, key)
+  return found[key.index] || (key.attribute ? found[0] : null) || null
+}
+
+/** Focus `el` without scrolling and put back the selection `key` kept */
+export function focusAgain(el, key = null) {
+  el.focus({ preventScroll: true })
+
+  if (key && key.selection && typeof el.setSelectionRange === "function") {
+    try {
+      el.setSelectionRange(...key.selection)
+    } catch (_err) {
+      // The field changed type; the caret just goes where focus put it
+    }
+  }
+}
+
+function candidates(base, key) {
+  return Array.from(base.getElementsByTagName(key.tag))
+    .filter(el => !key.attribute || el.getAttribute(key.attribute) === key.value)
+}
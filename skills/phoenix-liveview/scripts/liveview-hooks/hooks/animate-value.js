@@ -0,0 +1,232 @@
+import { defineHook } from "../define-hook.js"
+import { reportError } from "../telemetry.js"
+
+// Easing curves, declared first because the AnimateValue schema lists them
+const EASINGS = {
+  "linear": t => t,
+  "ease-out": t => 1 - Math.pow(1 - t, 3),
+  "ease-in-out": t => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2,
+  "ease-out-expo": t => t === 1 ? 1 : 1 - Math.pow(2, -10 * t)
+}
+
+/**
+ * AnimateValue - Animate number changes with locale-aware formatting
+ *
+ * Use case: Dashboard metrics, counters, prices, percentages
+ *
+ * Animates from the value currently shown to data-value with
+ * requestAnimationFrame. A new value arriving mid-animation continues from
+ * wherever the count is, and users with prefers-reduced-motion get the new
+ * value immediately. Values are formatted with Intl.NumberFormat.
+ *
+ * Send raw numbers in data-value (1234.5, not "1,234.50"); for percentages
+ * send the fraction (0.25 → "25%"). phx-update="ignore" keeps LiveView from
+ * resetting the text on each patch, while data-value still updates.
+ *
+ * Options (data attributes):
+ * - data-value              Target number
+ * - data-duration="500"     Animation length in ms
+ * - data-easing="ease-out"  "linear", "ease-out", "ease-in-out" or "ease-out-expo"
+ * - data-locale             Defaults to <html lang>, then the browser locale
+ * - data-format             "decimal" (default), "currency", "percent" or "unit"
+ * - data-currency="USD"     With data-format="currency"
+ * - data-unit="megabyte"    With data-format="unit"
+ * - data-notation           "compact" for 1.2K / 3.4M
+ * - data-decimals           Fixed number of decimals
+ *
+ * Example:
+ * <span
+ *   phx-hook="AnimateValue"
+ *   id="revenue"
+ *   phx-update="ignore"
+ *   data-value={@revenue}
+ *   data-format="currency"
+ *   data-currency="EUR"
+ *   data-notation="compact"
+ * >
+ *   {@revenue}
+ * </span>
+ */
+export const AnimateValue = defineHook({
+  schema: {
+    value: { type: "number" },
+    duration: { type: "integer", min: 0, default: 500 },
+    easing: { type: "enum", values: Object.keys(EASINGS), default: "ease-out" },
+    locale: { type: "string" },
+    format: { type: "enum", values: ["decimal", "currency", "percent", "unit"], default: "decimal" },
+    currency: { type: "string", default: "USD" },
+    unit: { type: "string" },
+    notation: { type: "enum", values: ["standard", "scientific", "engineering", "compact"] },
+    decimals: { type: "integer", min: 0 }
+  },
+
+  mounted() {
+    this.frame = null
+    const target = this.options.value
+
+    // Start from what the server rendered, e.g. "1,234" or "$5.00"
+    this.current = parseLocaleNumber(this.el.textContent, valueLocale(this.options))
+    if (this.current === null) this.current = target === undefined ? 0 : target
+
+    this.animateToValue(target)
+  },
+
+  updated() {
+    this.animateToValue(this.options.value)
+  },
+
+  animateToValue(target) {
+    if (target === undefined) return
+
+    this.cancelAnimationFrame(this.frame)
+    this.frame = null
+
+    const format = numberFormatter(this.options)
+    const from = this.current
+    const duration = this.options.duration
+    const ease = EASINGS[this.options.easing]
+    const reducedMotion = window.matchMedia("(prefers-reduced-motion: reduce)").matches
+
+    if (from === target || reducedMotion || duration <= 0) {
+      this.current = target
+      this.el.textContent = format(target)
+      return
+    }
+
+    const start = performance.now()
+    this.el.setAttribute("aria-busy", "true")
+
+    const step = (now) => {
+      const progress = Math.min((now - start) / duration, 1)
+      this.current = from + (target - from) * ease(progress)
+      this.el.textContent = format(this.current)
+
+      if (progress < 1) {
+        this.frame = this.requestAnimationFrame(step)
+      } else {
+        this.frame = null
+        this.current = target
+        this.el.textContent = format(target)
+        this.el.removeAttribute("aria-busy")
+      }
+    }
+
+    this.frame = this.requestAnimationFrame(step)
+  }
+})
+
+/**
+ * RelativeTime - Self-updating "3 min ago" labels
+ *
+ * Use case: Last-updated stamps, activity feeds, "online for 2 hours"
+ *
+ * Formats data-time (ISO 8601) with Intl.RelativeTimeFormat and re-renders
+ * on its own, as often as the shown unit needs (every second under a
+ * minute, every minute under an hour, ...). No server round trips.
+ *
+ * Options (data attributes):
+ * - data-time        ISO 8601 timestamp (or use a <time datetime> element)
+ * - data-locale      Defaults to <html lang>, then the browser locale
+ * - data-style       "long" (default), "short" or "narrow"
+ *
+ * Example:
+ * <time phx-hook="RelativeTime" id="report-updated" datetime={@report.updated_at}>
+ *   {@report.updated_at}
+ * </time>
+ */
+export const RelativeTime = defineHook({
+  schema: {
+    time: { type: "string" },
+    locale: { type: "string" },
+    style: { type: "enum", values: ["long", "short", "narrow"], default: "long" }
+  },
+
+  mounted() {
+    this.render()
+  },
+
+  updated() {
+    this.render()
+  },
+
+  render() {
+    this.clearTimeout(this.timer)
+
+    const time = Date.parse(this.options.time || this.el.getAttribute("datetime"))
+    if (Number.isNaN(time)) return
+
+    const format = new Intl.RelativeTimeFormat(valueLocale(this.options), {
+      numeric: "auto",
+      style: this.options.style
+    })
+
+    const seconds = (time - Date.now()) / 1000
+    const [unit, size] = RELATIVE_UNITS.find(([, size]) => Math.abs(seconds) >= size) ||
+      RELATIVE_UNITS[RELATIVE_UNITS.length - 1]
+
+    this.el.textContent = format.format(Math.round(seconds / size), unit)
+    if (!this.el.title) this.el.title = new Date(time).toLocaleString(valueLocale(this.options))
+
+    // Re-render when the shown number can next change. Timers clamp delays
+    // past 2^31 - 1 ms to 1 ms, so months and years check back daily
+    this.timer = this.setTimeout(() => this.render(), Math.min(Math.max(size * 1000 / 2, 1000), MAX_RENDER_DELAY))
+  }
+})
+
+// Number and time formatting helpers, shared with Chart
+
+const MAX_RENDER_DELAY = 24 * 3600 * 1000
+
+const RELATIVE_UNITS = [
+  ["year", 365 * 24 * 3600],
+  ["month", 30 * 24 * 3600],
+  ["week", 7 * 24 * 3600],
+  ["day", 24 * 3600],
+  ["hour", 3600],
+  ["minute", 60],
+  ["second", 1]
+]
+
+export function valueLocale({locale}) {
+  return locale || document.documentElement.lang || navigator.language
+}
+
+export function numberFormatter(hookOptions, source = "AnimateValue") {
+  const {format, currency, unit, notation, decimals} = hookOptions
+  const options = { style: format }
+
+  if (format === "currency") options.currency = currency
+  if (format === "unit") options.unit = unit
+  if (notation) options.notation = notation
+  if (decimals !== undefined) {
+    options.minimumFractionDigits = decimals
+    options.maximumFractionDigits = decimals
+  }
+
+  try {
+    const formatter = new Intl.NumberFormat(valueLocale(hookOptions), options)
+    return value => formatter.format(value)
+  } catch (err) {
+    reportError(source, `${source}: invalid format options`, options, err)
+    return value => String(Math.round(value))
+  }
+}
+
+// "1,234.5" / "1.234,5" / "$5.00" / "12%" → number, using the locale's
+// separators; null when the text has no number in it
+function parseLocaleNumber(text, locale) {
+  const parts = new Intl.NumberFormat(locale).formatToParts(12345.6)
+  const group = (parts.find(part => part.type === "group") || {}).value || ","
+  const decimal = (parts.find(part => part.type === "decimal") || {}).value || "."
+
+  const normalized = text
+    .split(group).join("")
+    .split(decimal).join(".")
+    .replace(/[^\d.-]/g, "")
+
+  if (!/\d/.test(normalized)) return null
+
+  const value = parseFloat(normalized)
+  if (Number.isNaN(value)) return null
+  return text.includes("%") ? value / 100 : value
+}
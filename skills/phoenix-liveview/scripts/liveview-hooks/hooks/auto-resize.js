@@ -0,0 +1,79 @@
+import { defineHook } from "../define-hook.js"
+
+/**
+ * AutoResize - Grow a textarea with its content
+ *
+ * Use case: Comment boxes, chat inputs, notes
+ *
+ * Expands up to data-max-rows, then shows a scrollbar.
+ *
+ * Options (data attributes):
+ * - data-min-rows="2"   Smallest height, in lines
+ * - data-max-rows="10"  Largest height before scrolling, in lines
+ *
+ * Example:
+ * <textarea
+ *   phx-hook="AutoResize"
+ *   id="comment-body"
+ *   data-min-rows="2"
+ *   data-max-rows="10"
+ *   class="textarea"
+ * ></textarea>
+ */
+export const AutoResize = defineHook({
+  schema: {
+    minRows: { type: "integer", min: 1, default: 2 },
+    maxRows: { type: "integer", min: 1, default: 10 }
+  },
+
+  mounted() {
+    this.resize()
+    this.listen(this.el, "input", () => this.resize())
+  },
+
+  updated() {
+    // The server may have replaced the value, e.g. cleared it after a submit
+    this.resize()
+  },
+
+  resize() {
+    fitTextarea(this.el, this.options)
+  }
+})
+
+/**
+ * Size a textarea to its content, between minRows and maxRows lines, with a
+ * scrollbar beyond that. Shared with MarkdownEditor.
+ */
+export function fitTextarea(textarea, {minRows, maxRows}) {
+  const style = getComputedStyle(textarea)
+  const lineHeight = lineHeightOf(style)
+  const padding = px(style.paddingTop) + px(style.paddingBottom)
+  // border-box heights count padding and borders, content-box ones neither
+  const frame = style.boxSizing === "border-box"
+    ? padding + px(style.borderTopWidth) + px(style.borderBottomWidth)
+    : 0
+
+  // Reset height to recalculate
+  textarea.style.height = "auto"
+  const content = textarea.scrollHeight - padding
+
+  const minHeight = lineHeight * minRows
+  const maxHeight = lineHeight * maxRows
+  textarea.style.overflowY = content > maxHeight ? "auto" : "hidden"
+  textarea.style.height = `${Math.min(Math.max(content, minHeight), maxHeight) + frame}px`
+}
+
+// line-height in px. "normal" (the browser default) has no number in it and
+// is about 1.2 times the font size; unitless values multiply it too
+function lineHeightOf(style) {
+  const value = style.lineHeight
+  if (value.endsWith("px")) return parseFloat(value)
+
+  const factor = parseFloat(value)
+  return (Number.isFinite(factor) ? factor : 1.2) * (px(style.fontSize) || 16)
+}
+
+function px(value) {
+  return parseFloat(value) || 0
+}
@@ -0,0 +1,725 @@
+import { defineHook } from "../define-hook.js"
+import { numberFormatter, valueLocale } from "./animate-value.js"
+
+const SVG_NS = "http://www.w3.org/2000/svg"
+
+// DaisyUI 4 kept bare oklch components in short variables (--p); DaisyUI 5
+// has full colors in --color-primary and friends
+const DAISY_4_COLORS = {
+  "primary": "--p",
+  "secondary": "--s",
+  "accent": "--a",
+  "neutral": "--n",
+  "info": "--in",
+  "success": "--su",
+  "warning": "--wa",
+  "error": "--er",
+  "base-100": "--b1",
+  "base-200": "--b2",
+  "base-300": "--b3",
+  "base-content": "--bc"
+}
+
+const SPARKLINE_MARGIN = { top: 3, right: 3, bottom: 3, left: 3 }
+
+/**
+ * Chart - Live line, area, bar and sparkline charts in SVG
+ *
+ * Use case: Dashboard metrics over time (requests per second, queue depth,
+ * p95 latency), next to an AnimateValue showing the latest number
+ *
+ * Draws the series in data-series, then appends the points the server pushes
+ * with "chart_points", keeping the last data-window points of each series.
+ * The axes ease from the old range to the new one, so new points slide in
+ * from the right; with prefers-reduced-motion the chart jumps instead.
+ * Hovering shows a crosshair and a tooltip with each series' value at that
+ * point. The chart is one tab stop whose arrow keys move the crosshair, and
+ * it redraws when the element is resized.
+ *
+ * Colors come from the DaisyUI theme variables, so the chart follows theme
+ * switches. Gridlines and labels use the text color: set it with a class
+ * such as text-base-content/60.
+ *
+ * The hook draws into the element: give it phx-update="ignore" and a height.
+ * To style the tooltip, put a [data-chart-tooltip] element inside; otherwise
+ * one is created in the theme's base colors.
+ *
+ * Options (data attributes):
+ * - data-type="line"      "line", "area", "bar" or "sparkline" (a line without axes)
+ * - data-series           JSON: the points of one series, or a list of
+ *                         {"name": "p95", "points": [...], "color": "warning"}.
+ *                         A point is a number, [x, y] or {"x": x, "y": y};
+ *                         plain numbers are spaced evenly and show no x axis
+ * - data-window="60"      Points kept per series
+ * - data-x="number"       "number", or "time" for timestamps (ms or ISO 8601)
+ * - data-min / data-max   Fixed y range. By default it fits the data, and
+ *                         includes 0 for area and bar charts
+ * - data-colors           DaisyUI color names or CSS colors, in series order.
+ *                         Defaults to "primary,secondary,accent,info,success,warning,error"
+ * - data-label            Accessible name, e.g. "Requests per second"
+ * - data-duration="300"   Transition length in ms
+ * - data-locale, data-format, data-currency, data-unit, data-notation,
+ *   data-decimals         Value formatting, as for AnimateValue
+ *
+ * Server → client events:
+ * - "chart_points" %{id: "rps-chart", points: [42, 40]}
+ *   Appends to the first series. For several series send a map by name,
+ *   points: %{"p95" => [[ts, 120]], "p50" => [[ts, 40]]}; a new name adds
+ *   a series.
+ *
+ * A new data-series from the server replaces everything, e.g. when the user
+ * picks another time range.
+ *
+ * Server side:
+ * def handle_info({:latency, at, %{p95: p95, p50: p50}}, socket) do
+ *   {:noreply,
+ *    push_event(socket, "chart_points", %{
+ *      id: "latency-chart",
+ *      points: %{"p95" => [[at, p95]], "p50" => [[at, p50]]}
+ *    })}
+ * end
+ *
+ * Example:
+ * <div
+ *   phx-hook="Chart"
+ *   id="latency-chart"
+ *   phx-update="ignore"
+ *   data-type="area"
+ *   data-x="time"
+ *   data-label="Latency"
+ *   data-format="unit"
+ *   data-unit="millisecond"
+ *   data-colors="warning,primary"
+ *   data-series={Jason.encode!([%{name: "p95", points: @p95}, %{name: "p50", points: @p50}])}
+ *   class="h-48 text-base-content/60"
+ * >
+ * </div>
+ *
+ * Sparkline in a stat:
+ * <div class="stat">
+ *   <div class="stat-value">
+ *     <span phx-hook="AnimateValue" id="rps" phx-update="ignore" data-value={@rps}>{@rps}</span>
+ *   </div>
+ *   <div phx-hook="Chart" id="rps-trend" phx-update="ignore" data-type="sparkline"
+ *        data-label="Requests per second" data-series={Jason.encode!(@rps_history)} class="h-8 w-32">
+ *   </div>
+ * </div>
+ */
+export const Chart = defineHook({
+  schema: {
+    type: { type: "enum", values: ["line", "area", "bar", "sparkline"], default: "line" },
+    series: { type: "json" },
+    window: { type: "integer", min: 1, default: 60 },
+    x: { type: "enum", values: ["number", "time"], default: "number" },
+    min: { type: "number" },
+    max: { type: "number" },
+    colors: { type: "list", default: ["primary", "secondary", "accent", "info", "success", "warning", "error"] },
+    label: { type: "string" },
+    duration: { type: "integer", min: 0, default: 300 },
+    locale: { type: "string" },
+    format: { type: "enum", values: ["decimal", "currency", "percent", "unit"], default: "decimal" },
+    currency: { type: "string", default: "USD" },
+    unit: { type: "string" },
+    notation: { type: "enum", values: ["standard", "scientific", "engineering", "compact"] },
+    decimals: { type: "integer", min: 0 }
+  },
+
+  mounted() {
+    this.series = []
+    this.view = null // domain drawn right now
+    this.frame = null
+    this.cursor = null // x under the crosshair
+    this.explicitX = false
+
+    if (getComputedStyle(this.el).position === "static") this.el.style.position = "relative"
+
+    this.svg = document.createElementNS(SVG_NS, "svg")
+    this.svg.setAttribute("width", "100%")
+    this.svg.setAttribute("height", "100%")
+    this.svg.setAttribute("role", "img")
+    this.svg.setAttribute("tabindex", "0")
+    this.svg.style.display = "block"
+    this.svg.style.overflow = "hidden"
+    this.svg.innerHTML = `
+      <defs><clipPath id="${this.el.id}-plot"><rect></rect></clipPath></defs>
+      <g data-chart-axes></g>
+      <g data-chart-series clip-path="url(#${this.el.id}-plot)"></g>
+      <g data-chart-crosshair style="display: none; pointer-events: none"></g>
+    `
+    this.el.appendChild(this.svg)
+    this.clip = this.svg.querySelector("clipPath rect")
+    this.axes = this.svg.querySelector("[data-chart-axes]")
+    this.plotted = this.svg.querySelector("[data-chart-series]")
+    this.crosshair = this.svg.querySelector("[data-chart-crosshair]")
+
+    this.tooltip = this.el.querySelector("[data-chart-tooltip]")
+    this.ownTooltip = !this.tooltip
+    if (this.ownTooltip) this.tooltip = this.createTooltip()
+    this.tooltip.hidden = true
+
+    this.listen(this.svg, "pointermove", (e) => this.pointAt(e.clientX))
+    this.listen(this.svg, "pointerleave", () => this.moveCursor(null))
+    this.listen(this.svg, "keydown", (e) => this.handleKeydown(e))
+    this.listen(this.svg, "blur", () => this.moveCursor(null))
+
+    if (typeof ResizeObserver === "function") {
+      this.observe(new ResizeObserver(() => this.render()), this.el)
+    }
+
+    this.handleEvent("chart_points", ({id, points}) => {
+      if (id && id !== this.el.id) return
+      this.append(points)
+    })
+
+    this.setSeries()
+  },
+
+  updated() {
+    if (this.el.dataset.series !== this.seriesSource) {
+      this.setSeries()
+      return
+    }
+
+    // Type, window, range or colors may have changed
+    for (const series of this.series) this.trim(series)
+    this.paint()
+    this.transition()
+  },
+
+  destroyed() {
+    this.svg.remove()
+    if (this.ownTooltip) this.tooltip.remove()
+  },
+
+  // Data
+
+  setSeries() {
+    this.seriesSource = this.el.dataset.series
+    this.series = []
+    this.explicitX = false
+
+    const given = this.options.series
+    const list = Array.isArray(given) && given.length > 0 && given.every(isSeriesObject)
+      ? given
+      : [{ points: Array.isArray(given) ? given : [] }]
+
+    for (const {name, color, points} of list) {
+      const series = this.addSeries(name, color)
+      this.addPoints(series, Array.isArray(points) ? points : [])
+    }
+
+    this.view = null
+    this.paint()
+    this.transition()
+  },
+
+  append(points) {
+    if (Array.isArray(points)) {
+      const series = this.series[0] || this.addSeries()
+      this.addPoints(series, points)
+    } else if (points && typeof points === "object") {
+      for (const [name, list] of Object.entries(points)) {
+        if (!Array.isArray(list)) continue
+        const series = this.series.find(series => series.name === name) || this.addSeries(name)
+        this.addPoints(series, list)
+      }
+    } else {
+      return
+    }
+
+    this.paint()
+    this.transition()
+  },
+
+  addSeries(name = "", color = null) {
+    const series = { name: String(name), color, points: [], leaving: [] }
+    this.series.push(series)
+    return series
+  },
+
+  addPoints(series, points) {
+    for (const point of points) {
+      const last = series.points[series.points.length - 1]
+      const parsed = parsePoint(point, last ? last.x + 1 : 0)
+      if (!parsed) continue
+
+      if (parsed.explicit) this.explicitX = true
+      series.points.push({ x: parsed.x, y: parsed.y })
+      if (last && parsed.x < last.x) series.points.sort((a, b) => a.x - b.x)
+    }
+
+    this.trim(series)
+  },
+
+  // Keep the window, and the point that just left it so the line still
+  // reaches the edge while sliding
+  trim(series) {
+    const excess = series.points.length - this.options.window
+    if (excess > 0) series.leaving = series.points.splice(0, excess).slice(-1)
+  },
+
+  // Resolve theme colors, and refresh what only changes with the data
+  paint() {
+    const {colors} = this.options
+    this.series.forEach((series, index) => {
+      series.stroke = themeColor(this.el, series.color || colors[index % colors.length])
+    })
+
+    if (this.cursor !== null && !this.xValues().includes(this.cursor)) this.moveCursor(null)
+    this.svg.setAttribute("aria-label", this.summary())
+  },
+
+  // Scales
+
+  // Domain that fits every point, with nice y bounds when there are axes
+  domain() {
+    const points = this.series.flatMap(series => series.points)
+    if (points.length === 0) return null
+
+    const {type, min, max} = this.options
+    let x0 = Math.min(...points.map(point => point.x))
+    let x1 = Math.max(...points.map(point => point.x))
+    let y0 = Math.min(...points.map(point => point.y))
+    let y1 = Math.max(...points.map(point => point.y))
+
+    // Bars are centered on their x, half a step in from each edge
+    const count = Math.max(...this.series.map(series => series.points.length))
+    const step = count > 1 ? (x1 - x0) / (count - 1) : 1
+    if (type === "bar") {
+      x0 -= step / 2
+      x1 += step / 2
+    } else if (x0 === x1) {
+      x0 -= 0.5
+      x1 += 0.5
+    }
+
+    if (type === "area" || type === "bar") {
+      y0 = Math.min(y0, 0)
+      y1 = Math.max(y1, 0)
+    }
+    if (min !== undefined) y0 = min
+    if (max !== undefined) y1 = max
+    if (y0 >= y1) {
+      const pad = Math.abs(y0) * 0.1 || 1
+      if (min === undefined) y0 -= pad
+      if (max === undefined || y0 >= y1) y1 = y0 + 2 * pad
+    }
+
+    if (type !== "sparkline") {
+      const ticks = niceTicks(y0, y1)
+      if (min === undefined) y0 = Math.min(y0, ticks[0])
+      if (max === undefined) y1 = Math.max(y1, ticks[ticks.length - 1])
+    }
+
+    return { x0, x1, y0, y1, step }
+  },
+
+  transition() {
+    const target = this.domain()
+    const from = this.view
+
+    this.cancelAnimationFrame(this.frame)
+    this.frame = null
+
+    const reducedMotion = window.matchMedia("(prefers-reduced-motion: reduce)").matches
+    if (!from || !target || sameDomain(from, target) || reducedMotion || this.options.duration <= 0) {
+      this.settle(target)
+      return
+    }
+
+    const start = performance.now()
+    const duration = this.options.duration
+
+    const step = (now) => {
+      const progress = Math.min((now - start) / duration, 1)
+      if (progress < 1) {
+        this.view = mixDomain(from, target, 1 - Math.pow(1 - progress, 3))
+        this.render()
+        this.frame = this.requestAnimationFrame(step)
+      } else {
+        this.settle(target)
+      }
+    }
+
+    this.frame = this.requestAnimationFrame(step)
+  },
+
+  settle(target) {
+    this.frame = null
+    this.view = target
+    for (const series of this.series) series.leaving = []
+    this.render()
+  },
+
+  // Drawing
+
+  render() {
+    const rect = this.svg.getBoundingClientRect()
+    const width = Math.round(rect.width)
+    const height = Math.round(rect.height)
+    const view = this.view
+
+    this.svg.setAttribute("viewBox", `0 0 ${width} ${height}`)
+    if (!view || width <= 0 || height <= 0) {
+      this.axes.innerHTML = ""
+      this.plotted.innerHTML = ""
+      this.layout = null
+      this.drawCrosshair()
+      return
+    }
+
+    const yTicks = this.options.type === "sparkline" ? [] : niceTicks(view.y0, view.y1)
+      .filter(tick => tick >= view.y0 - 1e-9 && tick <= view.y1 + 1e-9)
+    const axisFormat = this.axisFormatter()
+    const yLabels = yTicks.map(axisFormat)
+
+    const margin = this.options.type === "sparkline" ? SPARKLINE_MARGIN : {
+      top: 8,
+      right: 12,
+      bottom: this.explicitX ? 22 : 8,
+      left: 10 + 6.5 * Math.max(0, ...yLabels.map(label => label.length))
+    }
+    const plot = {
+      left: margin.left,
+      top: margin.top,
+      width: Math.max(width - margin.left - margin.right, 1),
+      height: Math.max(height - margin.top - margin.bottom, 1)
+    }
+    const sx = (x) => plot.left + (x - view.x0) / (view.x1 - view.x0) * plot.width
+    const sy = (y) => plot.top + (1 - (y - view.y0) / (view.y1 - view.y0)) * plot.height
+    this.layout = { plot, sx, sy, view }
+
+    for (const [name, value] of Object.entries({ x: plot.left, y: plot.top, width: plot.width, height: plot.height })) {
+      this.clip.setAttribute(name, round(value))
+    }
+
+    this.axes.innerHTML = this.options.type === "sparkline" ? "" : this.axesMarkup(yTicks, yLabels)
+    this.plotted.innerHTML = this.seriesMarkup()
+    this.drawCrosshair()
+  },
+
+  axesMarkup(yTicks, yLabels) {
+    const {plot, sx, sy, view} = this.layout
+    const right = plot.left + plot.width
+    const bottom = plot.top + plot.height
+    let markup = ""
+
+    yTicks.forEach((tick, index) => {
+      const y = round(sy(tick))
+      markup += `<line x1="${plot.left}" x2="${round(right)}" y1="${y}" y2="${y}" stroke="currentColor" stroke-opacity="0.15"></line>`
+      markup += `<text x="${plot.left - 6}" y="${y}" fill="currentColor" font-size="11" text-anchor="end" dominant-baseline="middle">${escapeXml(yLabels[index])}</text>`
+    })
+
+    if (this.explicitX) {
+      const format = this.xFormatter(false)
+      const count = Math.max(2, Math.floor(plot.width / 90))
+      const first = view.x0 + (this.options.type === "bar" ? view.step / 2 : 0)
+      const last = view.x1 - (this.options.type === "bar" ? view.step / 2 : 0)
+      const ticks = this.options.x === "time"
+        ? Array.from({ length: count }, (_, index) => first + (last - first) * index / (count - 1))
+        : niceTicks(first, last, count).filter(tick => tick >= first - 1e-9 && tick <= last + 1e-9)
+
+      for (const tick of ticks) {
+        const x = sx(tick)
+        const anchor = x < plot.left + 20 ? "start" : x > right - 20 ? "end" : "middle"
+        markup += `<text x="${round(x)}" y="${round(bottom + 16)}" fill="currentColor" font-size="11" text-anchor="${anchor}">${escapeXml(format(tick))}</text>`
+      }
+    }
+
+    return markup + `<line x1="${plot.left}" x2="${round(right)}" y1="${round(bottom)}" y2="${round(bottom)}" stroke="currentColor" stroke-opacity="0.3"></line>`
+  },
+
+  seriesMarkup() {
+    const {plot, sx, sy, view} = this.layout
+    const {type} = this.options
+    const base = sy(Math.min(Math.max(0, view.y0), view.y1))
+    let markup = ""
+
+    if (type === "bar") {
+      const band = view.step / (view.x1 - view.x0) * plot.width
+      const width = band * 0.8 / this.series.length
+
+      this.series.forEach((series, index) => {
+        for (const point of series.points) {
+          const x = sx(point.x) - band * 0.4 + index * width
+          const y = sy(point.y)
+          markup += `<rect data-series="${index}" x="${round(x)}" y="${round(Math.min(y, base))}" width="${round(Math.max(width - 1, 1))}" height="${round(Math.abs(base - y))}" fill="${escapeXml(series.stroke)}" rx="1"></rect>`
+        }
+      })
+      return markup
+    }
+
+    this.series.forEach((series, index) => {
+      const points = [...series.leaving, ...series.points]
+      if (points.length === 0) return
+
+      const line = points.map((point, i) => `${i === 0 ? "M" : "L"}${round(sx(point.x))},${round(sy(point.y))}`).join("")
+      const color = escapeXml(series.stroke)
+
+      if (type === "area") {
+        const first = round(sx(points[0].x))
+        const last = round(sx(points[points.length - 1].x))
+        markup += `<path data-series-area="${index}" d="${line}L${last},${round(base)}L${first},${round(base)}Z" fill="${color}" fill-opacity="0.2" stroke="none"></path>`
+      }
+
+      markup += `<path data-series="${index}" d="${line}" fill="none" stroke="${color}" stroke-width="${type === "sparkline" ? 1.5 : 2}" stroke-linejoin="round" stroke-linecap="round"></path>`
+
+      if (type === "sparkline") {
+        const end = points[points.length - 1]
+        markup += `<circle cx="${round(sx(end.x))}" cy="${round(sy(end.y))}" r="2" fill="${color}"></circle>`
+      }
+    })
+
+    return markup
+  },
+
+  // Crosshair and tooltip
+
+  pointAt(clientX) {
+    if (!this.layout) return
+    const {plot, view} = this.layout
+    const offset = clientX - this.svg.getBoundingClientRect().left
+    const value = view.x0 + (offset - plot.left) / plot.width * (view.x1 - view.x0)
+
+    const xs = this.xValues()
+    if (xs.length === 0) return
+    this.moveCursor(xs.reduce((best, x) => Math.abs(x - value) < Math.abs(best - value) ? x : best))
+  },
+
+  handleKeydown(e) {
+    const xs = this.xValues()
+    if (xs.length === 0) return
+
+    const at = xs.indexOf(this.cursor)
+    let next
+
+    switch (e.key) {
+      case "ArrowRight": next = at === -1 ? xs.length - 1 : Math.min(at + 1, xs.length - 1); break
+      case "ArrowLeft": next = at === -1 ? xs.length - 1 : Math.max(at - 1, 0); break
+      case "Home": next = 0; break
+      case "End": next = xs.length - 1; break
+      case "Escape":
+        if (this.cursor === null) return
+        next = null
+        break
+      default: return
+    }
+
+    e.preventDefault()
+    this.moveCursor(next === null ? null : xs[next])
+  },
+
+  moveCursor(x) {
+    this.cursor = x
+    this.drawCrosshair()
+  },
+
+  // Sorted x of every point shown
+  xValues() {
+    const xs = new Set(this.series.flatMap(series => series.points.map(point => point.x)))
+    return [...xs].sort((a, b) => a - b)
+  },
+
+  drawCrosshair() {
+    if (this.cursor === null || !this.layout) {
+      this.crosshair.style.display = "none"
+      this.tooltip.hidden = true
+      return
+    }
+
+    const {plot, sx, sy} = this.layout
+    const x = sx(this.cursor)
+    const values = this.series
+      .map(series => ({ series, point: series.points.find(point => point.x === this.cursor) }))
+      .filter(({point}) => point)
+
+    let markup = `<line x1="${round(x)}" x2="${round(x)}" y1="${plot.top}" y2="${round(plot.top + plot.height)}" stroke="currentColor" stroke-opacity="0.5" stroke-dasharray="3 3"></line>`
+    if (this.options.type !== "bar") {
+      const ring = escapeXml(themeColor(this.el, "base-100"))
+      for (const {series, point} of values) {
+        markup += `<circle cx="${round(x)}" cy="${round(sy(point.y))}" r="3.5" fill="${escapeXml(series.stroke)}" stroke="${ring}" stroke-width="1.5"></circle>`
+      }
+    }
+    this.crosshair.innerHTML = markup
+    this.crosshair.style.display = ""
+
+    this.fillTooltip(values)
+    this.tooltip.hidden = false
+
+    // Beside the crosshair, on whichever side has room
+    const width = this.tooltip.offsetWidth
+    const left = x + 12 + width > plot.left + plot.width ? x - 12 - width : x + 12
+    this.tooltip.style.left = `${Math.round(Math.max(left, 0))}px`
+    this.tooltip.style.top = `${Math.round(plot.top)}px`
+  },
+
+  fillTooltip(values) {
+    const format = numberFormatter(this.options, "Chart")
+    const rows = []
+
+    if (this.explicitX) {
+      const title = document.createElement("div")
+      title.dataset.chartTooltipTitle = ""
+      title.textContent = this.xFormatter(true)(this.cursor)
+      rows.push(title)
+    }
+
+    for (const {series, point} of values) {
+      const row = document.createElement("div")
+      row.dataset.chartTooltipRow = ""
+      row.style.display = "flex"
+      row.style.alignItems = "center"
+      row.style.gap = "0.375rem"
+
+      const swatch = document.createElement("span")
+      swatch.style.cssText = `display: inline-block; width: 0.5rem; height: 0.5rem; border-radius: 9999px; background: ${series.stroke}`
+
+      const name = document.createElement("span")
+      name.textContent = series.name
+
+      const value = document.createElement("strong")
+      value.textContent = format(point.y)
+      value.style.marginLeft = "auto"
+
+      row.append(swatch, ...(series.name ? [name] : []), value)
+      rows.push(row)
+    }
+
+    this.tooltip.replaceChildren(...rows)
+  },
+
+  createTooltip() {
+    const tooltip = document.createElement("div")
+    tooltip.dataset.chartTooltip = ""
+    tooltip.style.cssText = [
+      "position: absolute",
+      "pointer-events: none",
+      "z-index: 1",
+      "padding: 0.375rem 0.5rem",
+      "border-radius: 0.375rem",
+      "font-size: 0.75rem",
+      "line-height: 1.25",
+      "white-space: nowrap",
+      "box-shadow: 0 1px 3px rgb(0 0 0 / 0.15)",
+      `background: ${themeColor(this.el, "base-100")}`,
+      `color: ${themeColor(this.el, "base-content")}`,
+      `border: 1px solid ${themeColor(this.el, "base-300")}`
+    ].join("; ")
+    this.el.appendChild(tooltip)
+    return tooltip
+  },
+
+  // Labels
+
+  axisFormatter() {
+    const format = numberFormatter({ ...this.options, notation: this.options.notation || "compact", decimals: undefined }, "Chart")
+    return (value) => format(Math.abs(value) < 1e-9 ? 0 : value)
+  },
+
+  xFormatter(long) {
+    if (this.options.x === "time") {
+      const format = new Intl.DateTimeFormat(valueLocale(this.options), long
+        ? { dateStyle: "medium", timeStyle: "medium" }
+        : { hour: "2-digit", minute: "2-digit" })
+      return (x) => format.format(new Date(x))
+    }
+
+    const format = new Intl.NumberFormat(valueLocale(this.options), { maximumFractionDigits: 2 })
+    return (x) => format.format(x)
+  },
+
+  // "Latency: p95 120 ms, p50 40 ms" - the latest value of each series
+  summary() {
+    const format = numberFormatter(this.options, "Chart")
+    const latest = this.series
+      .filter(series => series.points.length > 0)
+      .map(series => {
+        const value = format(series.points[series.points.length - 1].y)
+        return series.name ? `${series.name} ${value}` : value
+      })
+
+    const text = latest.length > 0 ? latest.join(", ") : "no data"
+    return this.options.label ? `${this.options.label}: ${text}` : text
+  }
+})
+
+// Helpers
+
+function isSeriesObject(item) {
+  return item !== null && typeof item === "object" && !Array.isArray(item) && "points" in item
+}
+
+// A number, [x, y] or {x, y}; x may be an ISO 8601 string. Null when unusable
+function parsePoint(point, nextX) {
+  let x = nextX
+  let y = point
+  let explicit = false
+
+  if (Array.isArray(point)) {
+    [x, y] = point
+    explicit = true
+  } else if (point !== null && typeof point === "object") {
+    ({x, y} = point)
+    explicit = true
+  }
+
+  if (y === null || y === undefined) return null
+  if (typeof x === "string") x = Date.parse(x)
+  x = Number(x)
+  y = Number(y)
+  if (!Number.isFinite(x) || !Number.isFinite(y)) return null
+
+  return { x, y, explicit }
+}
+
+// Evenly spaced round numbers (1, 2 or 5 × 10^n apart) covering y0..y1
+function niceTicks(y0, y1, count = 4) {
+  const span = y1 - y0
+  if (!(span > 0)) return [y0]
+
+  const raw = span / count
+  const power = Math.pow(10, Math.floor(Math.log10(raw)))
+  const fraction = raw / power
+  const step = (fraction <= 1 ? 1 : fraction <= 2 ? 2 : fraction <= 5 ? 5 : 10) * power
+
+  const ticks = []
+  for (let i = Math.floor(y0 / step); i <= Math.ceil(y1 / step); i++) {
+    ticks.push(Number((i * step).toPrecision(12)))
+  }
+  return ticks
+}
+
+function mixDomain(from, to, t) {
+  const mix = (key) => from[key] + (to[key] - from[key]) * t
+  return { x0: mix("x0"), x1: mix("x1"), y0: mix("y0"), y1: mix("y1"), step: mix("step") }
+}
+
+function sameDomain(a, b) {
+  return ["x0", "x1", "y0", "y1", "step"].every(key => a[key] === b[key])
+}
+
+// A DaisyUI color name as a CSS color that follows the theme; anything else
+// ("#0ea5e9", "oklch(70% 0.1 200)", "teal") is used as given
+function themeColor(el, name) {
+  if (!/^[a-z][a-z0-9-]*$/.test(name)) return name
+
+  if (cssVariable(el, `--color-${name}`)) return `var(--color-${name})`
+
+  const legacy = DAISY_4_COLORS[name]
+  if (legacy && cssVariable(el, legacy)) return `oklch(var(${legacy}))`
+
+  return legacy ? "currentColor" : name
+}
+
+function cssVariable(el, name) {
+  return getComputedStyle(el).getPropertyValue(name).trim() ||
+    getComputedStyle(document.documentElement).getPropertyValue(name).trim()
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10
+}
+
+function escapeXml(text) {
+  return String(text).replace(/[&<>"]/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;" })[c])
+}
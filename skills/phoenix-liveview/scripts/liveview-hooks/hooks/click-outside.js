@@ -0,0 +1,143 @@
+import { defineHook } from "../define-hook.js"
+import { reportWarning } from "../telemetry.js"
+
+/**
+ * ClickOutside - Dismissable layer: report clicks outside, Escape and focus leaving
+ *
+ * Use case: Close dropdowns, menus, inline editors and popovers
+ *
+ * - phx-click-outside names the event (or holds a JS command, like phx-click);
+ *   phx-target sends it to a LiveComponent
+ * - The payload says which layer and why: %{"id" => ..., "reason" => reason}
+ *   with reason "click", "escape" or "focusout"
+ * - Open layers form a stack: only the topmost one is dismissed, so closing a
+ *   submenu leaves its menu open. Layers that are not rendered (hidden, or
+ *   display: none as after JS.hide) don't count
+ * - Elements rendered elsewhere in the DOM count as inside: list their ids in
+ *   data-portals, or give them data-layer-owner with the layer's id
+ *
+ * Options (data attributes):
+ * - data-active      Set to "false" while the layer is closed but still rendered
+ * - data-escape      Set to "false" to ignore Escape
+ * - data-focus-out   Set to "false" to ignore focus moving out of the layer
+ * - data-portals     Comma separated ids of elements that belong to the layer
+ *
+ * Server side:
+ * def handle_event("close", %{"id" => "account-menu"}, socket) do
+ *   {:noreply, assign(socket, :menu_open, false)}
+ * end
+ *
+ * Example:
+ * <div :if={@menu_open} id="account-menu" phx-hook="ClickOutside" phx-click-outside="close"
+ *      phx-target={@myself} data-portals="account-menu-picker">
+ *   <!-- dropdown content -->
+ * </div>
+ *
+ * JS commands run through the hook's js() API, so they need LiveView 1.0:
+ * <div id="teams-menu" phx-hook="ClickOutside" phx-click-outside={JS.hide(to: "#teams-menu")}>...</div>
+ */
+
+// Open layers, topmost last
+const layers = []
+
+export const ClickOutside = defineHook({
+  schema: {
+    active: { type: "boolean", default: true },
+    escape: { type: "boolean", default: true },
+    focusOut: { type: "boolean", default: true },
+    portals: { type: "list", default: [] }
+  },
+
+  mounted() {
+    // Capture, so clicks that stop propagation still count
+    this.listen(document, "click", (e) => {
+      // A target that is gone was removed by the click itself, e.g. a list item
+      if (!this.isTopmost() || !e.target.isConnected) return
+      if (!this.contains(e.target)) this.dismiss("click")
+    }, { capture: true })
+
+    this.listen(document, "keydown", (e) => {
+      if (e.key !== "Escape" || e.defaultPrevented || !this.options.escape || !this.isTopmost()) return
+      // A modal <dialog> over the layer closes first, natively
+      const dialog = e.target.closest && e.target.closest("dialog[open]")
+      if (dialog && !dialog.contains(this.el)) return
+
+      e.preventDefault()
+      this.dismiss("escape")
+    })
+
+    this.listen(this.el, "focusout", (e) => {
+      // No relatedTarget: focus went nowhere (a click on the page); the click decides
+      const to = e.relatedTarget
+      if (!this.options.focusOut || !to || !this.isTopmost()) return
+      if (!this.contains(to)) this.dismiss("focusout")
+    })
+
+    this.sync()
+  },
+
+  updated() {
+    this.sync()
+  },
+
+  destroyed() {
+    this.setOpen(false)
+  },
+
+  sync() {
+    this.setOpen(this.options.active)
+  },
+
+  setOpen(open) {
+    const index = layers.indexOf(this)
+    if (open && index === -1) {
+      layers.push(this)
+    } else if (!open && index !== -1) {
+      layers.splice(index, 1)
+    }
+  },
+
+  // Checked when an event comes in: a layer can be hidden without a patch
+  isRendered() {
+    return !this.el.hidden && this.el.getClientRects().length > 0
+  },
+
+  isTopmost() {
+    return layers.findLast(layer => layer.isRendered()) === this
+  },
+
+  contains(node) {
+    if (this.el.contains(node)) return true
+
+    for (const id of this.options.portals) {
+      const portal = document.getElementById(id)
+      if (portal && portal.contains(node)) return true
+    }
+
+    const owned = node.closest && node.closest("[data-layer-owner]")
+    return Boolean(owned && owned.dataset.layerOwner === this.el.id)
+  },
+
+  dismiss(reason) {
+    const action = this.el.getAttribute("phx-click-outside") || "click_outside"
+
+    // Encoded JS commands, as rendered for phx-click-outside={JS.hide(...)}
+    if (action.startsWith("[")) {
+      if (typeof this.js === "function") {
+        this.js().exec(action)
+      } else {
+        // LiveView before 1.0 has no hook JS API
+        reportWarning("ClickOutside", `ClickOutside #${this.el.id}: JS commands in phx-click-outside need LiveView 1.0`)
+      }
+      return
+    }
+
+    const payload = { id: this.el.id, reason }
+    const target = this.el.getAttribute("phx-target")
+    if (target) {
+      this.pushEventTo(target, action, payload)
+    } else {
+      this.pushEvent(action, payload)
+    }
+  }
+})
@@ -0,0 +1,286 @@
+import { defineHook } from "../define-hook.js"
+import { reportError, reportWarning } from "../telemetry.js"
+
+/**
+ * CopyToClipboard - Copy text, HTML or tables to the clipboard
+ *
+ * Use case: Copy SQL queries, code snippets, API keys, result tables
+ *
+ * Server sends event with `text` (optionally with `html`) or a `table`.
+ * html and table add a text/html flavor, so rich targets (docs, spreadsheets)
+ * get formatting while plain targets get text:
+ * push_event(socket, "copy_to_clipboard", %{text: "SELECT * FROM users"})
+ * push_event(socket, "copy_to_clipboard", %{text: markdown, html: rendered_html})
+ * push_event(socket, "copy_to_clipboard", %{table: %{headers: ["id", "name"], rows: rows}})
+ *
+ * Tables are copied as TSV (text/plain) plus an HTML <table>, so they paste
+ * into spreadsheets as cells. Markdown is plain text: send it as `text`.
+ *
+ * Elements inside the hook can copy without a round trip:
+ * - data-copy="#selector"  Copy that element (a <table> is copied as a table,
+ *                          other elements as text + HTML)
+ * - data-copy-text="..."   Copy a literal string
+ *
+ * Falls back to document.execCommand("copy") where the async clipboard API
+ * is missing (non-secure contexts, older browsers) or refuses.
+ *
+ * Client → server events:
+ * - "copied"      %{"format" => "text" | "html" | "table", "length" => n}
+ * - "copy_failed" %{"reason" => "unsupported" | "denied" | "error", "message" => msg}
+ *
+ * Example:
+ * <div phx-hook="CopyToClipboard" id="copy-container">
+ *   <button phx-click="copy_sql">Copy SQL</button>
+ *   <button data-copy="#results-table">Copy table</button>
+ * </div>
+ */
+export const CopyToClipboard = defineHook({
+  mounted() {
+    this.handleEvent("copy_to_clipboard", (payload) => {
+      this.copy(clipboardContent(payload))
+    })
+
+    this.handleClick = (e) => {
+      const trigger = e.target.closest("[data-copy], [data-copy-text]")
+      if (!trigger) return
+
+      if (trigger.hasAttribute("data-copy-text")) {
+        this.copy({ format: "text", text: trigger.dataset.copyText })
+        return
+      }
+
+      const source = document.querySelector(trigger.dataset.copy)
+      if (source) {
+        this.copy(elementContent(source))
+      } else {
+        this.copyFailed("error", `nothing matches ${trigger.dataset.copy}`)
+      }
+    }
+
+    this.listen(this.el, "click", this.handleClick)
+  },
+
+  async copy({format, text, html}) {
+    try {
+      await writeClipboard(text, html)
+      this.pushEvent("copied", { format, length: text.length })
+    } catch (err) {
+      const reason = err.name === "NotAllowedError" ? "denied"
+        : err.name === "NotSupportedError" ? "unsupported"
+        : "error"
+      this.copyFailed(reason, err.message)
+    }
+  },
+
+  copyFailed(reason, message) {
+    reportError("CopyToClipboard", 'Failed to copy:', message)
+    this.pushEvent("copy_failed", { reason, message })
+  }
+})
+
+/**
+ * PasteHandler - Send pasted files, images and tables to the LiveView
+ *
+ * Use case: Paste screenshots into a form, paste spreadsheet ranges
+ *
+ * Listens for paste on the hook element (or the whole page with
+ * data-paste-scope="document"):
+ * - Files and images go through a LiveView upload (data-upload names the
+ *   allow_upload/3 entry) via this.upload; "pasted" reports their metadata
+ * - Tables (HTML from spreadsheets/web pages, or TSV text) are pushed as rows
+ * - Plain text is left alone unless data-paste-text is set
+ * - Tables and text pasted into an input, textarea or contenteditable are
+ *   left to it, so normal pasting keeps working, unless data-paste-editable
+ *   is set (e.g. for a hook on a textarea)
+ *
+ * Client → server: "pasted" with one of
+ * %{"kind" => "files", "files" => [%{"name", "type", "size"}]}
+ * %{"kind" => "table", "rows" => [["a", "b"], ...]}
+ * %{"kind" => "text", "text" => "..."}
+ *
+ * Example:
+ * <div phx-hook="PasteHandler" id="attachments" data-upload="attachments" data-paste-scope="document">
+ *   <.live_file_input upload={@uploads.attachments} class="hidden" />
+ * </div>
+ */
+export const PasteHandler = defineHook({
+  schema: {
+    upload: { type: "string" },
+    pasteScope: { type: "enum", values: ["element", "document"], default: "element" },
+    pasteText: { type: "boolean", default: false },
+    pasteEditable: { type: "boolean", default: false }
+  },
+
+  mounted() {
+    this.target = this.options.pasteScope === "document" ? document : this.el
+
+    this.handlePaste = (e) => {
+      const data = e.clipboardData
+      if (!data) return
+
+      const files = Array.from(data.files || [])
+      if (files.length > 0) {
+        e.preventDefault()
+        this.pasteFiles(files)
+        return
+      }
+
+      if (!this.options.pasteEditable && isEditable(e.target)) return
+
+      const rows = parseClipboardTable(data.getData("text/html"), data.getData("text/plain"))
+      if (rows) {
+        e.preventDefault()
+        this.pushEvent("pasted", { kind: "table", rows })
+        return
+      }
+
+      if (this.options.pasteText) {
+        e.preventDefault()
+        this.pushEvent("pasted", { kind: "text", text: data.getData("text/plain") })
+      }
+    }
+
+    this.listen(this.target, "paste", this.handlePaste)
+  },
+
+  pasteFiles(files) {
+    const upload = this.options.upload
+    if (upload) {
+      this.upload(upload, files)
+    } else {
+      reportWarning("PasteHandler", 'PasteHandler: set data-upload to receive pasted files')
+    }
+
+    this.pushEvent("pasted", {
+      kind: "files",
+      files: files.map(file => ({ name: file.name, type: file.type, size: file.size }))
+    })
+  }
+})
+
+// Clipboard helpers
+
+function clipboardContent({text, html, table}) {
+  if (table) {
+    const rows = table.headers ? [table.headers, ...table.rows] : table.rows
+    return { format: "table", text: rowsToTsv(rows), html: rowsToHtml(table.headers, table.rows) }
+  }
+  return { format: html ? "html" : "text", text: text || "", html }
+}
+
+function elementContent(el) {
+  if (el.matches("table")) {
+    const rows = Array.from(el.rows, row => Array.from(row.cells, cell => cell.textContent.trim()))
+    return { format: "table", text: rowsToTsv(rows), html: el.outerHTML }
+  }
+
+  const text = "value" in el ? el.value : el.textContent
+  return { format: "html", text, html: el.innerHTML }
+}
+
+async function writeClipboard(text, html) {
+  const clipboard = navigator.clipboard
+
+  try {
+    if (clipboard && html && typeof ClipboardItem !== "undefined") {
+      await clipboard.write([new ClipboardItem({
+        "text/plain": new Blob([text], { type: "text/plain" }),
+        "text/html": new Blob([html], { type: "text/html" })
+      })])
+      return
+    }
+
+    if (clipboard && clipboard.writeText) {
+      await clipboard.writeText(text)
+      return
+    }
+  } catch (err) {
+    // Denied (no user gesture, permissions policy): try the legacy path
+    if (execCommandCopy(text, html)) return
+    throw err
+  }
+
+  if (!execCommandCopy(text, html)) {
+    const err = new Error("clipboard API unavailable and execCommand failed")
+    err.name = "NotSupportedError"
+    throw err
+  }
+}
+
+function execCommandCopy(text, html) {
+  const onCopy = (e) => {
+    e.clipboardData.setData("text/plain", text)
+    if (html) e.clipboardData.setData("text/html", html)
+    e.preventDefault()
+  }
+
+  // Selecting the textarea takes focus and the selection; both go back after
+  const focused = document.activeElement
+  const selection = document.getSelection()
+  const ranges = []
+  for (let i = 0; selection && i < selection.rangeCount; i++) ranges.push(selection.getRangeAt(i).cloneRange())
+
+  // Some browsers only fire "copy" when something is selected
+  const textarea = document.createElement("textarea")
+  textarea.value = text
+  textarea.setAttribute("readonly", "")
+  textarea.setAttribute("aria-hidden", "true")
+  textarea.tabIndex = -1
+  textarea.style.position = "fixed"
+  textarea.style.opacity = "0"
+  document.body.appendChild(textarea)
+  textarea.select()
+
+  document.addEventListener("copy", onCopy)
+  try {
+    return document.execCommand("copy")
+  } catch (_err) {
+    return false
+  } finally {
+    document.removeEventListener("copy", onCopy)
+    textarea.remove()
+    if (focused && focused !== document.body && focused.focus) focused.focus({ preventScroll: true })
+    if (selection) {
+      selection.removeAllRanges()
+      for (const range of ranges) selection.addRange(range)
+    }
+  }
+}
+
+// Quote cells the way spreadsheets expect: tabs, newlines and quotes inside
+// a cell need the cell wrapped in double quotes. Also used by DataTable.
+export function rowsToTsv(rows) {
+  return rows.map(row => row.map(cell => {
+    const value = cell == null ? "" : String(cell)
+    return /[\t\n"]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value
+  }).join("\t")).join("\n")
+}
+
+export function rowsToHtml(headers, rows) {
+  const escape = (value) => String(value == null ? "" : value)
+    .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;")
+  const cells = (row, tag) => row.map(cell => `<${tag}>${escape(cell)}</${tag}>`).join("")
+
+  const head = headers ? `<thead><tr>${cells(headers, "th")}</tr></thead>` : ""
+  const body = rows.map(row => `<tr>${cells(row, "td")}</tr>`).join("")
+  return `<table>${head}<tbody>${body}</tbody></table>`
+}
+
+function isEditable(target) {
+  return Boolean(target.closest && target.closest('input, textarea, [contenteditable]:not([contenteditable="false"])'))
+}
+
+// Rows from pasted HTML with a <table>, or from TSV text; null otherwise
+function parseClipboardTable(html, text) {
+  if (html && /<table/i.test(html)) {
+    const doc = new DOMParser().parseFromString(html, "text/html")
+    const table = doc.querySelector("table")
+    if (table) return Array.from(table.rows, row => Array.from(row.cells, cell => cell.textContent.trim()))
+  }
+
+  if (text && text.includes("\t")) {
+    return text.replace(/\r?\n$/, "").split(/\r?\n/).map(line => line.split("\t"))
+  }
+
+  return null
+}
@@ -0,0 +1,321 @@
+import { defineHook } from "../define-hook.js"
+import { reportWarning, startTimer } from "../telemetry.js"
+
+/**
+ * CodeHighlight - Syntax highlighting for code blocks
+ *
+ * Use case: Display SQL queries, code snippets, diffs
+ *
+ * highlight.js is loaded on first use, together with only the grammars the
+ * page needs. A page that already has a global `hljs` uses it as is.
+ * By default files come from the highlight.js "cdn-release" layout under
+ * /assets/vendor/highlight (highlight.min.js, languages/*.min.js,
+ * styles/*.min.css); see configureCodeHighlight/1 to change that.
+ *
+ * Highlighted output is cached by a hash of the source and options, so
+ * LiveView patches that don't change the code never re-run highlight.js.
+ *
+ * Options (data attributes on the hook element):
+ * - data-language       Grammar name; otherwise a `language-*` class on the
+ *                       <code> element, otherwise auto-detected
+ * - data-detect         Comma-separated candidates for auto-detection
+ *                       (default "sql,elixir,json")
+ * - data-line-numbers   Show line numbers (not included when copying)
+ * - data-lines="3,5-7"  Highlight these lines
+ * - data-diff           Render as a unified diff: +/- lines are colored and
+ *                       the rest is highlighted in data-language
+ *
+ * The light/dark highlight.js theme follows the DaisyUI theme (its
+ * `color-scheme`), including live theme switches.
+ *
+ * Example:
+ * <pre phx-hook="CodeHighlight" id="sql-display" data-line-numbers data-lines="2">
+ *   <code class="language-sql">{@sql}</code>
+ * </pre>
+ */
+export const CodeHighlight = defineHook({
+  schema: {
+    language: { type: "string" },
+    detect: { type: "list", default: ["sql", "elixir", "json"] },
+    lineNumbers: { type: "boolean", default: false },
+    lines: { type: "string" },
+    diff: { type: "boolean", default: false }
+  },
+
+  mounted() {
+    this.onCleanup(watchCodeTheme())
+    this.highlight()
+  },
+
+  updated() {
+    this.highlight()
+  },
+
+  async highlight() {
+    const code = this.el.querySelector("code") || this.el
+
+    // Still showing our last render: LiveView didn't touch the block
+    if (this.renderedKey && code.dataset.highlighted === this.renderedKey) return
+
+    const source = code.textContent
+    const options = {
+      language: this.options.language || languageFromClass(code),
+      detect: this.options.detect,
+      lineNumbers: this.options.lineNumbers,
+      lines: parseLineRanges(this.options.lines),
+      diff: this.options.diff
+    }
+    const key = hashString(source + JSON.stringify(options))
+
+    if (key !== this.renderedKey) {
+      // Code changed while a previous highlight was loading: newest wins
+      this.pendingKey = key
+      const done = startTimer("CodeHighlight", "highlight")
+      const html = await renderHighlightedCode(source, options)
+      if (this.pendingKey !== key) return
+      done({ language: options.language || "auto", length: source.length })
+
+      this.renderedKey = key
+      this.renderedHtml = html
+    }
+
+    code.innerHTML = this.renderedHtml
+    code.dataset.highlighted = key
+    code.classList.add("hljs")
+  }
+})
+
+// CodeHighlight helpers
+
+const codeHighlightConfig = {
+  baseUrl: "/assets/vendor/highlight",
+  themes: { light: "github", dark: "github-dark" },
+  loadCore: null,
+  loadLanguage: null
+}
+
+/**
+ * Change where CodeHighlight loads highlight.js from.
+ *
+ * configureCodeHighlight({
+ *   baseUrl: "https://cdn.jsdelivr.net/gh/highlightjs/cdn-release@11.9.0/build",
+ *   themes: { light: "atom-one-light", dark: "atom-one-dark" }
+ * })
+ *
+ * With a bundler that supports code splitting, load from npm instead:
+ *
+ * configureCodeHighlight({
+ *   loadCore: () => import("highlight.js/lib/core").then(m => m.default),
+ *   loadLanguage: (name) => ({
+ *     sql: () => import("highlight.js/lib/languages/sql"),
+ *     elixir: () => import("highlight.js/lib/languages/elixir")
+ *   })[name]?.().then(m => m.default)
+ * })
+ */
+export function configureCodeHighlight(options) {
+  Object.assign(codeHighlightConfig, options)
+}
+
+const loadedScripts = new Map()
+
+function loadScript(url) {
+  if (!loadedScripts.has(url)) {
+    loadedScripts.set(url, new Promise((resolve, reject) => {
+      const script = document.createElement("script")
+      script.src = url
+      script.onload = resolve
+      script.onerror = () => reject(new Error(`failed to load ${url}`))
+      document.head.appendChild(script)
+    }))
+  }
+  return loadedScripts.get(url)
+}
+
+let hljsPromise = null
+
+function loadHighlighter() {
+  if (typeof window.hljs !== "undefined") return Promise.resolve(window.hljs)
+
+  hljsPromise = hljsPromise || (codeHighlightConfig.loadCore
+    ? codeHighlightConfig.loadCore()
+    : loadScript(`${codeHighlightConfig.baseUrl}/highlight.min.js`).then(() => window.hljs))
+
+  return hljsPromise
+}
+
+async function loadLanguage(hljs, name) {
+  if (!name || hljs.getLanguage(name)) return
+  // The name ends up in a script URL
+  if (!/^[\w-]+$/.test(name)) {
+    reportWarning("CodeHighlight", `CodeHighlight: ignoring language "${name}"`)
+    return
+  }
+
+  try {
+    if (codeHighlightConfig.loadLanguage) {
+      const grammar = await codeHighlightConfig.loadLanguage(name)
+      if (grammar) hljs.registerLanguage(name, grammar)
+    } else {
+      // cdn-release language files register themselves on window.hljs
+      await loadScript(`${codeHighlightConfig.baseUrl}/languages/${name}.min.js`)
+    }
+  } catch (err) {
+    reportWarning("CodeHighlight", `CodeHighlight: no grammar for "${name}"`, err)
+  }
+}
+
+async function renderHighlightedCode(source, {language, detect, lineNumbers, lines, diff}) {
+  let hljs
+  try {
+    hljs = await loadHighlighter()
+  } catch (err) {
+    reportWarning("CodeHighlight", 'CodeHighlight: highlight.js unavailable, showing plain code', err)
+  }
+
+  const text = source.replace(/\n$/, "")
+  const rawLines = text.split("\n")
+  const markers = diff ? rawLines.map(line => line[0] || " ") : []
+  const body = diff ? rawLines.map(line => line.startsWith("@@") ? "" : line.slice(1)).join("\n") : text
+
+  let html = escapeHtml(body)
+  if (hljs) {
+    await Promise.all((language ? [language] : detect).map(name => loadLanguage(hljs, name)))
+
+    if (language && hljs.getLanguage(language)) {
+      html = hljs.highlight(body, { language }).value
+    } else {
+      html = hljs.highlightAuto(body, detect.filter(name => hljs.getLanguage(name))).value
+    }
+  }
+
+  const highlighted = new Set(lines)
+
+  return splitHighlightedLines(html).map((line, i) => {
+    const number = i + 1
+    const classes = ["code-line", "inline-block", "w-full"]
+    let content = line
+
+    if (diff) {
+      const marker = markers[i]
+      if (marker === "+") classes.push("bg-success/15")
+      if (marker === "-") classes.push("bg-error/15")
+      content = marker === "@"
+        ? `<span class="text-info">${escapeHtml(rawLines[i])}</span>`
+        : `<span class="select-none opacity-60">${escapeHtml(marker)}</span>${line}`
+    }
+
+    if (highlighted.has(number)) classes.push("bg-warning/20")
+
+    const gutter = lineNumbers
+      ? `<span class="code-line-number inline-block w-10 pr-3 text-right select-none opacity-50">${number}</span>`
+      : ""
+
+    return `<span class="${classes.join(" ")}" data-line="${number}">${gutter}${content}</span>`
+  }).join("\n")
+}
+
+// Split highlighted HTML into lines, closing spans that are still open at
+// the end of a line and reopening them on the next (multi-line strings,
+// comments)
+function splitHighlightedLines(html) {
+  const open = []
+
+  return html.split("\n").map(line => {
+    const prefix = open.join("")
+
+    for (const [tag] of line.matchAll(/<span[^>]*>|<\/span>/g)) {
+      if (tag === "</span>") {
+        open.pop()
+      } else {
+        open.push(tag)
+      }
+    }
+
+    return prefix + line + "</span>".repeat(open.length)
+  })
+}
+
+function languageFromClass(code) {
+  const match = code.className.match(/(?:^|\s)(?:language|lang)-([\w-]+)/)
+  return match ? match[1] : null
+}
+
+// "3,5-7" → [3, 5, 6, 7]
+function parseLineRanges(spec) {
+  if (!spec) return []
+
+  return spec.split(",").flatMap(part => {
+    const [from, to = from] = part.trim().split("-").map(Number)
+    if (!from || !to || to < from) return []
+    return Array.from({ length: to - from + 1 }, (_, i) => from + i)
+  })
+}
+
+function escapeHtml(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;")
+}
+
+// FNV-1a, enough to tell code blocks apart
+function hashString(text) {
+  let hash = 0x811c9dc5
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return (hash >>> 0).toString(36)
+}
+
+// Shared by every mounted CodeHighlight: { apply, stop, users }
+let codeThemeWatch = null
+
+// One stylesheet link for the whole page, swapped when the DaisyUI theme
+// (data-theme on <html>) or the OS color scheme changes. Returns a function
+// that lets go; the last one to do so stops watching.
+function watchCodeTheme() {
+  const apply = () => {
+    const { themes, baseUrl } = codeHighlightConfig
+    const dark = getComputedStyle(document.documentElement).colorScheme.includes("dark")
+    const theme = dark ? themes.dark : themes.light
+    if (!theme) return
+
+    let link = document.head.querySelector("link[data-code-theme]")
+    if (!link) {
+      link = document.createElement("link")
+      link.rel = "stylesheet"
+      link.dataset.codeTheme = ""
+      document.head.appendChild(link)
+    }
+
+    const href = `${baseUrl}/styles/${theme}.min.css`
+    if (link.getAttribute("href") !== href) link.setAttribute("href", href)
+  }
+
+  if (!codeThemeWatch) {
+    const observer = new MutationObserver(apply)
+    observer.observe(document.documentElement, { attributes: true, attributeFilter: ["data-theme", "class"] })
+    const media = window.matchMedia("(prefers-color-scheme: dark)")
+    media.addEventListener("change", apply)
+
+    codeThemeWatch = {
+      apply,
+      stop: () => {
+        observer.disconnect()
+        media.removeEventListener("change", apply)
+      },
+      users: 0
+    }
+  }
+
+  const watch = codeThemeWatch
+  watch.users++
+  watch.apply()
+
+  let released = false
+  return () => {
+    if (released) return
+    released = true
+    if (--watch.users > 0) return
+    watch.stop()
+    if (codeThemeWatch === watch) codeThemeWatch = null
+  }
+}
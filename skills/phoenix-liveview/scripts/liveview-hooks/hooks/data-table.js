@@ -0,0 +1,655 @@
+import { defineHook } from "../define-hook.js"
+import { focusableElements } from "../focusable.js"
+import { rowsToTsv, rowsToHtml } from "./clipboard.js"
+import { reportError, reportWarning } from "../telemetry.js"
+
+/**
+ * DataTable - Resizable, reorderable columns and grid navigation for tables
+ *
+ * Use case: SQL result tables, admin lists, anything read like a spreadsheet
+ *
+ * Goes on a <table>, or on the scrolling wrapper around one (sticky headers
+ * stick to the nearest scrolling ancestor). Columns are the header cells of
+ * the first <thead> row, keyed by their data-column attribute (their text
+ * when it's missing):
+ *
+ * - Columns: drag a header cell's right edge (or a [data-column-resize]
+ *   handle inside it) to resize it, drag the header cell to move the column.
+ *   From the keyboard, Alt+Left/Right resizes the focused column and
+ *   Alt+Shift+Left/Right moves it. The layout is saved per table id and sent
+ *   to the server as "columns_changed"
+ * - Sticky header row and first data-sticky-columns columns; give the cells a
+ *   background (e.g. [&_[data-sticky]]:bg-base-100) so rows scroll under them
+ * - Keyboard: the table is one tab stop (role="grid"); arrows move between
+ *   cells, Home/End to the row's ends, Ctrl+Home/End to the table's corners,
+ *   PageUp/PageDown by 10 rows. Enter or F2 moves into a cell's button or
+ *   input, Escape back out
+ * - Selection: Shift+click or Shift+arrows select a range of cells (marked
+ *   aria-selected), Ctrl+A selects the body, Escape clears; copying puts the
+ *   range on the clipboard as TSV and an HTML table, so it pastes into
+ *   spreadsheets as cells
+ *
+ * Rows rendered by the server come back in the server's column order; the
+ * hook rearranges them after every patch, streams included. Rows with
+ * colspan cells (empty states) are left alone. Row ids keep the focused cell
+ * and the selection on the right rows when rows are inserted above them.
+ *
+ * Options (data attributes):
+ * - data-sticky-header      Set to "false" to let the header scroll away
+ * - data-sticky-columns     Leading columns that stay put, defaults to 0; they
+ *                           can't be moved either
+ * - data-resize             Set to "false" to disable column resizing
+ * - data-reorder            Set to "false" to disable column moving
+ * - data-min-column-width   Narrowest a column can be resized to, defaults to 48px
+ * - data-persist            Set to "false" to not keep the layout in localStorage
+ *
+ * Widths are set on the header cells, which the browser treats as a minimum
+ * under the default table layout; add table-fixed for exact widths.
+ *
+ * Client → server events (to phx-target when the element has one):
+ * - "columns_changed"  %{"id", "order" => ["name", ...], "widths" => %{"name" => 240},
+ *                        "change" => "resize" | "reorder" | "restore"}
+ *                      "restore" is sent on mount when a saved layout was applied
+ *
+ * Server → client events:
+ * - "table_set_columns"  %{id: "results", order: [...], widths: %{...}}; either may be
+ *                        left out, an empty list/map resets to the rendered layout
+ *
+ * Example:
+ * <div id="results" phx-hook="DataTable" data-sticky-columns="1"
+ *      class="overflow-auto max-h-[70vh] [&_[data-sticky]]:bg-base-100">
+ *   <table class="table table-sm">
+ *     <thead>
+ *       <tr><th :for={col <- @columns} data-column={col}>{col}</th></tr>
+ *     </thead>
+ *     <tbody id="result-rows" phx-update="stream">
+ *       <tr :for={{id, row} <- @streams.rows} id={id}>
+ *         <td :for={col <- @columns}>{row[col]}</td>
+ *       </tr>
+ *     </tbody>
+ *   </table>
+ * </div>
+ */
+
+// Distance from a header cell's trailing edge that grabs the resize handle, in px
+const EDGE = 6
+
+// Distance the pointer moves before a press on a header becomes a column drag, in px
+const DRAG_THRESHOLD = 4
+
+// Width change per Alt+arrow, in px
+const RESIZE_STEP = 16
+
+const PAGE_ROWS = 10
+
+export const DataTable = defineHook({
+  schema: {
+    stickyHeader: { type: "boolean", default: true },
+    stickyColumns: { type: "integer", min: 0, default: 0 },
+    resize: { type: "boolean", default: true },
+    reorder: { type: "boolean", default: true },
+    minColumnWidth: { type: "integer", min: 1, default: 48 },
+    persist: { type: "boolean", default: true }
+  },
+
+  mounted() {
+    this.table = this.el.matches("table") ? this.el : this.el.querySelector("table")
+    if (!this.table) {
+      reportError("DataTable", `DataTable #${this.el.id}: no <table> in the element`)
+      return
+    }
+
+    // Columns in the order the server renders them, and in the order shown
+    this.serverOrder = this.renderedKeys()
+    this.order = this.serverOrder
+    this.widths = {}
+
+    // { row, column } coordinates that survive patches (see coordOf)
+    this.active = null
+    this.selection = null
+
+    this.press = null
+    this.tabStop = null
+
+    const saved = this.loadLayout()
+    if (saved) {
+      this.order = mergeOrder(saved.order || [], this.serverOrder)
+      this.widths = saved.widths || {}
+    }
+    this.layout()
+    if (saved) this.pushColumns("restore")
+
+    this.listen(this.table, "keydown", (e) => this.handleKeydown(e))
+    this.listen(this.table, "mousedown", (e) => {
+      // Shift+click selects cells, not text
+      if (e.shiftKey && e.target.closest("th, td")) e.preventDefault()
+    })
+    this.listen(this.table, "click", (e) => this.handleClick(e))
+    this.listen(this.table, "click", (e) => {
+      if (!this.suppressClick) return
+      // The click that ends a column drag shouldn't sort the column
+      this.suppressClick = false
+      e.preventDefault()
+      e.stopPropagation()
+    }, { capture: true })
+    this.listen(this.table, "copy", (e) => this.handleCopy(e))
+    this.listen(this.table, "pointerdown", (e) => this.handlePointerDown(e))
+
+    // Sticky column offsets follow the widths the browser settles on
+    if (this.options.stickyColumns > 0 && typeof ResizeObserver === "function") {
+      this.observe(new ResizeObserver(() => this.applySticky()), this.table)
+    }
+
+    this.handleEvent("table_set_columns", ({id, order, widths}) => {
+      if (id && id !== this.el.id) return
+      if (order) this.order = mergeOrder(order, this.serverOrder)
+      if (widths) this.widths = { ...widths }
+      this.layout()
+      this.saveLayout()
+    })
+  },
+
+  beforeUpdate() {
+    if (!this.table) return
+    const focused = document.activeElement
+    this.hadFocus = Boolean(focused && focused.matches("th, td") && this.table.contains(focused))
+  },
+
+  updated() {
+    if (!this.table) return
+    this.layout()
+    if (this.hadFocus) this.focusCell(this.cellAt(this.active))
+  },
+
+  // ---------------------------------------------------------------------------
+  // Layout: everything a patch may have undone
+  // ---------------------------------------------------------------------------
+
+  layout() {
+    this.table.setAttribute("role", "grid")
+    this.table.setAttribute("aria-multiselectable", "true")
+
+    this.arrange()
+    this.applyWidths()
+    this.applySticky()
+    this.placeTabStop()
+    this.markSelection()
+  },
+
+  headerCells() {
+    const row = this.table.tHead && this.table.tHead.rows[0]
+    return row ? Array.from(row.cells) : []
+  },
+
+  renderedKeys() {
+    return this.headerCells().map((cell, i) => cell.dataset.column || cell.textContent.trim() || String(i))
+  },
+
+  // Put every row's cells in this.order. Cells are tagged with their column
+  // on the way; a patched row loses the tags and is back in server order.
+  arrange() {
+    const header = this.headerCells()
+    if (header.length === 0) return
+
+    // Our marker is gone when the server re-rendered the header row
+    if (header.some(cell => !cell.hasAttribute("data-arranged"))) {
+      this.serverOrder = this.renderedKeys()
+      this.order = mergeOrder(this.order, this.serverOrder)
+    }
+
+    const columns = this.serverOrder.length
+    for (const row of this.table.rows) {
+      const cells = Array.from(row.cells)
+      if (cells.length !== columns) continue
+
+      cells.forEach((cell, i) => {
+        if (!cell.dataset.column) cell.dataset.column = this.serverOrder[i]
+      })
+
+      const byKey = new Map(cells.map(cell => [cell.dataset.column, cell]))
+      const wanted = this.order.map(key => byKey.get(key))
+      if (byKey.size !== columns || wanted.some(cell => !cell)) continue
+      if (wanted.every((cell, i) => cell === cells[i])) continue
+
+      for (const cell of wanted) row.appendChild(cell)
+    }
+
+    for (const cell of this.headerCells()) cell.setAttribute("data-arranged", "")
+  },
+
+  applyWidths() {
+    for (const cell of this.headerCells()) {
+      const width = this.widths[cell.dataset.column]
+      cell.style.width = width ? `${width}px` : ""
+    }
+  },
+
+  applySticky() {
+    const { stickyHeader, stickyColumns } = this.options
+    const header = this.headerCells()
+
+    if (stickyHeader && this.table.tHead) {
+      for (const cell of this.table.tHead.querySelectorAll("th, td")) {
+        Object.assign(cell.style, { position: "sticky", top: "0px", zIndex: "2" })
+        cell.setAttribute("data-sticky", "")
+      }
+    }
+
+    if (stickyColumns === 0 || header.length === 0) return
+
+    const offsets = []
+    let left = 0
+    for (const cell of header.slice(0, stickyColumns)) {
+      offsets.push(left)
+      left += cell.getBoundingClientRect().width
+    }
+
+    for (const row of this.table.rows) {
+      const cells = Array.from(row.cells)
+      if (cells.length !== header.length) continue
+
+      offsets.forEach((offset, i) => {
+        const inHeader = stickyHeader && row.parentNode === this.table.tHead
+        Object.assign(cells[i].style, { position: "sticky", left: `${offset}px`, zIndex: inHeader ? "3" : "1" })
+        cells[i].setAttribute("data-sticky", "")
+      })
+    }
+  },
+
+  // ---------------------------------------------------------------------------
+  // Columns
+  // ---------------------------------------------------------------------------
+
+  handlePointerDown(e) {
+    this.suppressClick = false
+    if (e.button !== undefined && e.button !== 0) return
+    const cell = e.target.closest("th")
+    if (!cell || !this.headerCells().includes(cell) || this.press) return
+
+    const rect = cell.getBoundingClientRect()
+    const rtl = this.isRtl()
+    const fromEdge = rtl ? e.clientX - rect.left : rect.right - e.clientX
+    const onHandle = e.target.closest("[data-column-resize]") || (rect.width > 0 && fromEdge >= 0 && fromEdge <= EDGE)
+
+    let mode
+    if (this.options.resize && onHandle) {
+      mode = "resize"
+      e.preventDefault()
+    } else if (this.options.reorder && !this.isLocked(cell.dataset.column)) {
+      mode = "reorder"
+    } else {
+      return
+    }
+
+    const press = {
+      mode,
+      key: cell.dataset.column,
+      cell,
+      pointerId: e.pointerId,
+      x: e.clientX,
+      width: rect.width,
+      moved: false,
+      stop: []
+    }
+    this.press = press
+
+    press.stop.push(
+      this.listen(document, "pointermove", (e) => this.handlePointerMove(e)),
+      this.listen(document, "pointerup", (e) => this.handlePointerUp(e)),
+      this.listen(document, "pointercancel", () => this.endPress())
+    )
+  },
+
+  handlePointerMove(e) {
+    const press = this.press
+    if (!press || (e.pointerId !== undefined && e.pointerId !== press.pointerId)) return
+
+    const dx = (e.clientX - press.x) * (this.isRtl() ? -1 : 1)
+
+    if (press.mode === "resize") {
+      press.moved = true
+      this.widths[press.key] = Math.max(this.options.minColumnWidth, Math.round(press.width + dx))
+      this.applyWidths()
+      this.applySticky()
+      return
+    }
+
+    if (!press.moved) {
+      if (Math.abs(e.clientX - press.x) < DRAG_THRESHOLD) return
+      press.moved = true
+      press.cell.setAttribute("data-dragging", "")
+    }
+
+    // Swap with a neighbour once the pointer passes its middle
+    const over = this.headerCells().find((cell) => {
+      const rect = cell.getBoundingClientRect()
+      return e.clientX >= rect.left && e.clientX < rect.right
+    })
+    if (!over || over === press.cell || this.isLocked(over.dataset.column)) return
+
+    const rect = over.getBoundingClientRect()
+    const middle = rect.left + rect.width / 2
+    const from = this.order.indexOf(press.key)
+    const to = this.order.indexOf(over.dataset.column)
+    const after = (to > from) !== this.isRtl()
+    if (after ? e.clientX < middle : e.clientX > middle) return
+
+    this.moveColumn(press.key, to)
+  },
+
+  handlePointerUp(e) {
+    const press = this.press
+    if (!press || (e.pointerId !== undefined && e.pointerId !== press.pointerId)) return
+
+    this.endPress()
+    if (!press.moved) return
+
+    // No click follows when the pointer was released elsewhere; the next
+    // press clears the flag then
+    if (press.mode === "reorder") this.suppressClick = true
+    this.commit(press.mode)
+  },
+
+  endPress() {
+    const press = this.press
+    if (!press) return
+    press.stop.forEach(stop => stop())
+    press.cell.removeAttribute("data-dragging")
+    this.press = null
+  },
+
+  moveColumn(key, index) {
+    const order = this.order.filter(other => other !== key)
+    index = Math.max(this.options.stickyColumns, Math.min(index, order.length))
+    order.splice(index, 0, key)
+    if (order.every((other, i) => other === this.order[i])) return false
+
+    this.order = order
+    this.arrange()
+    this.applySticky()
+    return true
+  },
+
+  resizeColumn(key, delta) {
+    const cell = this.headerCells().find(cell => cell.dataset.column === key)
+    const width = this.widths[key] || (cell ? cell.getBoundingClientRect().width : 0)
+    this.widths[key] = Math.max(this.options.minColumnWidth, Math.round(width + delta))
+    this.applyWidths()
+    this.applySticky()
+  },
+
+  // Sticky columns stay where they are
+  isLocked(key) {
+    return this.order.indexOf(key) < this.options.stickyColumns
+  },
+
+  commit(change) {
+    this.saveLayout()
+    this.pushColumns(change)
+  },
+
+  pushColumns(change) {
+    const payload = { id: this.el.id, order: this.order, widths: this.widths, change }
+    const target = this.el.getAttribute("phx-target")
+    if (target) {
+      this.pushEventTo(target, "columns_changed", payload)
+    } else {
+      this.pushEvent("columns_changed", payload)
+    }
+  },
+
+  storageKey() {
+    return `lv:table-columns:${this.el.id}`
+  },
+
+  loadLayout() {
+    if (!this.options.persist || !this.el.id) return null
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.storageKey()))
+      return saved && typeof saved === "object" ? saved : null
+    } catch (_err) {
+      return null
+    }
+  },
+
+  saveLayout() {
+    if (!this.options.persist || !this.el.id) return
+    try {
+      localStorage.setItem(this.storageKey(), JSON.stringify({ order: this.order, widths: this.widths }))
+    } catch (err) {
+      reportWarning("DataTable", `DataTable #${this.el.id}: could not save the column layout:`, err)
+    }
+  },
+
+  // ---------------------------------------------------------------------------
+  // Grid navigation
+  // ---------------------------------------------------------------------------
+
+  handleKeydown(e) {
+    const cell = e.target.closest("th, td")
+    if (!cell || !this.table.contains(cell)) return
+
+    // Inside a cell's input or button: keys are theirs, Escape comes back out
+    if (e.target !== cell) {
+      if (e.key === "Escape") {
+        e.preventDefault()
+        this.focusCell(cell)
+      }
+      return
+    }
+
+    const { row, column } = this.position(cell)
+    const rows = this.table.rows
+    const ctrl = e.ctrlKey || e.metaKey
+    const forward = this.isRtl() ? -1 : 1
+
+    if (e.altKey && this.headerCells().includes(cell)) {
+      if (e.key !== "ArrowLeft" && e.key !== "ArrowRight") return
+      e.preventDefault()
+      const step = e.key === "ArrowRight" ? forward : -forward
+      if (e.shiftKey && this.options.reorder && !this.isLocked(cell.dataset.column)) {
+        if (this.moveColumn(cell.dataset.column, this.order.indexOf(cell.dataset.column) + step)) this.commit("reorder")
+        this.focusCell(cell)
+      } else if (!e.shiftKey && this.options.resize) {
+        this.resizeColumn(cell.dataset.column, step * RESIZE_STEP)
+        this.commit("resize")
+      }
+      return
+    }
+
+    let target = null
+    switch (e.key) {
+      case "ArrowRight": target = this.cellIn(row, column + forward); break
+      case "ArrowLeft": target = this.cellIn(row, column - forward); break
+      case "ArrowDown": target = this.cellIn(row + 1, column); break
+      case "ArrowUp": target = this.cellIn(row - 1, column); break
+      case "PageDown": target = this.cellIn(row + PAGE_ROWS, column); break
+      case "PageUp": target = this.cellIn(row - PAGE_ROWS, column); break
+      case "Home": target = ctrl ? this.cellIn(0, 0) : this.cellIn(row, 0); break
+      case "End": target = ctrl ? this.cellIn(rows.length - 1, Infinity) : this.cellIn(row, Infinity); break
+      case "Enter":
+      case "F2": {
+        const [inner] = focusableElements(cell)
+        if (inner) {
+          e.preventDefault()
+          inner.focus()
+        }
+        return
+      }
+      case "Escape":
+        if (!this.selection) return
+        e.preventDefault()
+        this.select(null)
+        return
+      case "a":
+      case "A":
+        if (!ctrl) return
+        e.preventDefault()
+        this.selectAll()
+        return
+      default:
+        return
+    }
+
+    e.preventDefault()
+    if (target) this.moveTo(target, e.shiftKey)
+  },
+
+  handleClick(e) {
+    const cell = e.target.closest("th, td")
+    if (!cell || !this.table.contains(cell)) return
+
+    if (e.shiftKey && this.active) {
+      this.moveTo(cell, true)
+      return
+    }
+
+    this.select(null)
+    this.active = this.coordOf(cell)
+    this.placeTabStop()
+    // Clicking a button in the cell keeps focus on the button
+    if (e.target === cell) this.focusCell(cell)
+  },
+
+  moveTo(cell, extend) {
+    const coord = this.coordOf(cell)
+    if (extend) {
+      const anchor = this.selection ? this.selection.anchor : this.active || coord
+      this.select({ anchor, focus: coord })
+    } else {
+      this.select(null)
+    }
+    this.active = coord
+    this.placeTabStop()
+    this.focusCell(cell)
+  },
+
+  focusCell(cell) {
+    if (cell) cell.focus()
+  },
+
+  // One tab stop: the active cell, else the first one
+  placeTabStop() {
+    const cell = this.cellAt(this.active) || this.cellIn(0, 0)
+    if (this.tabStop && this.tabStop !== cell && this.tabStop.getAttribute("tabindex") === "0") {
+      this.tabStop.setAttribute("tabindex", "-1")
+    }
+    if (!cell) return
+    cell.setAttribute("tabindex", "0")
+    this.tabStop = cell
+
+    for (const other of this.table.querySelectorAll("th[tabindex='0'], td[tabindex='0']")) {
+      if (other !== cell) other.setAttribute("tabindex", "-1")
+    }
+  },
+
+  // Row and cell index of `cell` in the table as shown
+  position(cell) {
+    return { row: cell.parentNode.rowIndex, column: cell.cellIndex }
+  },
+
+  cellIn(row, column) {
+    const tr = this.table.rows[Math.max(0, Math.min(row, this.table.rows.length - 1))]
+    if (!tr || tr.cells.length === 0) return null
+    const cell = tr.cells[Math.max(0, Math.min(column, tr.cells.length - 1))]
+    if (cell && !cell.hasAttribute("tabindex")) cell.setAttribute("tabindex", "-1")
+    return cell
+  },
+
+  // Rows by id where they have one (streams), else by index; columns by key
+  coordOf(cell) {
+    const tr = cell.parentNode
+    return { row: tr.id || tr.rowIndex, column: cell.dataset.column || cell.cellIndex }
+  },
+
+  cellAt(coord) {
+    if (!coord) return null
+    const tr = typeof coord.row === "string" ? document.getElementById(coord.row) : this.table.rows[coord.row]
+    if (!tr || !this.table.contains(tr)) return null
+
+    const cells = Array.from(tr.cells)
+    const cell = typeof coord.column === "string"
+      ? cells.find(cell => cell.dataset.column === coord.column)
+      : cells[coord.column]
+    if (cell && !cell.hasAttribute("tabindex")) cell.setAttribute("tabindex", "-1")
+    return cell || null
+  },
+
+  // ---------------------------------------------------------------------------
+  // Selection
+  // ---------------------------------------------------------------------------
+
+  select(selection) {
+    this.selection = selection
+    this.markSelection()
+  },
+
+  selectAll() {
+    const body = Array.from(this.table.tBodies).flatMap(tbody => Array.from(tbody.rows))
+    const first = body[0]
+    const last = body[body.length - 1]
+    if (!first) return
+    this.select({
+      anchor: this.coordOf(first.cells[0]),
+      focus: this.coordOf(last.cells[last.cells.length - 1])
+    })
+  },
+
+  // The selected cells as rows, in the order shown
+  selectedRows() {
+    const anchor = this.cellAt(this.selection && this.selection.anchor)
+    const focus = this.cellAt(this.selection && this.selection.focus)
+    if (!anchor || !focus) return []
+
+    const a = this.position(anchor)
+    const b = this.position(focus)
+    const rows = []
+    for (let row = Math.min(a.row, b.row); row <= Math.max(a.row, b.row); row++) {
+      const cells = Array.from(this.table.rows[row].cells)
+      rows.push(cells.slice(Math.min(a.column, b.column), Math.max(a.column, b.column) + 1))
+    }
+    return rows
+  },
+
+  markSelection() {
+    for (const cell of this.table.querySelectorAll("[aria-selected]")) cell.removeAttribute("aria-selected")
+    for (const row of this.selectedRows()) {
+      for (const cell of row) cell.setAttribute("aria-selected", "true")
+    }
+  },
+
+  handleCopy(e) {
+    // Text selected inside a cell or an input copies as usual
+    const selection = window.getSelection && window.getSelection()
+    if (selection && !selection.isCollapsed && String(selection)) return
+    if (e.target.closest("input, textarea, [contenteditable]")) return
+
+    let cells = this.selectedRows()
+    if (cells.length === 0) {
+      const cell = this.cellAt(this.active)
+      if (!cell || cell !== document.activeElement) return
+      cells = [[cell]]
+    }
+
+    const rows = cells.map(row => row.map(cell => cell.textContent.trim()))
+    e.clipboardData.setData("text/plain", rowsToTsv(rows))
+    e.clipboardData.setData("text/html", rowsToHtml(null, rows))
+    e.preventDefault()
+  },
+
+  isRtl() {
+    return getComputedStyle(this.table).direction === "rtl"
+  }
+})
+
+// `order` with keys that no longer exist dropped and new keys placed after
+// the column they follow in `keys`
+function mergeOrder(order, keys) {
+  const merged = order.filter((key, i) => keys.includes(key) && order.indexOf(key) === i)
+  keys.forEach((key, i) => {
+    if (merged.includes(key)) return
+    const before = keys.slice(0, i).reverse().find(other => merged.includes(other))
+    merged.splice(before === undefined ? 0 : merged.indexOf(before) + 1, 0, key)
+  })
+  return merged
+}
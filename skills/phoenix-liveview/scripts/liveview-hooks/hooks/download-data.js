@@ -0,0 +1,294 @@
+import { defineHook } from "../define-hook.js"
+import { reportError, startTimer } from "../telemetry.js"
+
+/**
+ * DownloadData - Download data as file, streaming large exports in chunks
+ *
+ * Use case: Export CSV, JSON, SQL results (including very large result sets)
+ *
+ * Small files can still be sent in a single event:
+ * push_event(socket, "download_data", %{
+ *   data: csv_content,
+ *   filename: "results.csv",
+ *   type: "text/csv"
+ * })
+ *
+ * Large files use the chunked protocol so the socket never carries more than
+ * one chunk at a time. The server announces the download, then sends the next
+ * chunk each time the client acknowledges the previous one:
+ *
+ * push_event(socket, "download_start", %{
+ *   id: download_id,
+ *   filename: "results.csv",
+ *   type: "text/csv",
+ *   size: total_bytes,      # optional, decoded size; enables % progress
+ *   encoding: "base64",     # optional, "text" (default) or "base64"
+ *   compression: "gzip"     # optional, each chunk gzipped on its own (implies base64)
+ * })
+ * push_event(socket, "download_chunk", %{id: download_id, seq: 0, data: chunk})
+ * push_event(socket, "download_finish", %{id: download_id})
+ *
+ * Client → server events:
+ * - "download_ack"      %{"id", "seq", "received"} after each chunk is written
+ * - "download_complete" %{"id", "received"} once the file is saved
+ * - "download_cancel"   %{"id", "reason"} when the user cancels
+ * - "download_error"    %{"id", "reason"} when a chunk cannot be decoded or written
+ *
+ * Server side (one chunk in flight per download):
+ * def handle_event("download_ack", %{"id" => id, "seq" => seq}, socket) do
+ *   case Exports.chunk(socket.assigns.exports[id], seq + 1) do
+ *     nil -> {:noreply, push_event(socket, "download_finish", %{id: id})}
+ *     chunk -> {:noreply, push_event(socket, "download_chunk", %{id: id, seq: seq + 1, data: chunk})}
+ *   end
+ * end
+ *
+ * Chunks are written through the File System Access API when the browser
+ * allows it (Chromium, while the click that started the export is still
+ * recent), otherwise they are collected into a Blob and saved on finish.
+ *
+ * Example:
+ * <div phx-hook="DownloadData" id="download-container">
+ *   <button phx-click="export_csv">Download CSV</button>
+ *
+ *   <div id="download-progress" phx-update="ignore" data-download-progress hidden>
+ *     <progress class="progress"></progress>
+ *     <span data-download-status></span>
+ *     <button type="button" data-download-cancel>Cancel</button>
+ *   </div>
+ * </div>
+ */
+export const DownloadData = defineHook({
+  mounted() {
+    this.downloads = new Map()
+
+    this.handleEvent("download_data", ({data, filename, type}) => {
+      saveBlob(this, new Blob([data], { type }), filename)
+    })
+
+    this.handleEvent("download_start", (meta) => this.startDownload(meta))
+    this.handleEvent("download_chunk", ({id, seq, data}) => this.receiveChunk(id, seq, data))
+    this.handleEvent("download_finish", ({id}) => this.finishDownload(id))
+
+    // data-download-cancel="<id>" cancels one download, an empty value cancels all
+    this.handleCancelClick = (e) => {
+      const button = e.target.closest("[data-download-cancel]")
+      if (!button) return
+
+      const id = button.dataset.downloadCancel
+      const ids = id ? [id] : [...this.downloads.keys()]
+      ids.forEach(id => this.cancelDownload(id, "user"))
+    }
+
+    this.listen(this.el, "click", this.handleCancelClick)
+  },
+
+  destroyed() {
+    // The view is going away, so there is nobody left to notify
+    for (const download of this.downloads.values()) {
+      this.abortDownload(download)
+    }
+    this.downloads.clear()
+  },
+
+  startDownload({id, filename, type = "application/octet-stream", size = null, encoding = "text", compression = null}) {
+    const download = {
+      id,
+      size,
+      compression,
+      encoding: compression ? "base64" : encoding,
+      sink: null,
+      received: 0,
+      nextSeq: 0,
+      pending: new Map(),
+      cancelled: false,
+      done: startTimer("DownloadData", "download")
+    }
+
+    // Every step for a download runs on this queue, so chunks are decoded
+    // and written strictly in order even though decoding is async
+    download.queue = openSink(this, filename, type)
+      .then(sink => { download.sink = sink })
+      .catch(err => this.handleDownloadError(download, err))
+
+    this.downloads.set(id, download)
+    this.renderProgress()
+  },
+
+  receiveChunk(id, seq, data) {
+    const download = this.downloads.get(id)
+    if (!download) return
+
+    download.pending.set(seq, data)
+    this.enqueue(download, () => this.writePendingChunks(download))
+  },
+
+  finishDownload(id) {
+    const download = this.downloads.get(id)
+    if (!download) return
+
+    this.enqueue(download, async () => {
+      if (download.pending.size > 0) {
+        throw new Error(`missing chunk ${download.nextSeq}`)
+      }
+
+      await download.sink.close()
+      this.downloads.delete(id)
+      this.pushEvent("download_complete", {id, received: download.received})
+      download.done({ bytes: download.received, chunks: download.nextSeq, compression: download.compression })
+      this.renderProgress()
+    })
+  },
+
+  cancelDownload(id, reason) {
+    const download = this.downloads.get(id)
+    if (!download) return
+
+    this.abortDownload(download)
+    this.downloads.delete(id)
+    this.pushEvent("download_cancel", {id, reason})
+    this.renderProgress()
+  },
+
+  enqueue(download, step) {
+    download.queue = download.queue
+      .then(() => download.cancelled ? undefined : step())
+      .catch(err => this.handleDownloadError(download, err))
+  },
+
+  async writePendingChunks(download) {
+    while (!download.cancelled && download.pending.has(download.nextSeq)) {
+      const seq = download.nextSeq
+      const data = download.pending.get(seq)
+      download.pending.delete(seq)
+
+      const bytes = await decodeChunk(data, download)
+      await download.sink.write(bytes)
+
+      download.received += bytes.byteLength
+      download.nextSeq = seq + 1
+      this.pushEvent("download_ack", {id: download.id, seq, received: download.received})
+      this.renderProgress()
+    }
+  },
+
+  handleDownloadError(download, err) {
+    if (download.cancelled) return
+
+    // Dismissing the save dialog is a cancel, not a failure
+    if (err.name === "AbortError") {
+      this.cancelDownload(download.id, "user")
+      return
+    }
+
+    reportError("DownloadData", 'Download failed:', err)
+    this.abortDownload(download)
+    this.downloads.delete(download.id)
+    this.pushEvent("download_error", {id: download.id, reason: err.message})
+    this.renderProgress()
+  },
+
+  abortDownload(download) {
+    download.cancelled = true
+    download.pending.clear()
+    download.queue
+      .then(() => download.sink && download.sink.abort())
+      .catch(() => {})
+  },
+
+  renderProgress() {
+    const container = this.el.querySelector("[data-download-progress]")
+    if (!container) return
+
+    const active = [...this.downloads.values()]
+    container.hidden = active.length === 0
+    if (active.length === 0) return
+
+    const received = active.reduce((sum, d) => sum + d.received, 0)
+    const total = active.every(d => d.size)
+      ? active.reduce((sum, d) => sum + d.size, 0)
+      : null
+
+    const bar = container.querySelector("progress")
+    if (bar) {
+      if (total) {
+        bar.max = total
+        bar.value = received
+      } else {
+        // No declared size: show an indeterminate bar
+        bar.removeAttribute("value")
+      }
+    }
+
+    const status = container.querySelector("[data-download-status]")
+    if (status) {
+      status.textContent = total
+        ? `${Math.floor((received / total) * 100)}%`
+        : formatBytes(received)
+    }
+  }
+})
+
+// DownloadData helpers
+
+const textEncoder = new TextEncoder()
+
+// Firefox and older Safari start the download after click() returns, from
+// the blob URL, so it has to outlive the click by a while
+const REVOKE_DELAY = 40 * 1000
+
+function saveBlob(hook, blob, filename) {
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement('a')
+  a.href = url
+  a.download = filename
+  document.body.appendChild(a)
+  a.click()
+  document.body.removeChild(a)
+  hook.setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY)
+}
+
+async function openSink(hook, filename, type) {
+  if (typeof window.showSaveFilePicker === "function") {
+    try {
+      const handle = await window.showSaveFilePicker({ suggestedName: filename })
+      const writable = await handle.createWritable()
+
+      return {
+        write: (bytes) => writable.write(bytes),
+        close: () => writable.close(),
+        abort: () => writable.abort()
+      }
+    } catch (err) {
+      if (err.name === "AbortError") throw err
+      // SecurityError etc: the picker needs a recent user gesture, use a Blob
+    }
+  }
+
+  let parts = []
+  return {
+    write: async (bytes) => { parts.push(bytes) },
+    close: async () => { saveBlob(hook, new Blob(parts, { type }), filename) },
+    abort: async () => { parts = [] }
+  }
+}
+
+async function decodeChunk(data, {encoding, compression}) {
+  const bytes = encoding === "base64"
+    ? Uint8Array.from(atob(data), c => c.charCodeAt(0))
+    : textEncoder.encode(data)
+
+  if (compression !== "gzip") return bytes
+
+  if (typeof DecompressionStream === "undefined") {
+    throw new Error("gzip chunks require DecompressionStream support")
+  }
+
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("gzip"))
+  return new Uint8Array(await new Response(stream).arrayBuffer())
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+}
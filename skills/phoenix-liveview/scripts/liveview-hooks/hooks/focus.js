@@ -0,0 +1,384 @@
+import { defineHook } from "../define-hook.js"
+import {
+  FOCUSABLE,
+  focusableElements,
+  nothingFocused,
+  trapTab,
+  focusKey,
+  findByFocusKey,
+  focusAgain
+} from "../focusable.js"
+
+/**
+ * Focus management hooks
+ *
+ * - AutoFocus     Focus an element on mount, unless the user is already
+ *                 focused somewhere else
+ * - FocusScope    Server-targeted focus, and focus that stays on the same
+ *                 logical element when patches, stream resets or
+ *                 phx-update changes replace the focused node
+ * - FocusTrap     Keep Tab inside a panel while it is active and give focus
+ *                 back when it closes
+ * - RovingFocus   One tab stop for a toolbar, tab list or listbox; arrow
+ *                 keys, Home and End move between the items
+ *
+ * Server side:
+ * # Needs a FocusScope around the target, e.g. on the layout's <main>
+ * def handle_event("add_row", _, socket) do
+ *   {:noreply, socket |> add_row() |> push_event("focus", %{selector: "#row-#{id} input"})}
+ * end
+ *
+ * Example:
+ * <main id="main" phx-hook="FocusScope">
+ *   <input id="search-input" phx-hook="AutoFocus" type="search" />
+ *
+ *   <div id="format-toolbar" role="toolbar" phx-hook="RovingFocus">
+ *     <button>Bold</button> <button>Italic</button> <button>Link</button>
+ *   </div>
+ *
+ *   <aside id="filters" phx-hook="FocusTrap" data-active={to_string(@filters_open)}
+ *          data-initial-focus="[name=status]" hidden={!@filters_open}>...</aside>
+ * </main>
+ */
+
+/**
+ * AutoFocus - Focus element on mount
+ *
+ * Use case: Auto-focus input fields in modals, search boxes and forms
+ *
+ * Only focuses once, and only when nothing else has focus: a field the user
+ * is typing in keeps the cursor when a patch mounts another AutoFocus.
+ *
+ * Example:
+ * <input phx-hook="AutoFocus" id="search-input" type="text" />
+ */
+export const AutoFocus = defineHook({
+  mounted() {
+    if (nothingFocused()) this.el.focus()
+  }
+})
+
+/**
+ * FocusScope - Server-targeted focus and focus kept across patches
+ *
+ * - push_event(socket, "focus", %{selector: "..."}) (or %{id: "..."}) focuses
+ *   the first matching element inside the scope; elements that can't take
+ *   focus get tabindex="-1" first, so headings and regions work too.
+ *   %{select: true} also selects a text field's contents
+ * - When the focused element inside the scope is replaced, focus moves to
+ *   its replacement, found by id, by data-focus-key or name under the
+ *   nearest id, or by position, with the text selection kept
+ *
+ * Give rows and fields ids (stream items already have them) or
+ * data-focus-key for the most reliable match.
+ *
+ * Options (data attributes):
+ * - data-event   Server event to listen for, defaults to "focus"
+ *
+ * Example:
+ * <main id="main" phx-hook="FocusScope">
+ *   <div id="rows" phx-update="stream">
+ *     <div :for={{dom_id, row} <- @streams.rows} id={dom_id}>
+ *       <input name="row[name]" value={row.name} phx-blur="rename" phx-value-id={row.id} />
+ *     </div>
+ *   </div>
+ * </main>
+ */
+export const FocusScope = defineHook({
+  schema: {
+    event: { type: "string", default: "focus" }
+  },
+
+  mounted() {
+    this.focused = null
+
+    this.listen(this.el, "focusin", (e) => this.track(e.target))
+    // Keep the caret position current for when the field gets replaced
+    for (const type of ["input", "keyup", "mouseup", "select"]) {
+      this.listen(this.el, type, (e) => {
+        if (this.focused && e.target === this.focused.el) this.track(e.target)
+      })
+    }
+    this.observe(new MutationObserver(() => this.recover()), this.el, { childList: true, subtree: true })
+
+    this.handleEvent(this.options.event, ({selector, id, select}) => {
+      const target = id ? document.getElementById(id) : selector && this.el.querySelector(selector)
+      if (!target || !this.el.contains(target)) return
+
+      if (!target.matches(FOCUSABLE) && !target.hasAttribute("tabindex")) {
+        target.setAttribute("tabindex", "-1")
+      }
+      target.focus()
+      if (select && typeof target.select === "function") target.select()
+    })
+
+    if (this.el.contains(document.activeElement)) this.track(document.activeElement)
+  },
+
+  beforeUpdate() {
+    if (this.focused && this.focused.el === document.activeElement) this.track(this.focused.el)
+  },
+
+  updated() {
+    this.recover()
+  },
+
+  track(el) {
+    this.focused = { el, key: focusKey(el, this.el) }
+  },
+
+  // Only steps in when the focused node left the page and took focus with it
+  recover() {
+    const focused = this.focused
+    if (!focused || focused.el.isConnected || !nothingFocused()) return
+
+    const replacement = findByFocusKey(this.el, focused.key)
+    if (replacement) {
+      focusAgain(replacement, focused.key)
+    } else {
+      this.focused = null
+    }
+  }
+})
+
+// Active traps, innermost last; only the innermost one acts
+const trapStack = []
+
+/**
+ * FocusTrap - Keep focus inside a panel while it is active
+ *
+ * Use case: Drawers, slide-overs and inline panels that are not <dialog>s
+ * (Modal already traps focus in dialogs)
+ *
+ * While active, Tab and Shift+Tab cycle through the panel and focus moved
+ * outside (by a click or a script) comes back. Activating focuses
+ * data-initial-focus, else the first focusable element, else the panel.
+ * Deactivating returns focus to where it was before. Nested traps stack.
+ *
+ * Options (data attributes):
+ * - data-active          Set to "false" to release the trap; patch it to toggle
+ * - data-initial-focus   Selector for the element to focus on activation
+ * - data-return-focus    Set to "false" to leave focus alone on release
+ * - data-escape-event    Push this event (with the panel id) on Escape
+ *
+ * Server side:
+ * def handle_event("close_filters", %{"id" => "filters"}, socket) do
+ *   {:noreply, assign(socket, :filters_open, false)}
+ * end
+ *
+ * Example:
+ * <aside id="filters" phx-hook="FocusTrap" data-active={to_string(@filters_open)}
+ *        data-escape-event="close_filters" class={["drawer-side", !@filters_open && "hidden"]}>
+ *   ...
+ * </aside>
+ */
+export const FocusTrap = defineHook({
+  schema: {
+    active: { type: "boolean", default: true },
+    initialFocus: { type: "string" },
+    returnFocus: { type: "boolean", default: true },
+    escapeEvent: { type: "string" }
+  },
+
+  mounted() {
+    this.release = null
+    if (this.options.active) this.activate()
+  },
+
+  updated() {
+    if (this.options.active && !this.release) {
+      this.activate()
+    } else if (!this.options.active && this.release) {
+      this.deactivate()
+    }
+  },
+
+  destroyed() {
+    if (this.release) this.deactivate()
+  },
+
+  activate() {
+    this.returnTo = this.el.contains(document.activeElement) ? null : document.activeElement
+    trapStack.push(this)
+
+    const stopKeys = this.listen(document, "keydown", (e) => {
+      if (!this.isInnermost()) return
+
+      if (e.key === "Escape" && this.options.escapeEvent) {
+        this.pushEvent(this.options.escapeEvent, { id: this.el.id })
+      } else {
+        trapTab(e, this.el)
+      }
+    })
+
+    // Clicks and scripts can move focus out without a Tab
+    const stopFocus = this.listen(document, "focusin", (e) => {
+      if (this.isInnermost() && !this.el.contains(e.target)) this.focusInitial()
+    })
+
+    this.release = () => {
+      stopKeys()
+      stopFocus()
+    }
+    this.focusInitial()
+  },
+
+  deactivate() {
+    this.release()
+    this.release = null
+
+    const index = trapStack.indexOf(this)
+    if (index !== -1) trapStack.splice(index, 1)
+
+    // Leave focus alone if the user already went somewhere else
+    const returnTo = this.returnTo
+    this.returnTo = null
+    const focusInside = this.el.contains(document.activeElement) || nothingFocused()
+    if (this.options.returnFocus && focusInside && returnTo && returnTo.isConnected) {
+      returnTo.focus()
+    }
+  },
+
+  isInnermost() {
+    return trapStack[trapStack.length - 1] === this
+  },
+
+  focusInitial() {
+    const selector = this.options.initialFocus
+    const target = (selector && this.el.querySelector(selector)) || focusableElements(this.el)[0]
+
+    if (target) {
+      target.focus()
+    } else {
+      if (!this.el.hasAttribute("tabindex")) this.el.setAttribute("tabindex", "-1")
+      this.el.focus()
+    }
+  }
+})
+
+const ROVING_KEYS = {
+  horizontal: { ArrowLeft: -1, ArrowRight: 1 },
+  vertical: { ArrowUp: -1, ArrowDown: 1 },
+  both: { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -1, ArrowDown: 1 }
+}
+
+/**
+ * RovingFocus - Roving tabindex for toolbars, tab lists and listboxes
+ *
+ * Use case: A group of controls that should be one Tab stop, navigated with
+ * the arrow keys (WAI-ARIA toolbar, tablist, listbox, menu, radiogroup)
+ *
+ * The current item has tabindex="0" and every other item tabindex="-1". The
+ * current item is the last one focused, else the one with aria-selected,
+ * aria-current or aria-checked, else the first. Patches and stream inserts
+ * are picked up; disabled and hidden items are skipped. Arrow keys follow
+ * the text direction, and are left alone inside text fields.
+ *
+ * Options (data attributes):
+ * - data-items         Selector for the items, defaults to buttons, links and
+ *                      elements with an item role
+ * - data-orientation   "horizontal" (default), "vertical" or "both"
+ * - data-loop          Set to "false" to stop at the first and last item
+ *
+ * Example:
+ * <div id="view-tabs" role="tablist" phx-hook="RovingFocus">
+ *   <button :for={tab <- @tabs} id={"tab-#{tab}"} role="tab" aria-selected={to_string(@tab == tab)}
+ *           phx-click="select_tab" phx-value-tab={tab}><%= tab %></button>
+ * </div>
+ */
+export const RovingFocus = defineHook({
+  schema: {
+    items: {
+      type: "string",
+      default: 'button, a[href], [role="tab"], [role="option"], [role="menuitem"], [role="radio"], [role="treeitem"]'
+    },
+    orientation: { type: "enum", values: ["horizontal", "vertical", "both"], default: "horizontal" },
+    loop: { type: "boolean", default: true }
+  },
+
+  mounted() {
+    this.current = null
+
+    this.listen(this.el, "keydown", (e) => this.handleKeydown(e))
+    this.listen(this.el, "focusin", (e) => {
+      const item = this.itemFor(e.target)
+      if (item) this.setCurrent(item)
+    })
+    this.observe(new MutationObserver(() => this.sync()), this.el, { childList: true, subtree: true })
+
+    this.sync()
+  },
+
+  updated() {
+    // Patches strip the tabindex attributes the server doesn't render
+    this.sync()
+  },
+
+  items() {
+    return Array.from(this.el.querySelectorAll(this.options.items))
+      .filter(item => !item.disabled && !item.closest("[hidden]"))
+  },
+
+  itemFor(el) {
+    const item = el.closest(this.options.items)
+    return item && this.el.contains(item) && this.items().includes(item) ? item : null
+  },
+
+  sync() {
+    const items = this.items()
+    if (items.length === 0) return
+
+    let current = this.current && (this.current.el.isConnected
+      ? this.current.el
+      : findByFocusKey(this.el, this.current.key))
+    if (!items.includes(current)) {
+      current = items.find(item =>
+        ["aria-selected", "aria-current", "aria-checked"].some(name =>
+          item.hasAttribute(name) && item.getAttribute(name) !== "false")
+      ) || items[0]
+    }
+
+    this.setCurrent(current, items)
+  },
+
+  setCurrent(item, items = this.items()) {
+    this.current = { el: item, key: focusKey(item, this.el) }
+    for (const other of items) {
+      const tabindex = other === item ? "0" : "-1"
+      if (other.getAttribute("tabindex") !== tabindex) other.setAttribute("tabindex", tabindex)
+    }
+  },
+
+  handleKeydown(e) {
+    if (e.altKey || e.ctrlKey || e.metaKey) return
+    if (e.target.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(e.target.tagName)) return
+
+    const items = this.items()
+    const index = items.indexOf(this.itemFor(e.target))
+    if (index === -1) return
+
+    let next
+    if (e.key === "Home") {
+      next = 0
+    } else if (e.key === "End") {
+      next = items.length - 1
+    } else {
+      let step = ROVING_KEYS[this.options.orientation][e.key]
+      if (!step) return
+      if (e.key.startsWith("ArrowL") || e.key.startsWith("ArrowR")) {
+        if (getComputedStyle(this.el).direction === "rtl") step = -step
+      }
+
+      next = index + step
+      if (this.options.loop) {
+        next = (next + items.length) % items.length
+      } else {
+        next = Math.min(Math.max(next, 0), items.length - 1)
+      }
+    }
+
+    e.preventDefault()
+    this.setCurrent(items[next], items)
+    items[next].focus()
+  }
+})
@@ -0,0 +1,305 @@
+import { defineHook } from "../define-hook.js"
+import { readStoreState, writeStoreState } from "./state-store.js"
+import { reportWarning } from "../telemetry.js"
+
+/**
+ * FormDraft - Keep form edits and submits safe while the socket is down
+ *
+ * Use case: Long forms and comment/chat textareas on flaky connections
+ *
+ * While disconnected, the hook snapshots the form to IndexedDB on every
+ * edit, shows [data-offline-banner] and queues submits instead of letting
+ * them fail. On reconnect it restores the snapshot over the re-rendered form
+ * and replays the queued submits in order, each waiting for the server reply.
+ * Drafts survive a reload: a queued draft is replayed on the next mount.
+ *
+ * Conflict detection: render the record's version in data-version. When the
+ * first queued submit's version no longer matches the re-rendered form (or
+ * the server answers a replay with %{conflict: true}), the rest is not
+ * replayed and the form keeps the server's values; the hook pushes
+ * "draft_conflict" and shows [data-draft-conflict] instead. Submits queued
+ * after the first are sent with the version the previous replay left: the
+ * reply's `version`, else the re-rendered data-version.
+ *
+ * The draft is kept until the server discards it, e.g. once the user has
+ * chosen what to keep:
+ * push_event(socket, "draft_discard", %{id: "post-form"})
+ *
+ * Options (data attributes):
+ * - data-version      Server-provided version token of the edited record
+ * - data-draft-key    Storage key, defaults to "<path>#<element id>"
+ *
+ * Works on a form (phx-submit / phx-target are read from it). On a single
+ * named textarea (e.g. one using AutoResize) it keeps the draft text only.
+ *
+ * Server side:
+ * def handle_event("save", %{"post" => params, "_draft" => %{"version" => version}}, socket) do
+ *   if version != to_string(socket.assigns.post.version) do
+ *     {:reply, %{conflict: true}, socket}
+ *   else
+ *     socket = save_post(socket, params)
+ *     {:reply, %{version: to_string(socket.assigns.post.version)}, socket}
+ *   end
+ * end
+ *
+ * def handle_event("draft_conflict", %{"params" => params}, socket) do
+ *   {:noreply, assign(socket, :conflicting_draft, params)}
+ * end
+ *
+ * Example:
+ * <.form for={@form} id="post-form" phx-hook="FormDraft" phx-submit="save" data-version={@post.version}>
+ *   <div id="post-form-offline" data-offline-banner hidden class="alert alert-warning">
+ *     Offline — changes are saved locally (<span data-offline-queue-count>0</span> queued)
+ *   </div>
+ *   <div id="post-form-conflict" data-draft-conflict hidden class="alert alert-error">
+ *     This post changed while you were offline.
+ *   </div>
+ *   <.input field={@form[:title]} />
+ *   <.input field={@form[:body]} type="textarea" />
+ * </.form>
+ */
+export const FormDraft = defineHook({
+  schema: {
+    // Read live from the element when comparing, since patches change it
+    version: { type: "string" },
+    draftKey: { type: "string" }
+  },
+
+  mounted() {
+    this.key = this.options.draftKey || `${location.pathname}#${this.el.id}`
+    this.offline = false
+    this.saveTimer = null
+
+    this.handleInput = () => {
+      if (!this.offline) return
+      this.clearTimeout(this.saveTimer)
+      this.saveTimer = this.setTimeout(() => this.saveDraft(), 250)
+    }
+
+    // Capture phase on the form runs before LiveView's delegated listener
+    this.handleSubmit = (e) => {
+      if (!this.offline) {
+        // The server has the data now; a stale draft would overwrite it later
+        deleteDraft(this.key)
+        return
+      }
+
+      e.preventDefault()
+      e.stopImmediatePropagation()
+      this.queueSubmit()
+    }
+
+    this.listen(this.el, "input", this.handleInput)
+    this.listen(this.el, "change", this.handleInput)
+    this.listen(this.el, "submit", this.handleSubmit, true)
+
+    this.handleEvent("draft_discard", ({id}) => {
+      if (id && id !== this.el.id) return
+      this.discard()
+    })
+
+    // Pick up a draft left behind by a reload while offline
+    this.restoreAndReplay()
+  },
+
+  disconnected() {
+    this.offline = true
+    this.setHidden("[data-offline-banner]", false)
+    this.saveDraft()
+  },
+
+  reconnected() {
+    this.offline = false
+    this.setHidden("[data-offline-banner]", true)
+
+    // Let the rejoin render land before writing the draft over it
+    this.setTimeout(() => this.restoreAndReplay(), 0)
+  },
+
+  async loadDraft() {
+    return (await readDraft(this.key)) || {
+      state: null,
+      version: this.el.dataset.version || null,
+      queue: []
+    }
+  },
+
+  async saveDraft() {
+    const draft = await this.loadDraft()
+    draft.state = readStoreState(this.el)
+    await writeDraft(this.key, draft)
+  },
+
+  async queueSubmit() {
+    const draft = await this.loadDraft()
+    draft.state = readStoreState(this.el)
+    draft.queue.push({
+      event: this.submitEvent(),
+      params: formParams(this.el),
+      version: draft.version,
+      queuedAt: Date.now()
+    })
+
+    await writeDraft(this.key, draft)
+    this.setText("[data-offline-queue-count]", String(draft.queue.length))
+  },
+
+  async restoreAndReplay() {
+    const draft = await readDraft(this.key)
+    if (!draft || this.offline) return
+
+    // Only the first submit was queued against what the server had then;
+    // each later one follows the version the previous replay left
+    let version = draft.queue.length > 0 ? draft.queue[0].version : null
+
+    while (draft.queue.length > 0) {
+      const entry = draft.queue[0]
+      const current = this.el.dataset.version || null
+
+      if (version && current && version !== current) {
+        this.conflict(entry, version, current)
+        return
+      }
+
+      const reply = await this.replay(entry, version)
+      if (reply.conflict) {
+        this.conflict(entry, version, this.el.dataset.version || null)
+        return
+      }
+
+      version = reply.version != null ? String(reply.version) : this.el.dataset.version || null
+      draft.queue.shift()
+      await writeDraft(this.key, draft)
+    }
+
+    this.setText("[data-offline-queue-count]", "0")
+
+    // Nothing left to send: put the edits back, tell the form about them
+    // (phx-change) and forget the draft
+    if (draft.state) {
+      writeStoreState(this.el, draft.state)
+      this.el.dispatchEvent(new Event("input", { bubbles: true }))
+    }
+    await deleteDraft(this.key)
+  },
+
+  // Leave the server's values in the form and keep the draft, so nothing is
+  // lost until the user decides (see draft_discard)
+  conflict(entry, version, current) {
+    this.setHidden("[data-draft-conflict]", false)
+    this.pushEvent("draft_conflict", {
+      key: this.key,
+      version,
+      current_version: current,
+      params: entry.params
+    })
+  },
+
+  async discard() {
+    await deleteDraft(this.key)
+    this.setHidden("[data-draft-conflict]", true)
+    this.setText("[data-offline-queue-count]", "0")
+  },
+
+  replay(entry, version) {
+    const payload = { ...entry.params, _draft: { version, queued_at: entry.queuedAt } }
+    const target = this.el.getAttribute("phx-target")
+
+    return new Promise(resolve => {
+      const onReply = (reply) => resolve(reply || {})
+      if (target) {
+        this.pushEventTo(target, entry.event, payload, onReply)
+      } else {
+        this.pushEvent(entry.event, payload, onReply)
+      }
+    })
+  },
+
+  submitEvent() {
+    const form = this.el.form || this.el
+    return form.getAttribute("phx-submit") || "submit"
+  },
+
+  setHidden(selector, hidden) {
+    const el = this.el.querySelector(selector)
+    if (el) el.hidden = hidden
+  },
+
+  setText(selector, text) {
+    const el = this.el.querySelector(selector)
+    if (el) el.textContent = text
+  }
+})
+
+// FormDraft helpers
+
+let draftDb = null
+
+function openDraftDb() {
+  draftDb = draftDb || new Promise((resolve, reject) => {
+    const request = indexedDB.open("phx-form-drafts", 1)
+    request.onupgradeneeded = () => request.result.createObjectStore("drafts")
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+  return draftDb
+}
+
+function draftTransaction(mode, fn) {
+  return openDraftDb().then(db => new Promise((resolve, reject) => {
+    const tx = db.transaction("drafts", mode)
+    const request = fn(tx.objectStore("drafts"))
+    tx.oncomplete = () => resolve(request.result)
+    tx.onerror = () => reject(tx.error)
+  })).catch(err => {
+    // Private mode or storage disabled: drafts just don't persist
+    reportWarning("FormDraft", 'FormDraft: IndexedDB unavailable', err)
+    return undefined
+  })
+}
+
+function readDraft(key) {
+  return draftTransaction("readonly", store => store.get(key))
+}
+
+function writeDraft(key, draft) {
+  return draftTransaction("readwrite", store => store.put(draft, key))
+}
+
+function deleteDraft(key) {
+  return draftTransaction("readwrite", store => store.delete(key))
+}
+
+// FormData → nested params the way Plug decodes them:
+// "post[title]" → %{"post" => %{"title" => ...}}, "tags[]" → list
+function formParams(el) {
+  const form = el.form || el
+  const entries = form instanceof HTMLFormElement
+    ? new FormData(form)
+    : [[el.name, el.value]]
+  const params = {}
+
+  for (const [name, value] of entries) {
+    if (typeof value !== "string") continue // files can't be replayed
+
+    const path = name.match(/[^[\]]+|\[\]/g) || [name]
+    let node = params
+
+    path.forEach((part, i) => {
+      const last = i === path.length - 1
+      const next = path[i + 1]
+
+      if (part === "[]") return
+      if (last) {
+        node[part] = value
+      } else if (next === "[]" && i + 1 === path.length - 1) {
+        node[part] = node[part] || []
+        node[part].push(value)
+      } else {
+        node[part] = node[part] || {}
+        node = node[part]
+      }
+    })
+  }
+  return params
+}
@@ -0,0 +1,196 @@
+import { defineHook } from "../define-hook.js"
+import { reportError, reportWarning } from "../telemetry.js"
+
+/**
+ * InfiniteScroll - Load more content when a sentinel scrolls into view
+ *
+ * Use case: Paginated lists, feeds
+ *
+ * Watches a sentinel with IntersectionObserver instead of polling scroll
+ * events. Only one request is in flight at a time: the next one is sent after
+ * the server replies. Replying with %{done: true} stops loading for good.
+ *
+ * Options (data attributes on the hook element):
+ * - data-root="self"        Scroll root: "self" (default), "window" or a CSS selector
+ * - data-direction="bottom" Load at the "bottom" (appends) or "top" (prepends)
+ * - data-event              Event name, defaults to "load_more" ("load_previous" for top)
+ * - data-threshold="200"    Start loading this many px before the sentinel is visible
+ * - data-timeout="10000"    A request without reply after this many ms is retried
+ *
+ * The sentinel is the child marked [data-infinite-sentinel], or else the
+ * last (bottom) / first (top) child of the hook element.
+ *
+ * Server side:
+ * def handle_event("load_more", _params, socket) do
+ *   page = load_page(socket.assigns.page + 1)
+ *
+ *   {:reply, %{done: page == []},
+ *    socket
+ *    |> assign(:page, socket.assigns.page + 1)
+ *    |> stream(:items, page)}
+ * end
+ *
+ * Reply with %{error: reason} (or don't reply in time) and the hook retries
+ * with exponential backoff: 1s, 2s, 4s ... up to 30s.
+ *
+ * Example:
+ * <div phx-hook="InfiniteScroll" id="items-list" class="overflow-y-auto h-96">
+ *   <div id="items" phx-update="stream">
+ *     <div :for={{dom_id, item} <- @streams.items} id={dom_id}>{item.name}</div>
+ *   </div>
+ *   <div id="items-sentinel" data-infinite-sentinel></div>
+ * </div>
+ */
+export const InfiniteScroll = defineHook({
+  schema: {
+    root: { type: "string", default: "self" },
+    direction: { type: "enum", values: ["bottom", "top"], default: "bottom" },
+    event: { type: "string" },
+    threshold: { type: "integer", min: 0, default: 200 },
+    timeout: { type: "integer", min: 0, default: 10000 }
+  },
+
+  mounted() {
+    this.direction = this.options.direction
+    this.event = this.options.event ||
+      (this.direction === "top" ? "load_previous" : "load_more")
+    this.threshold = this.options.threshold
+    this.timeout = this.options.timeout
+    this.root = this.findRoot()
+
+    this.pending = false
+    this.done = false
+    this.visible = false
+    this.attempts = 0
+    this.requestId = 0
+    this.retryTimer = null
+    this.timeoutTimer = null
+    this.stopObserving = null
+
+    const margin = `${this.threshold}px`
+    this.observer = new IntersectionObserver((entries) => {
+      this.visible = entries.some(entry => entry.isIntersecting)
+      if (this.visible) this.loadMore()
+    }, {
+      root: this.root,
+      rootMargin: this.direction === "top" ? `${margin} 0px 0px 0px` : `0px 0px ${margin} 0px`
+    })
+
+    this.observeSentinel()
+  },
+
+  beforeUpdate() {
+    // Remember the distance from the bottom so prepended rows don't push
+    // the content the user is looking at down the page
+    const scrollEl = this.scrollElement()
+    this.distanceFromBottom = scrollEl.scrollHeight - scrollEl.scrollTop
+  },
+
+  updated() {
+    if (this.direction === "top" && this.distanceFromBottom != null) {
+      const scrollEl = this.scrollElement()
+      scrollEl.scrollTop = scrollEl.scrollHeight - this.distanceFromBottom
+    }
+
+    // The edge child may have changed; observing it again re-checks visibility
+    this.observeSentinel()
+  },
+
+  disconnected() {
+    // Replies to requests sent before the drop will never arrive
+    this.clearTimers()
+    this.pending = false
+    this.requestId++
+  },
+
+  reconnected() {
+    // The server re-mounted and starts paging from scratch
+    this.done = false
+    this.attempts = 0
+    this.observeSentinel()
+  },
+
+  findRoot() {
+    const root = this.options.root
+    if (root === "window") return null
+    if (root === "self") return this.el
+
+    let el
+    try {
+      el = document.querySelector(root)
+    } catch (_err) {
+      reportWarning("InfiniteScroll", `InfiniteScroll #${this.el.id}: data-root "${root}" is not a valid selector, using the window`)
+      return null
+    }
+    if (!el) reportError("InfiniteScroll", `InfiniteScroll #${this.el.id}: data-root "${root}" matches nothing, using the window`)
+    return el
+  },
+
+  scrollElement() {
+    return this.root || document.scrollingElement
+  },
+
+  sentinel() {
+    return this.el.querySelector("[data-infinite-sentinel]") ||
+      (this.direction === "top" ? this.el.firstElementChild : this.el.lastElementChild)
+  },
+
+  observeSentinel() {
+    if (this.stopObserving) this.stopObserving()
+    this.stopObserving = null
+    if (this.done) return
+
+    // Paused while disconnected: nothing can load until the rejoin
+    const sentinel = this.sentinel()
+    if (sentinel) this.stopObserving = this.observe(this.observer, sentinel, { pause: true })
+  },
+
+  loadMore() {
+    if (this.pending || this.done || this.retryTimer) return
+
+    const requestId = ++this.requestId
+    this.pending = true
+
+    this.timeoutTimer = this.setTimeout(() => {
+      if (requestId === this.requestId) this.fail("timeout")
+    }, this.timeout)
+
+    this.pushEvent(this.event, {}, (reply) => {
+      // Ignore late replies to requests that already timed out
+      if (requestId !== this.requestId) return
+
+      this.clearTimeout(this.timeoutTimer)
+      this.pending = false
+
+      if (reply && reply.error) {
+        this.fail(reply.error)
+      } else if (reply && reply.done) {
+        this.done = true
+        this.observeSentinel()
+      } else {
+        this.attempts = 0
+      }
+    })
+  },
+
+  fail(reason) {
+    reportWarning("InfiniteScroll", `InfiniteScroll: "${this.event}" failed (${reason}), retrying`)
+
+    this.requestId++
+    this.pending = false
+    this.attempts++
+
+    const delay = Math.min(1000 * 2 ** (this.attempts - 1), 30000)
+    this.retryTimer = this.setTimeout(() => {
+      this.retryTimer = null
+      if (this.visible) this.loadMore()
+    }, delay)
+  },
+
+  clearTimers() {
+    this.clearTimeout(this.timeoutTimer)
+    this.clearTimeout(this.retryTimer)
+    this.timeoutTimer = null
+    this.retryTimer = null
+  }
+})
@@ -0,0 +1,615 @@
+import { defineHook } from "../define-hook.js"
+import { reportWarning } from "../telemetry.js"
+import { fitTextarea } from "./auto-resize.js"
+
+// Toolbar and shortcut actions: wrap the selection in markers, or prefix
+// each selected line
+const FORMATS = {
+  "bold": { before: "**", after: "**", placeholder: "bold text" },
+  "italic": { before: "_", after: "_", placeholder: "italic text" },
+  "strike": { before: "~~", after: "~~", placeholder: "struck text" },
+  "code": { before: "`", after: "`", placeholder: "code" },
+  "link": { before: "[", after: "](url)", placeholder: "link text", selectUrl: true },
+  "code-block": { before: "```\n", after: "\n```", placeholder: "code", block: true },
+  "heading": { prefix: () => "## ", pattern: /^#{1,6} / },
+  "quote": { prefix: () => "> ", pattern: /^> / },
+  "list": { prefix: () => "- ", pattern: /^[-*+] (?!\[[ x]\] )/ },
+  "ordered-list": { prefix: (index) => `${index + 1}. `, pattern: /^\d+\. / },
+  "task-list": { prefix: () => "- [ ] ", pattern: /^[-*+] \[[ x]\] / }
+}
+
+// Ctrl (Cmd on macOS) + key
+const SHORTCUTS = {
+  "b": "bold",
+  "i": "italic",
+  "e": "code",
+  "k": "link",
+  "shift+x": "strike",
+  "shift+p": "preview"
+}
+
+// List item markers carried over to the next line on Enter
+const LIST_ITEM = /^(\s*)([-*+] \[[ x]\] |[-*+] |(\d+)\. |> )/
+
+/**
+ * MarkdownEditor - Markdown textarea with formatting, autocomplete and preview
+ *
+ * Use case: Chat inputs, comment boxes, issue descriptions
+ *
+ * Builds on a plain <textarea> inside the hook element, so the form, its
+ * phx-change and its phx-submit keep working as they are:
+ * - Grows with its content like AutoResize
+ * - Toolbar buttons ([data-md="bold"]) and shortcuts format the selection,
+ *   and apply again to undo: Ctrl/Cmd+B bold, +I italic, +E code, +K link,
+ *   +Shift+X strikethrough, +Shift+P preview
+ * - Enter submits the form and Shift+Enter adds a line (data-submit to
+ *   change that). A new line in a list continues the list; Enter on an empty
+ *   item ends it
+ * - "@" and, at the start of a line, "/" ask the server for suggestions;
+ *   the list works like SearchBox's (arrows, Enter or Tab, Escape)
+ * - [data-md-preview] toggles a preview of the Markdown, rendered by the server
+ * - Pasted and dropped images go through a LiveView upload, with a
+ *   placeholder in the text until the server sends back the image URL
+ *
+ * Edits go through the browser's insertText command where there is one, so
+ * Ctrl+Z undoes them, and fire "input" so phx-change sees them.
+ *
+ * Options (data attributes on the hook element):
+ * - data-submit="enter"      "enter", "mod-enter" (Ctrl/Cmd+Enter) or "none"
+ * - data-min-rows="2"        As for AutoResize
+ * - data-max-rows="10"
+ * - data-autocomplete="@,/"  Triggers to suggest for
+ * - data-debounce="150"      Milliseconds to wait after typing before asking
+ * - data-upload              allow_upload/3 name for pasted and dropped images
+ *
+ * Client → server events:
+ * - "suggest" %{"id", "trigger" => "@", "query" => "jo", "seq"}, replied with
+ *   %{suggestions: [%{value: "@jose", label: "José Valim", description: "Core team"}]};
+ *   `value` replaces the trigger and query
+ * - "preview" %{"id", "markdown"}, replied with %{html: "..."}. The HTML is
+ *   shown as-is: sanitize it on the server
+ *
+ * Server → client events:
+ * - "editor_insert_image" %{id: "comment-editor", name: "screenshot.png", url: "/uploads/..."}
+ *   replaces that upload's placeholder with the image (or inserts it at the
+ *   cursor); without `url` the placeholder is removed
+ *
+ * Server side:
+ * def handle_event("suggest", %{"trigger" => "@", "query" => query}, socket) do
+ *   suggestions =
+ *     for user <- Accounts.search_users(query, limit: 8) do
+ *       %{value: "@#{user.username}", label: user.name, description: "@#{user.username}"}
+ *     end
+ *
+ *   {:reply, %{suggestions: suggestions}, socket}
+ * end
+ *
+ * def handle_event("preview", %{"markdown" => markdown}, socket) do
+ *   {:reply, %{html: markdown |> Earmark.as_html!() |> HtmlSanitizeEx.markdown_html()}, socket}
+ * end
+ *
+ * # allow_upload(socket, :images, accept: ~w(.png .jpg .gif .webp), auto_upload: true,
+ * #   progress: &handle_progress/3)
+ * defp handle_progress(:images, %{done?: true} = entry, socket) do
+ *   url = consume_uploaded_entry(socket, entry, fn %{path: path} -> {:ok, Media.store!(path, entry)} end)
+ *   {:noreply, push_event(socket, "editor_insert_image", %{id: "comment-editor", name: entry.client_name, url: url})}
+ * end
+ *
+ * defp handle_progress(:images, _entry, socket), do: {:noreply, socket}
+ *
+ * Example:
+ * <.form for={@form} id="comment-form" phx-change="validate" phx-submit="post">
+ *   <div id="comment-editor" phx-hook="MarkdownEditor" data-upload="images" class="space-y-2">
+ *     <div role="toolbar" aria-label="Formatting" class="join">
+ *       <button type="button" data-md="bold" class="btn btn-sm join-item" title="Bold">B</button>
+ *       <button type="button" data-md="italic" class="btn btn-sm join-item" title="Italic">I</button>
+ *       <button type="button" data-md="link" class="btn btn-sm join-item" title="Link">Link</button>
+ *       <button type="button" data-md="list" class="btn btn-sm join-item" title="List">List</button>
+ *       <button type="button" data-md-preview class="btn btn-sm join-item">Preview</button>
+ *     </div>
+ *     <textarea name={@form[:body].name} class="textarea w-full">{@form[:body].value}</textarea>
+ *     <div id="comment-editor-preview" data-md-preview-pane phx-update="ignore" class="prose" hidden></div>
+ *     <ul id="comment-editor-suggestions" data-md-suggestions phx-update="ignore"
+ *         class="menu bg-base-100 rounded-box shadow"></ul>
+ *   </div>
+ *   <.live_file_input upload={@uploads.images} class="hidden" />
+ * </.form>
+ *
+ * Toolbar actions: bold, italic, strike, code, link, code-block, heading,
+ * quote, list, ordered-list, task-list.
+ */
+export const MarkdownEditor = defineHook({
+  schema: {
+    submit: { type: "enum", values: ["enter", "mod-enter", "none"], default: "enter" },
+    minRows: { type: "integer", min: 1, default: 2 },
+    maxRows: { type: "integer", min: 1, default: 10 },
+    autocomplete: { type: "list", default: ["@", "/"] },
+    debounce: { type: "integer", min: 0, default: 150 },
+    upload: { type: "string" }
+  },
+
+  mounted() {
+    this.textarea = this.el.querySelector("textarea")
+    if (!this.textarea) {
+      reportWarning("MarkdownEditor", `MarkdownEditor #${this.el.id}: no <textarea> inside`)
+      return
+    }
+
+    this.list = this.el.querySelector("[data-md-suggestions]")
+    if (!this.list) {
+      this.list = document.createElement("ul")
+      this.list.dataset.mdSuggestions = ""
+      this.list.className = "menu bg-base-100 rounded-box shadow"
+      this.el.appendChild(this.list)
+    }
+    if (!this.list.id) this.list.id = `${this.el.id}-suggestions`
+
+    this.pane = this.el.querySelector("[data-md-preview-pane]")
+    if (!this.pane) {
+      this.pane = document.createElement("div")
+      this.pane.dataset.mdPreviewPane = ""
+      this.pane.className = "prose max-w-none"
+      this.textarea.after(this.pane)
+    }
+
+    this.token = null // trigger and query being completed
+    this.seq = 0
+    this.active = -1
+    this.open = false
+    this.composing = false
+    this.timer = null
+    this.previewing = false
+    this.previewSeq = 0
+    this.pending = [] // images uploading: { name, placeholder }
+
+    this.describe()
+    this.setOpen(false)
+    this.pane.hidden = true
+    this.resize()
+
+    this.listen(this.textarea, "input", (e) => {
+      this.resize()
+      if (e.isComposing || this.composing) return
+      this.complete()
+    })
+    this.listen(this.textarea, "compositionstart", () => { this.composing = true })
+    this.listen(this.textarea, "compositionend", () => {
+      this.composing = false
+      this.complete()
+    })
+    this.listen(this.textarea, "keydown", (e) => this.handleKeydown(e))
+    this.listen(this.textarea, "blur", () => this.setOpen(false))
+    this.listen(this.textarea, "paste", (e) => this.handleFiles(e, e.clipboardData))
+    this.listen(this.textarea, "dragover", (e) => {
+      if (e.dataTransfer && Array.from(e.dataTransfer.types || []).includes("Files")) e.preventDefault()
+    })
+    this.listen(this.textarea, "drop", (e) => this.handleFiles(e, e.dataTransfer))
+
+    this.listen(this.el, "click", (e) => {
+      const button = e.target.closest("[data-md], [data-md-preview]")
+      if (!button || !this.el.contains(button)) return
+      if (button.hasAttribute("data-md-preview")) {
+        this.togglePreview()
+      } else {
+        this.format(button.dataset.md)
+      }
+    })
+
+    // Keep focus in the textarea so the click lands and typing can go on
+    this.listen(this.list, "mousedown", (e) => e.preventDefault())
+    this.listen(this.list, "click", (e) => {
+      const option = e.target.closest('[role="option"]')
+      if (option) this.accept(option)
+    })
+
+    this.handleEvent("editor_insert_image", ({id, name, url}) => {
+      if (id && id !== this.el.id) return
+      this.insertImage(name, url)
+    })
+  },
+
+  updated() {
+    if (!this.textarea) return
+
+    // Patches drop what the server doesn't render
+    if (!this.list.isConnected) this.el.appendChild(this.list)
+    if (!this.pane.isConnected) this.textarea.after(this.pane)
+    this.describe()
+    this.textarea.hidden = this.previewing
+    this.resize()
+  },
+
+  describe() {
+    this.textarea.setAttribute("aria-autocomplete", "list")
+    this.textarea.setAttribute("aria-controls", this.list.id)
+    this.textarea.setAttribute("aria-expanded", String(this.open))
+    this.list.setAttribute("role", "listbox")
+    this.highlight()
+  },
+
+  resize() {
+    fitTextarea(this.textarea, this.options)
+  },
+
+  handleKeydown(e) {
+    if (e.isComposing || this.composing) return
+
+    if (this.open) {
+      switch (e.key) {
+        case "ArrowDown":
+        case "ArrowUp":
+          e.preventDefault()
+          this.moveActive(e.key === "ArrowDown" ? 1 : -1)
+          return
+        case "Enter":
+        case "Tab": {
+          const option = this.suggestionOptions()[this.active]
+          if (!option) break
+          e.preventDefault()
+          this.accept(option)
+          return
+        }
+        case "Escape":
+          e.preventDefault()
+          this.setOpen(false)
+          return
+      }
+    }
+
+    const mod = e.ctrlKey || e.metaKey
+    if (mod && !e.altKey) {
+      const action = SHORTCUTS[`${e.shiftKey ? "shift+" : ""}${e.key.toLowerCase()}`]
+      if (action) {
+        e.preventDefault()
+        if (action === "preview") {
+          this.togglePreview()
+        } else {
+          this.format(action)
+        }
+        return
+      }
+    }
+
+    if (e.key === "Enter") {
+      const {submit} = this.options
+      const submits = submit === "enter"
+        ? !e.shiftKey && !mod && !e.altKey
+        : submit === "mod-enter" && mod
+
+      if (submits) {
+        e.preventDefault()
+        this.submit()
+      } else if (!mod && this.continueList()) {
+        e.preventDefault()
+      }
+    }
+  },
+
+  // Editing
+
+  // Replace start..end as typed, keeping the browser's undo history where
+  // possible, then select selectStart..selectEnd
+  edit(start, end, text, selectStart = start + text.length, selectEnd = selectStart) {
+    const textarea = this.textarea
+    textarea.focus()
+    textarea.setSelectionRange(start, end)
+
+    const inserted = typeof document.execCommand === "function" &&
+      document.execCommand("insertText", false, text) &&
+      textarea.value.slice(start, start + text.length) === text
+
+    if (!inserted) {
+      textarea.setRangeText(text, start, end, "end")
+      textarea.dispatchEvent(new Event("input", { bubbles: true }))
+    }
+    textarea.setSelectionRange(selectStart, selectEnd)
+  },
+
+  // Replace start..end without moving the user's cursor, for changes that
+  // arrive while they type
+  splice(start, end, text) {
+    this.textarea.setRangeText(text, start, end, "preserve")
+    this.textarea.dispatchEvent(new Event("input", { bubbles: true }))
+  },
+
+  format(name) {
+    const format = FORMATS[name]
+    if (!format || this.previewing) return
+    if (format.prefix) {
+      this.prefixLines(format)
+    } else {
+      this.wrap(format)
+    }
+  },
+
+  wrap({before, after, placeholder, selectUrl, block}) {
+    const {value, selectionStart: start, selectionEnd: end} = this.textarea
+    const selected = value.slice(start, end)
+
+    // Markers right around the selection: take them off
+    if (value.slice(start - before.length, start) === before && value.slice(end, end + after.length) === after) {
+      this.edit(start - before.length, end + after.length, selected, start - before.length, end - before.length)
+      return
+    }
+
+    // Markers inside it
+    if (selected.length >= before.length + after.length && selected.startsWith(before) && selected.endsWith(after)) {
+      const inner = selected.slice(before.length, selected.length - after.length)
+      this.edit(start, end, inner, start, start + inner.length)
+      return
+    }
+
+    // A block starts and ends on lines of its own
+    const lead = block && start > 0 && value[start - 1] !== "\n" ? "\n" : ""
+    const trail = block && end < value.length && value[end] !== "\n" ? "\n" : ""
+    const text = selected || placeholder
+    const open = lead + before
+    const wrapped = open + text + after + trail
+
+    if (selectUrl && selected) {
+      // [text](url) with "url" selected, ready to paste over
+      const url = start + open.length + text.length + 2
+      this.edit(start, end, wrapped, url, url + 3)
+    } else {
+      this.edit(start, end, wrapped, start + open.length, start + open.length + text.length)
+    }
+  },
+
+  prefixLines({prefix, pattern}) {
+    const {value, selectionStart: start, selectionEnd: end} = this.textarea
+    const from = value.lastIndexOf("\n", start - 1) + 1
+    // A selection ending at the start of a line doesn't include that line
+    const last = end > start && value[end - 1] === "\n" ? end - 1 : end
+    const next = value.indexOf("\n", last)
+    const to = next === -1 ? value.length : next
+
+    const lines = value.slice(from, to).split("\n")
+    const remove = lines.every(line => pattern.test(line))
+    const text = lines
+      .map((line, index) => remove ? line.replace(pattern, "") : prefix(index) + line)
+      .join("\n")
+
+    if (start === end && lines.length === 1) {
+      // Keep the cursor where it was in the line
+      const shift = text.length - (to - from)
+      const cursor = Math.max(start + shift, from)
+      this.edit(from, to, text, cursor, cursor)
+    } else {
+      this.edit(from, to, text, from, from + text.length)
+    }
+  },
+
+  // On a new line in a list, start the next item; on an empty item, end the list
+  continueList() {
+    const {value, selectionStart: caret, selectionEnd} = this.textarea
+    if (caret !== selectionEnd) return false
+
+    const from = value.lastIndexOf("\n", caret - 1) + 1
+    const line = value.slice(from, caret)
+    const match = LIST_ITEM.exec(line)
+    if (!match) return false
+
+    if (line === match[0]) {
+      this.edit(from, caret, "")
+      return true
+    }
+
+    const [, indent, marker, number] = match
+    const nextMarker = number ? `${Number(number) + 1}. ` : marker.replace("[x]", "[ ]")
+    this.edit(caret, caret, `\n${indent}${nextMarker}`)
+    return true
+  },
+
+  submit() {
+    const form = this.textarea.form
+    if (!form || this.textarea.value.trim() === "") return
+
+    this.setOpen(false)
+    form.requestSubmit()
+  },
+
+  // Autocomplete
+
+  // "@jo" or "/gi" (at the start of a line) right before the cursor
+  tokenAtCaret() {
+    const {value, selectionStart: caret, selectionEnd} = this.textarea
+    if (caret !== selectionEnd) return null
+
+    const match = /(^|\s)([@/])([\w.-]*)$/.exec(value.slice(0, caret))
+    if (!match) return null
+
+    const [, lead, trigger, query] = match
+    const start = match.index + lead.length
+    if (!this.options.autocomplete.includes(trigger)) return null
+    if (trigger === "/" && start > 0 && value[start - 1] !== "\n") return null
+
+    return { trigger, query, start, end: caret }
+  },
+
+  complete() {
+    this.clearTimeout(this.timer)
+    const token = this.tokenAtCaret()
+
+    if (!token) {
+      this.token = null
+      this.seq++
+      this.setOpen(false)
+      return
+    }
+
+    this.token = token
+    this.timer = this.setTimeout(() => this.suggest(token), this.options.debounce, { pause: true })
+  },
+
+  suggest({trigger, query}) {
+    const seq = ++this.seq
+    this.el.setAttribute("aria-busy", "true")
+
+    this.pushEvent("suggest", { id: this.el.id, trigger, query, seq }, (reply) => {
+      // Replies for what the user already typed past are dropped
+      if (seq !== this.seq) return
+      this.el.removeAttribute("aria-busy")
+
+      const suggestions = reply && Array.isArray(reply.suggestions) ? reply.suggestions : []
+      this.renderSuggestions(suggestions)
+      this.active = suggestions.length > 0 ? 0 : -1
+      this.setOpen(suggestions.length > 0 && document.activeElement === this.textarea)
+    })
+  },
+
+  renderSuggestions(suggestions) {
+    this.list.replaceChildren(...suggestions.map((suggestion, index) => {
+      const option = document.createElement("li")
+      option.id = `${this.list.id}-${index}`
+      option.setAttribute("role", "option")
+      option.dataset.value = String(suggestion.value)
+
+      const link = document.createElement("a")
+      link.textContent = suggestion.label || String(suggestion.value)
+      if (suggestion.description) {
+        const description = document.createElement("span")
+        description.className = "text-sm opacity-60"
+        description.textContent = suggestion.description
+        link.append(" ", description)
+      }
+
+      option.append(link)
+      return option
+    }))
+  },
+
+  suggestionOptions() {
+    return Array.from(this.list.querySelectorAll('[role="option"]'))
+  },
+
+  moveActive(step) {
+    const count = this.suggestionOptions().length
+    if (count === 0) return
+    this.active = (this.active + step + count) % count
+    this.highlight()
+  },
+
+  highlight() {
+    this.suggestionOptions().forEach((option, index) => {
+      const selected = index === this.active
+      option.setAttribute("aria-selected", String(selected))
+
+      const target = option.firstElementChild || option
+      target.classList.toggle("menu-active", selected)
+      target.classList.toggle("active", selected)
+      if (selected && option.scrollIntoView) option.scrollIntoView({ block: "nearest" })
+    })
+
+    const option = this.open && this.suggestionOptions()[this.active]
+    if (option) {
+      this.textarea.setAttribute("aria-activedescendant", option.id)
+    } else {
+      this.textarea.removeAttribute("aria-activedescendant")
+    }
+  },
+
+  setOpen(open) {
+    this.open = open
+    this.list.hidden = !open
+    this.textarea.setAttribute("aria-expanded", String(open))
+    if (!open) this.active = -1
+    this.highlight()
+  },
+
+  accept(option) {
+    const token = this.token
+    this.setOpen(false)
+    if (!token) return
+
+    this.token = null
+    this.seq++
+    const text = `${option.dataset.value} `
+    this.edit(token.start, token.end, text)
+  },
+
+  // Preview
+
+  togglePreview(on = !this.previewing) {
+    this.previewing = on
+    this.textarea.hidden = on
+    this.pane.hidden = !on
+    this.setOpen(false)
+
+    for (const button of this.el.querySelectorAll("[data-md]")) button.disabled = on
+    for (const button of this.el.querySelectorAll("[data-md-preview]")) button.setAttribute("aria-pressed", String(on))
+
+    if (!on) {
+      this.previewSeq++
+      this.textarea.focus()
+      return
+    }
+
+    const markdown = this.textarea.value
+    if (markdown.trim() === "") {
+      this.pane.textContent = this.pane.dataset.empty || "Nothing to preview"
+      return
+    }
+
+    const seq = ++this.previewSeq
+    this.pane.setAttribute("aria-busy", "true")
+    this.pushEvent("preview", { id: this.el.id, markdown }, (reply) => {
+      if (seq !== this.previewSeq) return
+      this.pane.removeAttribute("aria-busy")
+      this.pane.innerHTML = reply && typeof reply.html === "string" ? reply.html : ""
+    })
+  },
+
+  // Images
+
+  handleFiles(e, data) {
+    const images = Array.from((data && data.files) || []).filter(file => file.type.startsWith("image/"))
+    if (images.length === 0 || this.previewing) return
+
+    if (!this.options.upload) {
+      reportWarning("MarkdownEditor", `MarkdownEditor #${this.el.id}: set data-upload to paste images`)
+      return
+    }
+
+    e.preventDefault()
+
+    const {value, selectionStart: start, selectionEnd: end} = this.textarea
+    const lead = start > 0 && value[start - 1] !== "\n" ? "\n" : ""
+    const placeholders = images.map(file => `![Uploading ${file.name}…]()`)
+    this.pending.push(...images.map((file, index) => ({ name: file.name, placeholder: placeholders[index] })))
+
+    this.edit(start, end, `${lead}${placeholders.join("\n")}\n`)
+    this.upload(this.options.upload, images)
+  },
+
+  insertImage(name, url) {
+    const index = this.pending.findIndex(entry => entry.name === name)
+    const image = url ? `![${markdownText(name || "image")}](${markdownUrl(url)})` : ""
+
+    if (index === -1) {
+      if (!image) return
+      const {selectionStart: start, selectionEnd: end} = this.textarea
+      this.splice(start, end, image)
+      return
+    }
+
+    const [{placeholder}] = this.pending.splice(index, 1)
+    const at = this.textarea.value.indexOf(placeholder)
+    if (at === -1) return
+
+    // A failed upload takes its line with it
+    const end = at + placeholder.length
+    const trailing = !image && this.textarea.value[end] === "\n" ? 1 : 0
+    this.splice(at, end + trailing, image)
+  }
+})
+
+// Escape what would end the alt text early
+function markdownText(text) {
+  return String(text).replace(/[[\]\\]/g, c => `\\${c}`)
+}
+
+// Escape only what would end the link early: upload URLs often come
+// percent-encoded already, and encoding their "%" again breaks them
+function markdownUrl(url) {
+  return String(url).replace(/[\s()<>]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase().padStart(2, "0")}`)
+}
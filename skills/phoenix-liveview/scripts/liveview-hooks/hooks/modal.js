@@ -0,0 +1,274 @@
+import { defineHook } from "../define-hook.js"
+import { trapTab } from "../focusable.js"
+
+/**
+ * Modal - Native <dialog> modals driven by LiveView events
+ *
+ * Use case: Edit forms, confirmations, any stacked dialog
+ *
+ * - Stacked dialogs: each dialog opens above the previous one; Escape and
+ *   the focus trap only act on the topmost
+ * - Focus returns to the element that was focused when the dialog opened
+ * - Every close is reported to LiveView as "modal_closed" with a reason:
+ *   "escape", "backdrop", "server", "confirm", "cancel" or the value of the
+ *   [data-modal-close] / method="dialog" button that closed it
+ * - Confirm round trip: the server asks with "modal_confirm", the client
+ *   replies with "modal_confirm_reply" and the user's choice
+ * - data-confirm-close="Discard changes?" asks before a user-initiated close
+ *   while a form inside the dialog has unsaved edits
+ *
+ * Options (data attributes):
+ * - data-confirm-close         Question asked before closing a dialog with unsaved edits
+ * - data-close-on-backdrop     Set to "false" to ignore clicks on the backdrop
+ *
+ * Server side:
+ * def handle_event("edit", _, socket) do
+ *   {:noreply, push_event(socket, "show_modal", %{id: "edit_modal"})}
+ * end
+ *
+ * # Keep server state in sync however the dialog was closed
+ * def handle_event("modal_closed", %{"id" => "edit_modal", "reason" => _reason}, socket) do
+ *   {:noreply, assign(socket, :editing, nil)}
+ * end
+ *
+ * # Confirm round trip
+ * def handle_event("delete", %{"id" => id}, socket) do
+ *   {:noreply,
+ *    push_event(socket, "modal_confirm", %{
+ *      id: "confirm_modal",
+ *      ref: "delete:#{id}",
+ *      title: "Delete report?",
+ *      message: "This cannot be undone."
+ *    })}
+ * end
+ *
+ * def handle_event("modal_confirm_reply", %{"ref" => "delete:" <> id, "choice" => "confirm"}, socket) do
+ *   {:noreply, delete_report(socket, id)}
+ * end
+ *
+ * def handle_event("modal_confirm_reply", _params, socket), do: {:noreply, socket}
+ *
+ * Example (JS.ignore_attributes keeps patches from removing `open`):
+ * <dialog
+ *   id="edit_modal"
+ *   class="modal"
+ *   phx-hook="Modal"
+ *   phx-mounted={JS.ignore_attributes(["open"])}
+ *   data-confirm-close="Discard your changes?"
+ * >
+ *   <div class="modal-box">
+ *     <.form for={@form} phx-submit="save">...</.form>
+ *     <button class="btn btn-ghost" data-modal-close>Cancel</button>
+ *   </div>
+ *   <form method="dialog" class="modal-backdrop"><button>close</button></form>
+ * </dialog>
+ *
+ * <dialog id="confirm_modal" class="modal" phx-hook="Modal" phx-mounted={JS.ignore_attributes(["open"])}>
+ *   <div class="modal-box">
+ *     <h3 class="font-bold text-lg" data-confirm-title>Are you sure?</h3>
+ *     <p class="py-4" data-confirm-message></p>
+ *     <div class="modal-action">
+ *       <button class="btn btn-ghost" data-confirm-choice="cancel">Cancel</button>
+ *       <button class="btn btn-error" data-confirm-choice="confirm">Confirm</button>
+ *     </div>
+ *   </div>
+ * </dialog>
+ */
+
+// Dialogs opened through the Modal hook, topmost last
+const modalStack = []
+
+export const Modal = defineHook({
+  schema: {
+    confirmClose: { type: "string" },
+    closeOnBackdrop: { type: "boolean", default: true }
+  },
+
+  mounted() {
+    this.isOpen = false
+    this.closeReason = null
+    this.pendingConfirm = null
+
+    this.handleEvent("show_modal", ({id}) => {
+      if (id === this.el.id) this.open()
+    })
+
+    // Without an id, close the topmost dialog
+    this.handleEvent("close_modal", ({id}) => {
+      const top = modalStack[modalStack.length - 1]
+      const target = id || (top && top.el.id)
+      if (target === this.el.id) this.close("server")
+    })
+
+    this.handleEvent("modal_confirm", (request) => {
+      if (request.id === this.el.id) this.confirm(request)
+    })
+
+    // Escape: route through requestClose so the dirty guard applies. Browsers
+    // may refuse to let a page cancel repeated Escapes; then it just closes.
+    this.onCancel = (e) => {
+      if (e.cancelable) {
+        e.preventDefault()
+        this.requestClose("escape")
+      } else {
+        this.closeReason = "escape"
+      }
+    }
+
+    this.onClick = (e) => {
+      // A click on the <dialog> itself landed outside the modal box
+      if (e.target === this.el && this.options.closeOnBackdrop) {
+        this.requestClose("backdrop")
+        return
+      }
+
+      const choice = e.target.closest("[data-confirm-choice]")
+      if (choice) {
+        this.requestClose(choice.dataset.confirmChoice)
+        return
+      }
+
+      const closer = e.target.closest("[data-modal-close]")
+      if (closer) this.requestClose(closer.dataset.modalClose || "cancel")
+    }
+
+    this.onSubmit = (e) => {
+      if (e.target.method !== "dialog") return
+
+      e.preventDefault()
+      const reason = e.target.classList.contains("modal-backdrop")
+        ? "backdrop"
+        : (e.submitter && e.submitter.value) || "cancel"
+      // DaisyUI's backdrop is a dialog form: its clicks arrive as submits
+      if (reason === "backdrop" && !this.options.closeOnBackdrop) return
+      this.requestClose(reason)
+    }
+
+    this.onKeydown = (e) => {
+      if (this.isTopmost()) trapTab(e, this.el)
+    }
+
+    this.onClose = () => this.handleClosed()
+
+    this.listen(this.el, "cancel", this.onCancel)
+    this.listen(this.el, "click", this.onClick)
+    this.listen(this.el, "submit", this.onSubmit)
+    this.listen(this.el, "keydown", this.onKeydown)
+    this.listen(this.el, "close", this.onClose)
+  },
+
+  updated() {
+    // Older LiveView versions drop the `open` attribute on patch; reopen
+    // without disturbing focus (the close event is ignored while open)
+    if (this.isOpen && !this.el.open) {
+      const active = document.activeElement
+      this.el.showModal()
+      if (active && this.el.contains(active)) active.focus()
+    }
+  },
+
+  destroyed() {
+    const index = modalStack.indexOf(this)
+    if (index !== -1) modalStack.splice(index, 1)
+
+    // Nobody is left to reply to; drop the pending confirm
+    this.pendingConfirm = null
+    if (this.isOpen) this.restoreFocus()
+  },
+
+  open() {
+    if (this.isOpen) return
+
+    this.returnFocus = document.activeElement
+    this.closeReason = null
+    this.el.showModal()
+    this.isOpen = true
+    modalStack.push(this)
+    this.snapshot = this.formState()
+  },
+
+  // User-initiated close: honour the dirty guard
+  requestClose(reason) {
+    if (!this.isOpen) return
+
+    const message = this.options.confirmClose
+    if (message && reason !== "confirm" && this.formState() !== this.snapshot) {
+      if (!window.confirm(message)) return
+    }
+
+    this.close(reason)
+  },
+
+  close(reason) {
+    if (!this.isOpen) return
+
+    this.closeReason = reason
+    // Fires "close", handled in handleClosed()
+    this.el.close()
+  },
+
+  handleClosed() {
+    // Still open: a patch-related reopen, not a real close
+    if (this.el.open || !this.isOpen) return
+
+    const reason = this.closeReason || "escape"
+    this.isOpen = false
+    this.closeReason = null
+
+    const index = modalStack.indexOf(this)
+    if (index !== -1) modalStack.splice(index, 1)
+
+    if (this.pendingConfirm) {
+      this.pendingConfirm.resolve(reason === "confirm" ? "confirm" : "cancel")
+      this.pendingConfirm = null
+    }
+
+    this.restoreFocus()
+    this.pushEvent("modal_closed", { id: this.el.id, reason })
+  },
+
+  // Resolves with "confirm" or "cancel" and reports it to the server
+  confirm({ref, title, message, confirm_label, cancel_label}) {
+    if (this.pendingConfirm) this.pendingConfirm.resolve("cancel")
+
+    this.setText("[data-confirm-title]", title)
+    this.setText("[data-confirm-message]", message)
+    this.setText('[data-confirm-choice="confirm"]', confirm_label)
+    this.setText('[data-confirm-choice="cancel"]', cancel_label)
+
+    const choice = new Promise((resolve) => {
+      this.pendingConfirm = { resolve }
+    })
+    this.open()
+
+    return choice.then((choice) => {
+      this.pushEvent("modal_confirm_reply", { id: this.el.id, ref, choice })
+      return choice
+    })
+  },
+
+  setText(selector, text) {
+    const el = this.el.querySelector(selector)
+    if (el && text != null) el.textContent = text
+  },
+
+  isTopmost() {
+    return modalStack[modalStack.length - 1] === this
+  },
+
+  restoreFocus() {
+    if (this.returnFocus && this.returnFocus.isConnected) {
+      this.returnFocus.focus()
+    }
+    this.returnFocus = null
+  },
+
+  // Serialized values of the dialog's own forms, for the dirty guard
+  formState() {
+    return Array.from(this.el.querySelectorAll("form"))
+      .filter(form => form.method !== "dialog")
+      .map(form => new URLSearchParams(new FormData(form)).toString())
+      .join("&")
+  }
+})
+
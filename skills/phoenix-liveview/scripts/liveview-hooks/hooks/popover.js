@@ -0,0 +1,123 @@
+import { defineHook } from "../define-hook.js"
+import { computePosition, applyPosition, autoUpdate, PLACEMENTS } from "../positioning.js"
+
+/**
+ * Popover - Toggle a floating panel anchored to a button
+ *
+ * Use case: Filter panels, menus, inline forms
+ *
+ * The panel is rendered by the server with the native `popover` attribute,
+ * so its open state lives in the browser's top layer and survives LiveView
+ * patches. Clicking the button toggles it; Escape or a click outside closes
+ * it and Escape returns focus to the button. Shares ../positioning.js with Tooltip.
+ *
+ * Options (data attributes on the button):
+ * - data-popover         Required, id of the panel element
+ * - data-placement       Defaults to "bottom-start"
+ *
+ * Server can close it (e.g. after applying the filters):
+ * push_event(socket, "popover_close", %{id: "filters-panel"})
+ *
+ * Example:
+ * <button phx-hook="Popover" id="filters-button" data-popover="filters-panel" class="btn">
+ *   Filters
+ * </button>
+ * <div id="filters-panel" popover="manual" class="card bg-base-100 shadow-lg p-4">
+ *   <!-- filter form -->
+ * </div>
+ */
+export const Popover = defineHook({
+  schema: {
+    popover: { type: "string", required: true },
+    placement: { type: "enum", values: PLACEMENTS, default: "bottom-start" }
+  },
+
+  mounted() {
+    this.placement = this.options.placement
+    this.open = false
+
+    this.el.setAttribute("aria-haspopup", "dialog")
+    this.el.setAttribute("aria-expanded", "false")
+    this.el.setAttribute("aria-controls", this.options.popover)
+
+    this.handleClick = () => this.setOpen(!this.open)
+    this.handleKeydown = (e) => {
+      if (e.key === "Escape" && this.open) {
+        this.setOpen(false)
+        this.el.focus()
+      }
+    }
+    this.handlePointerDown = (e) => {
+      const panel = this.panel()
+      if (this.open && !this.el.contains(e.target) && !(panel && panel.contains(e.target))) {
+        this.setOpen(false)
+      }
+    }
+
+    this.listen(this.el, "click", this.handleClick)
+    this.listen(document, "keydown", this.handleKeydown)
+    this.listen(document, "pointerdown", this.handlePointerDown)
+
+    // A patch of the panel resets the inline position we wrote
+    this.patchObserver = new MutationObserver(() => this.open && this.position())
+
+    this.handleEvent("popover_close", ({id}) => {
+      if (id === this.options.popover) this.setOpen(false)
+    })
+  },
+
+  updated() {
+    this.el.setAttribute("aria-expanded", String(this.open))
+    this.el.setAttribute("aria-controls", this.options.popover)
+  },
+
+  destroyed() {
+    this.setOpen(false)
+  },
+
+  panel() {
+    return document.getElementById(this.options.popover)
+  },
+
+  setOpen(open) {
+    const panel = this.panel()
+    if (!panel || open === this.open) return
+
+    this.open = open
+    this.el.setAttribute("aria-expanded", String(open))
+
+    if (open) {
+      if (panel.showPopover) {
+        panel.showPopover()
+      } else {
+        panel.hidden = false
+      }
+      this.stopPositioning = this.onCleanup(autoUpdate(this.el, panel, () => this.position()))
+      this.stopWatching = this.observe(this.patchObserver, panel, { attributes: true, attributeFilter: ["style"] })
+    } else {
+      if (this.stopWatching) this.stopWatching()
+      if (this.stopPositioning) this.stopPositioning()
+      this.stopWatching = null
+      this.stopPositioning = null
+
+      if (panel.hidePopover) {
+        if (panel.matches(":popover-open")) panel.hidePopover()
+      } else {
+        panel.hidden = true
+      }
+    }
+  },
+
+  position() {
+    const panel = this.panel()
+    if (!panel) return
+
+    // Undo the UA popover centering before placing it ourselves
+    panel.style.margin = "0"
+    panel.style.inset = "auto"
+    applyPosition(panel, computePosition(this.el, panel, { placement: this.placement }))
+
+    // Ignore the style mutations we just made
+    this.patchObserver.takeRecords()
+  }
+})
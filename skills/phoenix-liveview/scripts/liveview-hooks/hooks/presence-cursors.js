@@ -0,0 +1,560 @@
+import { defineHook } from "../define-hook.js"
+import { reportWarning } from "../telemetry.js"
+
+// Fields whose focus, selection and typing are shared
+const FIELDS = "textarea, input:not([type]), input[type=text], input[type=search], input[type=email], input[type=url], input[type=tel]"
+
+// Computed styles a field's mirror copies so its text wraps the same way
+const MIRRORED_STYLES = [
+  "boxSizing", "width", "height",
+  "paddingTop", "paddingRight", "paddingBottom", "paddingLeft",
+  "borderTopWidth", "borderRightWidth", "borderBottomWidth", "borderLeftWidth", "borderStyle",
+  "fontFamily", "fontSize", "fontStyle", "fontWeight", "fontVariant", "fontStretch",
+  "letterSpacing", "wordSpacing", "lineHeight", "textAlign", "textIndent", "textTransform", "tabSize"
+]
+
+// Typing indicator names before "and N others"
+const TYPING_NAMES = 2
+
+/**
+ * PresenceCursors - Other users' cursors, selections and typing, live
+ *
+ * Use case: Shared documents, forms edited together, support consoles
+ *
+ * Shares where the local user is with the LiveView, which relays it to the
+ * others over PubSub, and shows everyone else:
+ * - Their pointer as a named cursor that glides between updates
+ *   (prefers-reduced-motion jumps)
+ * - The field they are in, outlined, with their selection highlighted
+ * - "Ana is typing…" in a [data-presence-typing] element, if there is one
+ *
+ * Positions are sent relative to the element under the pointer (by its id),
+ * so cursors land on the same content across screen sizes; fields are
+ * matched by name (or id). Updates are throttled, and sent again every
+ * data-timeout / 2 while there is something to show, so that a peer not
+ * heard from within data-timeout is dropped: a closed tab, a lost
+ * connection, a missed leave.
+ *
+ * The hook element should be positioned (e.g. class="relative"); the
+ * cursors are drawn in a layer inside it.
+ *
+ * Options (data attributes):
+ * - data-event="presence_sync"   Event for the local state
+ * - data-throttle="50"           Milliseconds between updates, at most one per
+ * - data-timeout="15000"         Drop peers not heard from for this long
+ * - data-typing-timeout="3000"   Typing stops after this long without input
+ * - data-duration="120"          Cursor glide in milliseconds; 0 to jump
+ *
+ * Client → server events:
+ * - "presence_sync" %{"id", "cursor" => %{"anchor" => "section-2", "x" => 0.42, "y" => 0.1} | nil,
+ *   "field" => "body" | nil, "selection" => %{"start" => 4, "end" => 9} | nil, "typing" => false}
+ *
+ * Server → client events:
+ * - "presence_update" %{peers: [%{key: "user-7", name: "Ana", color: "#e11d48", cursor: ..., field: ..., selection: ..., typing: ...}]}
+ *   adds or updates peers (the fields of presence_sync, plus who they are)
+ * - "presence_remove" %{keys: ["user-7"]}
+ *
+ * Both take an optional `id` to target one of several hooks.
+ *
+ * See examples/pubsub.ex (CollaborativeCursors) for the LiveView side, with
+ * Phoenix.Presence for joins and leaves.
+ *
+ * Example:
+ * <div id="doc-editor" phx-hook="PresenceCursors" class="relative">
+ *   <input id="doc-title" name="title" class="input" />
+ *   <textarea id="doc-body" name="body" class="textarea"></textarea>
+ *   <p data-presence-typing class="text-sm opacity-60"></p>
+ * </div>
+ */
+export const PresenceCursors = defineHook({
+  schema: {
+    event: { type: "string", default: "presence_sync" },
+    throttle: { type: "integer", min: 0, default: 50 },
+    timeout: { type: "integer", min: 10, default: 15000 },
+    typingTimeout: { type: "integer", min: 10, default: 3000 },
+    duration: { type: "integer", min: 0, default: 120 }
+  },
+
+  mounted() {
+    this.peers = new Map()
+    this.local = { cursor: null, field: null, selection: null, typing: false }
+    this.sent = null
+    this.offline = false
+    this.lastPush = 0
+    this.pushTimer = null
+    this.typingTimer = null
+    this.sweepTimer = null
+    this.frame = null
+
+    this.layer = document.createElement("div")
+    this.layer.dataset.presenceLayer = ""
+    this.layer.setAttribute("aria-hidden", "true")
+    Object.assign(this.layer.style, {
+      position: "absolute", left: "0", top: "0", width: "0", height: "0",
+      overflow: "visible", pointerEvents: "none", zIndex: "10"
+    })
+    this.el.appendChild(this.layer)
+
+    this.typingStatus = this.el.querySelector("[data-presence-typing]")
+    if (this.typingStatus && !this.typingStatus.hasAttribute("aria-live")) {
+      this.typingStatus.setAttribute("aria-live", "polite")
+    }
+
+    this.listen(this.el, "pointermove", (e) => {
+      this.local.cursor = this.pointerPosition(e)
+      this.schedule()
+    })
+    this.listen(this.el, "pointerleave", () => {
+      this.local.cursor = null
+      this.schedule()
+    })
+
+    this.listen(this.el, "focusin", (e) => {
+      if (!this.isField(e.target)) return
+      this.local.field = fieldName(e.target)
+      this.local.selection = selectionOf(e.target)
+      this.schedule()
+    })
+    this.listen(this.el, "focusout", (e) => {
+      if (!this.isField(e.target)) return
+      this.stopTyping()
+      Object.assign(this.local, { field: null, selection: null, typing: false })
+      this.schedule()
+    })
+    this.listen(this.el, "input", (e) => {
+      if (!this.isField(e.target)) return
+      this.local.selection = selectionOf(e.target)
+      this.local.typing = true
+      this.stopTyping()
+      this.typingTimer = this.setTimeout(() => {
+        this.local.typing = false
+        this.schedule()
+      }, this.options.typingTimeout)
+      this.schedule()
+    })
+    this.listen(document, "selectionchange", () => this.trackSelection())
+    this.listen(this.el, "select", () => this.trackSelection())
+    this.listen(this.el, "keyup", () => this.trackSelection())
+
+    // Fields scroll their text under the highlights
+    this.listen(this.el, "scroll", () => this.layout(), { capture: true, passive: true })
+    if (typeof ResizeObserver === "function") {
+      this.observe(new ResizeObserver(() => this.layout()), this.el)
+    }
+
+    // Peers only time out while we still hear from them
+    this.setInterval(() => {
+      if (!document.hidden && (this.local.cursor || this.local.field)) this.push(true)
+    }, this.options.timeout / 2, { pause: true })
+
+    this.handleEvent("presence_update", ({id, peers}) => {
+      if (id && id !== this.el.id) return
+      for (const peer of Array.isArray(peers) ? peers : []) this.upsert(peer)
+      this.renderTyping()
+    })
+    this.handleEvent("presence_remove", ({id, keys}) => {
+      if (id && id !== this.el.id) return
+      for (const key of Array.isArray(keys) ? keys : []) this.remove(String(key))
+      this.renderTyping()
+    })
+  },
+
+  updated() {
+    // Patches drop the layer, and may move what cursors are anchored to
+    if (!this.layer.isConnected) this.el.appendChild(this.layer)
+    this.layout()
+  },
+
+  disconnected() {
+    this.offline = true
+  },
+
+  reconnected() {
+    // The server re-mounted: tell it again where we are
+    this.offline = false
+    this.sent = null
+    this.schedule()
+  },
+
+  destroyed() {
+    this.layer.remove()
+    if (this.typingStatus) this.typingStatus.textContent = ""
+  },
+
+  // Local state
+
+  isField(target) {
+    return target.matches && target.matches(FIELDS) && fieldName(target) !== ""
+  },
+
+  pointerPosition(e) {
+    const anchored = e.target.closest && e.target.closest("[id]")
+    const anchor = anchored && anchored !== this.el && this.el.contains(anchored) && !this.layer.contains(anchored)
+      ? anchored
+      : this.el
+
+    const box = anchor.getBoundingClientRect()
+    return {
+      anchor: anchor === this.el ? null : anchor.id,
+      x: fraction(e.clientX - box.left, box.width),
+      y: fraction(e.clientY - box.top, box.height)
+    }
+  },
+
+  trackSelection() {
+    const field = document.activeElement
+    if (!field || !this.el.contains(field) || !this.isField(field)) return
+
+    const selection = selectionOf(field)
+    const current = this.local.selection
+    if (current && selection && current.start === selection.start && current.end === selection.end) return
+
+    this.local.selection = selection
+    this.schedule()
+  },
+
+  stopTyping() {
+    this.clearTimeout(this.typingTimer)
+    this.typingTimer = null
+  },
+
+  // At most one push per data-throttle ms, always ending on the latest state
+  schedule() {
+    if (this.pushTimer) return
+
+    const wait = this.lastPush + this.options.throttle - Date.now()
+    if (wait <= 0) {
+      this.push()
+    } else {
+      this.pushTimer = this.setTimeout(() => {
+        this.pushTimer = null
+        this.push()
+      }, wait, { pause: true })
+    }
+  },
+
+  // Offline, the state keeps moving and reconnected() sends where it ended up
+  push(force = false) {
+    if (this.offline) return
+
+    const state = JSON.stringify(this.local)
+    if (!force && state === this.sent) return
+
+    this.sent = state
+    this.lastPush = Date.now()
+    this.pushEvent(this.options.event, { id: this.el.id, ...this.local })
+  },
+
+  // Peers
+
+  upsert(data) {
+    if (!data || (typeof data.key !== "string" && typeof data.key !== "number")) {
+      reportWarning("PresenceCursors", `PresenceCursors #${this.el.id}: ignoring a peer without a key:`, data)
+      return
+    }
+
+    const key = String(data.key)
+    let peer = this.peers.get(key)
+    if (!peer) {
+      peer = { key, cursor: null, field: null, selection: null, typing: false, shown: null, from: null, to: null }
+      this.peers.set(key, peer)
+    }
+
+    for (const name of ["name", "color", "cursor", "field", "selection", "typing"]) {
+      if (name in data) peer[name] = data[name]
+    }
+    peer.name = String(peer.name || key)
+    peer.color = peer.color || defaultColor(key)
+    peer.typing = peer.typing === true
+    peer.seen = Date.now()
+
+    this.renderCursor(peer, true)
+    this.renderField(peer)
+    this.startSweeping()
+  },
+
+  remove(key) {
+    const peer = this.peers.get(key)
+    if (!peer) return
+
+    if (peer.cursorEl) peer.cursorEl.remove()
+    if (peer.fieldEl) peer.fieldEl.remove()
+    this.peers.delete(key)
+
+    if (this.peers.size === 0) {
+      this.clearInterval(this.sweepTimer)
+      this.sweepTimer = null
+    }
+  },
+
+  startSweeping() {
+    if (this.sweepTimer) return
+
+    const {timeout, typingTimeout} = this.options
+    this.sweepTimer = this.setInterval(() => this.sweep(), Math.min(timeout, typingTimeout) / 2)
+  },
+
+  // Drop peers we stopped hearing from; a lost "typing: false" ends on its own
+  sweep() {
+    const now = Date.now()
+    for (const peer of [...this.peers.values()]) {
+      if (now - peer.seen > this.options.timeout) {
+        this.remove(peer.key)
+      } else if (peer.typing && now - peer.seen > this.options.typingTimeout) {
+        peer.typing = false
+        this.renderCursor(peer, false)
+        this.renderField(peer)
+      }
+    }
+    this.renderTyping()
+  },
+
+  // Put everything back in place after the layout changed, without gliding
+  layout() {
+    for (const peer of this.peers.values()) {
+      this.renderCursor(peer, false)
+      this.renderField(peer)
+    }
+  },
+
+  // Rendering
+
+  renderCursor(peer, glide) {
+    const target = peer.cursor ? this.resolve(peer.cursor) : null
+    if (!target) {
+      if (peer.cursorEl) peer.cursorEl.remove()
+      peer.cursorEl = null
+      peer.shown = null
+      return
+    }
+
+    if (!peer.cursorEl) {
+      peer.cursorEl = cursorElement()
+      this.layer.appendChild(peer.cursorEl)
+    }
+    const el = peer.cursorEl
+    el.dataset.presenceCursor = peer.key
+    el.toggleAttribute("data-typing", peer.typing)
+    el.style.color = peer.color
+    el.querySelector("[data-presence-name]").textContent = peer.name
+    el.querySelector("[data-presence-name]").style.background = peer.color
+
+    const reducedMotion = window.matchMedia("(prefers-reduced-motion: reduce)").matches
+    if (!glide || !peer.shown || reducedMotion || this.options.duration <= 0) {
+      peer.shown = target
+      peer.to = null
+      moveTo(el, target)
+      return
+    }
+
+    peer.from = peer.shown
+    peer.to = target
+    peer.start = performance.now()
+    if (!this.frame) this.frame = this.requestAnimationFrame((now) => this.glide(now))
+  },
+
+  glide(now) {
+    this.frame = null
+    let moving = false
+
+    for (const peer of this.peers.values()) {
+      if (!peer.to || !peer.cursorEl) continue
+
+      const t = Math.min(1, Math.max(0, (now - peer.start) / this.options.duration))
+      const eased = 1 - Math.pow(1 - t, 3)
+      peer.shown = {
+        x: peer.from.x + (peer.to.x - peer.from.x) * eased,
+        y: peer.from.y + (peer.to.y - peer.from.y) * eased
+      }
+      moveTo(peer.cursorEl, peer.shown)
+
+      if (t < 1) {
+        moving = true
+      } else {
+        peer.to = null
+      }
+    }
+
+    if (moving) this.frame = this.requestAnimationFrame((next) => this.glide(next))
+  },
+
+  // A cursor's position in the layer, from its anchor (or the hook element)
+  resolve({anchor, x, y}) {
+    if (!Number.isFinite(x) || !Number.isFinite(y)) return null
+
+    const found = anchor != null ? document.getElementById(String(anchor)) : null
+    const box = (found && this.el.contains(found) ? found : this.el).getBoundingClientRect()
+    const origin = this.el.getBoundingClientRect()
+
+    return {
+      x: box.left - origin.left + this.el.scrollLeft + x * box.width,
+      y: box.top - origin.top + this.el.scrollTop + y * box.height
+    }
+  },
+
+  // Outline the peer's field and mirror its text, with the selection marked
+  renderField(peer) {
+    const field = peer.field != null ? this.fieldNamed(String(peer.field)) : null
+    if (!field) {
+      if (peer.fieldEl) peer.fieldEl.remove()
+      peer.fieldEl = null
+      return
+    }
+
+    if (!peer.fieldEl) {
+      peer.fieldEl = fieldElement()
+      this.layer.appendChild(peer.fieldEl)
+    }
+    const el = peer.fieldEl
+    el.dataset.presenceField = peer.key
+    el.toggleAttribute("data-typing", peer.typing)
+    el.style.outline = `2px solid ${peer.color}`
+    el.querySelector("[data-presence-name]").textContent = peer.name
+    el.querySelector("[data-presence-name]").style.background = peer.color
+
+    const box = field.getBoundingClientRect()
+    const origin = this.el.getBoundingClientRect()
+    Object.assign(el.style, {
+      left: `${box.left - origin.left + this.el.scrollLeft}px`,
+      top: `${box.top - origin.top + this.el.scrollTop}px`,
+      width: `${box.width}px`,
+      height: `${box.height}px`
+    })
+
+    this.renderMirror(el.querySelector("[data-presence-mirror]"), field, peer)
+  },
+
+  renderMirror(mirror, field, peer) {
+    const style = getComputedStyle(field)
+    for (const name of MIRRORED_STYLES) mirror.style[name] = style[name]
+    mirror.style.borderColor = "transparent"
+    mirror.style.whiteSpace = field.tagName === "TEXTAREA" ? "pre-wrap" : "pre"
+    mirror.style.transform = `translate(${-field.scrollLeft}px, ${-field.scrollTop}px)`
+
+    const value = field.value
+    const selection = peer.selection || {}
+    const start = clamp(Number(selection.start), 0, value.length)
+    const end = clamp(Number(selection.end), start, value.length)
+
+    const mark = document.createElement("mark")
+    mark.textContent = value.slice(start, end)
+    mark.style.color = "transparent"
+    mark.style.background = `color-mix(in srgb, ${peer.color} 30%, transparent)`
+
+    const caret = document.createElement("span")
+    caret.dataset.presenceCaret = ""
+    caret.style.borderLeft = `2px solid ${peer.color}`
+    caret.style.marginLeft = "-1px"
+
+    // Without a selection only the outline shows
+    const parts = Number.isFinite(Number(selection.start)) ? [value.slice(0, start), mark, caret, value.slice(end)] : [value]
+    // A trailing newline needs something after it to take up a line
+    mirror.replaceChildren(...parts, "\u200b")
+  },
+
+  fieldNamed(name) {
+    return Array.from(this.el.querySelectorAll(FIELDS)).find(field => fieldName(field) === name) || null
+  },
+
+  renderTyping() {
+    if (!this.typingStatus) return
+
+    const names = [...this.peers.values()].filter(peer => peer.typing).map(peer => peer.name)
+    const text = typingText(names)
+    // A live region: every write is announced again
+    if (this.typingStatus.textContent === text) return
+
+    this.typingStatus.hidden = names.length === 0
+    this.typingStatus.textContent = text
+  }
+})
+
+function fieldName(field) {
+  return field.name || field.id || ""
+}
+
+function selectionOf(field) {
+  if (typeof field.selectionStart !== "number") return null
+  return { start: field.selectionStart, end: field.selectionEnd }
+}
+
+function fraction(offset, size) {
+  return size > 0 ? Math.round(offset / size * 1000) / 1000 : 0
+}
+
+function clamp(value, min, max) {
+  return Number.isFinite(value) ? Math.min(Math.max(value, min), max) : min
+}
+
+function moveTo(el, {x, y}) {
+  el.style.transform = `translate(${Math.round(x * 10) / 10}px, ${Math.round(y * 10) / 10}px)`
+}
+
+// A stable color per peer the server didn't give one
+function defaultColor(key) {
+  let hash = 0
+  for (const char of key) hash = (hash * 31 + char.codePointAt(0)) >>> 0
+  return `hsl(${hash % 360} 70% 45%)`
+}
+
+function nameTag() {
+  const name = document.createElement("span")
+  name.dataset.presenceName = ""
+  Object.assign(name.style, {
+    position: "absolute", whiteSpace: "nowrap", color: "white",
+    fontSize: "0.75rem", lineHeight: "1rem", padding: "0 0.375rem", borderRadius: "0.25rem"
+  })
+  return name
+}
+
+function cursorElement() {
+  const el = document.createElement("div")
+  Object.assign(el.style, { position: "absolute", left: "0", top: "0", willChange: "transform" })
+
+  const svgNS = "http://www.w3.org/2000/svg"
+  const svg = document.createElementNS(svgNS, "svg")
+  svg.setAttribute("width", "16")
+  svg.setAttribute("height", "16")
+  svg.setAttribute("viewBox", "0 0 16 16")
+  const arrow = document.createElementNS(svgNS, "path")
+  arrow.setAttribute("d", "M1 1L1 13L4.5 9.5L7 15L9 14L6.5 8.5L11.5 8.5Z")
+  arrow.setAttribute("fill", "currentColor")
+  arrow.setAttribute("stroke", "white")
+  svg.appendChild(arrow)
+
+  const name = nameTag()
+  Object.assign(name.style, { left: "12px", top: "14px" })
+
+  el.append(svg, name)
+  return el
+}
+
+function fieldElement() {
+  const el = document.createElement("div")
+  Object.assign(el.style, { position: "absolute", borderRadius: "0.25rem" })
+
+  // Clips the mirror to the field; the name tag sits outside it
+  const clip = document.createElement("div")
+  Object.assign(clip.style, { position: "absolute", inset: "0", overflow: "hidden" })
+  const mirror = document.createElement("div")
+  mirror.dataset.presenceMirror = ""
+  Object.assign(mirror.style, { color: "transparent", overflowWrap: "break-word" })
+  clip.appendChild(mirror)
+
+  const name = nameTag()
+  Object.assign(name.style, { right: "0", bottom: "100%" })
+
+  el.append(clip, name)
+  return el
+}
+
+// "Ana is typing…", "Ana and Ben are typing…", "Ana, Ben and 2 others are typing…"
+function typingText(names) {
+  if (names.length === 0) return ""
+  if (names.length === 1) return `${names[0]} is typing…`
+
+  const shown = names.length > TYPING_NAMES + 1 ? names.slice(0, TYPING_NAMES) : names.slice(0, -1)
+  const rest = names.length - shown.length
+  const last = rest === 1 ? names[names.length - 1] : `${rest} others`
+  return `${shown.join(", ")} and ${last} are typing…`
+}
@@ -0,0 +1,28 @@
+import { defineHook } from "../define-hook.js"
+
+/**
+ * ScrollToBottom - Auto-scroll container to bottom
+ *
+ * Use case: Chat interfaces, message lists
+ *
+ * Always jumps to the bottom on update. For large streams, or when users
+ * scroll up to read history, use VirtualList with data-stick-to-bottom.
+ *
+ * Example:
+ * <div phx-hook="ScrollToBottom" id="chat-messages" class="overflow-y-auto">
+ *   <!-- messages -->
+ * </div>
+ */
+export const ScrollToBottom = defineHook({
+  mounted() {
+    this.scrollToBottom()
+  },
+
+  updated() {
+    this.scrollToBottom()
+  },
+
+  scrollToBottom() {
+    this.el.scrollTop = this.el.scrollHeight
+  }
+})
@@ -0,0 +1,396 @@
+import { defineHook } from "../define-hook.js"
+import { reportWarning } from "../telemetry.js"
+
+/**
+ * SearchBox - Search as you type, with autocomplete, history and URL sync
+ *
+ * Use case: Site search, record pickers, filter boxes
+ *
+ * - Debounced search events carry a sequence number; results for an older
+ *   query never replace the results of a newer one
+ * - Results come back in the reply (or later through "search_results") and
+ *   show in a listbox with combobox keyboard support: ArrowDown/ArrowUp move,
+ *   Enter picks, Escape closes the list and then clears the query
+ * - With the list closed, ArrowUp/ArrowDown step through earlier queries
+ * - Nothing is sent during IME composition or for queries shorter than
+ *   data-min-length; clearing the box sends an empty query
+ * - data-url-param keeps the query in the URL with a replacing live patch,
+ *   so reloads and shared links keep it
+ *
+ * Options (data attributes):
+ * - data-event          Search event, defaults to "search"
+ * - data-select-event   Sent when a result is picked, defaults to "search_selected"
+ * - data-debounce       Milliseconds to wait after typing, defaults to 300
+ * - data-min-length     Shortest query sent, defaults to 1
+ * - data-history-key    Keep recent queries in localStorage under this key
+ * - data-history-size   Queries kept, defaults to 10
+ * - data-url-param      Query-string parameter to keep in sync, e.g. "q"
+ * - data-restore        Start with the last query from history
+ *
+ * Results are maps with `value` and `label`, and optionally `description`.
+ * A reply without `results` leaves the list alone, for LiveViews that render
+ * the [role="option"] items (with data-value) themselves.
+ *
+ * Server side:
+ * def handle_event("search", %{"query" => query}, socket) do
+ *   results = for user <- Accounts.search_users(query), do: %{value: user.id, label: user.name}
+ *   {:reply, %{results: results}, socket}
+ * end
+ *
+ * # Slow searches can answer later instead, echoing seq
+ * def handle_event("search", %{"query" => query, "seq" => seq}, socket) do
+ *   {:noreply, start_async(socket, :search, fn -> {seq, search(query)} end)}
+ * end
+ *
+ * def handle_async(:search, {:ok, {seq, results}}, socket) do
+ *   {:noreply, push_event(socket, "search_results", %{id: "user-search", seq: seq, results: results})}
+ * end
+ *
+ * def handle_event("search_selected", %{"value" => id}, socket) do
+ *   {:noreply, push_navigate(socket, to: ~p"/users/#{id}")}
+ * end
+ *
+ * # With data-url-param="q"
+ * def handle_params(params, _uri, socket) do
+ *   {:noreply, assign(socket, :query, params["q"] || "")}
+ * end
+ *
+ * Example (phx-update="ignore" keeps patches away from the rendered results):
+ * <div id="user-search" phx-hook="SearchBox" data-history-key="users" data-url-param="q" class="dropdown dropdown-open">
+ *   <input type="search" class="input input-bordered" placeholder="Search users" value={@query} />
+ *   <ul id="user-search-results" data-search-results phx-update="ignore"
+ *       class="dropdown-content menu bg-base-100 rounded-box shadow w-full"></ul>
+ * </div>
+ */
+export const SearchBox = defineHook({
+  schema: {
+    event: { type: "string", default: "search" },
+    selectEvent: { type: "string", default: "search_selected" },
+    debounce: { type: "integer", min: 0, default: 300 },
+    minLength: { type: "integer", min: 0, default: 1 },
+    historyKey: { type: "string" },
+    historySize: { type: "integer", min: 1, default: 10 },
+    urlParam: { type: "string" },
+    restore: { type: "boolean", default: false }
+  },
+
+  mounted() {
+    this.input = this.el.matches("input") ? this.el : this.el.querySelector("input")
+    this.list = this.el.querySelector("[data-search-results]")
+    if (!this.list) {
+      this.list = document.createElement("ul")
+      this.list.dataset.searchResults = ""
+      this.list.className = "menu bg-base-100 rounded-box shadow"
+      this.el.appendChild(this.list)
+    }
+    if (!this.list.id) this.list.id = `${this.el.id}-results`
+
+    this.seq = 0
+    this.shownSeq = 0
+    this.lastQuery = null
+    this.active = -1
+    this.open = false
+    this.composing = false
+    this.historyIndex = -1
+    this.draft = ""
+    this.timer = null
+
+    this.describe()
+    this.list.hidden = true
+
+    this.listen(this.input, "input", (e) => {
+      this.historyIndex = -1
+      if (e.isComposing || this.composing) return
+      this.schedule()
+    })
+    this.listen(this.input, "compositionstart", () => { this.composing = true })
+    this.listen(this.input, "compositionend", () => {
+      this.composing = false
+      this.schedule()
+    })
+    this.listen(this.input, "keydown", (e) => this.handleKeydown(e))
+    this.listen(this.input, "focus", () => this.setOpen(this.resultOptions().length > 0))
+    this.listen(this.input, "blur", () => this.setOpen(false))
+
+    // Keep focus in the input so the click lands and typing can go on
+    this.listen(this.list, "mousedown", (e) => e.preventDefault())
+    this.listen(this.list, "click", (e) => {
+      const option = e.target.closest('[role="option"]')
+      if (option) this.select(option)
+    })
+
+    this.handleEvent("search_results", ({id, seq, results}) => {
+      if (id === this.el.id) this.showResults(seq, results)
+    })
+
+    const initial = this.urlQuery() || (this.options.restore ? this.recentQueries()[0] : null)
+    if (initial) {
+      this.input.value = initial
+      this.search()
+    }
+  },
+
+  updated() {
+    // Patches drop the ARIA attributes the server doesn't render
+    this.describe()
+
+    const options = this.resultOptions()
+    if (this.active >= options.length) this.active = -1
+    this.highlight()
+    if (this.open) this.setOpen(options.length > 0)
+  },
+
+  describe() {
+    this.input.setAttribute("role", "combobox")
+    this.input.setAttribute("aria-autocomplete", "list")
+    this.input.setAttribute("aria-controls", this.list.id)
+    this.input.setAttribute("aria-expanded", String(Boolean(this.open)))
+    this.input.setAttribute("autocomplete", "off")
+    this.list.setAttribute("role", "listbox")
+  },
+
+  handleKeydown(e) {
+    if (e.isComposing || this.composing) return
+
+    switch (e.key) {
+      case "ArrowDown":
+      case "ArrowUp": {
+        e.preventDefault()
+        const step = e.key === "ArrowDown" ? 1 : -1
+
+        if (this.open) {
+          this.moveActive(step)
+        } else if (step === 1 && this.historyIndex === -1 && this.resultOptions().length > 0) {
+          this.setOpen(true)
+          this.moveActive(1)
+        } else {
+          // Up goes back in history, down comes forward again
+          this.recall(-step)
+        }
+        break
+      }
+
+      case "Enter": {
+        const option = this.open && this.resultOptions()[this.active]
+        if (option) {
+          e.preventDefault()
+          this.select(option)
+        } else {
+          // Let a surrounding form submit; search right away
+          this.remember(this.input.value.trim())
+          this.search()
+        }
+        break
+      }
+
+      case "Escape":
+        if (this.open) {
+          e.preventDefault()
+          this.setOpen(false)
+        } else if (this.input.value !== "") {
+          e.preventDefault()
+          this.input.value = ""
+          this.search()
+        }
+        break
+
+      case "Tab":
+        this.setOpen(false)
+        break
+    }
+  },
+
+  schedule() {
+    this.clearTimeout(this.timer)
+    // Typing while disconnected searches once the socket is back
+    this.timer = this.setTimeout(() => this.search(), this.options.debounce, { pause: true })
+  },
+
+  search() {
+    this.clearTimeout(this.timer)
+
+    const query = this.input.value.trim()
+    if (query === this.lastQuery) return
+    this.syncUrl(query)
+
+    // Replies still on their way are for queries the user moved past
+    this.shownSeq = this.seq
+
+    // "" still goes out: it tells the server the box was cleared
+    if (query !== "" && query.length < this.options.minLength) {
+      this.lastQuery = null
+      this.el.removeAttribute("aria-busy")
+      this.renderResults([])
+      this.setOpen(false)
+      return
+    }
+
+    this.lastQuery = query
+    const seq = ++this.seq
+    this.el.setAttribute("aria-busy", "true")
+
+    this.pushEvent(this.options.event, { id: this.el.id, query, seq }, (reply) => {
+      // Without results the LiveView rendered the options itself; its patch
+      // is applied before the reply arrives
+      this.showResults(seq, reply && Array.isArray(reply.results) ? reply.results : null)
+    })
+  },
+
+  showResults(seq, results) {
+    if (seq <= this.shownSeq) return
+    this.shownSeq = seq
+    if (seq >= this.seq) this.el.removeAttribute("aria-busy")
+
+    if (results) this.renderResults(results)
+    this.active = -1
+    this.highlight()
+    this.setOpen(this.resultOptions().length > 0 && document.activeElement === this.input)
+  },
+
+  renderResults(results) {
+    this.list.replaceChildren(...results.map((result, index) => {
+      const option = document.createElement("li")
+      option.id = `${this.list.id}-${index}`
+      option.setAttribute("role", "option")
+      option.dataset.value = String(result.value)
+      option.dataset.label = result.label
+
+      const link = document.createElement("a")
+      link.textContent = result.label
+      if (result.description) {
+        const description = document.createElement("span")
+        description.className = "text-sm opacity-60"
+        description.textContent = result.description
+        link.append(" ", description)
+      }
+
+      option.append(link)
+      return option
+    }))
+  },
+
+  resultOptions() {
+    return Array.from(this.list.querySelectorAll('[role="option"]'))
+  },
+
+  moveActive(step) {
+    const count = this.resultOptions().length
+    if (count === 0) return
+
+    this.active = this.active === -1 && step === -1
+      ? count - 1
+      : (this.active + step + count) % count
+    this.highlight()
+  },
+
+  highlight() {
+    this.resultOptions().forEach((option, index) => {
+      const selected = index === this.active
+      if (!option.id) option.id = `${this.list.id}-${index}`
+      option.setAttribute("aria-selected", String(selected))
+
+      const target = option.firstElementChild || option
+      target.classList.toggle("menu-active", selected)
+      target.classList.toggle("active", selected)
+      if (selected) option.scrollIntoView({ block: "nearest" })
+    })
+
+    const option = this.resultOptions()[this.active]
+    if (option) {
+      this.input.setAttribute("aria-activedescendant", option.id)
+    } else {
+      this.input.removeAttribute("aria-activedescendant")
+    }
+  },
+
+  setOpen(open) {
+    this.open = open
+    this.list.hidden = !open
+    this.input.setAttribute("aria-expanded", String(open))
+
+    if (!open) {
+      this.active = -1
+      this.highlight()
+    }
+  },
+
+  select(option) {
+    const query = this.input.value.trim()
+    this.remember(query)
+    this.setOpen(false)
+
+    this.pushEvent(this.options.selectEvent, {
+      id: this.el.id,
+      value: option.dataset.value,
+      label: option.dataset.label || option.textContent.trim(),
+      query
+    })
+  },
+
+  recentQueries() {
+    if (!this.options.historyKey) return []
+
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.historyStorageKey()))
+      return Array.isArray(saved) ? saved : []
+    } catch (_err) {
+      return []
+    }
+  },
+
+  remember(query) {
+    if (!this.options.historyKey || !query) return
+
+    const recent = [query, ...this.recentQueries().filter(entry => entry !== query)]
+      .slice(0, this.options.historySize)
+
+    try {
+      localStorage.setItem(this.historyStorageKey(), JSON.stringify(recent))
+    } catch (err) {
+      reportWarning("SearchBox", `SearchBox: could not save history for "${this.options.historyKey}":`, err)
+    }
+    this.historyIndex = -1
+  },
+
+  historyStorageKey() {
+    return `lv:search-history:${this.options.historyKey}`
+  },
+
+  // step 1 = older, -1 = newer; past the newest entry is what was typed
+  recall(step) {
+    const recent = this.recentQueries()
+    const index = Math.min(Math.max(this.historyIndex + step, -1), recent.length - 1)
+    if (index === this.historyIndex) return
+
+    if (this.historyIndex === -1) this.draft = this.input.value
+    this.historyIndex = index
+    this.input.value = index === -1 ? this.draft : recent[index]
+    this.schedule()
+  },
+
+  urlQuery() {
+    if (!this.options.urlParam) return null
+    return new URL(location.href).searchParams.get(this.options.urlParam)
+  },
+
+  syncUrl(query) {
+    const param = this.options.urlParam
+    if (!param) return
+
+    const url = new URL(location.href)
+    if (query) {
+      url.searchParams.set(param, query)
+    } else {
+      url.searchParams.delete(param)
+    }
+    if (url.href === location.href) return
+
+    const href = url.pathname + url.search + url.hash
+    if (typeof this.js === "function") {
+      this.js().patch(href, { replace: true })
+    } else {
+      // LiveView before 1.0 has no hook JS API; at least keep the URL right
+      history.replaceState(history.state, "", href)
+    }
+  }
+})
@@ -0,0 +1,549 @@
+import { defineHook } from "../define-hook.js"
+import { reportError } from "../telemetry.js"
+
+// Registry shared by Shortcuts, CommandPalette and ShortcutHelp. A single
+// document keydown listener serves every binding while any are registered.
+const shortcutBindings = new Set()
+let shortcutKeys = []
+let shortcutKeysTimer = null
+
+const isMac = typeof navigator !== "undefined" && /Mac|iPhone|iPad/.test(navigator.platform)
+
+const KEY_ALIASES = {
+  esc: "escape",
+  space: " ",
+  up: "arrowup",
+  down: "arrowdown",
+  left: "arrowleft",
+  right: "arrowright",
+  del: "delete",
+  return: "enter"
+}
+
+/**
+ * Register a keyboard shortcut. Used by the hooks below and available to
+ * custom hooks.
+ *
+ * - shortcut      "mod+k", "shift+?", or a sequence like "g i" ("mod" is
+ *                 Cmd on macOS, Ctrl elsewhere)
+ * - el            Element that owns the binding; while a <dialog> is open only
+ *                 bindings owned by elements inside it fire
+ * - region        Optional element that must contain the focus
+ * - description   Shown in the ShortcutHelp overlay
+ * - group         Heading for the ShortcutHelp overlay
+ * - allowInInput  Also fire while typing (bindings with ctrl/cmd/alt always do)
+ * - run(event)    Called when the shortcut fires
+ *
+ * Returns a function that removes the binding.
+ */
+export function registerShortcut(binding) {
+  const entry = { ...binding, steps: parseShortcut(binding.shortcut) }
+
+  if (shortcutBindings.size === 0) {
+    document.addEventListener("keydown", handleShortcutKeydown)
+  }
+  shortcutBindings.add(entry)
+
+  return () => {
+    shortcutBindings.delete(entry)
+    if (shortcutBindings.size === 0) {
+      document.removeEventListener("keydown", handleShortcutKeydown)
+      clearTimeout(shortcutKeysTimer)
+      shortcutKeys = []
+    }
+  }
+}
+
+// Bindings that would fire right now, longest sequences first
+function activeShortcuts() {
+  const dialogs = document.querySelectorAll("dialog[open]")
+  const dialog = dialogs[dialogs.length - 1]
+
+  return [...shortcutBindings]
+    .filter(entry => {
+      if (dialog && !(entry.el && dialog.contains(entry.el))) return false
+      if (entry.region && !entry.region.contains(document.activeElement)) return false
+      return !entry.el || entry.el.isConnected
+    })
+    .sort((a, b) => b.steps.length - a.steps.length)
+}
+
+function handleShortcutKeydown(e) {
+  if (e.defaultPrevented || e.isComposing) return
+  if (["Shift", "Control", "Alt", "Meta"].includes(e.key)) return
+
+  // Remember recent keys for sequences; forget them after a pause
+  shortcutKeys = [...shortcutKeys, e].slice(-4)
+  clearTimeout(shortcutKeysTimer)
+  shortcutKeysTimer = setTimeout(() => { shortcutKeys = [] }, 1000)
+
+  const typing = isTypingTarget(e.target)
+
+  for (const entry of activeShortcuts()) {
+    const modified = entry.steps.some(step => step.ctrl || step.meta || step.alt)
+    if (typing && !modified && !entry.allowInInput) continue
+
+    const recent = shortcutKeys.slice(-entry.steps.length)
+    if (recent.length === entry.steps.length && entry.steps.every((step, i) => stepMatches(step, recent[i]))) {
+      e.preventDefault()
+      shortcutKeys = []
+      entry.run(e)
+      return
+    }
+  }
+}
+
+function parseShortcut(shortcut) {
+  return shortcut.trim().split(/\s+/).map(combo => {
+    const parts = combo.toLowerCase().split("+")
+    // "mod++" means the plus key itself
+    const key = parts[parts.length - 1] || "+"
+    const mods = parts.slice(0, -1)
+    const mod = mods.includes("mod")
+
+    return {
+      key: KEY_ALIASES[key] || key,
+      ctrl: mods.includes("ctrl") || (mod && !isMac),
+      meta: mods.includes("meta") || mods.includes("cmd") || (mod && isMac),
+      alt: mods.includes("alt") || mods.includes("option"),
+      shift: mods.includes("shift")
+    }
+  })
+}
+
+function stepMatches(step, e) {
+  if (e.key.toLowerCase() !== step.key) return false
+
+  // "?" and friends already imply shift on most layouts
+  const shiftMatters = step.key.length > 1 || /[a-z0-9]/.test(step.key)
+
+  return e.ctrlKey === step.ctrl &&
+    e.metaKey === step.meta &&
+    e.altKey === step.alt &&
+    (!shiftMatters || e.shiftKey === step.shift)
+}
+
+function isTypingTarget(el) {
+  if (!el || !el.closest) return false
+  if (el.isContentEditable) return true
+  if (el.matches("textarea, select")) return true
+  return el.matches("input") && !["checkbox", "radio", "button", "submit", "reset"].includes(el.type)
+}
+
+// "mod+k" → "⌘K" on macOS, "Ctrl+K" elsewhere
+function formatShortcut(shortcut) {
+  return parseShortcut(shortcut).map(step => {
+    const key = step.key === " " ? "Space" : step.key.length === 1 ? step.key.toUpperCase() : step.key[0].toUpperCase() + step.key.slice(1)
+    const mods = isMac
+      ? [step.ctrl && "⌃", step.alt && "⌥", step.shift && "⇧", step.meta && "⌘"]
+      : [step.ctrl && "Ctrl", step.alt && "Alt", step.shift && "Shift", step.meta && "Meta"]
+
+    return isMac
+      ? mods.filter(Boolean).join("") + key
+      : [...mods.filter(Boolean), key].join("+")
+  }).join(" then ")
+}
+
+// Value for the aria-keyshortcuts attribute, e.g. "Control+K" or "G I"
+function ariaShortcut(shortcut) {
+  return parseShortcut(shortcut).map(step => [
+    step.ctrl && "Control",
+    step.alt && "Alt",
+    step.shift && "Shift",
+    step.meta && "Meta",
+    step.key === " " ? "Space" : step.key.length === 1 ? step.key.toUpperCase() : step.key[0].toUpperCase() + step.key.slice(1)
+  ].filter(Boolean).join("+")).join(" ")
+}
+
+/**
+ * Shortcuts - Declare keyboard shortcuts in templates
+ *
+ * Use case: "mod+k" to search, "g i" to go to the inbox, "n" for new item
+ *
+ * Every [data-shortcut] element inside the hook element (and the element
+ * itself) becomes a binding. When it fires, the hook pushes
+ * data-shortcut-event to the LiveView (to phx-target if the element has one),
+ * or clicks/focuses the element when no event is given.
+ *
+ * Bindings are skipped while the user types in an input unless they use
+ * ctrl/cmd/alt or carry data-shortcut-allow-in-input. While a dialog is open
+ * only bindings inside that dialog fire. With data-shortcut-scope="region"
+ * on the hook element, bindings only fire while focus is inside it.
+ *
+ * Options (data attributes on each bound element):
+ * - data-shortcut              "mod+k", "g i", "shift+?", "esc"...
+ * - data-shortcut-event        Event pushed to the server
+ * - data-shortcut-description  Text for the ShortcutHelp overlay (defaults to the label)
+ * - data-shortcut-group        Group heading in the overlay
+ *
+ * Server side:
+ * def handle_event("new_report", %{"shortcut" => _}, socket) do
+ *   {:noreply, push_navigate(socket, to: ~p"/reports/new")}
+ * end
+ *
+ * Example:
+ * <nav phx-hook="Shortcuts" id="app-shortcuts">
+ *   <.link navigate={~p"/inbox"} data-shortcut="g i" data-shortcut-group="Navigation">Inbox</.link>
+ *   <button phx-click="new_report" data-shortcut="n" data-shortcut-event="new_report">
+ *     New report
+ *   </button>
+ *   <input id="search" type="search" data-shortcut="/" data-shortcut-description="Search" />
+ * </nav>
+ */
+export const Shortcuts = defineHook({
+  schema: {
+    shortcutScope: { type: "enum", values: ["global", "region"], default: "global" }
+  },
+
+  mounted() {
+    this.region = this.options.shortcutScope === "region" ? this.el : null
+    this.bind()
+  },
+
+  updated() {
+    this.unbind()
+    this.bind()
+  },
+
+  bind() {
+    const elements = [this.el, ...this.el.querySelectorAll("[data-shortcut]")]
+      .filter(el => el.dataset.shortcut)
+
+    this.unbinds = elements.map(el => {
+      el.setAttribute("aria-keyshortcuts", ariaShortcut(el.dataset.shortcut))
+
+      return this.onCleanup(registerShortcut({
+        shortcut: el.dataset.shortcut,
+        el,
+        region: this.region,
+        description: el.dataset.shortcutDescription || el.getAttribute("aria-label") || el.textContent.trim(),
+        group: el.dataset.shortcutGroup,
+        allowInInput: el.hasAttribute("data-shortcut-allow-in-input"),
+        run: () => this.trigger(el)
+      }))
+    })
+  },
+
+  unbind() {
+    (this.unbinds || []).forEach(unbind => unbind())
+    this.unbinds = []
+  },
+
+  trigger(el) {
+    const event = el.dataset.shortcutEvent
+
+    if (!event) {
+      if (el.matches("input, textarea, select")) {
+        el.focus()
+      } else {
+        el.click()
+      }
+      return
+    }
+
+    const payload = { shortcut: el.dataset.shortcut }
+    const target = el.getAttribute("phx-target")
+    if (target) {
+      this.pushEventTo(target, event, payload)
+    } else {
+      this.pushEvent(event, payload)
+    }
+  }
+})
+
+/**
+ * CommandPalette - Fuzzy-searchable list of server-registered commands
+ *
+ * Use case: "mod+k" launcher for navigation and actions
+ *
+ * Hook a <dialog> containing an input and a results list. Commands come from
+ * data-commands (JSON) and can be replaced at any time by the server.
+ * Arrow keys move through the results, Enter runs the active command and
+ * pushes "palette_command" with its id.
+ *
+ * Commands: [%{id: "new_report", title: "New report", section: "Reports",
+ *              keywords: ["create"], shortcut: "n"}]
+ *
+ * Server side:
+ * push_event(socket, "palette_commands", %{commands: commands_for(socket.assigns.current_user)})
+ *
+ * def handle_event("palette_command", %{"id" => "new_report"}, socket) do
+ *   {:noreply, push_navigate(socket, to: ~p"/reports/new")}
+ * end
+ *
+ * Example:
+ * <dialog
+ *   id="command-palette"
+ *   class="modal"
+ *   phx-hook="CommandPalette"
+ *   phx-mounted={JS.ignore_attributes(["open"])}
+ *   data-open-shortcut="mod+k"
+ *   data-commands={Jason.encode!(@commands)}
+ * >
+ *   <div class="modal-box p-0">
+ *     <input data-palette-input class="input w-full" placeholder="Type a command…" />
+ *     <ul id="command-palette-results" data-palette-results phx-update="ignore" class="menu w-full"></ul>
+ *   </div>
+ *   <form method="dialog" class="modal-backdrop"><button>close</button></form>
+ * </dialog>
+ */
+export const CommandPalette = defineHook({
+  schema: {
+    openShortcut: { type: "string", default: "mod+k" },
+    commands: { type: "json", default: [] }
+  },
+
+  mounted() {
+    this.input = this.el.querySelector("[data-palette-input]")
+    this.list = this.el.querySelector("[data-palette-results]")
+    const missing = [!this.input && "[data-palette-input]", !this.list && "[data-palette-results]"].filter(Boolean)
+    if (missing.length > 0) {
+      reportError("CommandPalette", `CommandPalette #${this.el.id}: no ${missing.join(" or ")} inside`, this.el)
+      return
+    }
+
+    this.commands = this.options.commands
+    this.results = []
+    this.active = 0
+
+    this.input.setAttribute("role", "combobox")
+    this.input.setAttribute("aria-expanded", "true")
+    this.input.setAttribute("aria-controls", this.list.id)
+    this.input.setAttribute("aria-autocomplete", "list")
+    this.list.setAttribute("role", "listbox")
+
+    this.onCleanup(registerShortcut({
+      shortcut: this.options.openShortcut,
+      el: this.el,
+      description: "Open command palette",
+      group: "General",
+      run: () => this.toggle()
+    }))
+
+    this.handleInput = () => this.search()
+    this.handleKeydown = (e) => this.navigate(e)
+    this.handleListClick = (e) => {
+      const option = e.target.closest("[data-command-id]")
+      if (option) this.run(option.dataset.commandId)
+    }
+
+    this.listen(this.input, "input", this.handleInput)
+    this.listen(this.input, "keydown", this.handleKeydown)
+    this.listen(this.list, "click", this.handleListClick)
+
+    this.handleEvent("palette_commands", ({commands}) => {
+      this.commands = commands
+      this.search()
+    })
+  },
+
+  toggle() {
+    if (this.el.open) {
+      this.el.close()
+      return
+    }
+
+    this.input.value = ""
+    this.search()
+    this.el.showModal()
+    this.input.focus()
+  },
+
+  search() {
+    const query = this.input.value.trim()
+
+    this.results = this.commands
+      .map(command => ({ command, match: matchCommand(query, command) }))
+      .filter(({match}) => match)
+      .sort((a, b) => b.match.score - a.match.score)
+      .slice(0, 50)
+
+    this.active = 0
+    this.render()
+  },
+
+  navigate(e) {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault()
+      const step = e.key === "ArrowDown" ? 1 : -1
+      this.active = (this.active + step + this.results.length) % Math.max(this.results.length, 1)
+      this.render()
+    } else if (e.key === "Enter") {
+      e.preventDefault()
+      const result = this.results[this.active]
+      if (result) this.run(result.command.id)
+    }
+  },
+
+  run(id) {
+    this.el.close()
+    this.pushEvent("palette_command", { id })
+  },
+
+  render() {
+    this.list.replaceChildren(...this.results.map(({command, match}, index) => {
+      const option = document.createElement("li")
+      option.id = `${this.list.id}-${index}`
+      option.setAttribute("role", "option")
+      option.setAttribute("aria-selected", String(index === this.active))
+      option.dataset.commandId = command.id
+
+      const link = document.createElement("a")
+      link.className = index === this.active ? "menu-active active flex justify-between" : "flex justify-between"
+      link.append(highlightMatch(command.title, match.positions))
+
+      if (command.shortcut) {
+        const kbd = document.createElement("kbd")
+        kbd.className = "kbd kbd-sm"
+        kbd.textContent = formatShortcut(command.shortcut)
+        link.append(kbd)
+      }
+
+      option.append(link)
+      return option
+    }))
+
+    const active = this.results[this.active]
+    if (active) {
+      this.input.setAttribute("aria-activedescendant", `${this.list.id}-${this.active}`)
+      this.list.children[this.active].scrollIntoView({ block: "nearest" })
+    } else {
+      this.input.removeAttribute("aria-activedescendant")
+    }
+  }
+})
+
+// Match against the title first, then section and keywords (no highlight)
+function matchCommand(query, command) {
+  if (!query) return { score: 0, positions: [] }
+
+  const title = fuzzyMatch(query, command.title)
+  if (title) return title
+
+  const extra = [command.section, ...(command.keywords || [])].filter(Boolean)
+  for (const text of extra) {
+    const match = fuzzyMatch(query, text)
+    if (match) return { score: match.score / 2, positions: [] }
+  }
+  return null
+}
+
+// Characters of the query must appear in order; consecutive characters and
+// characters at the start of a word score higher
+function fuzzyMatch(query, text) {
+  const q = query.toLowerCase().replace(/\s+/g, "")
+  const t = text.toLowerCase()
+  const positions = []
+  let score = 0
+  let from = 0
+
+  for (const char of q) {
+    const index = t.indexOf(char, from)
+    if (index === -1) return null
+
+    score += 1
+    if (index === positions[positions.length - 1] + 1) score += 2
+    if (index === 0 || /[\s_\-/:.]/.test(t[index - 1])) score += 3
+
+    positions.push(index)
+    from = index + 1
+  }
+
+  // Prefer shorter titles when scores tie
+  return { score: score - t.length / 100, positions }
+}
+
+function highlightMatch(text, positions) {
+  const span = document.createElement("span")
+  const hits = new Set(positions)
+
+  for (let i = 0; i < text.length; i++) {
+    if (hits.has(i)) {
+      const mark = document.createElement("mark")
+      mark.textContent = text[i]
+      span.append(mark)
+    } else {
+      span.append(text[i])
+    }
+  }
+  return span
+}
+
+/**
+ * ShortcutHelp - Overlay listing the shortcuts that are active right now
+ *
+ * Use case: "?" to show available keys on any page
+ *
+ * Built from the shortcut registry when opened, so it always matches the
+ * current page, focused region and open dialogs. Bindings without a
+ * description are left out.
+ *
+ * Example:
+ * <dialog id="shortcut-help" class="modal" phx-hook="ShortcutHelp" data-open-shortcut="shift+?">
+ *   <div class="modal-box">
+ *     <h3 class="font-bold text-lg">Keyboard shortcuts</h3>
+ *     <div id="shortcut-help-list" data-shortcut-help-list phx-update="ignore"></div>
+ *   </div>
+ *   <form method="dialog" class="modal-backdrop"><button>close</button></form>
+ * </dialog>
+ */
+export const ShortcutHelp = defineHook({
+  schema: {
+    openShortcut: { type: "string", default: "shift+?" }
+  },
+
+  mounted() {
+    this.list = this.el.querySelector("[data-shortcut-help-list]")
+
+    this.onCleanup(registerShortcut({
+      shortcut: this.options.openShortcut,
+      el: this.el,
+      description: "Show keyboard shortcuts",
+      group: "General",
+      run: () => this.toggle()
+    }))
+  },
+
+  toggle() {
+    if (this.el.open) {
+      this.el.close()
+      return
+    }
+
+    // Collect before opening: the open dialog would narrow the active set
+    this.render(activeShortcuts().filter(entry => entry.description))
+    this.el.showModal()
+  },
+
+  render(entries) {
+    const groups = new Map()
+    for (const entry of entries) {
+      const group = entry.group || "General"
+      if (!groups.has(group)) groups.set(group, [])
+      groups.get(group).push(entry)
+    }
+
+    this.list.replaceChildren(...[...groups].map(([group, entries]) => {
+      const section = document.createElement("section")
+      const heading = document.createElement("h4")
+      heading.className = "font-semibold mt-4 mb-2"
+      heading.textContent = group
+
+      const dl = document.createElement("dl")
+      dl.className = "grid grid-cols-[1fr_auto] gap-2"
+      for (const entry of entries) {
+        const dt = document.createElement("dt")
+        dt.textContent = entry.description
+        const dd = document.createElement("dd")
+        const kbd = document.createElement("kbd")
+        kbd.className = "kbd kbd-sm"
+        kbd.textContent = formatShortcut(entry.shortcut)
+        dd.append(kbd)
+        dl.append(dt, dd)
+      }
+
+      section.append(heading, dl)
+      return section
+    }))
+  }
+})
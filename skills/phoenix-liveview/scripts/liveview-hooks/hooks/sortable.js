@@ -0,0 +1,569 @@
+import { defineHook } from "../define-hook.js"
+
+/**
+ * Sortable - Drag-and-drop reordering for lists, streams and kanban boards
+ *
+ * Use case: Reorder priorities, move cards between columns
+ *
+ * - Pointer events for mouse, pen and touch; on touch, a drag starts after a
+ *   long press so the page still scrolls, or right away from a data-handle
+ *   element. Handles get touch-action: none (put it in the markup too, so it
+ *   holds before the hook mounts)
+ * - Keyboard: Space or Enter picks the focused item up, arrow keys move it
+ *   (across to the neighbouring connected list too), Space or Enter drops it
+ *   and Escape puts it back. Every step is announced to screen readers
+ * - Lists with the same data-group are connected: items move between them
+ * - A placeholder (.sortable-placeholder) holds the drop position; the item
+ *   itself follows the pointer with .sortable-dragging. Lists scroll when the
+ *   pointer nears their edges
+ * - A drop sends "reposition" (to phx-target if the list has one) and puts
+ *   the item back where it came from if the reply is %{ok: false}
+ *
+ * Options (data attributes on the list):
+ * - data-group           Lists sharing a group exchange items
+ * - data-list-id         Sent as from/to, defaults to the list's id
+ * - data-items           Selector for the items, defaults to children with an id
+ * - data-handle          Selector inside an item that starts a drag
+ * - data-axis            "y" (default) or "x" for horizontal lists
+ * - data-event           Defaults to "reposition"
+ * - data-scroll-margin   Distance from an edge that scrolls the list, defaults to 40px
+ * - data-touch-delay     Long press before a touch drag starts, defaults to 200ms
+ * - data-disabled        Turn dragging off
+ *
+ * Item ids are the item's data-id, else its id ("todo-42" for stream items).
+ *
+ * Server side:
+ * # The item already sits where it was dropped; only a rejection changes the page
+ * def handle_event("reposition", %{"id" => "todo-" <> id, "to" => status, "index" => index}, socket) do
+ *   case Tasks.move(id, status, index) do
+ *     {:ok, _task} -> {:reply, %{ok: true}, socket}
+ *     {:error, _} -> {:reply, %{ok: false}, put_flash(socket, :error, "Could not move the task")}
+ *   end
+ * end
+ *
+ * Example:
+ * <div class="flex gap-4">
+ *   <ul id="todo" phx-update="stream" phx-hook="Sortable" data-group="board"
+ *       class="menu bg-base-200 rounded-box w-64 min-h-24">
+ *     <li :for={{dom_id, task} <- @streams.todo} id={dom_id} class="card bg-base-100 p-2"><%= task.title %></li>
+ *   </ul>
+ *   <ul id="done" phx-update="stream" phx-hook="Sortable" data-group="board"
+ *       class="menu bg-base-200 rounded-box w-64 min-h-24">
+ *     <li :for={{dom_id, task} <- @streams.done} id={dom_id} class="card bg-base-100 p-2"><%= task.title %></li>
+ *   </ul>
+ * </div>
+ *
+ * With a handle (touch-none is touch-action: none):
+ * <ul id="priorities" phx-update="stream" phx-hook="Sortable" data-handle="[data-drag-handle]">
+ *   <li :for={{dom_id, item} <- @streams.priorities} id={dom_id} class="flex items-center gap-2">
+ *     <button type="button" data-drag-handle class="btn btn-ghost btn-xs cursor-grab touch-none"
+ *             aria-label={"Move #{item.title}"}>⠿</button>
+ *     <%= item.title %>
+ *   </li>
+ * </ul>
+ */
+
+// Mounted lists per group, for moving items between them
+const groups = new Map()
+
+// The list whose item is being dragged; one drag at a time per page
+let active = null
+
+// Distance the pointer moves before a press becomes a drag, in px
+const DRAG_THRESHOLD = 4
+
+export const Sortable = defineHook({
+  schema: {
+    group: { type: "string" },
+    listId: { type: "string" },
+    items: { type: "string" },
+    handle: { type: "string" },
+    axis: { type: "enum", values: ["y", "x"], default: "y" },
+    event: { type: "string", default: "reposition" },
+    scrollMargin: { type: "integer", min: 0, default: 40 },
+    touchDelay: { type: "integer", min: 0, default: 200 },
+    disabled: { type: "boolean", default: false }
+  },
+
+  mounted() {
+    this.press = null
+    this.drag = null
+    this.offline = false
+
+    this.join()
+    this.prepareItems()
+
+    this.listen(this.el, "pointerdown", (e) => this.handlePointerDown(e))
+    this.listen(this.el, "keydown", (e) => this.handleKeydown(e))
+    this.observe(new MutationObserver(() => this.prepareItems()), this.el, { childList: true })
+  },
+
+  updated() {
+    // The group may have changed with the patch
+    this.leave()
+    this.join()
+    this.prepareItems()
+  },
+
+  destroyed() {
+    if (this.drag) this.cancel()
+    this.leave()
+  },
+
+  disconnected() {
+    // A drop now could not be confirmed; put the item back
+    this.offline = true
+    this.cancelPress()
+    if (this.drag) this.cancel()
+  },
+
+  reconnected() {
+    this.offline = false
+  },
+
+  // ---------------------------------------------------------------------------
+  // Lists and items
+  // ---------------------------------------------------------------------------
+
+  join() {
+    this.group = this.options.group || null
+    if (!this.group) return
+    if (!groups.has(this.group)) groups.set(this.group, new Set())
+    groups.get(this.group).add(this)
+  },
+
+  leave() {
+    const lists = this.group && groups.get(this.group)
+    if (!lists) return
+    lists.delete(this)
+    if (lists.size === 0) groups.delete(this.group)
+  },
+
+  // Lists an item from here may move to, in document order
+  connectedLists() {
+    if (!this.group) return [this]
+    return Array.from(groups.get(this.group))
+      .filter(list => list.el.isConnected && !list.options.disabled)
+      .sort((a, b) => a.el.compareDocumentPosition(b.el) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1)
+  },
+
+  listId() {
+    return this.options.listId || this.el.id
+  },
+
+  items() {
+    const items = this.options.items
+      ? Array.from(this.el.querySelectorAll(this.options.items))
+      : Array.from(this.el.children).filter(child => child.id)
+    return items.filter(item => !item.classList.contains("sortable-placeholder"))
+  },
+
+  itemFor(el) {
+    return this.items().find(item => item.contains(el)) || null
+  },
+
+  itemId(item) {
+    return item.dataset.id || item.id
+  },
+
+  // Keyboard users need something to focus: the handle, or the item itself.
+  // A touch on a handle drags at once, so the browser must not pan from it
+  prepareItems() {
+    for (const item of this.items()) {
+      if (!this.options.handle) {
+        if (!item.hasAttribute("tabindex")) item.setAttribute("tabindex", "0")
+        continue
+      }
+      for (const handle of item.querySelectorAll(this.options.handle)) {
+        if (!handle.style.touchAction) handle.style.touchAction = "none"
+      }
+    }
+  },
+
+  // ---------------------------------------------------------------------------
+  // Pointer dragging
+  // ---------------------------------------------------------------------------
+
+  handlePointerDown(e) {
+    if (this.options.disabled || this.offline || active || this.press) return
+    if (e.button !== 0 || e.isPrimary === false) return
+
+    const item = this.itemFor(e.target)
+    if (!item) return
+
+    const handle = this.options.handle && e.target.closest(this.options.handle)
+    if (this.options.handle && !(handle && item.contains(handle))) return
+    // Without a handle, leave controls inside the item working
+    if (!this.options.handle && e.target !== item && e.target.closest("input, textarea, select, button, a[href]")) return
+
+    const press = { item, pointerId: e.pointerId, x: e.clientX, y: e.clientY, ready: true, stop: [] }
+    this.press = press
+
+    if (e.pointerType === "touch" && !handle) {
+      press.ready = false
+      press.timer = this.setTimeout(() => { press.ready = true }, this.options.touchDelay)
+    }
+
+    press.stop.push(
+      this.listen(document, "pointermove", (e) => this.handlePointerMove(e)),
+      this.listen(document, "pointerup", (e) => this.handlePointerUp(e)),
+      this.listen(document, "pointercancel", () => this.drag ? this.cancel() : this.cancelPress()),
+      this.listen(document, "keydown", (e) => {
+        if (e.key !== "Escape" || !this.drag) return
+        e.preventDefault()
+        this.cancel()
+      }),
+      // Once the long press is over the page must not pan: that would cancel
+      // the pointer before the drag starts
+      this.listen(document, "touchmove", (e) => { if (press.ready) e.preventDefault() }, { passive: false })
+    )
+  },
+
+  handlePointerMove(e) {
+    const press = this.press
+    if (!press || (e.pointerId !== undefined && e.pointerId !== press.pointerId)) return
+
+    if (!this.drag) {
+      const distance = Math.hypot(e.clientX - press.x, e.clientY - press.y)
+      if (distance < DRAG_THRESHOLD) return
+      // Moved before the long press: the finger is scrolling
+      if (!press.ready) return this.cancelPress()
+      this.start(press.item, { x: press.x, y: press.y })
+    }
+
+    e.preventDefault()
+    this.drag.pointer = { x: e.clientX, y: e.clientY }
+    this.follow()
+    this.placeAt(this.drag.pointer)
+  },
+
+  handlePointerUp(e) {
+    const press = this.press
+    if (!press || (e.pointerId !== undefined && e.pointerId !== press.pointerId)) return
+
+    if (this.drag) {
+      this.drop()
+    } else {
+      this.cancelPress()
+    }
+  },
+
+  cancelPress() {
+    const press = this.press
+    if (!press) return
+    this.clearTimeout(press.timer)
+    press.stop.forEach(stop => stop())
+    this.press = null
+  },
+
+  // Lift `item` out of the list, leaving a placeholder in its place
+  start(item, pointer = null) {
+    const rect = item.getBoundingClientRect()
+    const placeholder = document.createElement(item.tagName)
+    placeholder.className = "sortable-placeholder"
+    placeholder.setAttribute("aria-hidden", "true")
+    placeholder.style.height = `${rect.height}px`
+    if (this.options.axis === "x") placeholder.style.width = `${rect.width}px`
+
+    active = this
+    this.drag = {
+      item,
+      placeholder,
+      pointer,
+      from: { list: this, parent: item.parentNode, next: item.nextSibling, index: this.items().indexOf(item) },
+      offset: pointer ? { x: pointer.x - rect.left, y: pointer.y - rect.top } : null,
+      style: item.getAttribute("style"),
+      list: this,
+      frame: null
+    }
+
+    item.after(placeholder)
+    // Keyboard moves carry the item itself; the placeholder only marks the spot
+    placeholder.hidden = !pointer
+    item.classList.add("sortable-dragging")
+    item.setAttribute("aria-grabbed", "true")
+
+    if (pointer) {
+      // Out of the flow, following the pointer
+      Object.assign(item.style, {
+        position: "fixed",
+        left: `${rect.left}px`,
+        top: `${rect.top}px`,
+        width: `${rect.width}px`,
+        height: `${rect.height}px`,
+        zIndex: "1000",
+        pointerEvents: "none",
+        userSelect: "none",
+        margin: "0"
+      })
+      this.drag.frame = this.requestAnimationFrame(() => this.autoScroll())
+    }
+  },
+
+  follow() {
+    const { item, pointer, offset } = this.drag
+    item.style.left = `${pointer.x - offset.x}px`
+    item.style.top = `${pointer.y - offset.y}px`
+  },
+
+  // Move the placeholder to where the pointer would drop the item
+  placeAt(pointer) {
+    const list = this.listAt(pointer) || this.drag.list
+    const horizontal = list.options.axis === "x"
+    const before = list.items().find(other => {
+      if (other === this.drag.item) return false
+      const rect = other.getBoundingClientRect()
+      return horizontal
+        ? pointer.x < rect.left + rect.width / 2
+        : pointer.y < rect.top + rect.height / 2
+    })
+
+    this.movePlaceholder(list, before || null)
+  },
+
+  listAt({x, y}) {
+    return this.connectedLists().find(list => {
+      const rect = list.el.getBoundingClientRect()
+      return x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom
+    })
+  },
+
+  movePlaceholder(list, before) {
+    const { placeholder } = this.drag
+    this.drag.list = list
+
+    if (before) {
+      if (placeholder.nextSibling !== before) before.before(placeholder)
+    } else {
+      const items = list.items().filter(other => other !== this.drag.item)
+      const last = items[items.length - 1]
+      if (last) {
+        last.after(placeholder)
+      } else {
+        list.el.appendChild(placeholder)
+      }
+    }
+  },
+
+  // Scroll the list under the pointer (or the page) while near an edge
+  autoScroll() {
+    const drag = this.drag
+    if (!drag || !drag.pointer) return
+
+    const margin = this.options.scrollMargin
+    const { x, y } = drag.pointer
+    const speed = (distance) => distance >= 0 && distance < margin ? Math.ceil((margin - distance) / margin * 20) : 0
+
+    const list = this.listAt(drag.pointer) || drag.list
+    const rect = list.el.getBoundingClientRect()
+    const dy = speed(y - rect.top) ? -speed(y - rect.top) : speed(rect.bottom - y)
+    const dx = speed(x - rect.left) ? -speed(x - rect.left) : speed(rect.right - x)
+
+    let scrolled = false
+    if (dy && list.el.scrollHeight > list.el.clientHeight) {
+      list.el.scrollTop += dy
+      scrolled = true
+    }
+    if (dx && list.el.scrollWidth > list.el.clientWidth) {
+      list.el.scrollLeft += dx
+      scrolled = true
+    }
+
+    const pageDy = speed(y) ? -speed(y) : speed(window.innerHeight - y)
+    if (pageDy) {
+      window.scrollBy(0, pageDy)
+      scrolled = true
+    }
+
+    if (scrolled) this.placeAt(drag.pointer)
+    drag.frame = this.requestAnimationFrame(() => this.autoScroll())
+  },
+
+  // Put the item where the placeholder is and report the move
+  drop() {
+    const drag = this.drag
+    const { item, placeholder, from } = drag
+    const to = drag.list
+
+    placeholder.replaceWith(item)
+    this.release()
+
+    const index = to.items().indexOf(item)
+    if (to === from.list && index === from.index) {
+      this.announce(`${this.label(item)} dropped, position unchanged.`)
+      return
+    }
+
+    this.announce(`${this.label(item)} dropped at position ${index + 1} of ${to.items().length}.`)
+
+    const payload = {
+      id: this.itemId(item),
+      from: from.list.listId(),
+      to: to.listId(),
+      index,
+      old_index: from.index
+    }
+
+    const target = to.el.getAttribute("phx-target")
+    const push = target
+      ? (...args) => to.pushEventTo(target, ...args)
+      : (...args) => to.pushEvent(...args)
+
+    push(to.options.event, payload, (reply) => {
+      if (reply && (reply.ok === false || reply.error)) {
+        this.putBack(item, from)
+        this.announce(`${this.label(item)} could not be moved and went back to position ${from.index + 1}.`)
+      }
+    })
+  },
+
+  // Abandon the drag: the item goes back where it was
+  cancel() {
+    const { item, placeholder, from } = this.drag
+    placeholder.remove()
+    this.release()
+    this.putBack(item, from)
+    this.announce(`Move cancelled. ${this.label(item)} is back at position ${from.index + 1}.`)
+  },
+
+  release() {
+    const { item, style, frame } = this.drag
+    this.cancelAnimationFrame(frame)
+
+    item.classList.remove("sortable-dragging")
+    item.removeAttribute("aria-grabbed")
+    if (style === null) {
+      item.removeAttribute("style")
+    } else {
+      item.setAttribute("style", style)
+    }
+
+    if (this.drag.stopKeys) this.drag.stopKeys()
+    this.drag = null
+    active = null
+    this.cancelPress()
+  },
+
+  putBack(item, {parent, next}) {
+    if (!parent.isConnected) return
+    // The old neighbour may be gone by now; then the end of the list will do
+    if (next && next.parentNode === parent) {
+      parent.insertBefore(item, next)
+    } else {
+      parent.appendChild(item)
+    }
+  },
+
+  // ---------------------------------------------------------------------------
+  // Keyboard dragging
+  // ---------------------------------------------------------------------------
+
+  handleKeydown(e) {
+    if (this.options.disabled || this.offline || active) return
+    if (e.key !== " " && e.key !== "Enter") return
+
+    const item = this.itemFor(e.target)
+    if (!item) return
+    // Space and Enter in a field or on a button inside the item keep their meaning
+    const handle = this.options.handle && e.target.closest(this.options.handle)
+    if (e.target !== item && !(handle && item.contains(handle))) return
+
+    e.preventDefault()
+    this.start(item)
+    // The item may travel to another list, out of this.el
+    this.drag.stopKeys = this.listen(document, "keydown", (e) => this.handleDragKeydown(e), { capture: true })
+    this.announce(`${this.label(item)} grabbed, position ${this.drag.from.index + 1} of ${this.items().length}. ` +
+      "Use the arrow keys to move, Space to drop, Escape to cancel.")
+  },
+
+  handleDragKeydown(e) {
+    const { item, list } = this.drag
+    const horizontal = list.options.axis === "x"
+    const along = horizontal ? { ArrowLeft: -1, ArrowRight: 1 } : { ArrowUp: -1, ArrowDown: 1 }
+    const across = horizontal ? { ArrowUp: -1, ArrowDown: 1 } : { ArrowLeft: -1, ArrowRight: 1 }
+
+    if (e.key === " " || e.key === "Enter") {
+      this.drop()
+    } else if (e.key === "Escape") {
+      this.cancel()
+    } else if (e.key in along) {
+      this.step(along[e.key])
+    } else if (e.key in across) {
+      this.stepAcross(across[e.key])
+    } else if (e.key === "Tab") {
+      this.cancel()
+      return
+    } else {
+      return
+    }
+
+    e.preventDefault()
+    e.stopPropagation()
+    if (item.isConnected) item.focus()
+  },
+
+  step(direction) {
+    const { item, list } = this.drag
+    const items = list.items().filter(other => other !== item)
+    const current = this.placeholderIndex()
+    const next = Math.min(Math.max(current + direction, 0), items.length)
+    if (next === current) return
+
+    this.movePlaceholder(list, items[next] || null)
+    this.carry()
+  },
+
+  stepAcross(direction) {
+    const lists = this.connectedLists()
+    const list = lists[lists.indexOf(this.drag.list) + direction]
+    if (!list) return
+
+    const items = list.items().filter(other => other !== this.drag.item)
+    const index = Math.min(this.placeholderIndex(), items.length)
+    this.movePlaceholder(list, items[index] || null)
+    this.carry()
+  },
+
+  // Position of the placeholder among the other items of its list
+  placeholderIndex() {
+    const { item, placeholder, list } = this.drag
+    return list.items()
+      .filter(other => other !== item && other.compareDocumentPosition(placeholder) & Node.DOCUMENT_POSITION_FOLLOWING)
+      .length
+  },
+
+  carry() {
+    const { item, placeholder, list } = this.drag
+    placeholder.before(item)
+
+    const index = list.items().indexOf(item)
+    const count = list.items().length
+    this.announce(`Position ${index + 1} of ${count}${list === this ? "" : ` in ${list.label()}`}.`)
+  },
+
+  // ---------------------------------------------------------------------------
+  // Announcements
+  // ---------------------------------------------------------------------------
+
+  label(item = null) {
+    if (!item) return this.el.getAttribute("aria-label") || this.listId()
+    return item.dataset.sortableLabel || item.textContent.trim().replace(/\s+/g, " ").slice(0, 80)
+  },
+
+  announce(message) {
+    liveRegion().textContent = message
+  }
+})
+
+let region = null
+
+// One polite live region for every sortable list on the page
+function liveRegion() {
+  if (!region || !region.isConnected) {
+    region = document.createElement("div")
+    region.setAttribute("aria-live", "polite")
+    region.className = "sr-only"
+    document.body.appendChild(region)
+  }
+  return region
+}
@@ -0,0 +1,313 @@
+import { defineHook } from "../define-hook.js"
+import { reportWarning } from "../telemetry.js"
+
+/**
+ * StateStore - Namespaced client state, synced across tabs and to the server
+ *
+ * Use case: Remember user preferences, filters and form state
+ *
+ * Replaces the old LocalStorage hook (still exported under that name). With
+ * data-migrate-legacy, a plain value the old hook left under the bare key is
+ * moved into the namespace on first load. It is opt-in because nothing marks
+ * such a value as the old hook's: another script may own that key.
+ * The hook element is either a single input or a container (usually a form):
+ * a single input stores its own value, a container stores an object keyed by
+ * the `name` of every input, select and textarea inside it.
+ *
+ * Stored values:
+ * - text inputs, textareas, selects  → string
+ * - checkbox / lone radio           → boolean
+ * - checkboxes sharing a name       → list of checked values
+ * - radio group                     → checked value (or null)
+ * - select multiple                 → list of selected values
+ * - [data-store-json] inputs        → parsed JSON
+ * Fields marked data-store-ignore, passwords and file inputs are skipped.
+ *
+ * Options (data attributes on the hook element):
+ * - data-storage-key   Required, key inside the namespace (data-key also works)
+ * - data-namespace     Defaults to "lv"; entries live at "<namespace>:<key>"
+ * - data-version="1"   Schema version, see registerStoreMigrations/2
+ * - data-ttl           Seconds until an untouched entry expires
+ * - data-event         Server event name, defaults to "store_sync"
+ * - data-migrate-legacy  Take over the old LocalStorage hook's value under
+ *                      the bare key (see above)
+ *
+ * Changes made in other tabs are applied live (BroadcastChannel, or `storage`
+ * events where it is missing). The stored state is pushed to the server on
+ * mount, on reconnect and after a change from another tab:
+ *
+ * def handle_event("store_sync", %{"key" => "prefs", "value" => prefs}, socket) do
+ *   {:noreply, assign(socket, :prefs, prefs)}
+ * end
+ *
+ * The server can write to the store as well:
+ * push_event(socket, "store_put", %{key: "prefs", value: %{"density" => "compact"}})
+ *
+ * Example:
+ * <form
+ *   phx-hook="StateStore"
+ *   id="table-prefs"
+ *   data-storage-key="table-prefs"
+ *   data-version="2"
+ *   data-ttl="2592000"
+ * >
+ *   <input type="checkbox" name="show_archived" />
+ *   <select name="columns" multiple>...</select>
+ * </form>
+ */
+export const StateStore = defineHook({
+  schema: {
+    // data-key is what the old LocalStorage hook's examples used
+    storageKey: { type: "string", required: true, alias: "key" },
+    namespace: { type: "string", default: "lv" },
+    version: { type: "integer", min: 1, default: 1 },
+    ttl: { type: "integer", min: 1 },
+    event: { type: "string", default: "store_sync" },
+    migrateLegacy: { type: "boolean", default: false }
+  },
+
+  mounted() {
+    this.key = this.options.storageKey
+    this.namespace = this.options.namespace
+    this.version = this.options.version
+    this.ttl = this.options.ttl ? this.options.ttl * 1000 : null
+    this.event = this.options.event
+    this.storageKey = `${this.namespace}:${this.key}`
+
+    const saved = this.load()
+    if (saved !== undefined) {
+      writeStoreState(this.el, saved)
+      this.pushState("mount")
+    }
+
+    // Text inputs fire "input", checkboxes/radios/selects fire "change"
+    this.handleChange = () => this.save()
+    this.listen(this.el, "input", this.handleChange)
+    this.listen(this.el, "change", this.handleChange)
+
+    this.handleEvent("store_put", ({key, value}) => {
+      if (key !== this.key) return
+      writeStoreState(this.el, value)
+      this.save()
+    })
+
+    if (typeof BroadcastChannel !== "undefined") {
+      this.channel = new BroadcastChannel(`phx-store:${this.namespace}`)
+      this.channel.onmessage = ({data}) => {
+        if (data.key === this.key) this.applyRemote(data.value)
+      }
+      this.onCleanup(() => this.channel.close())
+    } else {
+      this.handleStorage = (e) => {
+        if (e.key !== this.storageKey || e.newValue === null) return
+        const value = this.load()
+        if (value !== undefined) this.applyRemote(value)
+      }
+      this.listen(window, "storage", this.handleStorage)
+    }
+  },
+
+  reconnected() {
+    // The server re-mounted with default assigns; send it our state again
+    const saved = this.load()
+    if (saved !== undefined) this.pushState("reconnect")
+  },
+
+  load() {
+    let raw = localStorage.getItem(this.storageKey)
+    if (raw === null && this.options.migrateLegacy) raw = this.adoptLegacyValue()
+    if (raw === null) return undefined
+
+    let entry
+    try {
+      entry = JSON.parse(raw)
+    } catch (_err) {
+      // Not ours: keep it as a plain string
+      entry = raw
+    }
+
+    if (!entry || typeof entry !== "object" || !("v" in entry)) {
+      entry = { v: 1, data: entry }
+    }
+
+    if (entry.exp && Date.now() > entry.exp) {
+      localStorage.removeItem(this.storageKey)
+      return undefined
+    }
+
+    if (entry.v === this.version) return entry.data
+
+    const data = migrateStoreEntry(this.key, entry, this.version)
+    if (data === undefined) {
+      reportWarning("StateStore", `StateStore: dropping "${this.storageKey}" (cannot migrate v${entry.v} to v${this.version})`)
+      localStorage.removeItem(this.storageKey)
+    }
+    return data
+  },
+
+  // The old LocalStorage hook kept the raw value under the bare key
+  adoptLegacyValue() {
+    const legacy = localStorage.getItem(this.key)
+    if (legacy === null) return null
+
+    const raw = JSON.stringify({ v: 1, exp: null, data: legacy })
+    try {
+      localStorage.setItem(this.storageKey, raw)
+      localStorage.removeItem(this.key)
+    } catch (err) {
+      reportWarning("StateStore", `StateStore: could not move "${this.key}" to "${this.storageKey}":`, err)
+    }
+    return raw
+  },
+
+  save() {
+    const value = readStoreState(this.el)
+    const entry = {
+      v: this.version,
+      exp: this.ttl ? Date.now() + this.ttl : null,
+      data: value
+    }
+
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(entry))
+    } catch (err) {
+      // Quota exceeded or storage disabled (private mode)
+      reportWarning("StateStore", `StateStore: could not save "${this.storageKey}":`, err)
+    }
+
+    if (this.channel) this.channel.postMessage({ key: this.key, value })
+  },
+
+  applyRemote(value) {
+    writeStoreState(this.el, value)
+    this.pushState("tab")
+  },
+
+  pushState(source) {
+    this.pushEvent(this.event, {
+      key: this.key,
+      value: readStoreState(this.el),
+      source
+    })
+  }
+})
+
+// StateStore helpers
+
+const storeMigrations = {}
+
+/**
+ * Register schema migrations for a StateStore key.
+ *
+ * Each function upgrades the stored value from the previous version to the
+ * version it is registered under. Entries that can't be brought up to the
+ * element's data-version are dropped.
+ *
+ * registerStoreMigrations("table-prefs", {
+ *   2: (prefs) => ({ ...prefs, columns: prefs.columns || [] })
+ * })
+ */
+export function registerStoreMigrations(key, migrations) {
+  storeMigrations[key] = { ...storeMigrations[key], ...migrations }
+}
+
+function migrateStoreEntry(key, {v, data}, version) {
+  const migrations = storeMigrations[key] || {}
+  if (v > version) return undefined
+
+  for (let next = v + 1; next <= version; next++) {
+    if (typeof migrations[next] !== "function") return undefined
+    data = migrations[next](data)
+  }
+  return data
+}
+
+function storeFields(root) {
+  if (root.matches("input, select, textarea")) return [root]
+
+  return Array.from(root.querySelectorAll("input[name], select[name], textarea[name]"))
+    .filter(field => !field.hasAttribute("data-store-ignore"))
+    .filter(field => field.type !== "password" && field.type !== "file")
+}
+
+function groupFields(fields) {
+  const groups = new Map()
+  for (const field of fields) {
+    if (!groups.has(field.name)) groups.set(field.name, [])
+    groups.get(field.name).push(field)
+  }
+  return groups
+}
+
+export function readStoreState(root) {
+  const fields = storeFields(root)
+  if (fields[0] === root) return readField(root, [root])
+
+  const state = {}
+  for (const [name, group] of groupFields(fields)) {
+    state[name] = readField(group[0], group)
+  }
+  return state
+}
+
+export function writeStoreState(root, state) {
+  const fields = storeFields(root)
+  if (fields[0] === root) {
+    writeField(root, [root], state)
+    return
+  }
+
+  if (!state || typeof state !== "object") return
+
+  for (const [name, group] of groupFields(fields)) {
+    if (name in state) group.forEach(field => writeField(field, group, state[name]))
+  }
+}
+
+function readField(field, group) {
+  if (field.type === "radio") {
+    if (group.length === 1) return field.checked
+    const checked = group.find(f => f.checked)
+    return checked ? checked.value : null
+  }
+
+  if (field.type === "checkbox") {
+    if (group.length === 1) return field.checked
+    return group.filter(f => f.checked).map(f => f.value)
+  }
+
+  if (field.multiple) {
+    return Array.from(field.selectedOptions, option => option.value)
+  }
+
+  if (field.hasAttribute("data-store-json")) {
+    try {
+      return JSON.parse(field.value)
+    } catch (_err) {
+      return null
+    }
+  }
+
+  return field.value
+}
+
+function writeField(field, group, value) {
+  if (field.type === "radio" || field.type === "checkbox") {
+    if (group.length === 1) {
+      field.checked = value === true || value === "true"
+    } else if (Array.isArray(value)) {
+      field.checked = value.includes(field.value)
+    } else {
+      field.checked = field.value === value
+    }
+  } else if (field.multiple) {
+    const selected = Array.isArray(value) ? value : [value]
+    Array.from(field.options).forEach(option => {
+      option.selected = selected.includes(option.value)
+    })
+  } else if (field.hasAttribute("data-store-json")) {
+    field.value = JSON.stringify(value)
+  } else {
+    field.value = value == null ? "" : value
+  }
+}
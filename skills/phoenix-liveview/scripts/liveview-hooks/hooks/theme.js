@@ -0,0 +1,205 @@
+import { defineHook } from "../define-hook.js"
+import { reportWarning } from "../telemetry.js"
+
+// Shared with theme-bootstrap.js, which can't import it
+const THEME_STORAGE_KEY = "lv:theme"
+const DARK_QUERY = "(prefers-color-scheme: dark)"
+
+/**
+ * ThemeController - Light, dark, system and named DaisyUI themes
+ *
+ * Use case: The theme switcher in the navbar or the settings page
+ *
+ * The preference is "system", "light", "dark" or the name of a DaisyUI
+ * theme. "system" follows the OS setting live; "light" and "dark" map to the
+ * themes named on <html> (data-theme-light / data-theme-dark). The effective
+ * theme goes in <html data-theme>, and the preference in
+ * <html data-theme-preference> for styling the switcher itself.
+ *
+ * Pair it with theme-bootstrap.js inlined in <head>, which applies the saved
+ * preference before the first paint; see that file for the <html>
+ * attributes both read. Preferences are saved in localStorage ("lv:theme")
+ * and applied live in other tabs.
+ *
+ * Controls inside the hook element:
+ * - Radio inputs and <select>: their value is the preference
+ * - A checkbox: checked is its value (or "dark" without one), unchecked is "light"
+ * - Buttons with data-set-theme="dark": pressed state kept in aria-pressed
+ *
+ * Options (data attributes on the hook element):
+ * - data-event="theme_sync"  Server event name
+ *
+ * The effective theme is pushed to the server on mount, on reconnect and
+ * whenever it changes, so server-rendered charts and code blocks can match:
+ *
+ * def handle_event("theme_sync", %{"theme" => theme, "scheme" => scheme} = params, socket) do
+ *   # "source" is "mount", "reconnect", "user", "system", "tab" or "server"
+ *   if params["source"] == "user", do: Accounts.update_theme(socket.assigns.current_user, params["preference"])
+ *   {:noreply, assign(socket, theme: theme, color_scheme: scheme)}
+ * end
+ *
+ * To know the theme in the first connected render, send it with the connect
+ * params and read it with get_connect_params(socket)["theme"]:
+ *
+ * new LiveSocket("/live", Socket, { params: { _csrf_token: csrfToken, theme: themeState().theme }, hooks })
+ *
+ * The server can change the preference too:
+ * push_event(socket, "theme_set", %{preference: "dark"})
+ *
+ * Example:
+ * <div phx-hook="ThemeController" id="theme-switcher" class="join">
+ *   <button type="button" data-set-theme="light" class="btn btn-sm join-item">Light</button>
+ *   <button type="button" data-set-theme="dark" class="btn btn-sm join-item">Dark</button>
+ *   <button type="button" data-set-theme="system" class="btn btn-sm join-item">System</button>
+ * </div>
+ */
+export const ThemeController = defineHook({
+  schema: {
+    event: { type: "string", default: "theme_sync" }
+  },
+
+  mounted() {
+    this.last = null
+
+    this.listen(this.el, "change", (e) => {
+      const control = e.target
+      if (control.matches("input[type=checkbox]")) {
+        this.choose(control.checked ? checkboxTheme(control) : "light", "user")
+      } else if (control.matches("input[type=radio], select")) {
+        this.choose(control.value, "user")
+      }
+    })
+
+    this.listen(this.el, "click", (e) => {
+      const button = e.target.closest("[data-set-theme]")
+      if (button && this.el.contains(button)) this.choose(button.dataset.setTheme, "user")
+    })
+
+    this.listen(window.matchMedia(DARK_QUERY), "change", () => {
+      if (themeState().preference === "system") this.apply("system")
+    })
+
+    this.handleEvent("theme_set", ({preference}) => this.choose(preference, "server"))
+
+    if (typeof BroadcastChannel !== "undefined") {
+      this.channel = new BroadcastChannel(THEME_STORAGE_KEY)
+      this.channel.onmessage = () => this.apply("tab")
+      this.onCleanup(() => this.channel.close())
+    } else {
+      this.listen(window, "storage", (e) => {
+        if (e.key === THEME_STORAGE_KEY) this.apply("tab")
+      })
+    }
+
+    this.apply("mount")
+  },
+
+  reconnected() {
+    // The server re-mounted with default assigns
+    this.last = null
+    this.apply("reconnect")
+  },
+
+  choose(preference, source) {
+    if (!isPreference(preference)) {
+      reportWarning("ThemeController", `ThemeController #${this.el.id}: ignoring theme ${JSON.stringify(preference)}`)
+      return
+    }
+
+    try {
+      localStorage.setItem(THEME_STORAGE_KEY, preference)
+    } catch (err) {
+      reportWarning("ThemeController", `ThemeController: could not save the theme:`, err)
+      // Still applies to this page, through the attribute the bootstrap reads
+      document.documentElement.setAttribute("data-theme-default", preference)
+    }
+
+    if (this.channel) this.channel.postMessage({ preference })
+    this.apply(source)
+  },
+
+  // Bring <html>, the controls and the server in line with the preference
+  apply(source) {
+    const root = document.documentElement
+    const state = themeState()
+
+    root.setAttribute("data-theme", state.theme)
+    root.setAttribute("data-theme-preference", state.preference)
+    state.scheme = colorScheme(state)
+    this.syncControls(state)
+
+    const changed = !this.last || ["preference", "theme", "scheme"].some(key => this.last[key] !== state[key])
+    if (!changed) return
+
+    this.last = state
+    const {preference, theme, scheme} = state
+    this.pushEvent(this.options.event, { id: this.el.id, preference, theme, scheme, source })
+  },
+
+  syncControls({preference, theme, scheme}) {
+    for (const control of this.controls("input[type=radio]")) {
+      control.checked = control.value === preference
+    }
+    for (const control of this.controls("input[type=checkbox]")) {
+      control.checked = control.hasAttribute("value") ? theme === control.value : scheme === "dark"
+    }
+    for (const control of this.controls("select")) {
+      control.value = preference
+    }
+    for (const button of this.controls("[data-set-theme]")) {
+      button.setAttribute("aria-pressed", String(button.dataset.setTheme === preference))
+    }
+  },
+
+  // The hook element can be the control itself, e.g. a <select>
+  controls(selector) {
+    const inside = Array.from(this.el.querySelectorAll(selector))
+    return this.el.matches(selector) ? [this.el, ...inside] : inside
+  }
+})
+
+/**
+ * The saved preference and the DaisyUI theme it resolves to right now,
+ * resolved the same way as theme-bootstrap.js:
+ * { preference: "system", theme: "business", mode: "dark" }
+ *
+ * `mode` is "light" or "dark" for those preferences (and "system"), and the
+ * theme name for a named one.
+ */
+export function themeState() {
+  const root = document.documentElement
+  let preference = null
+
+  try {
+    preference = localStorage.getItem(THEME_STORAGE_KEY)
+  } catch (_err) {
+    // Storage disabled: use the default
+  }
+  if (!isPreference(preference)) preference = root.getAttribute("data-theme-default") || "system"
+
+  let mode = preference
+  if (mode === "system") mode = window.matchMedia(DARK_QUERY).matches ? "dark" : "light"
+
+  let theme = mode
+  if (mode === "light") theme = root.getAttribute("data-theme-light") || "light"
+  if (mode === "dark") theme = root.getAttribute("data-theme-dark") || "dark"
+
+  return { preference, theme, mode }
+}
+
+function isPreference(value) {
+  return typeof value === "string" && /^[\w-]+$/.test(value)
+}
+
+function checkboxTheme(checkbox) {
+  return checkbox.hasAttribute("value") ? checkbox.value : "dark"
+}
+
+// DaisyUI themes declare their color-scheme; read it once the theme is
+// applied, so named themes report "dark" or "light" too
+function colorScheme({mode}) {
+  const declared = getComputedStyle(document.documentElement).colorScheme || ""
+  if (declared.includes("dark")) return "dark"
+  if (declared.includes("light")) return "light"
+  return mode === "dark" ? "dark" : "light"
+}
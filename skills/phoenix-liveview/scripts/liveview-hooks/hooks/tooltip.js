@@ -0,0 +1,160 @@
+import { defineHook } from "../define-hook.js"
+import { computePosition, applyPosition, autoUpdate, PLACEMENTS } from "../positioning.js"
+
+/**
+ * Tooltip - Accessible tooltip positioned next to the element
+ *
+ * Use case: Help text, additional information, icon-only buttons
+ *
+ * Shows on hover and keyboard focus (after data-show-delay), hides on
+ * mouse leave, blur or Escape. The tooltip stays open while the pointer is
+ * over it, and is linked to the element with role="tooltip" and
+ * aria-describedby so screen readers announce it.
+ * Positioning (flip, shift, arrow, scroll/resize) comes from ../positioning.js.
+ *
+ * Options (data attributes):
+ * - data-tip (or data-tooltip) Tooltip text
+ * - data-placement="top"       top/bottom/left/right, optionally -start/-end
+ * - data-show-delay="300"      ms before showing
+ * - data-hide-delay="100"      ms before hiding
+ * - data-tooltip-class         Classes for the tooltip element
+ *
+ * Don't combine with DaisyUI's `tooltip` class, which renders its own
+ * CSS-only tooltip from the same data-tip attribute.
+ *
+ * Server can change the text without re-rendering the element:
+ * push_event(socket, "tooltip_update", %{id: "help-button", content: "Saved!"})
+ *
+ * Example:
+ * <button
+ *   phx-hook="Tooltip"
+ *   id="help-button"
+ *   data-tip="This is helpful information"
+ *   data-placement="bottom"
+ *   class="btn"
+ * >
+ *   Help
+ * </button>
+ */
+export const Tooltip = defineHook({
+  schema: {
+    tip: { type: "string", alias: "tooltip", default: "" },
+    placement: { type: "enum", values: PLACEMENTS, default: "top" },
+    showDelay: { type: "integer", min: 0, default: 300 },
+    hideDelay: { type: "integer", min: 0, default: 100 },
+    tooltipClass: { type: "string", default: "z-50 max-w-xs px-2 py-1 text-sm bg-base-300 rounded shadow-lg" }
+  },
+
+  mounted() {
+    this.placement = this.options.placement
+    this.showDelay = this.options.showDelay
+    this.hideDelay = this.options.hideDelay
+    this.open = false
+    this.timer = null
+
+    this.tooltipEl = document.createElement("div")
+    this.tooltipEl.id = `${this.el.id}-tooltip`
+    this.tooltipEl.setAttribute("role", "tooltip")
+    this.tooltipEl.className = this.options.tooltipClass
+    this.tooltipEl.hidden = true
+
+    this.textEl = document.createElement("span")
+    this.arrowEl = document.createElement("div")
+    this.arrowEl.className = "w-2 h-2 rotate-45 bg-inherit"
+    this.tooltipEl.append(this.textEl, this.arrowEl)
+    document.body.appendChild(this.tooltipEl)
+
+    this.attrContent = this.options.tip
+    this.setContent(this.attrContent)
+
+    this.show = () => this.schedule(true, this.showDelay)
+    this.hide = () => this.schedule(false, this.hideDelay)
+    this.keep = () => this.clearTimeout(this.timer)
+    this.handleKeydown = (e) => {
+      if (e.key === "Escape" && this.open) this.setOpen(false)
+    }
+
+    this.listen(this.el, "mouseenter", this.show)
+    this.listen(this.el, "mouseleave", this.hide)
+    this.listen(this.el, "focusin", this.show)
+    this.listen(this.el, "focusout", this.hide)
+    this.listen(this.tooltipEl, "mouseenter", this.keep)
+    this.listen(this.tooltipEl, "mouseleave", this.hide)
+    this.listen(document, "keydown", this.handleKeydown)
+
+    this.handleEvent("tooltip_update", ({id, content}) => {
+      if (id === this.el.id) this.setContent(content)
+    })
+  },
+
+  updated() {
+    // Patches reset attributes the server doesn't render
+    this.describe()
+
+    const content = this.options.tip
+    if (content !== this.attrContent) {
+      this.attrContent = content
+      this.setContent(content)
+    }
+  },
+
+  destroyed() {
+    this.tooltipEl.remove()
+  },
+
+  setContent(content) {
+    this.textEl.textContent = content || ""
+    this.describe()
+
+    if (!content) {
+      this.setOpen(false)
+    } else if (this.open) {
+      this.position()
+    }
+  },
+
+  describe() {
+    const ids = (this.el.getAttribute("aria-describedby") || "").split(/\s+/).filter(Boolean)
+    const hasContent = this.textEl.textContent !== ""
+
+    if (hasContent && !ids.includes(this.tooltipEl.id)) {
+      this.el.setAttribute("aria-describedby", [...ids, this.tooltipEl.id].join(" "))
+    } else if (!hasContent && ids.includes(this.tooltipEl.id)) {
+      const rest = ids.filter(id => id !== this.tooltipEl.id)
+      if (rest.length) {
+        this.el.setAttribute("aria-describedby", rest.join(" "))
+      } else {
+        this.el.removeAttribute("aria-describedby")
+      }
+    }
+  },
+
+  schedule(open, delay) {
+    this.clearTimeout(this.timer)
+    this.timer = this.setTimeout(() => this.setOpen(open), delay)
+  },
+
+  setOpen(open) {
+    this.clearTimeout(this.timer)
+    if (open && !this.textEl.textContent) return
+    if (open === this.open) return
+
+    this.open = open
+    this.tooltipEl.hidden = !open
+
+    if (open) {
+      this.stopPositioning = this.onCleanup(autoUpdate(this.el, this.tooltipEl, () => this.position()))
+    } else if (this.stopPositioning) {
+      this.stopPositioning()
+      this.stopPositioning = null
+    }
+  },
+
+  position() {
+    const position = computePosition(this.el, this.tooltipEl, {
+      placement: this.placement,
+      arrow: this.arrowEl
+    })
+    applyPosition(this.tooltipEl, position, this.arrowEl)
+  }
+})
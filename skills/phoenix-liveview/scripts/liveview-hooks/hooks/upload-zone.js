@@ -0,0 +1,369 @@
+import { defineHook } from "../define-hook.js"
+import { acceptsFile, jpegOrientation, stripMetadata, resizeImage, createHasher } from "../file-processing.js"
+import { reportError } from "../telemetry.js"
+
+/**
+ * UploadZone - Drop, paste or pick files into a LiveView upload
+ *
+ * Use case: Photo uploads, attachments, CSV imports
+ *
+ * Files dropped on the zone, pasted into it or picked with a
+ * [data-upload-browse] button are checked, prepared and handed to the
+ * allow_upload/3 entry named by data-upload with this.upload (this.uploadTo
+ * when the zone has phx-target):
+ *
+ * - Type, size and count are checked first; rejected files are listed with
+ *   the reason and reported as "upload_rejected"
+ * - Images larger than data-max-dimension are scaled down on a canvas and
+ *   re-encoded; EXIF, XMP and text metadata (camera, GPS) are stripped
+ *   without re-encoding, rotated photos are turned upright first
+ * - With data-hash, each file's SHA-256 is computed in a Web Worker and sent
+ *   in "upload_prepared"; the reply's `skip` list names hashes the server
+ *   already has, and those files are not uploaded
+ * - Each file gets a row in [data-upload-list] with its state and progress;
+ *   failed rows have a retry button. Rows carry data-status ("invalid",
+ *   "processing", "duplicate", "uploading", "done", "failed") for styling and
+ *   end-to-end tests
+ *
+ * Upload progress comes from the allow_upload/3 progress callback, pushed
+ * back as "upload_progress" (see below).
+ *
+ * Options (data attributes):
+ * - data-upload          Required, the allow_upload/3 name
+ * - data-accept          Comma separated, e.g. ".csv,image/*"; defaults to the
+ *                        live_file_input's accept attribute
+ * - data-max-file-size   Bytes, checked before anything is uploaded
+ * - data-max-files       Files processing or uploading at once (match max_entries)
+ * - data-max-dimension   Longest image side in px; larger images are scaled down
+ * - data-image-type      "keep" (default), "image/jpeg" or "image/webp"
+ * - data-image-quality   0 to 1, for re-encoded images, defaults to 0.85
+ * - data-strip-metadata  Set to "false" to keep image metadata
+ * - data-hash            Compute SHA-256 digests and ask the server first
+ * - data-paste-scope     "element" (default) or "document"
+ *
+ * Server side:
+ * allow_upload(socket, :photos,
+ *   accept: ~w(.jpg .jpeg .png .webp), max_entries: 10, max_file_size: 20_000_000,
+ *   auto_upload: true, progress: &handle_progress/3)
+ *
+ * defp handle_progress(:photos, entry, socket) do
+ *   {:noreply,
+ *    push_event(socket, "upload_progress", %{
+ *      upload: "photos", name: entry.client_name, size: entry.client_size, progress: entry.progress
+ *    })}
+ * end
+ *
+ * # With data-hash; must reply
+ * def handle_event("upload_prepared", %{"files" => files}, socket) do
+ *   known = Media.existing_hashes(Enum.map(files, & &1["sha256"]))
+ *   {:reply, %{skip: known}, assign(socket, :hashes, Map.new(files, &{&1["name"], &1["sha256"]}))}
+ * end
+ *
+ * Errors found on the server (too_large, not_accepted, or after
+ * cancel_upload/3) go back the same way: %{upload: "photos", name: ..., error: "too_large"}.
+ *
+ * Example (phx-update="ignore" keeps patches away from the rows):
+ * <div id="photo-drop" phx-hook="UploadZone" data-upload="photos" data-max-dimension="2048"
+ *      data-max-file-size="20000000" data-hash
+ *      class="border-2 border-dashed border-base-300 rounded-box p-6 text-center data-[dragging]:border-primary">
+ *   <.live_file_input upload={@uploads.photos} class="hidden" />
+ *   <p>Drop photos here or <button type="button" class="link" data-upload-browse>browse</button></p>
+ *   <ul id="photo-drop-list" data-upload-list phx-update="ignore" class="mt-4 space-y-2"></ul>
+ * </div>
+ */
+
+const MESSAGES = {
+  not_accepted: "File type not accepted",
+  too_large: "File too large",
+  too_many_files: "Too many files",
+  processing: "Preparing",
+  duplicate: "Already uploaded",
+  uploading: "Uploading",
+  done: "Uploaded",
+  failed: "Upload failed",
+  disconnected: "Connection lost"
+}
+
+// States that count against data-max-files: files still on their way
+const ACTIVE = ["processing", "uploading"]
+
+export const UploadZone = defineHook({
+  schema: {
+    upload: { type: "string", required: true },
+    accept: { type: "list" },
+    maxFileSize: { type: "integer", min: 1 },
+    maxFiles: { type: "integer", min: 1 },
+    maxDimension: { type: "integer", min: 1 },
+    imageType: { type: "enum", values: ["keep", "image/jpeg", "image/webp"], default: "keep" },
+    imageQuality: { type: "number", min: 0, max: 1, default: 0.85 },
+    stripMetadata: { type: "boolean", default: true },
+    hash: { type: "boolean", default: false },
+    pasteScope: { type: "enum", values: ["element", "document"], default: "element" }
+  },
+
+  mounted() {
+    this.entries = new Map()
+    this.nextKey = 1
+    this.dragDepth = 0
+    this.alive = true
+
+    this.hasher = null
+    this.onCleanup(() => this.hasher && this.hasher.terminate())
+
+    // A file input of our own: the live one only ever sees prepared files.
+    // Outside any form, so phx-change doesn't pick it up.
+    this.picker = document.createElement("input")
+    this.picker.type = "file"
+    this.picker.multiple = true
+    this.picker.hidden = true
+    document.body.appendChild(this.picker)
+    this.onCleanup(() => this.picker.remove())
+
+    this.listen(this.picker, "change", () => {
+      this.addFiles(Array.from(this.picker.files || []))
+      this.picker.value = ""
+    })
+
+    this.listen(this.el, "dragenter", (e) => {
+      if (!hasFiles(e)) return
+      e.preventDefault()
+      this.dragDepth++
+      this.el.setAttribute("data-dragging", "")
+    })
+    this.listen(this.el, "dragover", (e) => {
+      if (!hasFiles(e)) return
+      e.preventDefault()
+      e.dataTransfer.dropEffect = "copy"
+    })
+    this.listen(this.el, "dragleave", () => {
+      this.dragDepth = Math.max(this.dragDepth - 1, 0)
+      if (this.dragDepth === 0) this.el.removeAttribute("data-dragging")
+    })
+    this.listen(this.el, "drop", (e) => {
+      e.preventDefault()
+      this.dragDepth = 0
+      this.el.removeAttribute("data-dragging")
+      this.addFiles(Array.from((e.dataTransfer && e.dataTransfer.files) || []))
+    })
+
+    const pasteTarget = this.options.pasteScope === "document" ? document : this.el
+    this.listen(pasteTarget, "paste", (e) => {
+      const files = Array.from((e.clipboardData && e.clipboardData.files) || [])
+      if (files.length === 0) return
+      e.preventDefault()
+      this.addFiles(files)
+    })
+
+    this.listen(this.el, "click", (e) => {
+      if (e.target.closest("[data-upload-browse]")) {
+        this.picker.accept = this.accept().join(",")
+        this.picker.click()
+        return
+      }
+
+      const retry = e.target.closest("[data-upload-retry]")
+      const row = retry && retry.closest("[data-upload-key]")
+      const entry = row && this.entries.get(row.dataset.uploadKey)
+      if (entry && entry.status === "failed") this.send([entry])
+    })
+
+    this.handleEvent("upload_progress", ({upload, name, size, progress, error}) => {
+      if (upload !== this.options.upload) return
+
+      // The same file may be in the list twice; the one uploading now wins
+      const matches = Array.from(this.entries.values()).filter(entry =>
+        ["uploading", "done", "failed"].includes(entry.status) &&
+        entry.file.name === name && (size == null || entry.file.size === size))
+      const entry = matches.find(entry => entry.status === "uploading") || matches[matches.length - 1]
+      if (!entry) return
+
+      if (error) {
+        this.setStatus(entry, "failed", error)
+      } else {
+        this.setStatus(entry, progress >= 100 ? "done" : "uploading", null, progress)
+      }
+    })
+  },
+
+  destroyed() {
+    this.alive = false
+  },
+
+  disconnected() {
+    // LiveView drops uploads in flight; they can be retried once back
+    for (const entry of this.entries.values()) {
+      if (entry.status === "uploading") this.setStatus(entry, "failed", "disconnected")
+    }
+  },
+
+  accept() {
+    if (this.options.accept) return this.options.accept
+
+    const input = this.el.querySelector("input[type=file]")
+    const accept = input && input.getAttribute("accept")
+    return accept ? accept.split(",").map(rule => rule.trim()).filter(Boolean) : []
+  },
+
+  async addFiles(files) {
+    if (files.length === 0) return
+
+    const accept = this.accept()
+    const { maxFileSize, maxFiles } = this.options
+    let active = Array.from(this.entries.values()).filter(entry => ACTIVE.includes(entry.status)).length
+
+    const entries = files.map((file) => {
+      const entry = this.createEntry(file)
+
+      if (!acceptsFile(file, accept)) {
+        this.setStatus(entry, "invalid", "not_accepted")
+      } else if (maxFileSize && file.size > maxFileSize) {
+        this.setStatus(entry, "invalid", "too_large")
+      } else if (maxFiles && active >= maxFiles) {
+        this.setStatus(entry, "invalid", "too_many_files")
+      } else {
+        active++
+      }
+      return entry
+    })
+
+    const rejected = entries.filter(entry => entry.status === "invalid")
+    if (rejected.length > 0) {
+      this.push("upload_rejected", {
+        id: this.el.id,
+        upload: this.options.upload,
+        files: rejected.map(({original, error}) => ({ name: original.name, type: original.type, size: original.size, reason: error }))
+      })
+    }
+
+    await this.send(entries.filter(entry => entry.status !== "invalid"))
+  },
+
+  // Prepare, check and upload `entries` (new ones, or failed ones again)
+  async send(entries) {
+    for (const entry of entries) {
+      this.setStatus(entry, "processing")
+      try {
+        entry.file = await this.prepare(entry.original)
+        if (this.options.hash) {
+          this.hasher = this.hasher || createHasher()
+          entry.sha256 = await this.hasher.sha256(entry.file)
+        }
+      } catch (err) {
+        reportError("UploadZone", `UploadZone #${this.el.id}: could not prepare "${entry.original.name}":`, err)
+        this.setStatus(entry, "failed", "failed")
+      }
+    }
+    if (!this.alive) return
+
+    let ready = entries.filter(entry => entry.status === "processing")
+    if (ready.length > 0 && this.options.hash) {
+      const reply = await this.push("upload_prepared", {
+        id: this.el.id,
+        upload: this.options.upload,
+        files: ready.map(({file, sha256}) => ({ name: file.name, type: file.type, size: file.size, sha256 }))
+      }, true)
+      if (!this.alive) return
+
+      const skip = new Set((reply && reply.skip) || [])
+      for (const entry of ready) {
+        if (skip.has(entry.sha256)) this.setStatus(entry, "duplicate")
+      }
+      ready = ready.filter(entry => entry.status === "processing")
+    }
+    if (ready.length === 0) return
+
+    for (const entry of ready) this.setStatus(entry, "uploading", null, 0)
+
+    const files = ready.map(entry => entry.file)
+    const target = this.el.getAttribute("phx-target")
+    if (target) {
+      this.uploadTo(target, this.options.upload, files)
+    } else {
+      this.upload(this.options.upload, files)
+    }
+  },
+
+  async prepare(file) {
+    if (!/^image\/(jpeg|png|webp)$/.test(file.type)) return file
+
+    const { maxDimension, imageType, imageQuality } = this.options
+    const type = imageType === "keep" ? file.type : imageType
+
+    // Re-encode a photo stored sideways upright where the browser can;
+    // otherwise stripMetadata keeps the orientation that turns it
+    const rotated = this.options.stripMetadata && file.type === "image/jpeg" &&
+      jpegOrientation(new Uint8Array(await file.slice(0, 65536).arrayBuffer())) !== 1
+
+    let prepared = file
+    if (maxDimension || type !== file.type || rotated) {
+      prepared = await resizeImage(file, { maxDimension: maxDimension || Infinity, type, quality: imageQuality, force: rotated })
+    }
+    if (this.options.stripMetadata) prepared = await stripMetadata(prepared)
+    return prepared
+  },
+
+  // pushEvent(To) honouring phx-target; resolves with the reply when asked to
+  push(event, payload, awaitReply = false) {
+    const target = this.el.getAttribute("phx-target")
+    return new Promise((resolve) => {
+      const onReply = awaitReply ? (reply) => resolve(reply) : undefined
+      if (target) {
+        this.pushEventTo(target, event, payload, onReply)
+      } else {
+        this.pushEvent(event, payload, onReply)
+      }
+      if (!awaitReply) resolve()
+    })
+  },
+
+  // ---------------------------------------------------------------------------
+  // Rows
+  // ---------------------------------------------------------------------------
+
+  createEntry(file) {
+    const entry = { key: `${this.el.id}-${this.nextKey++}`, original: file, file, status: null, error: null, progress: 0 }
+    this.entries.set(entry.key, entry)
+
+    const list = this.el.querySelector("[data-upload-list]")
+    if (list) {
+      entry.row = document.createElement("li")
+      entry.row.dataset.uploadKey = entry.key
+      entry.row.className = "flex items-center gap-2"
+      entry.row.innerHTML = `
+        <span class="truncate flex-1" data-upload-name></span>
+        <span class="text-sm opacity-60" data-upload-state></span>
+        <progress class="progress progress-primary w-24" max="100" value="0"></progress>
+        <button type="button" class="btn btn-xs" data-upload-retry hidden>Retry</button>
+      `
+      entry.row.querySelector("[data-upload-name]").textContent = file.name
+      list.appendChild(entry.row)
+    }
+    return entry
+  },
+
+  setStatus(entry, status, error = null, progress = entry.progress) {
+    entry.status = status
+    entry.error = error
+    entry.progress = progress
+
+    const row = entry.row
+    if (!row) return
+
+    row.dataset.status = status
+    row.querySelector("[data-upload-state]").textContent = MESSAGES[error] || error || MESSAGES[status] || ""
+    row.querySelector("[data-upload-retry]").hidden = status !== "failed"
+
+    const bar = row.querySelector("progress")
+    bar.hidden = !["processing", "uploading", "done"].includes(status)
+    if (status === "processing") {
+      // Indeterminate while preparing
+      bar.removeAttribute("value")
+    } else {
+      bar.value = status === "done" ? 100 : progress
+    }
+  }
+})
+
+function hasFiles(e) {
+  return Boolean(e.dataTransfer && Array.from(e.dataTransfer.types || []).includes("Files"))
+}
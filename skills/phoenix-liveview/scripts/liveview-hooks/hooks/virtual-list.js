@@ -0,0 +1,272 @@
+import { defineHook } from "../define-hook.js"
+
+/**
+ * VirtualList - Virtual scrolling for large LiveView streams
+ *
+ * Use case: Chat histories and log views with tens of thousands of rows.
+ * Replaces the ScrollToBottom + InfiniteScroll combination for big streams.
+ *
+ * Every stream item stays in the DOM (LiveView owns it), but rows outside the
+ * viewport are set to display: none and replaced by padding on the list, so
+ * the browser only lays out and paints what is on screen. Pair it with a
+ * stream `limit:` on the server so the DOM itself stays bounded too.
+ *
+ * Options (data attributes on the hook element):
+ * - data-row-height="40"      Estimated row height in px (rows are measured once shown)
+ * - data-overscan="400"       Extra px rendered above and below the viewport
+ * - data-stick-to-bottom      Follow new rows only while already scrolled to the bottom
+ * - data-load="both"          Which requests to send: "both", "previous", "more" or "none"
+ * - data-load-threshold="200" Distance from an edge (px) that triggers a request
+ *
+ * Client → server events (each waits for its reply, or a reconnect, before
+ * firing again):
+ * - "load_previous" %{"first_id" => dom_id} when scrolled near the top
+ * - "load_more"     %{"last_id" => dom_id} when scrolled near the bottom
+ *
+ * Server side (older messages prepended, DOM capped at 200 rows):
+ * def handle_event("load_previous", %{"first_id" => _dom_id}, socket) do
+ *   page = Chat.messages_before(socket.assigns.oldest_id, 50)
+ *
+ *   {:reply, %{},
+ *    socket
+ *    |> assign(:oldest_id, List.last(page).id)
+ *    |> stream(:messages, page, at: 0, limit: -200)}
+ * end
+ *
+ * Example:
+ * <div
+ *   phx-hook="VirtualList"
+ *   id="chat-messages"
+ *   data-stick-to-bottom
+ *   data-load="previous"
+ *   class="overflow-y-auto h-96"
+ * >
+ *   <div id="chat-messages-items" phx-update="stream" data-virtual-items>
+ *     <div :for={{dom_id, message} <- @streams.messages} id={dom_id}>
+ *       {message.text}
+ *     </div>
+ *   </div>
+ * </div>
+ */
+export const VirtualList = defineHook({
+  schema: {
+    rowHeight: { type: "integer", min: 1, default: 40 },
+    overscan: { type: "integer", min: 0, default: 400 },
+    stickToBottom: { type: "boolean", default: false },
+    load: { type: "enum", values: ["both", "previous", "more", "none"], default: "both" },
+    loadThreshold: { type: "integer", min: 0, default: 200 }
+  },
+
+  mounted() {
+    this.list = this.el.querySelector("[data-virtual-items]") || this.el
+    this.rowHeight = this.options.rowHeight
+    this.overscan = this.options.overscan
+    this.loadThreshold = this.options.loadThreshold
+    this.stickToBottom = this.options.stickToBottom
+    this.load = this.options.load
+
+    this.heights = new Map()
+    this.pending = { previous: false, more: false }
+    this.anchor = null
+    this.atBottom = true
+    this.frame = null
+
+    // We restore the scroll position ourselves, the browser must not also try
+    this.el.style.overflowAnchor = "none"
+
+    this.handleScroll = () => {
+      this.scheduleRender()
+      this.maybeLoad()
+    }
+    this.listen(this.el, "scroll", this.handleScroll, { passive: true })
+
+    // Stream inserts and deletes don't always trigger updated() on this
+    // element, and patched rows lose the display style we gave them
+    this.mutationObserver = new MutationObserver((records) => {
+      // Rows LiveView patched are measured again
+      for (const record of records) {
+        const row = this.rowOf(record.target)
+        if (row) this.heights.delete(row.id)
+      }
+      this.restoreScroll()
+    })
+    this.observe(this.mutationObserver, this.list, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: ["style"]
+    })
+
+    this.observe(new ResizeObserver(() => {
+      // A new width can rewrap the rows on screen
+      for (const row of this.rows()) {
+        if (row.style.display !== "none") this.heights.delete(row.id)
+      }
+      this.scheduleRender()
+    }), this.el)
+
+    if (this.stickToBottom) {
+      this.render()
+      this.el.scrollTop = this.el.scrollHeight
+    }
+    this.render()
+  },
+
+  updated() {
+    this.restoreScroll()
+  },
+
+  disconnected() {
+    // Replies to requests in flight went with the socket
+    this.pending = { previous: false, more: false }
+  },
+
+  reconnected() {
+    this.maybeLoad()
+  },
+
+  rows() {
+    return Array.from(this.list.children).filter(row => row.id)
+  },
+
+  // The row (a direct child of the list) that `node` is in
+  rowOf(node) {
+    let row = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement
+    while (row && row.parentElement !== this.list) row = row.parentElement
+    return row && row.id ? row : null
+  },
+
+  heightOf(row) {
+    return this.heights.get(row.id) || this.rowHeight
+  },
+
+  // Offset of a row from the top of the list, using measured heights
+  offsetOf(id) {
+    let y = 0
+    for (const row of this.rows()) {
+      if (row.id === id) return y
+      y += this.heightOf(row)
+    }
+    return null
+  },
+
+  restoreScroll() {
+    if (this.stickToBottom && this.atBottom) {
+      this.render()
+      this.el.scrollTop = this.el.scrollHeight
+    } else if (this.anchor) {
+      // Keep the row the user was reading at the same place on screen,
+      // whether rows were prepended or appended around it
+      const y = this.offsetOf(this.anchor.id)
+      if (y !== null) this.el.scrollTop = y + this.listTop() - this.anchor.offset
+    }
+
+    this.render()
+  },
+
+  scheduleRender() {
+    if (this.frame) return
+
+    this.frame = this.requestAnimationFrame(() => {
+      this.frame = null
+      this.render()
+    })
+  },
+
+  // Distance from the top of the scroll content to the top of the list
+  listTop() {
+    if (this.list === this.el) return 0
+    return this.list.getBoundingClientRect().top - this.el.getBoundingClientRect().top + this.el.scrollTop
+  },
+
+  render() {
+    const rows = this.rows()
+    const top = this.el.scrollTop - this.listTop()
+    const bottom = top + this.el.clientHeight
+
+    let y = 0
+    let paddingTop = 0
+    let paddingBottom = 0
+    let anchor = null
+    const unmeasured = []
+
+    for (const row of rows) {
+      const height = this.heightOf(row)
+      const visible = y + height >= top - this.overscan && y <= bottom + this.overscan
+
+      // Only rows entering or leaving the window are written to
+      if (visible !== (row.style.display !== "none")) row.style.display = visible ? "" : "none"
+
+      if (visible) {
+        if (!anchor && y + height > top) anchor = { id: row.id, offset: y - top }
+        if (!this.heights.has(row.id)) unmeasured.push(row)
+      } else if (y < top) {
+        paddingTop += height
+      } else {
+        paddingBottom += height
+      }
+
+      y += height
+    }
+
+    if (this.list.style.paddingTop !== paddingTop + "px") this.list.style.paddingTop = paddingTop + "px"
+    if (this.list.style.paddingBottom !== paddingBottom + "px") this.list.style.paddingBottom = paddingBottom + "px"
+
+    // Measure rows new on screen so later passes use real heights
+    for (const row of unmeasured) this.heights.set(row.id, row.offsetHeight)
+    // Forget rows the stream removed, so the map stays as bounded as the DOM
+    if (this.heights.size > rows.length) {
+      const ids = new Set(rows.map(row => row.id))
+      for (const id of this.heights.keys()) {
+        if (!ids.has(id)) this.heights.delete(id)
+      }
+    }
+
+    this.anchor = anchor
+    this.atBottom = this.el.scrollHeight - this.el.scrollTop - this.el.clientHeight <= 2
+
+    // Drop the mutation records our own style changes just produced
+    this.mutationObserver.takeRecords()
+  },
+
+  maybeLoad() {
+    const rows = this.rows()
+    if (rows.length === 0) return
+
+    const fromBottom = this.el.scrollHeight - this.el.scrollTop - this.el.clientHeight
+
+    if (this.el.scrollTop <= this.loadThreshold && ["both", "previous"].includes(this.load)) {
+      this.request("previous", "load_previous", { first_id: rows[0].id })
+    }
+
+    if (fromBottom <= this.loadThreshold && ["both", "more"].includes(this.load)) {
+      this.request("more", "load_more", { last_id: rows[rows.length - 1].id })
+    }
+  },
+
+  // Id of the first or last row
+  edge(direction) {
+    const rows = this.rows()
+    const row = direction === "previous" ? rows[0] : rows[rows.length - 1]
+    return row ? row.id : null
+  },
+
+  request(direction, event, payload) {
+    const pending = this.pending
+    if (pending[direction]) return
+
+    const edge = this.edge(direction)
+    pending[direction] = true
+    this.pushEvent(event, payload, () => {
+      pending[direction] = false
+      // The new rows may still leave the viewport short of the threshold.
+      // Once the patch is laid out, check again; a reply that brought no
+      // rows waits for the next scroll
+      if (pending !== this.pending || this.edge(direction) === edge) return
+      this.requestAnimationFrame(() => {
+        this.render()
+        this.maybeLoad()
+      })
+    })
+  }
+})
@@ -0,0 +1,194 @@
+/**
+ * liveview-hooks - JavaScript Hooks for Phoenix LiveView
+ *
+ * The single source for the hooks used by the phoenix-liveview and ui-design
+ * skills. Each hook lives in ./hooks/, is built with defineHook (see
+ * ./define-hook.js) so its listeners, timers and observers are released on
+ * destroy, declares the data attributes it reads (see ./options.js) and is
+ * registered below.
+ *
+ * Usage in app.js:
+ * import { createHooks } from "./liveview-hooks"
+ *
+ * const liveSocket = new LiveSocket("/live", Socket, {
+ *   hooks: createHooks({
+ *     only: ["Tooltip", "InfiniteScroll", "StateStore"],
+ *     defaults: { Tooltip: { showDelay: 500 } }
+ *   })
+ * })
+ *
+ * Or take everything with the default options:
+ * import { Hooks } from "./liveview-hooks"
+ *
+ * Event naming:
+ * - Event names are snake_case
+ * - Server → client commands are imperative and prefixed with what they act
+ *   on: "download_start", "tooltip_update", "popover_close", "show_modal"
+ * - Client → server events report what happened: "copied", "load_more",
+ *   "store_sync", "modal_closed"; failures end in "_failed" or "_error"
+ * - Payloads carry the element id as `id` wherever several hooks of the same
+ *   kind can share a LiveView
+ */
+
+import { readOptions } from "./options.js"
+import { trackHook, untrackHook, setHookConnected, captureError } from "./telemetry.js"
+
+import { ScrollToBottom } from "./hooks/scroll-to-bottom.js"
+import { CopyToClipboard, PasteHandler } from "./hooks/clipboard.js"
+import { DownloadData } from "./hooks/download-data.js"
+import { UploadZone } from "./hooks/upload-zone.js"
+import { AutoFocus, FocusScope, FocusTrap, RovingFocus } from "./hooks/focus.js"
+import { InfiniteScroll } from "./hooks/infinite-scroll.js"
+import { VirtualList } from "./hooks/virtual-list.js"
+import { DataTable } from "./hooks/data-table.js"
+import { StateStore } from "./hooks/state-store.js"
+import { FormDraft } from "./hooks/form-draft.js"
+import { ThemeController } from "./hooks/theme.js"
+import { PresenceCursors } from "./hooks/presence-cursors.js"
+import { Tooltip } from "./hooks/tooltip.js"
+import { Popover } from "./hooks/popover.js"
+import { ClickOutside } from "./hooks/click-outside.js"
+import { Sortable } from "./hooks/sortable.js"
+import { Modal } from "./hooks/modal.js"
+import { AutoResize } from "./hooks/auto-resize.js"
+import { MarkdownEditor } from "./hooks/markdown-editor.js"
+import { SearchBox } from "./hooks/search-box.js"
+import { CodeHighlight } from "./hooks/code-highlight.js"
+import { AnimateValue, RelativeTime } from "./hooks/animate-value.js"
+import { Chart } from "./hooks/chart.js"
+import { Shortcuts, CommandPalette, ShortcutHelp } from "./hooks/shortcuts.js"
+
+export { readOptions } from "./options.js"
+export { defineHook } from "./define-hook.js"
+export { registerStoreMigrations } from "./hooks/state-store.js"
+export { themeState } from "./hooks/theme.js"
+export { configureCodeHighlight } from "./hooks/code-highlight.js"
+export { registerShortcut } from "./hooks/shortcuts.js"
+export { computePosition, applyPosition, autoUpdate } from "./positioning.js"
+export { focusableElements, trapTab, focusKey, findByFocusKey } from "./focusable.js"
+export {
+  configureTelemetry, traceId, reportError, reportWarning, reportEvent, reportTiming, startTimer, flushTelemetry
+} from "./telemetry.js"
+export { acceptsFile, stripMetadata, resizeImage, createHasher } from "./file-processing.js"
+
+// Keep in sync with package.json
+export const VERSION = "1.0.0"
+
+const HOOKS = {
+  ScrollToBottom,
+  CopyToClipboard,
+  PasteHandler,
+  DownloadData,
+  UploadZone,
+  AutoFocus,
+  FocusScope,
+  FocusTrap,
+  RovingFocus,
+  InfiniteScroll,
+  VirtualList,
+  DataTable,
+  StateStore,
+  LocalStorage: StateStore, // deprecated name, same hook
+  FormDraft,
+  ThemeController,
+  PresenceCursors,
+  Tooltip,
+  Popover,
+  ClickOutside,
+  Sortable,
+  Modal,
+  AutoResize,
+  MarkdownEditor,
+  SearchBox,
+  CodeHighlight,
+  AnimateValue,
+  RelativeTime,
+  Chart,
+  Shortcuts,
+  CommandPalette,
+  ShortcutHelp
+}
+
+const LIFECYCLE = ["beforeUpdate", "updated", "destroyed", "disconnected", "reconnected"]
+
+/**
+ * Build the hooks object for LiveSocket.
+ *
+ * Options:
+ * - only      Hook names to include (default: all)
+ * - except    Hook names to leave out
+ * - defaults  Per-hook option defaults, keyed by hook name, e.g.
+ *             { VirtualList: { rowHeight: 56 } }. Data attributes on the
+ *             element still win.
+ *
+ * Each hook gets `this.options` with its validated data attributes before
+ * mounted() and again before updated() and reconnected().
+ */
+export function createHooks({ only = null, except = [], defaults = {} } = {}) {
+  const names = only || Object.keys(HOOKS)
+  const hooks = {}
+
+  for (const name of names) {
+    if (!HOOKS[name]) {
+      console.error(`createHooks: unknown hook "${name}" (available: ${Object.keys(HOOKS).join(", ")})`)
+      continue
+    }
+    if (except.includes(name)) continue
+
+    hooks[name] = withOptions(name, HOOKS[name], defaults[name])
+  }
+
+  for (const name of Object.keys(defaults)) {
+    if (!HOOKS[name]) console.error(`createHooks: defaults given for unknown hook "${name}"`)
+  }
+
+  return hooks
+}
+
+export const Hooks = createHooks()
+
+// Wrap a hook so options are read before its callbacks run, so a hook
+// missing a required attribute stays inert instead of throwing, and so its
+// errors, pushEvent replies and connection reach telemetry (see ./telemetry.js)
+function withOptions(name, hook, defaults = {}) {
+  const { schema = {}, mounted, ...callbacks } = hook
+
+  const refresh = (instance) => {
+    instance.options = readOptions(name, schema, instance.el, defaults).options
+  }
+
+  // Reported, then rethrown for LiveView to log as before
+  const guard = (instance, callback, fn) => {
+    try {
+      return fn()
+    } catch (err) {
+      captureError(name, `${name} #${instance.el.id}: ${callback} failed`, err)
+      throw err
+    }
+  }
+
+  const wrapped = {
+    ...callbacks,
+
+    mounted() {
+      trackHook(this, name)
+      const { options, valid } = readOptions(name, schema, this.el, defaults)
+      this.options = options
+      this.inert = !valid
+      if (!this.inert && mounted) return guard(this, "mounted", () => mounted.call(this))
+    }
+  }
+
+  for (const callback of LIFECYCLE) {
+    wrapped[callback] = function (...args) {
+      if (callback === "destroyed") untrackHook(this)
+      if (callback === "disconnected" || callback === "reconnected") setHookConnected(this, callback === "reconnected")
+
+      if (this.inert || !hook[callback]) return
+      if (callback === "updated" || callback === "reconnected") refresh(this)
+      return guard(this, callback, () => hook[callback].apply(this, args))
+    }
+  }
+
+  return wrapped
+}
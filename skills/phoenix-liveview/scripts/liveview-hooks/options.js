@@ -0,0 +1,135 @@
+/**
+ * Option schemas for hooks
+ *
+ * Every hook declares the data attributes it reads as a `schema`. Keys are
+ * dataset names, so `rowHeight` is read from data-row-height:
+ *
+ * schema: {
+ *   rowHeight: { type: "integer", default: 40 },
+ *   load: { type: "enum", values: ["both", "previous", "more", "none"], default: "both" },
+ *   storageKey: { type: "string", required: true },
+ *   tip: { type: "string", alias: "tooltip" }
+ * }
+ *
+ * Types:
+ * - string   The attribute value as-is
+ * - number   Any finite number, within `min` and `max` when given
+ * - integer  Whole numbers only, likewise
+ * - boolean  Present (data-foo or data-foo="true") or absent / data-foo="false"
+ * - enum     One of `values`
+ * - list     Comma separated, trimmed, empty items dropped
+ * - json     Parsed with JSON.parse
+ *
+ * Resolution order: data attribute, then the createHooks() defaults for the
+ * hook, then the schema default. An invalid value falls back the same way
+ * and logs a console error naming the hook, element and attribute. A missing
+ * required attribute also logs, and the hook stays inert on that element.
+ */
+
+import { reportError } from "./telemetry.js"
+
+// Messages already logged per element, so updates don't repeat them
+const reported = new WeakMap()
+
+/**
+ * Read and validate `schema` against `el`'s data attributes.
+ *
+ * Returns { options, valid } where `valid` is false when a required
+ * attribute is missing.
+ */
+export function readOptions(hookName, schema, el, defaults = {}) {
+  const options = {}
+  const errors = []
+  let valid = true
+
+  for (const [key, spec] of Object.entries(schema)) {
+    const attr = dataAttribute(key)
+    const raw = rawValue(el, key, spec)
+    const fallback = key in defaults ? defaults[key] : spec.default
+
+    if (raw === undefined) {
+      if (spec.required && fallback === undefined) {
+        errors.push(`${attr} is required`)
+        valid = false
+      }
+      options[key] = fallback
+      continue
+    }
+
+    const { value, error } = parseValue(raw, spec)
+    if (error) {
+      errors.push(`${attr} ${error} (got ${JSON.stringify(raw)})`)
+      options[key] = fallback
+    } else {
+      options[key] = value
+    }
+  }
+
+  if (errors.length > 0) reportErrors(hookName, el, errors)
+
+  return { options, valid }
+}
+
+// rowHeight → data-row-height
+export function dataAttribute(key) {
+  return `data-${key.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}`
+}
+
+function rawValue(el, key, spec) {
+  for (const name of [key, ...(spec.alias ? [spec.alias] : [])]) {
+    const value = el.dataset[name]
+    if (value === undefined) continue
+    // Empty attributes only carry meaning for booleans
+    if (value === "" && spec.type !== "boolean") continue
+    return value
+  }
+  return undefined
+}
+
+function parseValue(raw, spec) {
+  switch (spec.type) {
+    case "number":
+    case "integer": {
+      const value = Number(raw)
+      if (!Number.isFinite(value)) return { error: "must be a number" }
+      if (spec.type === "integer" && !Number.isInteger(value)) return { error: "must be a whole number" }
+      if (spec.min !== undefined && value < spec.min) return { error: `must be at least ${spec.min}` }
+      if (spec.max !== undefined && value > spec.max) return { error: `must be at most ${spec.max}` }
+      return { value }
+    }
+
+    case "boolean":
+      if (raw === "" || raw === "true") return { value: true }
+      if (raw === "false") return { value: false }
+      return { error: 'must be empty, "true" or "false"' }
+
+    case "enum":
+      if (spec.values.includes(raw)) return { value: raw }
+      return { error: `must be one of ${spec.values.join(", ")}` }
+
+    case "list":
+      return { value: raw.split(",").map(item => item.trim()).filter(Boolean) }
+
+    case "json":
+      try {
+        return { value: JSON.parse(raw) }
+      } catch (_err) {
+        return { error: "must be valid JSON" }
+      }
+
+    default:
+      return { value: raw }
+  }
+}
+
+function reportErrors(hookName, el, errors) {
+  let seen = reported.get(el)
+  if (!seen) reported.set(el, seen = new Set())
+
+  const fresh = errors.filter(message => !seen.has(message))
+  if (fresh.length === 0) return
+  fresh.forEach(message => seen.add(message))
+
+  const label = el.id ? `#${el.id}` : el.tagName.toLowerCase()
+  reportError(hookName, `${hookName} ${label}: ${fresh.join("; ")}`, el)
+}
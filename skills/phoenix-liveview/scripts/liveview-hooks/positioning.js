@@ -0,0 +1,196 @@
+/**
+ * Floating Element Positioning for Phoenix LiveView Hooks
+ *
+ * Places a floating element (tooltip, popover, menu) next to a reference
+ * element. Same ideas as Floating UI, without the dependency:
+ *
+ * - placement: "top" | "bottom" | "left" | "right", optionally "-start"/"-end"
+ * - flip:  move to the opposite side when the preferred side has no room
+ * - shift: slide along the side to stay inside the viewport
+ * - arrow: offset for an arrow element so it keeps pointing at the reference
+ *
+ * Floating elements use `position: fixed`, so all coordinates are viewport
+ * coordinates and scrolling only needs a recompute (see autoUpdate).
+ *
+ * Used by the Tooltip and Popover hooks in ./hooks/.
+ *
+ * Usage:
+ * import { computePosition, applyPosition, autoUpdate } from "./positioning.js"
+ *
+ * const stop = autoUpdate(button, menu, () => {
+ *   applyPosition(menu, computePosition(button, menu, { placement: "bottom-start" }))
+ * })
+ * // later
+ * stop()
+ */
+
+const OPPOSITE = { top: "bottom", bottom: "top", left: "right", right: "left" }
+
+export const PLACEMENTS = ["top", "bottom", "left", "right"]
+  .flatMap(side => [side, `${side}-start`, `${side}-end`])
+
+/**
+ * Compute where `floating` should go relative to `reference`.
+ *
+ * Options:
+ * - placement ("top")  Preferred side and alignment
+ * - offset (8)         Gap between reference and floating element, in px
+ * - padding (8)        Minimum distance to the viewport edges, in px
+ * - flip (true)        Allow switching to the opposite side
+ * - shift (true)       Allow sliding along the side
+ * - arrow (null)       Arrow element to compute an offset for
+ *
+ * Returns { x, y, side, placement, arrow, referenceHidden } where `arrow` is
+ * { x } or { y } (px from the floating element's edge) when an arrow was given.
+ */
+export function computePosition(reference, floating, options = {}) {
+  const {
+    placement = "top",
+    offset = 8,
+    padding = 8,
+    flip = true,
+    shift = true,
+    arrow = null
+  } = options
+
+  const ref = reference.getBoundingClientRect()
+  const size = { width: floating.offsetWidth, height: floating.offsetHeight }
+  const viewport = {
+    width: document.documentElement.clientWidth,
+    height: document.documentElement.clientHeight
+  }
+
+  let [side, align = null] = placement.split("-")
+
+  if (flip) {
+    const overflow = (s) => sideOverflow(s, ref, size, offset, padding, viewport)
+    if (overflow(side) > 0 && overflow(OPPOSITE[side]) < overflow(side)) {
+      side = OPPOSITE[side]
+    }
+  }
+
+  const vertical = side === "top" || side === "bottom"
+  let { x, y } = coordsFor(side, align, ref, size, offset)
+
+  if (shift) {
+    if (vertical) {
+      x = clamp(x, padding, viewport.width - size.width - padding)
+    } else {
+      y = clamp(y, padding, viewport.height - size.height - padding)
+    }
+  }
+
+  const position = {
+    x,
+    y,
+    side,
+    placement: align ? `${side}-${align}` : side,
+    arrow: null,
+    referenceHidden: ref.bottom < 0 || ref.top > viewport.height ||
+      ref.right < 0 || ref.left > viewport.width
+  }
+
+  if (arrow) {
+    // Point at the reference's center, but never past the floating corners
+    if (vertical) {
+      const length = arrow.offsetWidth
+      position.arrow = { x: clamp(ref.left + ref.width / 2 - x - length / 2, 4, size.width - length - 4) }
+    } else {
+      const length = arrow.offsetHeight
+      position.arrow = { y: clamp(ref.top + ref.height / 2 - y - length / 2, 4, size.height - length - 4) }
+    }
+  }
+
+  return position
+}
+
+/**
+ * Write a computed position to the floating element (and its arrow).
+ * Sets data-placement so CSS can style each side.
+ */
+export function applyPosition(floating, position, arrow = null) {
+  Object.assign(floating.style, {
+    position: "fixed",
+    left: `${Math.round(position.x)}px`,
+    top: `${Math.round(position.y)}px`,
+    visibility: position.referenceHidden ? "hidden" : ""
+  })
+  floating.dataset.placement = position.placement
+
+  if (arrow && position.arrow) {
+    // The arrow sits on the edge facing the reference
+    Object.assign(arrow.style, { left: "", top: "", right: "", bottom: "" })
+    arrow.style.position = "absolute"
+    if ("x" in position.arrow) arrow.style.left = `${Math.round(position.arrow.x)}px`
+    if ("y" in position.arrow) arrow.style.top = `${Math.round(position.arrow.y)}px`
+    arrow.style[OPPOSITE[position.side]] = `${-arrow.offsetHeight / 2}px`
+  }
+}
+
+/**
+ * Call `update` now and whenever the reference or floating element may have
+ * moved: any scroll (captured, so nested scroll containers count), window
+ * resize, or a size change of either element. Updates are batched per frame.
+ *
+ * Returns a cleanup function; call it when the floating element hides.
+ */
+export function autoUpdate(reference, floating, update) {
+  let frame = null
+  const schedule = () => {
+    if (frame) return
+    frame = requestAnimationFrame(() => {
+      frame = null
+      update()
+    })
+  }
+
+  window.addEventListener("scroll", schedule, { capture: true, passive: true })
+  window.addEventListener("resize", schedule)
+
+  const observer = new ResizeObserver(schedule)
+  observer.observe(reference)
+  observer.observe(floating)
+
+  update()
+
+  return () => {
+    window.removeEventListener("scroll", schedule, { capture: true })
+    window.removeEventListener("resize", schedule)
+    observer.disconnect()
+    cancelAnimationFrame(frame)
+  }
+}
+
+// How many px the floating element would stick out of the viewport on `side`
+function sideOverflow(side, ref, size, offset, padding, viewport) {
+  switch (side) {
+    case "top": return size.height + offset + padding - ref.top
+    case "bottom": return ref.bottom + offset + size.height + padding - viewport.height
+    case "left": return size.width + offset + padding - ref.left
+    case "right": return ref.right + offset + size.width + padding - viewport.width
+  }
+}
+
+function coordsFor(side, align, ref, size, offset) {
+  if (side === "top" || side === "bottom") {
+    return {
+      x: align === "start" ? ref.left
+        : align === "end" ? ref.right - size.width
+        : ref.left + (ref.width - size.width) / 2,
+      y: side === "top" ? ref.top - size.height - offset : ref.bottom + offset
+    }
+  }
+
+  return {
+    x: side === "left" ? ref.left - size.width - offset : ref.right + offset,
+    y: align === "start" ? ref.top
+      : align === "end" ? ref.bottom - size.height
+      : ref.top + (ref.height - size.height) / 2
+  }
+}
+
+function clamp(value, min, max) {
+  // Floating element larger than the viewport: pin it to the start edge
+  if (max < min) return min
+  return Math.min(Math.max(value, min), max)
+}
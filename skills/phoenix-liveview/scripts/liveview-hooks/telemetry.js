@@ -0,0 +1,443 @@
+/**
+ * Telemetry for Phoenix LiveView Hooks
+ *
+ * What happens in the browser, sent to the server so it can sit next to the
+ * server's own traces: hook errors and warnings, timings (pushEvent reply
+ * latency, code highlighting, downloads), hook events and Web Vitals.
+ *
+ * Every hook reports through here. Until configureTelemetry() is called
+ * nothing is collected and errors only go to the console, as they always did.
+ *
+ * Usage in app.js:
+ * import { configureTelemetry, traceId } from "./liveview-hooks"
+ *
+ * configureTelemetry({
+ *   event: "client_telemetry",    // LiveView event batches are pushed as
+ *   endpoint: "/telemetry",       // sendBeacon URL, used when the page is hidden or
+ *                                 // no hook is connected; optional
+ *   sampleRate: 0.1               // share of page loads that report events,
+ *                                 // timings and vitals; errors use errorSampleRate
+ * })
+ *
+ * const liveSocket = new LiveSocket("/live", Socket, {
+ *   params: { _csrf_token: csrfToken, trace_id: traceId() },
+ *   hooks: Hooks
+ * })
+ *
+ * Options:
+ * - event            LiveView event for batches, defaults to "client_telemetry"
+ * - endpoint         URL for navigator.sendBeacon (POST, application/json)
+ * - sampleRate       0 to 1, decided once per page load, defaults to 1
+ * - errorSampleRate  0 to 1, per error, defaults to 1
+ * - flushInterval    ms between batches, defaults to 5000
+ * - maxBatch         Events per batch; a full batch is sent right away. Defaults to 50
+ * - maxQueue         Events kept while nothing can be sent, defaults to 500
+ * - webVitals        Report LCP, FCP, CLS, INP and TTFB, defaults to true
+ * - globalErrors     Report uncaught errors and unhandled rejections (an
+ *                    exception in a hook's event listener ends up there),
+ *                    defaults to true
+ * - traceId          Shared trace id; defaults to the one in
+ *                    <meta name="traceparent">, else a random one
+ * - scrub            (event) => event | null, runs after the built-in scrubbing;
+ *                    null drops the event
+ * - transport        (payload) => boolean, replaces both transports
+ *
+ * Batches (LiveView event or beacon body):
+ * %{"trace_id" => "4bf92f...", "page" => "/reports/12", "dropped" => 0, "events" => [
+ *   %{"type" => "error", "source" => "CopyToClipboard", "message" => "Failed to copy: ...", "at" => 1234},
+ *   %{"type" => "timing", "source" => "SearchBox", "name" => "push_reply", "duration" => 84,
+ *     "data" => %{"event" => "search"}, "at" => 1300},
+ *   %{"type" => "vital", "source" => "page", "name" => "LCP", "value" => 1820, "at" => 9000}
+ * ]}
+ *
+ * `at` is ms since the page started loading. A hook's LiveView receives the
+ * event, so handle it for every LiveView with an on_mount hook:
+ *
+ * def on_mount(:default, _params, _session, socket) do
+ *   {:cont, attach_hook(socket, :client_telemetry, :handle_event, &client_telemetry/3)}
+ * end
+ *
+ * defp client_telemetry("client_telemetry", %{"trace_id" => trace_id, "events" => events}, socket) do
+ *   for event <- events do
+ *     :telemetry.execute([:my_app, :client, String.to_existing_atom(event["type"])],
+ *       %{duration: event["duration"], value: event["value"]},
+ *       Map.put(event, "trace_id", trace_id))
+ *   end
+ *   {:halt, socket}
+ * end
+ *
+ * defp client_telemetry(_event, _params, socket), do: {:cont, socket}
+ *
+ * The shared trace id: render the request's W3C traceparent in the root
+ * layout, <meta name="traceparent" content={@traceparent} />, and every
+ * batch (and the socket's connect params, as above) carries its trace id.
+ *
+ * Scrubbing: before anything is queued, e-mail addresses, long numbers (card,
+ * phone, account), long tokens and URL query values in strings are replaced,
+ * and values under keys like password, token, email or phone are redacted.
+ * Element arguments are reported as their #id only.
+ *
+ * Web Vitals are measured with PerformanceObserver and reported once, when
+ * the page is first hidden. CLS is the plain sum of layout shifts and INP the
+ * longest interaction, close to but not exactly what the web-vitals library
+ * reports.
+ */
+
+const DEFAULTS = {
+  event: "client_telemetry",
+  endpoint: null,
+  sampleRate: 1,
+  errorSampleRate: 1,
+  flushInterval: 5000,
+  maxBatch: 50,
+  maxQueue: 500,
+  webVitals: true,
+  globalErrors: true,
+  traceId: null,
+  scrub: null,
+  transport: null
+}
+
+// null until configured: reports only go to the console
+let config = null
+let sampled = false
+let currentTraceId = null
+
+let queue = []
+let dropped = 0
+let flushTimer = null
+let stopPageListeners = null
+let vitals = null
+
+// Mounted hooks batches can be pushed through: hook → { push, connected }
+const carriers = new Map()
+
+/**
+ * Start (or reconfigure) telemetry. configureTelemetry({ enabled: false })
+ * stops it and drops anything queued.
+ */
+export function configureTelemetry(options = {}) {
+  stop()
+  if (!options || options.enabled === false) return
+
+  config = { ...DEFAULTS, ...options }
+  sampled = Math.random() < config.sampleRate
+  currentTraceId = config.traceId || traceparentId() || randomId()
+
+  const onHidden = () => {
+    if (document.visibilityState !== "hidden") return
+    if (vitals) vitals.report()
+    flushTelemetry({ beacon: true })
+  }
+  const onPageHide = () => flushTelemetry({ beacon: true })
+  const onError = (e) => captureError("window", e.message, e.error)
+  const onRejection = (e) => captureError("window", "Unhandled rejection", e.reason instanceof Error ? e.reason : undefined)
+
+  document.addEventListener("visibilitychange", onHidden)
+  window.addEventListener("pagehide", onPageHide)
+  if (config.globalErrors) {
+    window.addEventListener("error", onError)
+    window.addEventListener("unhandledrejection", onRejection)
+  }
+  stopPageListeners = () => {
+    document.removeEventListener("visibilitychange", onHidden)
+    window.removeEventListener("pagehide", onPageHide)
+    window.removeEventListener("error", onError)
+    window.removeEventListener("unhandledrejection", onRejection)
+  }
+
+  if (config.webVitals && sampled) vitals = observeWebVitals()
+}
+
+/** The trace id batches carry; pass it in the socket's connect params too */
+export function traceId() {
+  if (!currentTraceId) currentTraceId = traceparentId() || randomId()
+  return currentTraceId
+}
+
+/**
+ * Log an error to the console, exactly as console.error(...args) would, and
+ * report it. `source` is the hook name.
+ */
+export function reportError(source, ...args) {
+  console.error(...args)
+  report("error", source, describe(args))
+}
+
+/** console.warn(...args), reported as a warning */
+export function reportWarning(source, ...args) {
+  console.warn(...args)
+  report("warning", source, describe(args))
+}
+
+/** Report an error without logging it, for errors that are rethrown */
+export function captureError(source, message, error) {
+  report("error", source, describe([message, error]))
+}
+
+/** Something worth counting that isn't a failure, e.g. a finished download */
+export function reportEvent(source, name, data = {}) {
+  report("event", source, { name, data })
+}
+
+/** A duration in ms */
+export function reportTiming(source, name, duration, data = {}) {
+  report("timing", source, { name, duration: Math.round(duration), data })
+}
+
+/** Start timing; call the returned function (with extra data) when done */
+export function startTimer(source, name) {
+  const start = now()
+  return (data = {}) => reportTiming(source, name, now() - start, data)
+}
+
+/**
+ * Queue an event of `type` ("error", "warning", "event", "timing", "vital").
+ * Sampled, scrubbed and batched; does nothing until configured.
+ */
+export function report(type, source, fields = {}) {
+  if (!config) return
+  if (type === "error" ? Math.random() >= config.errorSampleRate : !sampled) return
+
+  let event = scrub({ type, source, ...fields })
+  event.at = Math.round(now())
+  if (config.scrub) {
+    event = config.scrub(event)
+    if (!event) return
+  }
+
+  if (queue.length >= config.maxQueue) {
+    dropped++
+    return
+  }
+  queue.push(event)
+
+  if (queue.length >= config.maxBatch) {
+    flushTelemetry()
+  } else if (!flushTimer) {
+    flushTimer = setTimeout(() => flushTelemetry(), config.flushInterval)
+  }
+}
+
+/**
+ * Send what's queued now. With `beacon` the endpoint is preferred, since a
+ * socket push may not leave a page that is going away.
+ */
+export function flushTelemetry({ beacon = false } = {}) {
+  clearTimeout(flushTimer)
+  flushTimer = null
+  if (!config || queue.length === 0) return
+
+  while (queue.length > 0) {
+    const events = queue.slice(0, config.maxBatch)
+    const payload = { trace_id: currentTraceId, page: scrubString(location.pathname), dropped, events }
+    if (!send(payload, beacon)) break
+
+    queue = queue.slice(events.length)
+    dropped = 0
+  }
+
+  // Nothing could take it: try again later
+  if (queue.length > 0) flushTimer = setTimeout(() => flushTelemetry(), config.flushInterval)
+}
+
+/**
+ * Called by createHooks for every mounted hook: batches go out through
+ * whichever hook is connected, and its pushEvent replies are timed.
+ */
+export function trackHook(hook, name) {
+  const push = hook.pushEvent
+  const pushTo = hook.pushEventTo
+  if (typeof push !== "function") return
+
+  carriers.set(hook, { push: push.bind(hook), connected: true })
+
+  hook.pushEvent = (event, payload, onReply) =>
+    timePush(name, event, onReply, (callback) => push.call(hook, event, payload, callback))
+  if (typeof pushTo === "function") {
+    hook.pushEventTo = (target, event, payload, onReply) =>
+      timePush(name, event, onReply, (callback) => pushTo.call(hook, target, event, payload, callback))
+  }
+
+  // Anything that waited for a connected hook
+  if (config && queue.length > 0 && !flushTimer) flushTimer = setTimeout(() => flushTelemetry(), 0)
+}
+
+export function untrackHook(hook) {
+  carriers.delete(hook)
+}
+
+export function setHookConnected(hook, connected) {
+  const carrier = carriers.get(hook)
+  if (carrier) carrier.connected = connected
+}
+
+// Helpers
+
+function stop() {
+  clearTimeout(flushTimer)
+  flushTimer = null
+  if (stopPageListeners) stopPageListeners()
+  stopPageListeners = null
+  if (vitals) vitals.disconnect()
+  vitals = null
+  config = null
+  queue = []
+  dropped = 0
+}
+
+function send(payload, beacon) {
+  if (config.transport) return config.transport(payload) !== false
+
+  const carrier = Array.from(carriers.values()).find(carrier => carrier.connected)
+  const pushLive = () => {
+    if (!carrier) return false
+    carrier.push(config.event, payload)
+    return true
+  }
+  const sendBeacon = () => {
+    if (!config.endpoint || typeof navigator.sendBeacon !== "function") return false
+    const body = new Blob([JSON.stringify(payload)], { type: "application/json" })
+    return navigator.sendBeacon(config.endpoint, body)
+  }
+
+  return beacon ? sendBeacon() || pushLive() : pushLive() || sendBeacon()
+}
+
+// Run `push`, reporting how long the reply took when there is one. LiveView
+// 1.0 returns a promise of the reply when no callback is given.
+function timePush(source, event, onReply, push) {
+  if (!config || !sampled) return push(onReply)
+
+  const start = now()
+  const timed = () => reportTiming(source, "push_reply", now() - start, { event })
+
+  if (onReply) {
+    return push((reply, ref) => {
+      timed()
+      onReply(reply, ref)
+    })
+  }
+
+  const result = push(undefined)
+  if (result && typeof result.then === "function") result.then(timed, () => {})
+  return result
+}
+
+// Message from console-style arguments: strings joined, the first Error
+// described, elements by id; other objects are left out as they may hold
+// anything
+function describe(args) {
+  const fields = { message: args.filter(arg => typeof arg === "string").join(" ") }
+
+  const error = args.find(arg => arg instanceof Error)
+  if (error) {
+    fields.error = {
+      name: error.name,
+      message: error.message,
+      stack: String(error.stack || "").split("\n").slice(0, 6).join("\n")
+    }
+  }
+
+  const el = args.find(arg => typeof Element !== "undefined" && arg instanceof Element)
+  if (el) fields.element = el.id ? `#${el.id}` : el.tagName.toLowerCase()
+
+  return fields
+}
+
+// Short words only as words of their own ("pass", "x-auth", "authCode") and
+// "card" only as a card number, so keys like "passenger", "dashboard_card"
+// or "author" stay readable
+const SENSITIVE_KEY = new RegExp([
+  "password|passwd|passphrase|secret|token|authori[sz]|cookie|session|email|phone|ssn|iban",
+  "(^|[\\W_])pass([\\W_]|$)",
+  "^card$|(^|[\\W_])card_?num(ber)?|credit_?card",
+  "(^|[\\W_])auth(?!or)"
+].join("|"), "i")
+
+const PATTERNS = [
+  [/[^\s@<>()"',;:]+@[^\s@<>()"',;:]+\.[a-z]{2,}/gi, "[email]"],
+  [/([?&][^=&#\s]+)=[^&#\s"',]*/g, "$1=[redacted]"],
+  [/[A-Za-z0-9_\-+=]{40,}/g, "[token]"],
+  [/\+?\d(?:[ -]?\d){8,}/g, "[number]"]
+]
+
+function scrubString(value) {
+  return PATTERNS.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), value)
+}
+
+function scrub(value, depth = 0) {
+  if (typeof value === "string") return scrubString(value)
+  if (value === null || typeof value !== "object") return value
+  if (depth > 4) return "[nested]"
+  if (Array.isArray(value)) return value.map(item => scrub(item, depth + 1))
+
+  const clean = {}
+  for (const [key, item] of Object.entries(value)) {
+    // The event's own fields are ours, not data
+    const ours = depth === 0 && (key === "type" || key === "source")
+    clean[key] = !ours && SENSITIVE_KEY.test(key) ? "[redacted]" : scrub(item, depth + 1)
+  }
+  return clean
+}
+
+function observeWebVitals() {
+  if (typeof PerformanceObserver !== "function") return null
+
+  const values = {}
+  const observers = []
+  let reported = false
+
+  const watch = (type, onEntry, options = {}) => {
+    try {
+      const observer = new PerformanceObserver(list => list.getEntries().forEach(onEntry))
+      observer.observe({ type, buffered: true, ...options })
+      observers.push(observer)
+    } catch (_err) {
+      // Entry type not supported by this browser
+    }
+  }
+
+  watch("largest-contentful-paint", (entry) => { values.LCP = entry.startTime })
+  watch("paint", (entry) => {
+    if (entry.name === "first-contentful-paint") values.FCP = entry.startTime
+  })
+  watch("layout-shift", (entry) => {
+    if (!entry.hadRecentInput) values.CLS = (values.CLS || 0) + entry.value
+  })
+  watch("event", (entry) => {
+    if (entry.interactionId) values.INP = Math.max(values.INP || 0, entry.duration)
+  }, { durationThreshold: 40 })
+
+  const navigation = performance.getEntriesByType && performance.getEntriesByType("navigation")[0]
+  if (navigation) values.TTFB = navigation.responseStart
+
+  return {
+    report() {
+      if (reported) return
+      reported = true
+      for (const [name, value] of Object.entries(values)) {
+        report("vital", "page", { name, value: name === "CLS" ? Math.round(value * 1000) / 1000 : Math.round(value) })
+      }
+    },
+    disconnect() {
+      observers.forEach(observer => observer.disconnect())
+    }
+  }
+}
+
+function traceparentId() {
+  const meta = typeof document !== "undefined" && document.querySelector('meta[name="traceparent"]')
+  const match = meta && /^[\da-f]{2}-([\da-f]{32})-[\da-f]{16}-[\da-f]{2}$/.exec(meta.content.trim())
+  return match ? match[1] : null
+}
+
+function randomId() {
+  const bytes = new Uint8Array(16)
+  crypto.getRandomValues(bytes)
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, "0")).join("")
+}
+
+function now() {
+  return performance.now()
+}
@@ -0,0 +1,89 @@
+import { test, afterEach } from "node:test"
+import assert from "node:assert/strict"
+
+import { mountHook, wait, setMediaQuery } from "./harness.js"
+
+afterEach(() => setMediaQuery("(prefers-reduced-motion: reduce)", false))
+
+test("AnimateValue counts up to data-value and formats it for the locale", async () => {
+  const h = await mountHook("AnimateValue", `
+    <span id="total" phx-hook="AnimateValue" data-value="1234.5" data-decimals="1" data-duration="40" data-locale="en-US">0</span>
+  `)
+
+  assert.equal(h.el.getAttribute("aria-busy"), "true")
+  await wait(120)
+
+  assert.equal(h.el.textContent, "1,234.5")
+  assert.equal(h.el.hasAttribute("aria-busy"), false)
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("AnimateValue starts from the rendered number in the element's locale", async () => {
+  const h = await mountHook("AnimateValue", `
+    <span id="revenue" phx-hook="AnimateValue" data-value="1234.5" data-locale="de-DE" data-format="currency" data-currency="EUR">1.234,50&nbsp;€</span>
+  `)
+
+  // Already at the target: no animation
+  assert.equal(h.el.hasAttribute("aria-busy"), false)
+  assert.equal(h.el.textContent, "1.234,50\u00a0€")
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("AnimateValue jumps straight to the value with reduced motion", async () => {
+  setMediaQuery("(prefers-reduced-motion: reduce)", true)
+
+  const h = await mountHook("AnimateValue", `
+    <span id="rate" phx-hook="AnimateValue" data-value="0.25" data-format="percent" data-locale="en-US">0%</span>
+  `)
+
+  assert.equal(h.el.textContent, "25%")
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("AnimateValue retargets on update and cancels its frame on destroy", async () => {
+  const h = await mountHook("AnimateValue", `
+    <span id="count" phx-hook="AnimateValue" data-value="10" data-duration="1000" data-locale="en-US">0</span>
+  `)
+
+  await h.update(el => { el.dataset.value = "20" })
+  assert.equal(h.el.getAttribute("aria-busy"), "true")
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("RelativeTime renders a localized relative time and a full-date title", async () => {
+  const fiveMinutesAgo = new Date(Date.now() - 5 * 60 * 1000).toISOString()
+  const h = await mountHook("RelativeTime", `
+    <time id="posted" phx-hook="RelativeTime" datetime="${fiveMinutesAgo}" data-locale="en-US"></time>
+  `)
+
+  assert.equal(h.el.textContent, "5 minutes ago")
+  assert.notEqual(h.el.title, "")
+
+  await h.update(el => { el.dataset.style = "short" })
+  assert.equal(h.el.textContent, "5 min. ago")
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("RelativeTime checks back at most daily for old times", async () => {
+  const twoYearsAgo = new Date(Date.now() - 2 * 366 * 24 * 3600 * 1000).toISOString()
+  const h = await mountHook("RelativeTime", `
+    <time id="founded" phx-hook="RelativeTime" datetime="${twoYearsAgo}" data-locale="en-US"></time>
+  `)
+  assert.equal(h.el.textContent, "2 years ago")
+
+  // A year's half-life would overflow the timer and re-render in a loop
+  let renders = 0
+  const observer = new MutationObserver(records => { renders += records.length })
+  observer.observe(h.el, { childList: true, characterData: true, subtree: true })
+  await wait(100)
+  observer.disconnect()
+  assert.equal(renders, 0)
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("RelativeTime leaves unparseable times alone", async () => {
+  const h = await mountHook("RelativeTime", `<time id="never" phx-hook="RelativeTime" data-time="soon">soon</time>`)
+
+  assert.equal(h.el.textContent, "soon")
+  assert.deepEqual(h.destroy(), [])
+})
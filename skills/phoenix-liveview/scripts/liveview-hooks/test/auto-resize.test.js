@@ -0,0 +1,39 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+
+import { mountHook, fire, stubLayout } from "./harness.js"
+
+const fixture = `<textarea id="message" phx-hook="AutoResize" data-min-rows="2" data-max-rows="5" style="line-height: 20px; padding: 0"></textarea>`
+
+test("grows with its content between min and max rows", async () => {
+  let contentHeight = 10
+  const h = await mountHook("AutoResize", fixture, { target: "textarea" })
+  stubLayout(h.el, { scrollHeight: () => contentHeight })
+
+  fire(h.el, "input")
+  assert.equal(h.el.style.height, "40px")
+
+  contentHeight = 70
+  fire(h.el, "input")
+  assert.equal(h.el.style.height, "70px")
+  assert.equal(h.el.style.overflowY, "hidden")
+
+  contentHeight = 300
+  fire(h.el, "input")
+  assert.equal(h.el.style.height, "100px")
+  assert.equal(h.el.style.overflowY, "auto")
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("measures lines with line-height: normal, and refits after server updates", async () => {
+  const h = await mountHook("AutoResize", `
+    <textarea id="note" phx-hook="AutoResize" style="line-height: normal; font-size: 20px; padding: 4px 0; box-sizing: border-box; border: 1px solid"></textarea>
+  `, { target: "textarea" })
+  // 2 rows of 24px, plus padding and borders
+  assert.equal(h.el.style.height, "58px")
+
+  stubLayout(h.el, { scrollHeight: 8 + 24 * 3 })
+  await h.update(el => { el.value = "one\ntwo\nthree" })
+  assert.equal(h.el.style.height, "82px")
+  assert.deepEqual(h.destroy(), [])
+})
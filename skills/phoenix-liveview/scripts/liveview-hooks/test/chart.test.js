@@ -0,0 +1,133 @@
+import { test, afterEach } from "node:test"
+import assert from "node:assert/strict"
+
+import { mountHook, fire, keydown, wait, resize, setMediaQuery, stubLayout, window } from "./harness.js"
+
+afterEach(() => {
+  setMediaQuery("(prefers-reduced-motion: reduce)", false)
+  document.documentElement.style.cssText = ""
+})
+
+const svg = (h) => h.el.querySelector("svg")
+const line = (h, index = 0) => svg(h).querySelector(`path[data-series="${index}"]`)
+const vertices = (path) => path.getAttribute("d").slice(1).split("L").map(pair => pair.split(",").map(Number))
+
+async function mountChart(attrs, size = { width: 300, height: 100 }) {
+  const h = await mountHook("Chart", `<div id="rps" phx-hook="Chart" phx-update="ignore" ${attrs}></div>`)
+  stubLayout(svg(h), { rect: size })
+  resize(h.el)
+  return h
+}
+
+const pointer = (target, type, x) =>
+  fire(target, `pointer${type}`, { clientX: x, clientY: 50, pointerId: 1 }, window.MouseEvent)
+
+test("draws the series and slides new points in, keeping the window", async () => {
+  setMediaQuery("(prefers-reduced-motion: reduce)", true)
+  const h = await mountChart(`data-series="[1, 5, 3]" data-window="4" data-label="Requests per second"`)
+
+  assert.equal(svg(h).getAttribute("role"), "img")
+  assert.equal(svg(h).getAttribute("aria-label"), "Requests per second: 3")
+  assert.equal(vertices(line(h)).length, 3)
+  // A gridline label per nice tick; only area and bar charts reach down to 0
+  assert.deepEqual(Array.from(svg(h).querySelectorAll("[data-chart-axes] text"), text => text.textContent), ["1", "2", "3", "4", "5"])
+
+  h.serverEvent("chart_points", { id: "other", points: [100] })
+  h.serverEvent("chart_points", { id: "rps", points: [4, 2] })
+  const points = vertices(line(h))
+  assert.equal(points.length, 4)
+  // The oldest point left the window: the line spans the plot from edge to edge
+  assert.equal(points[0][0] < points[1][0], true)
+  assert.equal(points[3][0], 288)
+  assert.equal(svg(h).getAttribute("aria-label"), "Requests per second: 2")
+  assert.deepEqual(h.destroy(), [])
+  assert.equal(h.el.children.length, 0)
+})
+
+test("eases between ranges and cancels its frame on destroy", async () => {
+  const h = await mountChart(`data-type="sparkline" data-series="[1, 2]" data-duration="40"`)
+  assert.deepEqual(vertices(line(h)), [[3, 97], [297, 3]])
+  assert.equal(svg(h).querySelector("[data-chart-axes]").children.length, 0)
+
+  // The old range stays up until the first frame
+  h.serverEvent("chart_points", { points: [10] })
+  assert.equal(vertices(line(h)).length, 2)
+
+  await wait(80)
+  assert.deepEqual(vertices(line(h)), [[3, 97], [150, 86.6], [297, 3]])
+
+  h.serverEvent("chart_points", { points: [0] })
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("takes several series by name, colored from the DaisyUI theme", async () => {
+  setMediaQuery("(prefers-reduced-motion: reduce)", true)
+  document.documentElement.style.setProperty("--color-warning", "oklch(80% 0.18 85)")
+  const series = JSON.stringify([
+    { name: "p95", points: [[1000, 120], [2000, 140]] },
+    { name: "p50", points: [[1000, 40], [2000, 45]], color: "#0ea5e9" }
+  ])
+  const h = await mountChart(`data-type="area" data-colors="warning,primary,info" data-series='${series}'`)
+
+  assert.equal(line(h, 0).getAttribute("stroke"), "var(--color-warning)")
+  assert.equal(svg(h).querySelector(`[data-series-area="0"]`).getAttribute("fill"), "var(--color-warning)")
+  assert.equal(line(h, 1).getAttribute("stroke"), "#0ea5e9")
+
+  // A new name adds a series; without the theme variable it falls back to the text color
+  h.serverEvent("chart_points", { id: "rps", points: { p95: [[3000, 150]], p99: [[3000, 300]] } })
+  assert.equal(vertices(line(h, 0)).length, 3)
+  assert.equal(line(h, 2).getAttribute("stroke"), "currentColor")
+  assert.equal(svg(h).getAttribute("aria-label"), "p95 150, p50 45, p99 300")
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("shows a crosshair tooltip on hover and from the keyboard", async () => {
+  setMediaQuery("(prefers-reduced-motion: reduce)", true)
+  const series = JSON.stringify([{ name: "Orders", points: [[1, 10], [2, 30], [3, 20]] }])
+  const h = await mountChart(`data-type="bar" data-series='${series}' data-format="currency" data-locale="en-US"`)
+  const tooltip = h.el.querySelector("[data-chart-tooltip]")
+  const crosshair = svg(h).querySelector("[data-chart-crosshair]")
+
+  assert.equal(svg(h).querySelectorAll("rect[data-series]").length, 3)
+  assert.equal(tooltip.hidden, true)
+
+  // Nearest to the middle bar
+  pointer(svg(h), "move", 160)
+  assert.equal(tooltip.hidden, false)
+  assert.equal(crosshair.style.display, "")
+  assert.equal(tooltip.querySelector("[data-chart-tooltip-title]").textContent, "2")
+  assert.equal(tooltip.querySelector("[data-chart-tooltip-row]").textContent, "Orders$30.00")
+
+  pointer(svg(h), "leave", 400)
+  assert.equal(tooltip.hidden, true)
+
+  svg(h).focus()
+  keydown("ArrowLeft")
+  assert.equal(tooltip.querySelector("[data-chart-tooltip-title]").textContent, "3")
+  keydown("Home")
+  assert.match(tooltip.textContent, /\$10\.00/)
+  keydown("Escape")
+  assert.equal(tooltip.hidden, true)
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("redraws on resize and replaces the data when data-series changes", async () => {
+  setMediaQuery("(prefers-reduced-motion: reduce)", true)
+  let size = { width: 300, height: 100 }
+  const h = await mountChart(`data-type="sparkline" data-series="[1, 2, 3]"`, () => size)
+  assert.equal(svg(h).getAttribute("viewBox"), "0 0 300 100")
+
+  size = { width: 600, height: 50 }
+  resize(h.el)
+  assert.equal(svg(h).getAttribute("viewBox"), "0 0 600 50")
+  assert.equal(vertices(line(h))[2][0], 597)
+
+  await h.update(el => { el.dataset.series = "[7]" })
+  assert.equal(vertices(line(h)).length, 1)
+
+  // Data attributes other than the series don't drop appended points
+  h.serverEvent("chart_points", { points: [8] })
+  await h.update(el => { el.dataset.type = "line" })
+  assert.equal(vertices(line(h)).length, 2)
+  assert.deepEqual(h.destroy(), [])
+})
@@ -0,0 +1,149 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+
+import { mountHook, fire, keydown } from "./harness.js"
+
+// jsdom has no layout: layers are rendered unless hidden or display: none
+async function mountLayer(html) {
+  const h = await mountHook("ClickOutside", html)
+  h.el.getClientRects = () => h.el.hidden || h.el.style.display === "none" ? [] : [{}]
+  return h
+}
+
+test("reports clicks outside the element only", async () => {
+  const h = await mountLayer(`
+    <div>
+      <div id="dropdown" phx-hook="ClickOutside"><button>Inside</button></div>
+      <button id="outside">Outside</button>
+    </div>
+  `)
+
+  fire(h.el.querySelector("button"), "click")
+  assert.deepEqual(h.pushed("click_outside"), [])
+
+  fire(document.getElementById("outside"), "click")
+  assert.deepEqual(h.pushed("click_outside"), [{ id: "dropdown", reason: "click" }])
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("sends the phx-click-outside event to phx-target on click, Escape and focus-out", async () => {
+  const h = await mountLayer(`
+    <div>
+      <div id="menu" phx-hook="ClickOutside" phx-click-outside="close_menu" phx-target="#settings">
+        <button id="menu-item">Item</button>
+      </div>
+      <button id="elsewhere">Elsewhere</button>
+    </div>
+  `)
+  const item = h.el.querySelector("button")
+  const elsewhere = h.container.querySelector("#elsewhere")
+
+  fire(elsewhere, "click")
+  keydown("Escape", {}, document.body)
+  item.focus()
+  elsewhere.focus()
+
+  assert.deepEqual(h.pushes.map(({event, payload, target}) => [event, payload.reason, target]), [
+    ["close_menu", "click", "#settings"],
+    ["close_menu", "escape", "#settings"],
+    ["close_menu", "focusout", "#settings"]
+  ])
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("treats portals as inside the layer", async () => {
+  const h = await mountLayer(`
+    <div>
+      <div id="picker" phx-hook="ClickOutside" data-portals="picker-calendar"></div>
+      <div id="picker-calendar"><button>12</button></div>
+      <div data-layer-owner="picker"><button>Today</button></div>
+      <div data-layer-owner="other"><button>Other</button></div>
+    </div>
+  `)
+  const [day, today, other] = h.container.querySelectorAll("button")
+
+  fire(day, "click")
+  fire(today, "click")
+  assert.deepEqual(h.pushed("click_outside"), [])
+
+  fire(other, "click")
+  assert.equal(h.pushed("click_outside").length, 1)
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("only the topmost open layer is dismissed", async () => {
+  const menu = await mountLayer(`<div id="menu" phx-hook="ClickOutside"><button>Menu</button></div>`)
+  const submenu = await mountLayer(`<div id="submenu" phx-hook="ClickOutside"></div>`)
+
+  fire(menu.el.querySelector("button"), "click")
+  keydown("Escape", {}, document.body)
+  assert.deepEqual(submenu.pushed("click_outside").map(payload => payload.reason), ["click", "escape"])
+  assert.deepEqual(menu.pushed("click_outside"), [])
+
+  // A closed layer steps aside while it stays rendered
+  await submenu.update(el => { el.hidden = true })
+  keydown("Escape", {}, document.body)
+  assert.deepEqual(menu.pushed("click_outside"), [{ id: "menu", reason: "escape" }])
+
+  assert.deepEqual(submenu.destroy(), [])
+  assert.deepEqual(menu.destroy(), [])
+})
+
+test("a layer hidden without a patch stops being topmost, and Escape is left alone", async () => {
+  const menu = await mountLayer(`<div id="menu" phx-hook="ClickOutside"></div>`)
+  const teams = await mountLayer(`<div id="teams-menu" phx-hook="ClickOutside"></div>`)
+
+  // As after phx-click-outside={JS.hide(to: "#teams-menu")}
+  teams.el.style.display = "none"
+  assert.equal(keydown("Escape", {}, document.body).defaultPrevented, true)
+  assert.deepEqual(menu.pushed("click_outside"), [{ id: "menu", reason: "escape" }])
+  assert.deepEqual(teams.pushed("click_outside"), [])
+
+  // Nothing to dismiss: the Escape goes on to whatever else wants it
+  menu.el.style.display = "none"
+  assert.equal(keydown("Escape", {}, document.body).defaultPrevented, false)
+
+  // Nor when someone else already handled it, or a modal dialog is on top
+  menu.el.style.display = ""
+  const handled = new KeyboardEvent("keydown", { key: "Escape", bubbles: true, cancelable: true })
+  handled.preventDefault()
+  document.body.dispatchEvent(handled)
+  const dialog = document.createElement("dialog")
+  dialog.setAttribute("open", "")
+  dialog.innerHTML = "<button>OK</button>"
+  document.body.appendChild(dialog)
+  assert.equal(keydown("Escape", {}, dialog.querySelector("button")).defaultPrevented, false)
+  dialog.remove()
+  assert.equal(menu.pushed("click_outside").length, 1)
+
+  assert.deepEqual(teams.destroy(), [])
+  assert.deepEqual(menu.destroy(), [])
+})
+
+test("runs a JS command instead of pushing", async () => {
+  const command = JSON.stringify([["hide", { to: "#menu" }]])
+  const h = await mountLayer(`<div id="menu" phx-hook="ClickOutside" phx-click-outside='${command}' data-escape="false"></div>`)
+  const executed = []
+  h.hook.js = () => ({ exec: (encoded) => executed.push(encoded) })
+
+  keydown("Escape", {}, document.body)
+  fire(document.body, "click")
+
+  assert.deepEqual(executed, [command])
+  assert.deepEqual(h.pushes, [])
+
+  // Only through the public hook API: without it, a warning and nothing else
+  h.hook.liveSocket = { execJS: () => executed.push("private") }
+  delete h.hook.js
+  const warnings = []
+  const warn = console.warn
+  console.warn = (...args) => warnings.push(args.join(" "))
+  try {
+    fire(document.body, "click")
+  } finally {
+    console.warn = warn
+  }
+  assert.deepEqual(executed, [command])
+  assert.match(warnings[0], /ClickOutside #menu: JS commands in phx-click-outside need LiveView 1\.0/)
+  assert.deepEqual(h.destroy(), [])
+})
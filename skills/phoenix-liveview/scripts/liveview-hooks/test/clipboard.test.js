@@ -0,0 +1,147 @@
+import { test, beforeEach } from "node:test"
+import assert from "node:assert/strict"
+
+import { mountHook, fire, flush, window } from "./harness.js"
+
+let written
+
+beforeEach(() => {
+  written = []
+  Object.defineProperty(window.navigator, "clipboard", {
+    configurable: true,
+    value: { writeText: async (text) => { written.push(text) } }
+  })
+})
+
+test("CopyToClipboard copies server text and reports it", async () => {
+  const h = await mountHook("CopyToClipboard", `<div id="copy"></div>`)
+
+  h.serverEvent("copy_to_clipboard", { text: "SELECT 1" })
+  await flush()
+
+  assert.deepEqual(written, ["SELECT 1"])
+  assert.deepEqual(h.pushed("copied"), [{ format: "text", length: 8 }])
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("CopyToClipboard copies tables as TSV from a data-copy trigger", async () => {
+  const h = await mountHook("CopyToClipboard", `
+    <div id="copy">
+      <button data-copy="#results">Copy</button>
+      <table id="results"><tr><th>id</th><th>name</th></tr><tr><td>1</td><td>a\tb</td></tr></table>
+    </div>
+  `)
+
+  fire(h.el.querySelector("button"), "click")
+  await flush()
+
+  assert.deepEqual(written, ['id\tname\n1\t"a\tb"'])
+  assert.equal(h.pushed("copied")[0].format, "table")
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("CopyToClipboard reports a denied write as copy_failed", async () => {
+  const denied = Object.assign(new Error("no gesture"), { name: "NotAllowedError" })
+  Object.defineProperty(window.navigator, "clipboard", {
+    configurable: true,
+    value: { writeText: async () => { throw denied } }
+  })
+  const originalError = console.error
+  console.error = () => {}
+
+  try {
+    const h = await mountHook("CopyToClipboard", `<div id="copy"><button data-copy-text="key">Copy</button></div>`)
+    fire(h.el.querySelector("button"), "click")
+    await flush()
+
+    assert.deepEqual(h.pushed("copy_failed"), [{ reason: "denied", message: "no gesture" }])
+    assert.deepEqual(h.destroy(), [])
+  } finally {
+    console.error = originalError
+  }
+})
+
+test("CopyToClipboard's execCommand fallback gives focus and the selection back", async () => {
+  Object.defineProperty(window.navigator, "clipboard", { configurable: true, value: undefined })
+  let copied = null
+  document.execCommand = (command) => {
+    const textarea = document.querySelector("body > textarea")
+    copied = { command, hidden: textarea.getAttribute("aria-hidden"), tabIndex: textarea.tabIndex }
+    return fire(document, "copy", { clipboardData: { setData: (type, text) => written.push(text) } }).defaultPrevented
+  }
+
+  try {
+    const h = await mountHook("CopyToClipboard", `
+      <div id="copy"><p>Some text</p><button data-copy-text="key">Copy</button></div>
+    `)
+    const button = h.el.querySelector("button")
+    button.focus()
+    const range = document.createRange()
+    range.selectNodeContents(h.el.querySelector("p"))
+    document.getSelection().removeAllRanges()
+    document.getSelection().addRange(range)
+
+    fire(button, "click")
+    await flush()
+
+    assert.deepEqual(written, ["key"])
+    assert.deepEqual(copied, { command: "copy", hidden: "true", tabIndex: -1 })
+    assert.equal(document.activeElement, button)
+    const restored = document.getSelection().getRangeAt(0)
+    assert.deepEqual([restored.startContainer, restored.endOffset], [h.el.querySelector("p"), 1])
+    assert.equal(document.querySelector("body > textarea"), null)
+    assert.deepEqual(h.destroy(), [])
+  } finally {
+    delete document.execCommand
+    document.getSelection().removeAllRanges()
+  }
+})
+
+test("PasteHandler uploads pasted files and pushes their metadata", async () => {
+  const h = await mountHook("PasteHandler", `<div id="paste" data-upload="attachments"></div>`)
+  const file = { name: "shot.png", type: "image/png", size: 42 }
+
+  const event = fire(h.el, "paste", { clipboardData: { files: [file], getData: () => "" } })
+
+  assert.equal(event.defaultPrevented, true)
+  assert.deepEqual(h.uploads, [{ name: "attachments", files: [file], target: null }])
+  assert.deepEqual(h.pushed("pasted"), [{ kind: "files", files: [file] }])
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("PasteHandler pushes pasted spreadsheet rows and leaves plain text alone", async () => {
+  const h = await mountHook("PasteHandler", `<div id="paste" data-paste-scope="document"></div>`)
+  const clipboard = (text) => ({ files: [], getData: type => type === "text/plain" ? text : "" })
+
+  fire(document.body, "paste", { clipboardData: clipboard("a\tb\n1\t2\n") })
+  const plain = fire(document.body, "paste", { clipboardData: clipboard("hello") })
+
+  assert.deepEqual(h.pushed("pasted"), [{ kind: "table", rows: [["a", "b"], ["1", "2"]] }])
+  assert.equal(plain.defaultPrevented, false)
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("PasteHandler leaves tables pasted into fields to the field", async () => {
+  const h = await mountHook("PasteHandler", `
+    <div>
+      <div id="paste" phx-hook="PasteHandler" data-paste-scope="document"></div>
+      <input name="note" />
+      <div contenteditable="true"><p>Notes</p></div>
+    </div>
+  `)
+  const clipboard = { files: [], getData: type => type === "text/plain" ? "a\tb\n" : "<table><tr><td>a</td></tr></table>" }
+
+  const input = fire(h.container.querySelector("input"), "paste", { clipboardData: clipboard })
+  const editor = fire(h.container.querySelector("[contenteditable] p"), "paste", { clipboardData: clipboard })
+  assert.equal(input.defaultPrevented, false)
+  assert.equal(editor.defaultPrevented, false)
+  assert.deepEqual(h.pushed("pasted"), [])
+
+  assert.deepEqual(h.destroy(), [])
+
+  // Opted in, e.g. on a textarea meant for pasting tables
+  const grid = await mountHook("PasteHandler", `<textarea id="grid-paste" data-paste-editable></textarea>`)
+  assert.equal(fire(grid.el, "paste", { clipboardData: clipboard }).defaultPrevented, true)
+  assert.deepEqual(grid.pushed("pasted"), [{ kind: "table", rows: [["a"]] }])
+  assert.deepEqual(grid.destroy(), [])
+})
@@ -0,0 +1,122 @@
+import { test, beforeEach } from "node:test"
+import assert from "node:assert/strict"
+
+import { mountHook, flush, window, setMediaQuery } from "./harness.js"
+import { configureCodeHighlight } from "../index.js"
+
+// Stands in for highlight.js: wraps keywords so the output is recognisable
+const highlighted = []
+window.hljs = {
+  languages: new Set(["sql", "elixir"]),
+  getLanguage(name) {
+    return this.languages.has(name)
+  },
+  registerLanguage(name) {
+    this.languages.add(name)
+  },
+  highlight(code, {language}) {
+    highlighted.push({ language, code })
+    return { value: code.replace(/\b(SELECT|FROM)\b/g, '<span class="hljs-keyword">$1</span>') }
+  },
+  highlightAuto(code, subset) {
+    highlighted.push({ language: "auto", subset, code })
+    return { value: code }
+  }
+}
+
+// No grammar files to fetch in tests; unknown languages stay unregistered
+configureCodeHighlight({ loadLanguage: async () => null })
+
+beforeEach(() => {
+  highlighted.length = 0
+})
+
+test("highlights a block by its language class, one span per line", async () => {
+  const h = await mountHook("CodeHighlight", `
+    <pre id="query" phx-hook="CodeHighlight"><code class="language-sql">SELECT id
+FROM users</code></pre>
+  `)
+  await flush()
+
+  const code = h.el.querySelector("code")
+  assert.deepEqual(highlighted.map(call => call.language), ["sql"])
+  assert.equal(code.querySelectorAll(".code-line").length, 2)
+  assert.equal(code.querySelectorAll(".hljs-keyword").length, 2)
+  assert.ok(code.classList.contains("hljs"))
+  assert.ok(document.head.querySelector("link[data-code-theme]").href.endsWith("/styles/github.min.css"))
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("adds line numbers, highlighted lines and diff markers", async () => {
+  const h = await mountHook("CodeHighlight", `
+    <pre id="patch" phx-hook="CodeHighlight" data-language="elixir" data-line-numbers data-lines="2" data-diff><code>@@ -1 +1 @@
+-old
++new</code></pre>
+  `)
+  await flush()
+
+  const lines = h.el.querySelectorAll(".code-line")
+  assert.equal(lines.length, 3)
+  assert.equal(lines[0].querySelector(".code-line-number").textContent, "1")
+  assert.ok(lines[1].classList.contains("bg-error/15"))
+  assert.ok(lines[1].classList.contains("bg-warning/20"))
+  assert.ok(lines[2].classList.contains("bg-success/15"))
+  assert.equal(highlighted[0].code, "\nold\nnew")
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("re-highlights only when the code changes", async () => {
+  const h = await mountHook("CodeHighlight", `
+    <pre id="live" phx-hook="CodeHighlight" data-detect="sql,json"><code>SELECT 1</code></pre>
+  `)
+  await flush()
+  assert.deepEqual(highlighted[0].subset, ["sql"])
+
+  await h.update()
+  await flush()
+  assert.equal(highlighted.length, 1)
+
+  // A patch renders the block afresh, without our data-highlighted
+  await h.update(el => { el.innerHTML = "<code>SELECT 2</code>" })
+  await flush()
+  assert.equal(highlighted.length, 2)
+  assert.match(h.el.textContent, /SELECT 2/)
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("watches the page theme while any block is mounted", async () => {
+  const first = await mountHook("CodeHighlight", `<pre id="first"><code></code></pre>`)
+  const second = await mountHook("CodeHighlight", `<pre id="second"><code></code></pre>`)
+  await flush()
+  const link = document.head.querySelector("link[data-code-theme]")
+
+  // The page-wide watcher stays with the last block, then goes with it
+  assert.deepEqual(first.destroy(), ["MutationObserver on <html>", '"change" listener on EventTarget'])
+  document.documentElement.style.colorScheme = "dark"
+  setMediaQuery("(prefers-color-scheme: dark)", true)
+  assert.ok(link.href.endsWith("/styles/github-dark.min.css"))
+  assert.deepEqual(second.destroy(), [])
+
+  document.documentElement.style.colorScheme = ""
+  setMediaQuery("(prefers-color-scheme: dark)", false)
+  assert.ok(link.href.endsWith("/styles/github-dark.min.css"))
+})
+
+test("loads only grammars with a plain name", async () => {
+  const warnings = []
+  const warn = console.warn
+  console.warn = (...args) => warnings.push(args.join(" "))
+  configureCodeHighlight({ loadLanguage: null })
+
+  const h = await mountHook("CodeHighlight", `
+    <pre id="odd" phx-hook="CodeHighlight" data-language="../../evil"><code>x</code></pre>
+  `)
+  await flush()
+  console.warn = warn
+  configureCodeHighlight({ loadLanguage: async () => null })
+
+  assert.match(warnings[0], /CodeHighlight: ignoring language "\.\.\/\.\.\/evil"/)
+  assert.equal(document.head.querySelector("script[src*=evil]"), null)
+  assert.equal(highlighted[0].language, "auto")
+  assert.deepEqual(h.destroy(), [])
+})
@@ -0,0 +1,191 @@
+import { test, beforeEach } from "node:test"
+import assert from "node:assert/strict"
+
+import { mountHook, fire, keydown, stubLayout, window } from "./harness.js"
+
+const PEOPLE = [[1, "Ada", "ada@example.com"], [2, "Grace", "grace@example.com"], [3, "Edsger", "ew@example.com"]]
+
+const header = () => `<tr><th data-column="id">Id</th><th data-column="name">Name</th><th data-column="email">Email</th></tr>`
+const row = ([id, name, email]) => `<tr id="people-${id}"><td>${id}</td><td>${name}</td><td>${email}</td></tr>`
+
+const fixture = (attrs = "") => `
+  <div id="people" phx-hook="DataTable" ${attrs}>
+    <table>
+      <thead>${header()}</thead>
+      <tbody id="people-rows">${PEOPLE.map(row).join("")}</tbody>
+    </table>
+  </div>
+`
+
+const table = (h) => h.el.querySelector("table")
+const texts = (h) => Array.from(table(h).rows, tr => Array.from(tr.cells, cell => cell.textContent))
+
+// Header cells 100px wide, laid out in the order shown
+function layout(h) {
+  for (const cell of table(h).tHead.rows[0].cells) {
+    stubLayout(cell, { rect: () => ({ left: cell.cellIndex * 100, width: 100, height: 30 }) })
+  }
+}
+
+const pointer = (target, type, x, props = {}) =>
+  fire(target, `pointer${type}`, { clientX: x, clientY: 10, pointerId: 1, button: 0, ...props }, window.MouseEvent)
+
+beforeEach(() => localStorage.clear())
+
+test("moves between cells with the keyboard, one tab stop for the table", async () => {
+  const h = await mountHook("DataTable", fixture())
+  const cell = (r, c) => table(h).rows[r].cells[c]
+  assert.equal(table(h).getAttribute("role"), "grid")
+  assert.equal(cell(0, 0).getAttribute("tabindex"), "0")
+
+  cell(0, 0).focus()
+  keydown("ArrowDown")
+  keydown("ArrowRight")
+  assert.equal(document.activeElement, cell(1, 1))
+  assert.equal(cell(1, 1).getAttribute("tabindex"), "0")
+  assert.equal(cell(0, 0).getAttribute("tabindex"), "-1")
+
+  keydown("End")
+  assert.equal(document.activeElement.textContent, "ada@example.com")
+  keydown("PageDown")
+  assert.equal(document.activeElement.textContent, "ew@example.com")
+  keydown("Home", { ctrlKey: true })
+  assert.equal(document.activeElement, cell(0, 0))
+  keydown("ArrowUp")
+  assert.equal(document.activeElement, cell(0, 0))
+
+  assert.deepEqual(h.pushes, [])
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("shift-click selects a range that copies as TSV", async () => {
+  const h = await mountHook("DataTable", fixture())
+  const cell = (r, c) => table(h).rows[r].cells[c]
+
+  fire(cell(1, 0), "click")
+  fire(cell(2, 1), "click", { shiftKey: true })
+  assert.deepEqual(Array.from(table(h).querySelectorAll("[aria-selected=true]"), cell => cell.textContent), ["1", "Ada", "2", "Grace"])
+
+  const data = {}
+  const copy = fire(cell(2, 1), "copy", { clipboardData: { setData: (type, value) => { data[type] = value } } })
+  assert.equal(copy.defaultPrevented, true)
+  assert.equal(data["text/plain"], "1\tAda\n2\tGrace")
+  assert.match(data["text/html"], /<td>Grace<\/td>/)
+
+  // Shift+arrows grow it from the same anchor
+  cell(2, 1).focus()
+  keydown("ArrowDown", { shiftKey: true })
+  assert.equal(table(h).querySelectorAll("[aria-selected=true]").length, 6)
+
+  keydown("Escape")
+  assert.equal(table(h).querySelectorAll("[aria-selected]").length, 0)
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("resizes a column from its edge, saves the layout and restores it", async () => {
+  const h = await mountHook("DataTable", fixture())
+  layout(h)
+  const name = table(h).tHead.rows[0].cells[1]
+
+  pointer(name, "down", 197)
+  pointer(document, "move", 237)
+  pointer(document, "up", 237)
+  assert.equal(name.style.width, "140px")
+  assert.deepEqual(h.pushed("columns_changed"), [
+    { id: "people", order: ["id", "name", "email"], widths: { name: 140 }, change: "resize" }
+  ])
+
+  // Never narrower than the minimum
+  fire(name, "click")
+  keydown("ArrowLeft", { altKey: true })
+  assert.equal(name.style.width, "124px")
+  assert.deepEqual(h.destroy(), [])
+
+  const again = await mountHook("DataTable", fixture())
+  assert.equal(table(again).tHead.rows[0].cells[1].style.width, "124px")
+  assert.deepEqual(again.pushed("columns_changed"), [
+    { id: "people", order: ["id", "name", "email"], widths: { name: 124 }, change: "restore" }
+  ])
+  assert.deepEqual(again.destroy(), [])
+})
+
+test("moves columns by dragging and keeps them moved across patches", async () => {
+  const h = await mountHook("DataTable", fixture())
+  layout(h)
+  const email = table(h).tHead.rows[0].cells[2]
+
+  pointer(email, "down", 250)
+  pointer(document, "move", 240)
+  assert.equal(email.hasAttribute("data-dragging"), true)
+  pointer(document, "move", 160)
+  assert.equal(texts(h)[0].join(), "Id,Name,Email")
+  pointer(document, "move", 140)
+  pointer(document, "up", 140)
+  // The click that ends the drag doesn't reach the header's buttons
+  assert.equal(fire(email, "click").defaultPrevented, true)
+
+  assert.deepEqual(texts(h), [
+    ["Id", "Email", "Name"],
+    ["1", "ada@example.com", "Ada"],
+    ["2", "grace@example.com", "Grace"],
+    ["3", "ew@example.com", "Edsger"]
+  ])
+  assert.equal(email.hasAttribute("data-dragging"), false)
+  assert.deepEqual(h.pushed("columns_changed").map(payload => payload.order), [["id", "email", "name"]])
+
+  // The server re-renders the header and one row in its own order and streams
+  // in a new row; the untouched rows are still in ours
+  await h.update(() => {
+    table(h).tHead.innerHTML = header()
+    const first = document.getElementById("people-1")
+    first.innerHTML = `<td>1</td><td>Ada L.</td><td>ada@example.com</td>`
+    document.getElementById("people-rows").insertAdjacentHTML("afterbegin", row([4, "Barbara", "bl@example.com"]))
+  })
+
+  assert.deepEqual(texts(h), [
+    ["Id", "Email", "Name"],
+    ["4", "bl@example.com", "Barbara"],
+    ["1", "ada@example.com", "Ada L."],
+    ["2", "grace@example.com", "Grace"],
+    ["3", "ew@example.com", "Edsger"]
+  ])
+
+  // Alt+Shift+arrows move the focused column
+  const name = table(h).tHead.rows[0].cells[2]
+  pointer(name, "down", 250)
+  pointer(document, "up", 250)
+  fire(name, "click")
+  keydown("ArrowLeft", { altKey: true, shiftKey: true })
+  assert.equal(texts(h)[1].join(), "4,Barbara,bl@example.com")
+  assert.equal(document.activeElement, name)
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("keeps leading columns sticky and in place, and takes layouts from the server", async () => {
+  const h = await mountHook("DataTable", fixture(`data-sticky-columns="2"`))
+  layout(h)
+  await h.update()
+  const [id, name, email] = table(h).tHead.rows[0].cells
+
+  assert.equal(id.style.position, "sticky")
+  assert.equal(id.style.zIndex, "3")
+  assert.equal(email.style.top, "0px")
+  const body = table(h).rows[1].cells
+  assert.deepEqual([body[0].style.left, body[1].style.left, body[2].style.left], ["0px", "100px", ""])
+  assert.equal(body[1].hasAttribute("data-sticky"), true)
+
+  // Sticky columns can't be moved, nor can others pass them
+  pointer(id, "down", 50)
+  pointer(document, "move", 150)
+  pointer(document, "up", 150)
+  fire(email, "click")
+  keydown("ArrowLeft", { altKey: true, shiftKey: true })
+  assert.deepEqual(texts(h)[0], ["Id", "Name", "Email"])
+  assert.deepEqual(h.pushes, [])
+
+  h.serverEvent("table_set_columns", { id: "people", widths: { name: 180 } })
+  assert.equal(name.style.width, "180px")
+  h.serverEvent("table_set_columns", { id: "people", order: [], widths: {} })
+  assert.equal(name.style.width, "")
+  assert.deepEqual(h.destroy(), [])
+})
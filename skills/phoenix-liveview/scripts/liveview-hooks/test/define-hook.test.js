@@ -0,0 +1,186 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+
+import { mountHook, fire, wait, intersect } from "./harness.js"
+import { defineHook } from "../index.js"
+
+const fixture = `<div id="scoped"><button>Go</button></div>`
+
+test("releases listeners, timers, frames, observers and handleEvent on destroy", async () => {
+  const calls = []
+  const hook = defineHook({
+    mounted() {
+      this.listen(document, "click", () => calls.push("click"))
+      this.listen(window, "resize", () => calls.push("resize"), { passive: true })
+      this.setTimeout(() => calls.push("timeout"), 1000)
+      this.setInterval(() => calls.push("interval"), 1000)
+      this.requestAnimationFrame(() => calls.push("frame"))
+      this.observe(new IntersectionObserver(() => {}), this.el)
+      this.observe(new MutationObserver(() => {}), this.el, { childList: true })
+      this.handleEvent("ping", () => calls.push("ping"))
+      this.onCleanup(() => calls.push("cleanup"))
+    },
+
+    destroyed() {
+      calls.push("destroyed")
+    }
+  })
+
+  const h = await mountHook(hook, fixture)
+  h.serverEvent("ping")
+
+  assert.deepEqual(h.destroy(), [])
+  assert.deepEqual(calls, ["ping", "destroyed", "cleanup"])
+
+  h.serverEvent("ping")
+  fire(document.body, "click")
+  assert.deepEqual(calls, ["ping", "destroyed", "cleanup"])
+})
+
+test("the returned functions undo a single registration", async () => {
+  const calls = []
+  const hook = defineHook({
+    mounted() {
+      this.stopClicks = this.listen(this.el, "click", () => calls.push("click"))
+      this.timer = this.setTimeout(() => calls.push("timeout"), 10)
+    }
+  })
+
+  const h = await mountHook(hook, fixture)
+  h.hook.stopClicks()
+  h.hook.clearTimeout(h.hook.timer)
+  fire(h.el, "click")
+  await wait(20)
+
+  assert.deepEqual(calls, [])
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("pause: true suspends registrations while disconnected", async () => {
+  const calls = []
+  const hook = defineHook({
+    mounted() {
+      this.listen(document, "keydown", () => calls.push("paused key"), { pause: true })
+      this.listen(document, "keyup", () => calls.push("key"))
+      this.setTimeout(() => calls.push("timeout"), 30, { pause: true })
+      this.observe(new IntersectionObserver(() => calls.push("visible")), this.el, { pause: true })
+    },
+
+    disconnected() {
+      calls.push("disconnected")
+    }
+  })
+
+  const h = await mountHook(hook, fixture)
+  h.disconnect()
+  fire(document.body, "keydown")
+  fire(document.body, "keyup")
+  intersect(h.el)
+  await wait(50)
+
+  assert.deepEqual(calls, ["disconnected", "key"])
+
+  h.reconnect()
+  fire(document.body, "keydown")
+  intersect(h.el)
+  await wait(50)
+
+  assert.deepEqual(calls, ["disconnected", "key", "paused key", "visible", "timeout"])
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("registrations made while disconnected start paused", async () => {
+  const calls = []
+  const hook = defineHook({
+    mounted() {},
+
+    disconnected() {
+      this.listen(document, "click", () => calls.push("click"), { pause: true })
+    }
+  })
+
+  const h = await mountHook(hook, fixture)
+  h.disconnect()
+  fire(document.body, "click")
+  h.reconnect()
+  fire(document.body, "click")
+
+  assert.deepEqual(calls, ["click"])
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("a timeout set while disconnected waits its whole delay after the reconnect", async () => {
+  const calls = []
+  const hook = defineHook({
+    mounted() {},
+
+    disconnected() {
+      this.setTimeout(() => calls.push("timeout"), 30, { pause: true })
+    }
+  })
+
+  const h = await mountHook(hook, fixture)
+  h.disconnect()
+  h.reconnect()
+  await wait(10)
+  assert.deepEqual(calls, [])
+  await wait(40)
+  assert.deepEqual(calls, ["timeout"])
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("pausing one target of an observer keeps it watching the others", async () => {
+  const calls = []
+  const hook = defineHook({
+    mounted() {
+      const observer = new IntersectionObserver(entries => calls.push(...entries.map(entry => entry.target.id)))
+      this.observe(observer, this.el, { pause: true })
+      this.observe(observer, this.el.querySelector("button"))
+
+      const mutations = new MutationObserver(records => calls.push(...records.map(record => record.attributeName)))
+      this.observe(mutations, this.el, { attributes: true, pause: true })
+      this.observe(mutations, this.el.querySelector("button"), { attributes: true })
+    }
+  })
+
+  const h = await mountHook(hook, fixture)
+  const button = h.el.querySelector("button")
+  button.id = "go"
+  await wait(0)
+  calls.length = 0
+
+  h.disconnect()
+  intersect(h.el)
+  intersect(button)
+  h.el.title = "scoped"
+  button.title = "go"
+  await wait(0)
+  assert.deepEqual(calls, ["go", "title"])
+
+  h.reconnect()
+  intersect(h.el)
+  h.el.dataset.on = ""
+  await wait(0)
+  assert.deepEqual(calls, ["go", "title", "scoped", "data-on"])
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("a throwing destroyed() still releases everything", async () => {
+  const calls = []
+  const hook = defineHook({
+    mounted() {
+      this.listen(document, "click", () => calls.push("click"))
+    },
+
+    destroyed() {
+      throw new Error("boom")
+    }
+  })
+
+  const h = await mountHook(hook, fixture)
+  assert.throws(() => h.destroy(), /boom/)
+  h.container.remove()
+
+  fire(document.body, "click")
+  assert.deepEqual(calls, [])
+})
@@ -0,0 +1,100 @@
+import { test, beforeEach, afterEach } from "node:test"
+import assert from "node:assert/strict"
+import { gzipSync } from "node:zlib"
+
+import { mountHook, fire, flush, window } from "./harness.js"
+
+const fixture = `
+  <div id="download">
+    <div id="download-progress" data-download-progress hidden>
+      <progress></progress>
+      <span data-download-status></span>
+      <button type="button" data-download-cancel>Cancel</button>
+    </div>
+  </div>
+`
+
+let saved
+let originalClick
+
+beforeEach(() => {
+  saved = []
+  originalClick = window.HTMLAnchorElement.prototype.click
+  window.HTMLAnchorElement.prototype.click = function () {
+    saved.push({ filename: this.download, url: this.href })
+  }
+})
+
+afterEach(() => {
+  window.HTMLAnchorElement.prototype.click = originalClick
+})
+
+test("download_data saves a single-shot file", async () => {
+  const h = await mountHook("DownloadData", fixture)
+
+  const revoked = []
+  const revoke = URL.revokeObjectURL
+  URL.revokeObjectURL = (url) => revoked.push(url)
+  try {
+    h.serverEvent("download_data", { data: "a,b\n1,2", filename: "results.csv", type: "text/csv" })
+    await flush()
+  } finally {
+    URL.revokeObjectURL = revoke
+  }
+
+  assert.equal(saved.length, 1)
+  assert.equal(saved[0].filename, "results.csv")
+  // Some browsers read the blob URL after click() returns
+  assert.deepEqual(revoked, [])
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("chunked downloads acknowledge each chunk in order and save on finish", async () => {
+  const h = await mountHook("DownloadData", fixture)
+
+  h.serverEvent("download_start", { id: "d1", filename: "big.csv", type: "text/csv", size: 6 })
+  // Out of order: seq 1 waits for seq 0
+  h.serverEvent("download_chunk", { id: "d1", seq: 1, data: "def" })
+  h.serverEvent("download_chunk", { id: "d1", seq: 0, data: "abc" })
+  await flush()
+
+  assert.deepEqual(h.pushed("download_ack"), [
+    { id: "d1", seq: 0, received: 3 },
+    { id: "d1", seq: 1, received: 6 }
+  ])
+  assert.equal(h.el.querySelector("[data-download-status]").textContent, "100%")
+
+  h.serverEvent("download_finish", { id: "d1" })
+  await flush()
+
+  assert.deepEqual(h.pushed("download_complete"), [{ id: "d1", received: 6 }])
+  assert.equal(saved[0].filename, "big.csv")
+  assert.equal(h.el.querySelector("[data-download-progress]").hidden, true)
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("gzip chunks are decompressed", async () => {
+  const h = await mountHook("DownloadData", fixture)
+
+  h.serverEvent("download_start", { id: "z", filename: "z.txt", compression: "gzip" })
+  h.serverEvent("download_chunk", { id: "z", seq: 0, data: gzipSync("hello").toString("base64") })
+  await flush()
+
+  assert.deepEqual(h.pushed("download_ack"), [{ id: "z", seq: 0, received: 5 }])
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("the cancel button cancels active downloads", async () => {
+  const h = await mountHook("DownloadData", fixture)
+
+  h.serverEvent("download_start", { id: "d2", filename: "x.csv" })
+  await flush()
+  fire(h.el.querySelector("[data-download-cancel]"), "click")
+  h.serverEvent("download_chunk", { id: "d2", seq: 0, data: "late" })
+  await flush()
+
+  assert.deepEqual(h.pushed("download_cancel"), [{ id: "d2", reason: "user" }])
+  assert.deepEqual(h.pushed("download_ack"), [])
+  assert.equal(saved.length, 0)
+  assert.deepEqual(h.destroy(), [])
+})
@@ -0,0 +1,204 @@
+import { test, afterEach } from "node:test"
+import assert from "node:assert/strict"
+
+import { mountHook, fire, keydown, flush } from "./harness.js"
+
+afterEach(() => document.activeElement && document.activeElement.blur())
+
+// jsdom has no layout; make every control count as visible
+function visible(root) {
+  for (const el of root.querySelectorAll("input, button, a")) el.getClientRects = () => [{}]
+}
+
+test("focuses the element on mount only", async () => {
+  const h = await mountHook("AutoFocus", `<div><input id="search" phx-hook="AutoFocus" /><input id="other" /></div>`)
+  assert.equal(document.activeElement, h.el)
+
+  const other = h.container.querySelector("#other")
+  other.focus()
+  await h.update()
+  assert.equal(document.activeElement, other)
+
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("AutoFocus leaves focus where the user put it", async () => {
+  const typing = document.createElement("input")
+  document.body.appendChild(typing)
+  typing.focus()
+
+  const h = await mountHook("AutoFocus", `<input id="search" phx-hook="AutoFocus" />`)
+  assert.equal(document.activeElement, typing)
+
+  typing.remove()
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("FocusScope focuses what the server asks for", async () => {
+  const h = await mountHook("FocusScope", `
+    <main id="main" phx-hook="FocusScope">
+      <h2 id="results-heading">Results</h2>
+      <input name="email" value="ada@example.com" />
+    </main>
+  `)
+  const heading = h.el.querySelector("h2")
+  const email = h.el.querySelector("input")
+
+  h.serverEvent("focus", { id: "results-heading" })
+  assert.equal(document.activeElement, heading)
+  assert.equal(heading.getAttribute("tabindex"), "-1")
+
+  h.serverEvent("focus", { selector: "[name=email]", select: true })
+  assert.equal(document.activeElement, email)
+  assert.deepEqual([email.selectionStart, email.selectionEnd], [0, "ada@example.com".length])
+
+  h.serverEvent("focus", { selector: "#nowhere" })
+  assert.equal(document.activeElement, email)
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("FocusScope keeps focus on the same field when a stream reset replaces it", async () => {
+  const rows = (names) => names.map((name, i) =>
+    `<div id="rows-${i + 1}"><input name="row[name]" value="${name}" /><button>Save</button></div>`
+  ).join("")
+
+  const h = await mountHook("FocusScope", `
+    <main id="main" phx-hook="FocusScope">
+      <div id="rows" phx-update="stream">${rows(["Ada", "Grace"])}</div>
+    </main>
+  `)
+  const field = h.el.querySelector("#rows-2 input")
+  field.focus()
+  field.setSelectionRange(2, 2)
+  fire(field, "keyup")
+
+  h.el.querySelector("#rows").innerHTML = rows(["Ada", "Grace Hopper"])
+  await flush()
+
+  const replacement = h.el.querySelector("#rows-2 input")
+  assert.notEqual(replacement, field)
+  assert.equal(document.activeElement, replacement)
+  assert.deepEqual([replacement.selectionStart, replacement.selectionEnd], [2, 2])
+
+  // Focus the user moved elsewhere is left alone
+  const outside = document.createElement("button")
+  document.body.appendChild(outside)
+  outside.focus()
+  h.el.querySelector("#rows").innerHTML = rows(["Ada", "Grace"])
+  await flush()
+  assert.equal(document.activeElement, outside)
+
+  outside.remove()
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("FocusTrap keeps Tab inside while active and returns focus on release", async () => {
+  const opener = document.createElement("button")
+  document.body.appendChild(opener)
+  opener.focus()
+
+  const h = await mountHook("FocusTrap", `
+    <aside id="filters" phx-hook="FocusTrap" data-active="false" data-initial-focus="[name=status]"
+           data-escape-event="close_filters">
+      <input name="query" />
+      <input name="status" />
+      <button>Apply</button>
+    </aside>
+  `)
+  visible(h.el)
+  const [query, status] = h.el.querySelectorAll("input")
+  const apply = h.el.querySelector("button")
+  assert.equal(document.activeElement, opener)
+
+  await h.update(el => { el.dataset.active = "true" })
+  assert.equal(document.activeElement, status)
+
+  apply.focus()
+  assert.equal(keydown("Tab").defaultPrevented, true)
+  assert.equal(document.activeElement, query)
+  keydown("Tab", { shiftKey: true })
+  assert.equal(document.activeElement, apply)
+
+  opener.focus()
+  assert.equal(document.activeElement, status)
+
+  keydown("Escape")
+  assert.deepEqual(h.pushed("close_filters"), [{ id: "filters" }])
+
+  await h.update(el => { el.dataset.active = "false" })
+  assert.equal(document.activeElement, opener)
+
+  opener.remove()
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("nested FocusTraps: only the innermost acts", async () => {
+  const h = await mountHook("FocusTrap", `
+    <aside id="outer" phx-hook="FocusTrap"><button id="outer-button">Outer</button></aside>
+  `)
+  const inner = await mountHook("FocusTrap", `
+    <aside id="inner" phx-hook="FocusTrap"><button id="inner-button">Inner</button></aside>
+  `)
+  visible(h.el)
+  visible(inner.el)
+
+  h.el.querySelector("button").focus()
+  assert.equal(document.activeElement.id, "inner-button")
+
+  assert.deepEqual(inner.destroy(), [])
+  h.el.querySelector("button").focus()
+  assert.equal(document.activeElement.id, "outer-button")
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("RovingFocus keeps one tab stop and moves with the arrow keys", async () => {
+  const h = await mountHook("RovingFocus", `
+    <div id="toolbar" role="toolbar" phx-hook="RovingFocus">
+      <button id="bold">Bold</button>
+      <button id="italic" aria-selected="true">Italic</button>
+      <button id="strike" disabled>Strike</button>
+      <button id="link">Link</button>
+    </div>
+  `)
+  const tabindexes = () => [...h.el.querySelectorAll("button")].map(b => b.getAttribute("tabindex"))
+  assert.deepEqual(tabindexes(), ["-1", "0", null, "-1"])
+
+  h.el.querySelector("#italic").focus()
+  keydown("ArrowRight")
+  assert.equal(document.activeElement.id, "link")
+  keydown("ArrowRight")
+  assert.equal(document.activeElement.id, "bold")
+  keydown("End")
+  assert.equal(document.activeElement.id, "link")
+  assert.equal(keydown("ArrowDown").defaultPrevented, false)
+  assert.deepEqual(tabindexes(), ["-1", "-1", null, "0"])
+
+  // A patch that re-renders the buttons keeps the current one
+  await h.update(el => {
+    el.innerHTML = `<button id="bold">Bold</button><button id="italic" aria-selected="true">Italic</button><button id="link">Link</button>`
+  })
+  assert.deepEqual(tabindexes(), ["-1", "-1", "0"])
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("RovingFocus stops at the ends without loop and picks up new items", async () => {
+  const h = await mountHook("RovingFocus", `
+    <ul id="people" role="listbox" phx-hook="RovingFocus" data-orientation="vertical" data-loop="false">
+      <li id="p-1" role="option">Ada</li>
+    </ul>
+  `)
+  const first = h.el.querySelector("li")
+  first.focus()
+  keydown("ArrowUp")
+  assert.equal(document.activeElement, first)
+
+  h.el.insertAdjacentHTML("beforeend", `<li id="p-2" role="option">Grace</li>`)
+  await flush()
+  assert.equal(h.el.querySelector("#p-2").getAttribute("tabindex"), "-1")
+
+  keydown("ArrowDown")
+  assert.equal(document.activeElement.id, "p-2")
+  keydown("ArrowDown")
+  assert.equal(document.activeElement.id, "p-2")
+  assert.deepEqual(h.destroy(), [])
+})
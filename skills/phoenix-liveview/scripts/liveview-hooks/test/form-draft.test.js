@@ -0,0 +1,152 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+
+import { mountHook, fire, wait } from "./harness.js"
+
+const fixture = (key, version = "3") => `
+  <form id="post-form" phx-hook="FormDraft" phx-submit="save" data-version="${version}" data-draft-key="${key}">
+    <div data-offline-banner hidden></div>
+    <div data-draft-conflict hidden></div>
+    <span data-offline-queue-count>0</span>
+    <input type="text" name="post[title]" />
+    <input type="checkbox" name="post[tags][]" value="a" />
+    <input type="checkbox" name="post[tags][]" value="b" />
+  </form>
+`
+
+async function editOffline(h, title) {
+  h.disconnect()
+  h.el.querySelector('[name="post[title]"]').value = title
+  h.el.querySelector('[value="b"]').checked = true
+  fire(h.el.querySelector('[name="post[title]"]'), "input")
+  fire(h.el, "submit")
+  await wait(50)
+}
+
+test("queues submits while offline and replays them on reconnect", async () => {
+  const h = await mountHook("FormDraft", fixture("replay"), { replies: { save: {} } })
+
+  await editOffline(h, "Offline title")
+
+  assert.equal(h.el.querySelector("[data-offline-banner]").hidden, false)
+  assert.equal(h.el.querySelector("[data-offline-queue-count]").textContent, "1")
+  assert.deepEqual(h.pushed("save"), [])
+
+  h.reconnect()
+  await wait(50)
+
+  const [payload] = h.pushed("save")
+  assert.deepEqual(payload.post, { title: "Offline title", tags: ["b"] })
+  assert.equal(payload._draft.version, "3")
+  assert.equal(h.el.querySelector("[data-offline-banner]").hidden, true)
+  assert.equal(h.el.querySelector("[data-offline-queue-count]").textContent, "0")
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("restores a queued draft after a reload", async () => {
+  const first = await mountHook("FormDraft", fixture("reload"))
+  await editOffline(first, "Before reload")
+  first.destroy()
+
+  const h = await mountHook("FormDraft", fixture("reload"), { replies: { save: {} } })
+  await wait(50)
+
+  assert.equal(h.el.querySelector('[name="post[title]"]').value, "Before reload")
+  assert.equal(h.pushed("save")[0].post.title, "Before reload")
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("reports a conflict instead of replaying over a newer version", async () => {
+  const h = await mountHook("FormDraft", fixture("conflict"), { replies: { save: {} } })
+  await editOffline(h, "Stale")
+
+  h.el.dataset.version = "4"
+  h.reconnect()
+  await wait(50)
+
+  assert.deepEqual(h.pushed("save"), [])
+  const [conflict] = h.pushed("draft_conflict")
+  assert.deepEqual(
+    { version: conflict.version, current: conflict.current_version, title: conflict.params.post.title },
+    { version: "3", current: "4", title: "Stale" }
+  )
+  assert.equal(h.el.querySelector("[data-draft-conflict]").hidden, false)
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("keeps the server's values on a conflict until the draft is discarded", async () => {
+  const first = await mountHook("FormDraft", fixture("discard"))
+  await editOffline(first, "Stale")
+  first.destroy()
+
+  // The newer server copy stays in the form, on every mount, until discarded
+  for (let i = 0; i < 2; i++) {
+    const h = await mountHook("FormDraft", fixture("discard", "4"), { replies: { save: {} } })
+    h.el.querySelector('[name="post[title]"]').value = "Newer"
+    await wait(50)
+    assert.equal(h.el.querySelector('[name="post[title]"]').value, "Newer")
+    assert.equal(h.el.querySelector('[value="b"]').checked, false)
+    assert.equal(h.pushed("draft_conflict").length, 1)
+    if (i === 1) {
+      h.serverEvent("draft_discard", { id: "other-form" })
+      h.serverEvent("draft_discard", { id: "post-form" })
+      await wait(50)
+      assert.equal(h.el.querySelector("[data-draft-conflict]").hidden, true)
+    }
+    assert.deepEqual(h.destroy(), [])
+  }
+
+  const h = await mountHook("FormDraft", fixture("discard", "4"))
+  await wait(50)
+  assert.deepEqual(h.pushed("draft_conflict"), [])
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("replays several queued submits, each against the version the last one left", async () => {
+  let version = 3
+  const h = await mountHook("FormDraft", fixture("several"), {
+    replies: {
+      save: ({_draft}) => {
+        if (_draft.version !== String(version)) return { conflict: true }
+        version++
+        // The patch re-renders data-version along with the reply
+        h.el.dataset.version = String(version)
+        return {}
+      }
+    }
+  })
+
+  await editOffline(h, "First")
+  h.el.querySelector('[name="post[title]"]').value = "Second"
+  fire(h.el, "submit")
+  await wait(50)
+  assert.equal(h.el.querySelector("[data-offline-queue-count]").textContent, "2")
+
+  h.reconnect()
+  await wait(50)
+  assert.deepEqual(h.pushed("save").map(({post, _draft}) => [post.title, _draft.version]), [["First", "3"], ["Second", "4"]])
+  assert.deepEqual(h.pushed("draft_conflict"), [])
+  assert.equal(h.el.querySelector('[name="post[title]"]').value, "Second")
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("treats a conflict reply from the server as a conflict", async () => {
+  const h = await mountHook("FormDraft", fixture("server-conflict"), { replies: { save: { conflict: true } } })
+  await editOffline(h, "Rejected")
+
+  h.reconnect()
+  await wait(50)
+
+  assert.equal(h.pushed("save").length, 1)
+  assert.equal(h.pushed("draft_conflict").length, 1)
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("lets submits through while connected", async () => {
+  const h = await mountHook("FormDraft", fixture("online"))
+
+  const submit = fire(h.el, "submit")
+
+  assert.equal(submit.defaultPrevented, false)
+  assert.deepEqual(h.destroy(), [])
+})
@@ -0,0 +1,620 @@
+/**
+ * Headless test harness for LiveView hooks
+ *
+ * Runs hooks under Node with jsdom, no browser and no LiveView server:
+ *
+ * - mountHook() puts a fixture in the document and mounts a hook on it with
+ *   a fake LiveView API: pushEvent / pushEventTo calls are recorded and
+ *   answered with scripted replies, handleEvent callbacks can be fired as if
+ *   the server had pushed an event
+ * - The returned harness drives the rest of the lifecycle: update(),
+ *   disconnect(), reconnect() and destroy()
+ * - destroy() returns the leaks: document/window listeners, timers, frames,
+ *   observers and broadcast channels the hook created and didn't release
+ *
+ * Browser APIs jsdom lacks (IntersectionObserver, ResizeObserver, matchMedia,
+ * <dialog> methods) are replaced by fakes that tests can drive, and
+ * BroadcastChannel only reaches other channels in the same process.
+ *
+ * Import this module before the hooks, so the DOM globals exist when the hook
+ * modules load:
+ *
+ * import { mountHook, wait } from "./harness.js"
+ * import { Hooks } from "../index.js"
+ *
+ * test("pushes load_more", async () => {
+ *   const h = await mountHook("InfiniteScroll", `<div id="list"><div data-infinite-sentinel></div></div>`, {
+ *     replies: { load_more: { done: true } }
+ *   })
+ *   h.intersect(h.el.querySelector("[data-infinite-sentinel]"))
+ *   assert.equal(h.pushed("load_more").length, 1)
+ *   assert.deepEqual(h.destroy(), [])
+ * })
+ *
+ * Mount one hook at a time: leaks are attributed to whatever was created
+ * between mount and destroy.
+ */
+
+import { JSDOM } from "jsdom"
+import "fake-indexeddb/auto"
+
+const dom = new JSDOM("<!DOCTYPE html><html lang=\"en-US\"><head></head><body></body></html>", {
+  url: "http://localhost/",
+  pretendToBeVisual: true
+})
+
+export const window = dom.window
+
+// Node's own timers are kept for the harness itself, so waiting in a test
+// never shows up as a leak
+const nodeSetTimeout = globalThis.setTimeout
+const nodeClearTimeout = globalThis.clearTimeout
+
+// ============================================================================
+// RESOURCE TRACKING
+// ============================================================================
+
+let sequence = 0
+const resources = new Set()
+
+function track(kind, describe, extra = {}) {
+  const resource = { kind, describe, seq: ++sequence, ...extra }
+  resources.add(resource)
+  return resource
+}
+
+function release(resource) {
+  resources.delete(resource)
+}
+
+// Listeners, keyed by target, callback, type and capture like the DOM does
+const listeners = new Map()
+const listenerKey = (type, options) =>
+  `${type}|${typeof options === "boolean" ? options : Boolean(options && options.capture)}`
+
+const { addEventListener, removeEventListener } = window.EventTarget.prototype
+
+window.EventTarget.prototype.addEventListener = function (type, listener, options) {
+  addEventListener.call(this, type, listener, options)
+  // jsdom's selector engine listens on the document for its own bookkeeping
+  if (!listener || calledFromDependency()) return
+
+  let byListener = listeners.get(this)
+  if (!byListener) listeners.set(this, byListener = new Map())
+  let entries = byListener.get(listener)
+  if (!entries) byListener.set(listener, entries = new Map())
+
+  const key = listenerKey(type, options)
+  if (entries.has(key)) return
+
+  const target = this
+  const resource = track("listener", () => `"${type}" listener on ${describeTarget(target)}`, { target })
+  entries.set(key, resource)
+
+  const forget = () => {
+    entries.delete(key)
+    release(resource)
+  }
+
+  // A once listener is gone after the first event of its type
+  if (options && options.once) {
+    addEventListener.call(this, type, forget, { once: true, capture: Boolean(options.capture) })
+  }
+  if (options && options.signal) {
+    if (options.signal.aborted) forget()
+    else options.signal.addEventListener("abort", forget)
+  }
+}
+
+window.EventTarget.prototype.removeEventListener = function (type, listener, options) {
+  removeEventListener.call(this, type, listener, options)
+
+  const entries = listeners.get(this) && listeners.get(this).get(listener)
+  if (!entries) return
+
+  const key = listenerKey(type, options)
+  if (entries.has(key)) {
+    release(entries.get(key))
+    entries.delete(key)
+  }
+}
+
+function describeTarget(target) {
+  if (target === window) return "window"
+  if (target === window.document) return "document"
+  if (target instanceof window.Element) {
+    return target.id ? `#${target.id}` : `<${target.tagName.toLowerCase()}>`
+  }
+  return target.constructor.name
+}
+
+// Timers and animation frames
+const timers = new Map()
+
+// jsdom sets timers and adds listeners of its own; only the ones created by
+// code outside node_modules belong to a hook
+function calledFromDependency() {
+  const caller = new Error().stack.split("\n").slice(1).find(line => !line.includes("/test/harness.js"))
+  return Boolean(caller && caller.includes("/node_modules/"))
+}
+
+function trackTimer(kind, set, clear, describe) {
+  const wrappedSet = (fn, delay, ...args) => {
+    if (calledFromDependency()) return set(fn, delay, ...args)
+
+    let id
+    const resource = track(kind, () => describe(delay))
+    const run = (...a) => {
+      if (kind !== "interval") {
+        release(resource)
+        timers.delete(id)
+      }
+      if (typeof fn === "function") fn(...a)
+    }
+    id = set(run, delay, ...args)
+    timers.set(id, resource)
+    return id
+  }
+
+  const wrappedClear = (id) => {
+    clear(id)
+    if (timers.has(id)) {
+      release(timers.get(id))
+      timers.delete(id)
+    }
+  }
+
+  return [wrappedSet, wrappedClear]
+}
+
+const [setTimeoutTracked, clearTimeoutTracked] =
+  trackTimer("timeout", nodeSetTimeout, nodeClearTimeout, delay => `setTimeout (${delay || 0}ms)`)
+const [setIntervalTracked, clearIntervalTracked] =
+  trackTimer("interval", globalThis.setInterval, globalThis.clearInterval, delay => `setInterval (${delay || 0}ms)`)
+
+const frames = new Map()
+const nativeRequestAnimationFrame = window.requestAnimationFrame.bind(window)
+const nativeCancelAnimationFrame = window.cancelAnimationFrame.bind(window)
+
+function requestAnimationFrameTracked(fn) {
+  const resource = track("frame", () => "requestAnimationFrame")
+  const id = nativeRequestAnimationFrame(() => {
+    release(resource)
+    frames.delete(id)
+    // jsdom's frame time counts from the window's creation; hooks compare it
+    // with the global performance.now(), as they would in a browser
+    fn(performance.now())
+  })
+  frames.set(id, resource)
+  return id
+}
+
+function cancelAnimationFrameTracked(id) {
+  nativeCancelAnimationFrame(id)
+  if (frames.has(id)) {
+    release(frames.get(id))
+    frames.delete(id)
+  }
+}
+
+// Observers count as live while they observe something
+function trackObserver(Base, name) {
+  return class extends Base {
+    observe(target, options) {
+      super.observe(target, options)
+      if (!this.resource) this.resource = track("observer", () => `${name} on ${describeTarget(target)}`)
+    }
+
+    disconnect() {
+      super.disconnect()
+      release(this.resource)
+      this.resource = null
+    }
+  }
+}
+
+// ============================================================================
+// FAKE BROWSER APIS
+// ============================================================================
+
+const intersectionObservers = new Set()
+
+class FakeIntersectionObserver {
+  constructor(callback, options = {}) {
+    this.callback = callback
+    this.root = options.root || null
+    this.rootMargin = options.rootMargin || "0px"
+    this.targets = new Set()
+  }
+
+  observe(target) {
+    this.targets.add(target)
+    intersectionObservers.add(this)
+  }
+
+  unobserve(target) {
+    this.targets.delete(target)
+  }
+
+  disconnect() {
+    this.targets.clear()
+    intersectionObservers.delete(this)
+  }
+
+  takeRecords() {
+    return []
+  }
+}
+
+const resizeObservers = new Set()
+
+class FakeResizeObserver {
+  constructor(callback) {
+    this.callback = callback
+    this.targets = new Set()
+  }
+
+  observe(target) {
+    this.targets.add(target)
+    resizeObservers.add(this)
+  }
+
+  unobserve(target) {
+    this.targets.delete(target)
+  }
+
+  disconnect() {
+    this.targets.clear()
+    resizeObservers.delete(this)
+  }
+}
+
+/**
+ * Report `target` as entering (or leaving) the viewport to every
+ * IntersectionObserver watching it.
+ */
+export function intersect(target, isIntersecting = true) {
+  for (const observer of [...intersectionObservers]) {
+    if (!observer.targets.has(target)) continue
+    observer.callback([{ target, isIntersecting, intersectionRatio: isIntersecting ? 1 : 0 }], observer)
+  }
+}
+
+/**
+ * Report a size change of `target` to every ResizeObserver watching it.
+ */
+export function resize(target) {
+  for (const observer of [...resizeObservers]) {
+    if (observer.targets.has(target)) observer.callback([{ target }], observer)
+  }
+}
+
+const mediaQueries = new Map()
+
+/**
+ * Set what matchMedia(query) matches, notifying "change" listeners.
+ */
+export function setMediaQuery(query, matches) {
+  const list = mediaList(query)
+  list.matches = matches
+  list.dispatchEvent(Object.assign(new window.Event("change"), { matches, media: query }))
+}
+
+function mediaList(query) {
+  if (!mediaQueries.has(query)) {
+    const list = new window.EventTarget()
+    Object.assign(list, {
+      media: query,
+      matches: false,
+      addListener: (fn) => list.addEventListener("change", fn),
+      removeListener: (fn) => list.removeEventListener("change", fn)
+    })
+    mediaQueries.set(query, list)
+  }
+  return mediaQueries.get(query)
+}
+
+/**
+ * Stub layout metrics jsdom doesn't compute, e.g.
+ * stubLayout(el, { clientHeight: 200, scrollHeight: 1000, rect: { top: 0 } })
+ *
+ * Values may be functions, read on every access.
+ */
+export function stubLayout(el, { rect, ...props }) {
+  for (const [name, value] of Object.entries(props)) {
+    Object.defineProperty(el, name, { configurable: true, get: typeof value === "function" ? value : () => value })
+  }
+
+  if (rect) {
+    el.getBoundingClientRect = () => {
+      const { top = 0, left = 0, width = 0, height = 0 } = typeof rect === "function" ? rect() : rect
+      return { top, left, width, height, right: left + width, bottom: top + height, x: left, y: top }
+    }
+  }
+}
+
+// In-process BroadcastChannel: "other tabs" are other instances with the same
+// name. Node's own channel holds a MessagePort that can keep the test process
+// alive after everything is closed.
+const channels = new Set()
+
+function trackChannel() {
+  return class BroadcastChannel extends window.EventTarget {
+    constructor(name) {
+      super()
+      this.name = String(name)
+      this.onmessage = null
+      this.resource = track("channel", () => `BroadcastChannel "${this.name}"`)
+      channels.add(this)
+    }
+
+    postMessage(message) {
+      if (!channels.has(this)) throw new window.DOMException("Channel is closed", "InvalidStateError")
+
+      const data = structuredClone(message)
+      for (const channel of channels) {
+        if (channel === this || channel.name !== this.name) continue
+        nodeSetTimeout(() => channel.deliver(data), 0)
+      }
+    }
+
+    deliver(data) {
+      if (!channels.has(this)) return
+      const event = new window.MessageEvent("message", { data })
+      if (typeof this.onmessage === "function") this.onmessage(event)
+      this.dispatchEvent(event)
+    }
+
+    close() {
+      channels.delete(this)
+      release(this.resource)
+    }
+  }
+}
+
+function installGlobals() {
+  const { HTMLDialogElement, Element } = window
+
+  if (!HTMLDialogElement.prototype.showModal) {
+    HTMLDialogElement.prototype.showModal = function () {
+      this.setAttribute("open", "")
+    }
+    HTMLDialogElement.prototype.show = HTMLDialogElement.prototype.showModal
+    HTMLDialogElement.prototype.close = function (returnValue) {
+      if (!this.hasAttribute("open")) return
+      if (returnValue !== undefined) this.returnValue = returnValue
+      this.removeAttribute("open")
+      this.dispatchEvent(new window.Event("close"))
+    }
+  }
+
+  if (!Element.prototype.scrollIntoView) Element.prototype.scrollIntoView = () => {}
+
+  window.IntersectionObserver = trackObserver(FakeIntersectionObserver, "IntersectionObserver")
+  window.ResizeObserver = trackObserver(FakeResizeObserver, "ResizeObserver")
+  window.MutationObserver = trackObserver(window.MutationObserver, "MutationObserver")
+  window.matchMedia = mediaList
+  window.requestAnimationFrame = requestAnimationFrameTracked
+  window.cancelAnimationFrame = cancelAnimationFrameTracked
+
+  window.BroadcastChannel = trackChannel()
+
+  // Everything the hooks reach for as a bare global. Node's own Blob, URL,
+  // TextEncoder and streams stay: they interoperate with each other.
+  const names = [
+    "window", "document", "navigator", "location", "history", "localStorage", "sessionStorage",
+    "Node", "Element", "HTMLElement", "HTMLFormElement", "HTMLInputElement",
+    "HTMLTextAreaElement", "HTMLSelectElement", "HTMLDialogElement",
+    "Event", "CustomEvent", "KeyboardEvent", "MouseEvent", "FocusEvent", "InputEvent",
+    "EventTarget", "DOMParser", "FormData", "getComputedStyle",
+    "IntersectionObserver", "ResizeObserver", "MutationObserver", "BroadcastChannel",
+    "matchMedia", "requestAnimationFrame", "cancelAnimationFrame"
+  ]
+
+  for (const name of names) {
+    const value = name === "window" ? window : window[name]
+    Object.defineProperty(globalThis, name, { configurable: true, writable: true, value })
+  }
+
+  Object.assign(globalThis, {
+    setTimeout: setTimeoutTracked,
+    clearTimeout: clearTimeoutTracked,
+    setInterval: setIntervalTracked,
+    clearInterval: clearIntervalTracked
+  })
+
+  window.indexedDB = globalThis.indexedDB
+  window.IDBKeyRange = globalThis.IDBKeyRange
+}
+
+installGlobals()
+
+// ============================================================================
+// MOUNTING
+// ============================================================================
+
+let hooksModule = null
+
+/**
+ * Mount a hook on a fixture.
+ *
+ * - hook     A hook name from createHooks() or a hook object
+ * - html     Fixture markup; the hook goes on the [phx-hook] element, else
+ *            the first element
+ * - options
+ *   - target    Selector for the hook element instead
+ *   - defaults  createHooks() defaults for the hook (named hooks only)
+ *   - replies   { event: reply } or { event: (payload) => reply }; events
+ *               without a reply never get one, like {:noreply}
+ *
+ * Returns a harness; see the methods below.
+ */
+export async function mountHook(hook, html, options = {}) {
+  const { target = null, defaults = {}, replies = {} } = options
+
+  if (typeof hook === "string") {
+    hooksModule = hooksModule || await import("../index.js")
+    const name = hook
+    hook = hooksModule.createHooks({ only: [name], defaults: { [name]: defaults } })[name]
+  }
+
+  const container = document.createElement("div")
+  container.dataset.fixture = ""
+  container.innerHTML = html
+  document.body.appendChild(container)
+
+  const el = target
+    ? container.querySelector(target)
+    : container.querySelector("[phx-hook]") || container.firstElementChild
+  if (!el) throw new Error(`mountHook: fixture has no element for ${target || "the hook"}`)
+
+  const startSeq = sequence
+  const pushes = []
+  const uploads = []
+  const handlers = new Map()
+  const scripted = { ...replies }
+
+  const push = (target, event, payload, onReply) => {
+    pushes.push({ event, payload, target })
+
+    const answer = () => {
+      if (!(event in scripted)) return undefined
+      const reply = scripted[event]
+      return typeof reply === "function" ? reply(payload) : reply
+    }
+
+    // Replies arrive after the push returns, like a real round trip
+    return new Promise((resolve) => {
+      Promise.resolve().then(() => {
+        const reply = answer()
+        if (reply === undefined) return
+        if (onReply) onReply(reply, 0)
+        resolve(reply)
+      })
+    })
+  }
+
+  const instance = {
+    el,
+    pushEvent: (event, payload = {}, onReply) => push(null, event, payload, onReply),
+    pushEventTo: (target, event, payload = {}, onReply) => push(target, event, payload, onReply),
+    handleEvent(event, callback) {
+      if (!handlers.has(event)) handlers.set(event, new Set())
+      handlers.get(event).add(callback)
+      return { event, callback }
+    },
+    removeHandleEvent({event, callback}) {
+      if (handlers.has(event)) handlers.get(event).delete(callback)
+    },
+    upload: (name, files) => uploads.push({ name, files, target: null }),
+    uploadTo: (target, name, files) => uploads.push({ name, files, target })
+  }
+
+  // LiveView copies the hook's callbacks onto its own instance
+  Object.assign(instance, hook)
+
+  const harness = {
+    el,
+    container,
+    hook: instance,
+    pushes,
+    uploads,
+
+    /** Payloads pushed for `event`, in order */
+    pushed(event) {
+      return pushes.filter(push => push.event === event).map(push => push.payload)
+    },
+
+    /** Script (or replace) the reply for `event` */
+    reply(event, reply) {
+      scripted[event] = reply
+    },
+
+    /** Deliver a server push_event to the hook's handleEvent callbacks */
+    serverEvent(event, payload = {}) {
+      for (const callback of handlers.get(event) || []) callback(payload)
+    },
+
+    /** Apply `change` to the element like a patch, then run the update callbacks */
+    async update(change = () => {}) {
+      if (instance.beforeUpdate) instance.beforeUpdate()
+      await change(el)
+      if (instance.updated) instance.updated()
+    },
+
+    disconnect() {
+      if (instance.disconnected) instance.disconnected()
+    },
+
+    reconnect() {
+      if (instance.reconnected) instance.reconnected()
+    },
+
+    intersect,
+    resize,
+
+    /**
+     * Run destroyed(), remove the fixture and return the leaks: listeners
+     * outside the hook's element, timers, frames, observers and channels
+     * created since mount that are still live.
+     */
+    destroy() {
+      if (instance.destroyed) instance.destroyed()
+      const found = leaks(startSeq, container)
+      container.remove()
+      return found
+    }
+  }
+
+  if (instance.mounted) await instance.mounted()
+  return harness
+}
+
+function leaks(startSeq, container) {
+  return [...resources]
+    .filter(resource => resource.seq > startSeq)
+    // Listeners on the fixture or on removed elements go away with them
+    .filter(resource => !(resource.kind === "listener" && isDisposable(resource.target, container)))
+    .map(resource => resource.describe())
+}
+
+function isDisposable(target, container) {
+  if (!(target instanceof window.Node) || target === window.document) return false
+  return !target.isConnected || container.contains(target)
+}
+
+/**
+ * Release everything still tracked, so one leaky test doesn't fail the next.
+ */
+export function resetLeaks() {
+  resources.clear()
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/** Wait `ms` milliseconds without creating a tracked timer */
+export function wait(ms = 0) {
+  return new Promise(resolve => nodeSetTimeout(resolve, ms))
+}
+
+/** Let pending promises and replies settle */
+export async function flush() {
+  for (let i = 0; i < 5; i++) await wait(0)
+}
+
+/** Dispatch a DOM event of `type` with extra properties (e.g. key, clipboardData) */
+export function fire(target, type, props = {}, EventClass = window.Event) {
+  const event = new EventClass(type, { bubbles: true, cancelable: true, ...props })
+  for (const [name, value] of Object.entries(props)) {
+    if (!(name in event)) Object.defineProperty(event, name, { value })
+  }
+  target.dispatchEvent(event)
+  return event
+}
+
+/** Keydown on `target` (default: the focused element) */
+export function keydown(key, props = {}, target = document.activeElement || document.body) {
+  return fire(target, "keydown", { key, ...props }, window.KeyboardEvent)
+}
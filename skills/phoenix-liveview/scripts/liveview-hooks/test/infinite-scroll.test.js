@@ -0,0 +1,98 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+
+import { mountHook, flush, wait } from "./harness.js"
+
+const fixture = (attrs = "") => `
+  <div id="items" phx-hook="InfiniteScroll" ${attrs}>
+    <div id="item-1">one</div>
+    <div id="items-sentinel" data-infinite-sentinel></div>
+  </div>
+`
+
+const sentinel = h => h.el.querySelector("[data-infinite-sentinel]")
+
+test("sends one load_more at a time and waits for the reply", async () => {
+  const h = await mountHook("InfiniteScroll", fixture())
+
+  h.intersect(sentinel(h))
+  h.intersect(sentinel(h))
+  assert.equal(h.pushed("load_more").length, 1)
+
+  h.reply("load_more", {})
+  h.intersect(sentinel(h))
+  await flush()
+  h.intersect(sentinel(h))
+  assert.equal(h.pushed("load_more").length, 2)
+
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("stops for good when the server replies done", async () => {
+  const h = await mountHook("InfiniteScroll", fixture(), { replies: { load_more: { done: true } } })
+
+  h.intersect(sentinel(h))
+  await flush()
+  await h.update()
+  h.intersect(sentinel(h))
+
+  assert.equal(h.pushed("load_more").length, 1)
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("retries with backoff after an error reply", async () => {
+  const warn = console.warn
+  console.warn = () => {}
+
+  try {
+    const h = await mountHook("InfiniteScroll", fixture(), { replies: { load_more: { error: "busy" } } })
+
+    h.intersect(sentinel(h))
+    await flush()
+    assert.equal(h.pushed("load_more").length, 1)
+
+    await wait(1050)
+    assert.equal(h.pushed("load_more").length, 2)
+    assert.deepEqual(h.destroy(), [])
+  } finally {
+    console.warn = warn
+  }
+})
+
+test("loads previous pages at the top", async () => {
+  const h = await mountHook("InfiniteScroll", fixture('data-direction="top"'))
+
+  h.intersect(sentinel(h))
+  assert.deepEqual(h.pushed("load_previous"), [{}])
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("falls back to the window on a data-root that isn't a selector", async () => {
+  const warnings = []
+  const warn = console.warn
+  console.warn = (...args) => warnings.push(args.join(" "))
+  let h
+  try {
+    h = await mountHook("InfiniteScroll", fixture('data-root="#items >"'))
+  } finally {
+    console.warn = warn
+  }
+
+  assert.match(warnings[0], /InfiniteScroll #items: data-root "#items >" is not a valid selector, using the window/)
+  assert.equal(h.hook.root, null)
+  h.intersect(sentinel(h))
+  assert.equal(h.pushed("load_more").length, 1)
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("a drop mid-request forgets it and reconnect resumes", async () => {
+  const h = await mountHook("InfiniteScroll", fixture())
+
+  h.intersect(sentinel(h))
+  h.disconnect()
+  h.reconnect()
+  h.intersect(sentinel(h))
+
+  assert.equal(h.pushed("load_more").length, 2)
+  assert.deepEqual(h.destroy(), [])
+})
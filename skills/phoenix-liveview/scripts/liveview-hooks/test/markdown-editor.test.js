@@ -0,0 +1,219 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+
+import { mountHook, fire, keydown, wait, flush } from "./harness.js"
+
+const editor = (attrs = "") => `
+  <form id="comment-form">
+    <div id="comment-editor" phx-hook="MarkdownEditor" data-debounce="10" ${attrs}>
+      <button type="button" data-md="bold">B</button>
+      <button type="button" data-md="link">Link</button>
+      <button type="button" data-md="list">List</button>
+      <button type="button" data-md-preview>Preview</button>
+      <textarea name="body" style="line-height: 20px; padding: 0"></textarea>
+    </div>
+  </form>
+`
+
+function setup(h, value, start = value.length, end = start) {
+  const textarea = h.el.querySelector("textarea")
+  textarea.value = value
+  textarea.focus()
+  textarea.setSelectionRange(start, end)
+  return textarea
+}
+
+const selection = (textarea) => textarea.value.slice(textarea.selectionStart, textarea.selectionEnd)
+
+async function type(textarea, text) {
+  textarea.setRangeText(text, textarea.selectionStart, textarea.selectionEnd, "end")
+  fire(textarea, "input")
+  await wait(20)
+  await flush()
+}
+
+test("formats the selection from the toolbar and shortcuts, and undoes it", async () => {
+  const h = await mountHook("MarkdownEditor", editor())
+  const textarea = setup(h, "say hello now", 4, 9)
+  const inputs = []
+  textarea.addEventListener("input", () => inputs.push(textarea.value))
+
+  fire(h.el.querySelector("[data-md=bold]"), "click")
+  assert.equal(textarea.value, "say **hello** now")
+  assert.equal(selection(textarea), "hello")
+
+  // Again takes the markers off
+  keydown("b", { ctrlKey: true })
+  assert.equal(textarea.value, "say hello now")
+  assert.equal(selection(textarea), "hello")
+
+  // A link selects the URL to paste over; nothing selected gets a placeholder
+  fire(h.el.querySelector("[data-md=link]"), "click")
+  assert.equal(textarea.value, "say [hello](url) now")
+  assert.equal(selection(textarea), "url")
+  setup(h, "", 0)
+  keydown("X", { metaKey: true, shiftKey: true })
+  assert.equal(textarea.value, "~~struck text~~")
+  assert.equal(selection(textarea), "struck text")
+
+  // Line formats apply to every selected line, and come off together
+  setup(h, "one\ntwo\nthree", 1, 6)
+  fire(h.el.querySelector("[data-md=list]"), "click")
+  assert.equal(textarea.value, "- one\n- two\nthree")
+  fire(h.el.querySelector("[data-md=list]"), "click")
+  assert.equal(textarea.value, "one\ntwo\nthree")
+
+  // phx-change sees every edit
+  assert.equal(inputs.length, 6)
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("submits on Enter, adds lines on Shift+Enter and continues lists", async () => {
+  const h = await mountHook("MarkdownEditor", editor())
+  const form = h.container.querySelector("form")
+  let submits = 0
+  form.addEventListener("submit", (e) => {
+    e.preventDefault()
+    submits++
+  })
+
+  const textarea = setup(h, "  ")
+  keydown("Enter")
+  assert.equal(submits, 0)
+
+  setup(h, "Ship it")
+  assert.equal(keydown("Enter").defaultPrevented, true)
+  assert.equal(submits, 1)
+  assert.equal(keydown("Enter", { shiftKey: true }).defaultPrevented, false)
+  assert.equal(keydown("Enter", { isComposing: true }).defaultPrevented, false)
+  assert.equal(submits, 1)
+
+  // Ctrl/Cmd+Enter mode: Enter is a new line, which continues the list
+  await h.update(el => { el.dataset.submit = "mod-enter" })
+  setup(h, "Todo:\n1. milk")
+  assert.equal(keydown("Enter").defaultPrevented, true)
+  assert.equal(textarea.value, "Todo:\n1. milk\n2. ")
+  setup(h, "- [x] done")
+  keydown("Enter")
+  assert.equal(textarea.value, "- [x] done\n- [ ] ")
+  // An empty item ends the list
+  keydown("Enter")
+  assert.equal(textarea.value, "- [x] done\n")
+  assert.equal(submits, 1)
+
+  keydown("Enter", { metaKey: true })
+  assert.equal(submits, 2)
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("suggests @mentions and /commands from the server's replies", async () => {
+  const h = await mountHook("MarkdownEditor", editor(), {
+    replies: {
+      suggest: ({trigger, query}) => ({
+        suggestions: trigger === "@"
+          ? [{ value: "@jose", label: "José", description: "Core team" }, { value: `@${query}bot` }]
+          : [{ value: "/giphy" }]
+      })
+    }
+  })
+  const list = h.el.querySelector("[data-md-suggestions]")
+  const textarea = setup(h, "thanks ")
+
+  await type(textarea, "@jo")
+  assert.deepEqual(h.pushed("suggest"), [{ id: "comment-editor", trigger: "@", query: "jo", seq: 1 }])
+  assert.equal(list.getAttribute("role"), "listbox")
+  assert.equal(list.hidden, false)
+  assert.equal(textarea.getAttribute("aria-expanded"), "true")
+  assert.deepEqual([...list.children].map(option => option.textContent), ["José Core team", "@jobot"])
+
+  // The list takes the keys while it is open
+  keydown("ArrowDown")
+  assert.equal(textarea.getAttribute("aria-activedescendant"), list.children[1].id)
+  assert.equal(keydown("Enter").defaultPrevented, true)
+  assert.equal(textarea.value, "thanks @jobot ")
+  assert.equal(list.hidden, true)
+
+  // "/" only at the start of a line; Escape closes without choosing
+  await type(textarea, "a/b")
+  assert.equal(h.pushed("suggest").length, 1)
+  await type(textarea, "\n/gi")
+  assert.equal(h.pushed("suggest")[1].query, "gi")
+  keydown("Escape")
+  assert.equal(list.hidden, true)
+  assert.equal(textarea.value, "thanks @jobot a/b\n/gi")
+
+  // Clicking an option
+  await type(textarea, " @")
+  fire(list.children[0], "click")
+  assert.equal(textarea.value, "thanks @jobot a/b\n/gi @jose ")
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("previews the Markdown as rendered by the server", async () => {
+  const h = await mountHook("MarkdownEditor", editor(), {
+    replies: { preview: ({markdown}) => ({ html: `<p><strong>${markdown.slice(2, -2)}</strong></p>` }) }
+  })
+  const button = h.el.querySelector("[data-md-preview]")
+  const pane = h.el.querySelector("[data-md-preview-pane]")
+  const textarea = setup(h, "**hi**")
+  assert.equal(pane.hidden, true)
+
+  fire(button, "click")
+  await flush()
+  assert.deepEqual(h.pushed("preview"), [{ id: "comment-editor", markdown: "**hi**" }])
+  assert.equal(pane.innerHTML, "<p><strong>hi</strong></p>")
+  assert.equal(pane.hidden, false)
+  assert.equal(textarea.hidden, true)
+  assert.equal(button.getAttribute("aria-pressed"), "true")
+  assert.equal(h.el.querySelector("[data-md=bold]").disabled, true)
+
+  // Stays in preview across patches
+  await h.update(() => {})
+  assert.equal(textarea.hidden, true)
+
+  keydown("P", { ctrlKey: true, shiftKey: true }, textarea)
+  assert.equal(textarea.hidden, false)
+  assert.equal(pane.hidden, true)
+  assert.equal(button.getAttribute("aria-pressed"), "false")
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("uploads pasted images and swaps their placeholders for the result", async () => {
+  const h = await mountHook("MarkdownEditor", editor(`data-upload="images"`))
+  const textarea = setup(h, "Look:")
+  const shot = new File(["png"], "shot.png", { type: "image/png" })
+  const logo = new File(["png"], "logo.png", { type: "image/png" })
+
+  const paste = fire(textarea, "paste", { clipboardData: { files: [shot, logo] } })
+  assert.equal(paste.defaultPrevented, true)
+  assert.deepEqual(h.uploads.map(({name, files}) => [name, files.map(file => file.name)]), [["images", ["shot.png", "logo.png"]]])
+  assert.equal(textarea.value, "Look:\n![Uploading shot.png…]()\n![Uploading logo.png…]()\n")
+
+  // The user keeps typing while it uploads
+  const cursor = textarea.value.length
+  setup(h, `${textarea.value}nice`)
+  h.serverEvent("editor_insert_image", { id: "comment-editor", name: "shot.png", url: "/uploads/shot 1.png" })
+  assert.equal(textarea.value, "Look:\n![shot.png](/uploads/shot%201.png)\n![Uploading logo.png…]()\nnice")
+  assert.equal(textarea.selectionStart, cursor + 4 + "![shot.png](/uploads/shot%201.png)".length - "![Uploading shot.png…]()".length)
+
+  // A failed upload removes its placeholder
+  h.serverEvent("editor_insert_image", { id: "other", name: "logo.png" })
+  h.serverEvent("editor_insert_image", { id: "comment-editor", name: "logo.png" })
+  assert.equal(textarea.value, "Look:\n![shot.png](/uploads/shot%201.png)\nnice")
+
+  // Parentheses in the URL don't end the link
+  setup(h, "", 0)
+  fire(textarea, "paste", { clipboardData: { files: [new File(["png"], "chart.png", { type: "image/png" })] } })
+  h.serverEvent("editor_insert_image", { id: "comment-editor", name: "chart.png", url: "/uploads/chart (1).png" })
+  assert.equal(textarea.value, "![chart.png](/uploads/chart%20%281%29.png)\n")
+
+  // URLs that come percent-encoded already stay as they are
+  setup(h, "", 0)
+  fire(textarea, "paste", { clipboardData: { files: [new File(["png"], "a b.png", { type: "image/png" })] } })
+  h.serverEvent("editor_insert_image", { id: "comment-editor", name: "a b.png", url: "https://bucket.s3.amazonaws.com/a%20b.png?X-Amz-Signature=ab%2Fc" })
+  assert.equal(textarea.value, "![a b.png](https://bucket.s3.amazonaws.com/a%20b.png?X-Amz-Signature=ab%2Fc)\n")
+
+  // Text pastes are left to the browser
+  assert.equal(fire(textarea, "paste", { clipboardData: { files: [] } }).defaultPrevented, false)
+  assert.deepEqual(h.destroy(), [])
+})
@@ -0,0 +1,138 @@
+import { test, afterEach } from "node:test"
+import assert from "node:assert/strict"
+
+import { mountHook, fire, keydown, flush, window } from "./harness.js"
+
+const editModal = (attrs = "") => `
+  <dialog id="edit_modal" phx-hook="Modal" ${attrs}>
+    <form id="edit_form"><input name="title" value="Draft" /></form>
+    <button data-modal-close>Cancel</button>
+    <button data-modal-close="saved">Done</button>
+    <form method="dialog" class="modal-backdrop"><button>close</button></form>
+  </dialog>
+`
+
+const confirmModal = `
+  <dialog id="confirm_modal" phx-hook="Modal">
+    <h3 data-confirm-title>Are you sure?</h3>
+    <p data-confirm-message></p>
+    <button data-confirm-choice="cancel">Cancel</button>
+    <button data-confirm-choice="confirm">Confirm</button>
+  </dialog>
+`
+
+const nativeConfirm = window.confirm
+afterEach(() => { window.confirm = nativeConfirm })
+
+function withOpener() {
+  const opener = document.createElement("button")
+  document.body.appendChild(opener)
+  opener.focus()
+  return opener
+}
+
+test("opens on show_modal and reports every close with its reason", async () => {
+  const opener = withOpener()
+  const h = await mountHook("Modal", editModal())
+
+  h.serverEvent("show_modal", { id: "other_modal" })
+  assert.equal(h.el.open, false)
+
+  h.serverEvent("show_modal", { id: "edit_modal" })
+  assert.equal(h.el.open, true)
+
+  fire(h.el.querySelector("[data-modal-close]"), "click")
+  assert.equal(h.el.open, false)
+  assert.equal(document.activeElement, opener)
+
+  h.serverEvent("show_modal", { id: "edit_modal" })
+  fire(h.el.querySelector('[data-modal-close="saved"]'), "click")
+
+  h.serverEvent("show_modal", { id: "edit_modal" })
+  fire(h.el, "cancel")
+
+  h.serverEvent("show_modal", { id: "edit_modal" })
+  fire(h.el, "click")
+
+  h.serverEvent("show_modal", { id: "edit_modal" })
+  h.serverEvent("close_modal", {})
+
+  assert.deepEqual(h.pushed("modal_closed").map(push => push.reason), ["cancel", "saved", "escape", "backdrop", "server"])
+  assert.deepEqual(h.destroy(), [])
+  opener.remove()
+})
+
+test("ignores backdrop clicks with data-close-on-backdrop=\"false\"", async () => {
+  const h = await mountHook("Modal", editModal('data-close-on-backdrop="false"'))
+
+  h.serverEvent("show_modal", { id: "edit_modal" })
+  fire(h.el, "click")
+  // DaisyUI's <form method="dialog" class="modal-backdrop">
+  const submit = fire(h.el.querySelector(".modal-backdrop"), "submit")
+
+  assert.equal(submit.defaultPrevented, true)
+  assert.equal(h.el.open, true)
+  assert.deepEqual(h.pushed("modal_closed"), [])
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("asks before closing a dialog with unsaved edits", async () => {
+  const h = await mountHook("Modal", editModal('data-confirm-close="Discard your changes?"'))
+  const asked = []
+  window.confirm = (message) => {
+    asked.push(message)
+    return false
+  }
+
+  h.serverEvent("show_modal", { id: "edit_modal" })
+  fire(h.el.querySelector("[data-modal-close]"), "click")
+  assert.equal(h.el.open, false)
+  assert.deepEqual(asked, [])
+
+  h.serverEvent("show_modal", { id: "edit_modal" })
+  h.el.querySelector("input").value = "Edited"
+  fire(h.el.querySelector("[data-modal-close]"), "click")
+  assert.equal(h.el.open, true)
+  assert.deepEqual(asked, ["Discard your changes?"])
+
+  // The server closing it is not a user close
+  h.serverEvent("close_modal", { id: "edit_modal" })
+  assert.equal(h.el.open, false)
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("answers a modal_confirm with the user's choice", async () => {
+  const h = await mountHook("Modal", confirmModal)
+
+  h.serverEvent("modal_confirm", { id: "confirm_modal", ref: "delete:7", title: "Delete report?", message: "This cannot be undone." })
+  assert.equal(h.el.open, true)
+  assert.equal(h.el.querySelector("[data-confirm-title]").textContent, "Delete report?")
+
+  fire(h.el.querySelector('[data-confirm-choice="confirm"]'), "click")
+  await flush()
+  assert.deepEqual(h.pushed("modal_confirm_reply"), [{ id: "confirm_modal", ref: "delete:7", choice: "confirm" }])
+
+  h.serverEvent("modal_confirm", { id: "confirm_modal", ref: "delete:8" })
+  fire(h.el, "cancel")
+  await flush()
+  assert.equal(h.pushed("modal_confirm_reply")[1].choice, "cancel")
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("keeps focus inside the topmost dialog", async () => {
+  const h = await mountHook("Modal", editModal())
+  const input = h.el.querySelector("input")
+  // jsdom has no layout; make every control count as visible
+  for (const el of h.el.querySelectorAll("input, button")) el.getClientRects = () => [{}]
+
+  h.serverEvent("show_modal", { id: "edit_modal" })
+
+  const backdropButton = h.el.querySelector(".modal-backdrop button")
+  backdropButton.focus()
+  keydown("Tab")
+  assert.equal(document.activeElement, input)
+
+  keydown("Tab", { shiftKey: true })
+  assert.equal(document.activeElement, backdropButton)
+  assert.deepEqual(h.destroy(), [])
+})
@@ -0,0 +1,105 @@
+import { test, beforeEach, afterEach } from "node:test"
+import assert from "node:assert/strict"
+import { readFileSync } from "node:fs"
+
+import { mountHook } from "./harness.js"
+import { readOptions, createHooks, Hooks, VERSION } from "../index.js"
+
+let errors
+const consoleError = console.error
+
+beforeEach(() => {
+  errors = []
+  console.error = (message) => errors.push(message)
+})
+
+afterEach(() => { console.error = consoleError })
+
+function element(html) {
+  const container = document.createElement("div")
+  container.innerHTML = html
+  return container.firstElementChild
+}
+
+const SCHEMA = {
+  rowHeight: { type: "integer", min: 1, default: 40 },
+  ratio: { type: "number", min: 0, max: 1 },
+  sticky: { type: "boolean", default: false },
+  load: { type: "enum", values: ["both", "none"], default: "both" },
+  columns: { type: "list" },
+  config: { type: "json" },
+  tip: { type: "string", alias: "tooltip" }
+}
+
+test("readOptions parses every type from data attributes", () => {
+  const el = element(`
+    <div data-row-height="56" data-ratio="0.5" data-sticky data-load="none"
+         data-columns="id, name,," data-config='{"a":1}' data-tooltip="Hi"></div>
+  `)
+
+  const { options, valid } = readOptions("Test", SCHEMA, el)
+
+  assert.equal(valid, true)
+  assert.deepEqual(options, {
+    rowHeight: 56,
+    ratio: 0.5,
+    sticky: true,
+    load: "none",
+    columns: ["id", "name"],
+    config: { a: 1 },
+    tip: "Hi"
+  })
+  assert.deepEqual(errors, [])
+})
+
+test("readOptions falls back to defaults and logs bad values once per element", () => {
+  const el = element(`<div id="rows" data-row-height="tall" data-ratio="1.5" data-load="some" data-sticky="yes"></div>`)
+
+  const { options } = readOptions("Test", SCHEMA, el, { rowHeight: 48 })
+  readOptions("Test", SCHEMA, el)
+
+  assert.equal(options.rowHeight, 48)
+  assert.equal(options.ratio, undefined)
+  assert.equal(options.load, "both")
+  assert.equal(options.sticky, false)
+  assert.equal(errors.length, 1)
+  assert.match(errors[0], /^Test #rows: data-row-height must be a number \(got "tall"\); data-ratio must be at most 1 \(got "1.5"\); data-sticky/)
+})
+
+test("readOptions marks a missing required attribute invalid", () => {
+  const el = element(`<div data-storage-key=""></div>`)
+
+  const { valid } = readOptions("StateStore", { storageKey: { type: "string", required: true } }, el)
+
+  assert.equal(valid, false)
+  assert.match(errors[0], /data-storage-key is required/)
+})
+
+test("createHooks picks hooks and applies per-hook defaults", async () => {
+  const hooks = createHooks({ only: ["Tooltip", "Popover", "Nope"], except: ["Popover"], defaults: { Tooltip: { showDelay: 0 }, Other: {} } })
+
+  assert.deepEqual(Object.keys(hooks), ["Tooltip"])
+  assert.equal(hooks.Tooltip.schema, undefined)
+  assert.match(errors[0], /unknown hook "Nope"/)
+  assert.match(errors[1], /defaults given for unknown hook "Other"/)
+
+  const h = await mountHook(hooks.Tooltip, `<button id="tip" data-tip="Hi">?</button>`)
+  assert.equal(h.hook.options.showDelay, 0)
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("Hooks has every hook, including the deprecated LocalStorage name", () => {
+  const pkg = JSON.parse(readFileSync(new URL("../package.json", import.meta.url)))
+  assert.equal(VERSION, pkg.version)
+  assert.ok(Hooks.LocalStorage && Hooks.StateStore)
+  assert.ok(Object.values(Hooks).every(hook => typeof hook.mounted === "function"))
+})
+
+test("options are re-read before updated()", async () => {
+  const h = await mountHook("VirtualList", `<div id="list" data-row-height="40"><div data-items></div></div>`)
+
+  await h.update(el => { el.dataset.rowHeight = "60" })
+
+  assert.equal(h.hook.options.rowHeight, 60)
+  assert.deepEqual(h.destroy(), [])
+})
@@ -0,0 +1,73 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+
+import { mountHook, fire, keydown, flush, stubLayout } from "./harness.js"
+
+stubLayout(document.documentElement, { clientWidth: 1024, clientHeight: 768 })
+
+const fixture = `
+  <div>
+    <button id="menu-button" phx-hook="Popover" data-popover="menu">Menu</button>
+    <div id="menu" hidden><a href="#">Item</a></div>
+    <p id="elsewhere">Elsewhere</p>
+  </div>
+`
+
+test("toggles the panel and keeps aria-expanded in sync", async () => {
+  const h = await mountHook("Popover", fixture)
+  const panel = document.getElementById("menu")
+
+  assert.equal(h.el.getAttribute("aria-controls"), "menu")
+
+  fire(h.el, "click")
+  await flush()
+  assert.equal(panel.hidden, false)
+  assert.equal(h.el.getAttribute("aria-expanded"), "true")
+  assert.equal(panel.style.position, "fixed")
+
+  fire(h.el, "click")
+  assert.equal(panel.hidden, true)
+  assert.equal(h.el.getAttribute("aria-expanded"), "false")
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("closes on Escape, outside pointerdown and popover_close", async () => {
+  const h = await mountHook("Popover", fixture)
+  const panel = document.getElementById("menu")
+
+  fire(h.el, "click")
+  keydown("Escape", {}, panel)
+  assert.equal(panel.hidden, true)
+  assert.equal(document.activeElement, h.el)
+
+  fire(h.el, "click")
+  fire(panel.querySelector("a"), "pointerdown")
+  assert.equal(panel.hidden, false)
+  fire(document.getElementById("elsewhere"), "pointerdown")
+  assert.equal(panel.hidden, true)
+
+  fire(h.el, "click")
+  h.serverEvent("popover_close", { id: "menu" })
+  assert.equal(panel.hidden, true)
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("stops positioning when destroyed while open", async () => {
+  const h = await mountHook("Popover", fixture)
+  fire(h.el, "click")
+
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("stays inert without data-popover", async () => {
+  const error = console.error
+  console.error = () => {}
+
+  try {
+    const h = await mountHook("Popover", `<button id="lonely" phx-hook="Popover">Menu</button>`)
+    assert.equal(h.el.hasAttribute("aria-haspopup"), false)
+    assert.deepEqual(h.destroy(), [])
+  } finally {
+    console.error = error
+  }
+})
@@ -0,0 +1,214 @@
+import { test, afterEach } from "node:test"
+import assert from "node:assert/strict"
+
+import { mountHook, fire, wait, stubLayout, resize, setMediaQuery, window } from "./harness.js"
+
+afterEach(() => {
+  setMediaQuery("(prefers-reduced-motion: reduce)", false)
+})
+
+const doc = (attrs = "") => `
+  <div id="doc" phx-hook="PresenceCursors" class="relative" data-throttle="30" ${attrs}>
+    <section id="intro"><p>Welcome</p></section>
+    <input name="title" value="Roadmap" />
+    <textarea id="doc-body" name="body">one two three</textarea>
+    <p data-presence-typing></p>
+  </div>
+`
+
+async function mountDoc(attrs) {
+  const h = await mountHook("PresenceCursors", doc(attrs))
+  stubLayout(h.el, { rect: { left: 10, top: 10, width: 400, height: 300 } })
+  stubLayout(h.el.querySelector("#intro"), { rect: { left: 10, top: 110, width: 200, height: 50 } })
+  stubLayout(h.el.querySelector("textarea"), { rect: { left: 20, top: 200, width: 300, height: 80 } })
+  return h
+}
+
+const pointer = (target, type, x, y) =>
+  fire(target, `pointer${type}`, { clientX: x, clientY: y, pointerId: 1 }, window.MouseEvent)
+
+const cursor = (h, key) => h.el.querySelector(`[data-presence-cursor="${key}"]`)
+const field = (h, key) => h.el.querySelector(`[data-presence-field="${key}"]`)
+const typing = (h) => h.el.querySelector("[data-presence-typing]")
+
+test("shares the pointer, field, selection and typing, throttled", async () => {
+  const h = await mountDoc(`data-typing-timeout="60"`)
+  const paragraph = h.el.querySelector("#intro p")
+
+  // Anchored to the nearest element with an id, as fractions of its box
+  pointer(paragraph, "move", 60, 120)
+  pointer(paragraph, "move", 70, 120)
+  pointer(paragraph, "move", 110, 135)
+  assert.deepEqual(h.pushed("presence_sync"), [
+    { id: "doc", cursor: { anchor: "intro", x: 0.25, y: 0.2 }, field: null, selection: null, typing: false }
+  ])
+  await wait(50)
+  assert.deepEqual(h.pushed("presence_sync")[1].cursor, { anchor: "intro", x: 0.5, y: 0.5 })
+
+  pointer(h.el, "leave", 0, 0)
+  const textarea = h.el.querySelector("textarea")
+  textarea.focus()
+  textarea.setSelectionRange(4, 7)
+  fire(document, "selectionchange")
+  await wait(50)
+  assert.deepEqual(h.pushed("presence_sync")[2], {
+    id: "doc", cursor: null, field: "body", selection: { start: 4, end: 7 }, typing: false
+  })
+
+  textarea.setRangeText("2", 4, 7, "end")
+  fire(textarea, "input")
+  await wait(50)
+  assert.deepEqual(h.pushed("presence_sync")[3].selection, { start: 5, end: 5 })
+  assert.equal(h.pushed("presence_sync")[3].typing, true)
+
+  // Typing ends by itself, and leaving the field clears it
+  await wait(60)
+  assert.equal(h.pushed("presence_sync")[4].typing, false)
+  textarea.blur()
+  await wait(50)
+  assert.deepEqual(h.pushed("presence_sync").at(-1), { id: "doc", cursor: null, field: null, selection: null, typing: false })
+  assert.equal(h.pushed("presence_sync").length, 6)
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("draws peers' cursors on their anchors and glides them between updates", async () => {
+  const h = await mountDoc(`data-duration="40"`)
+
+  h.serverEvent("presence_update", {
+    peers: [
+      { key: "user-7", name: "Ana", color: "#e11d48", cursor: { anchor: "intro", x: 0.5, y: 0.5 } },
+      { key: "user-9", name: "Ben", cursor: { anchor: "missing", x: 0.25, y: 0.5 } }
+    ]
+  })
+  const ana = cursor(h, "user-7")
+  assert.equal(ana.textContent, "Ana")
+  assert.equal(ana.style.color, "rgb(225, 29, 72)")
+  assert.equal(ana.style.transform, "translate(100px, 125px)")
+  // An anchor this page doesn't have falls back to the hook element
+  assert.equal(cursor(h, "user-9").style.transform, "translate(100px, 150px)")
+  assert.match(cursor(h, "user-9").style.color, /^rgb\(/)
+
+  // Glides from where it was
+  h.serverEvent("presence_update", { peers: [{ key: "user-7", cursor: { anchor: null, x: 0.5, y: 0.5 } }] })
+  assert.equal(ana.style.transform, "translate(100px, 125px)")
+  await wait(80)
+  assert.equal(ana.style.transform, "translate(200px, 150px)")
+
+  // Reduced motion jumps; no cursor hides it
+  setMediaQuery("(prefers-reduced-motion: reduce)", true)
+  h.serverEvent("presence_update", { peers: [{ key: "user-7", cursor: { x: 0, y: 0 } }] })
+  assert.equal(ana.style.transform, "translate(0px, 0px)")
+  h.serverEvent("presence_update", { id: "other-doc", peers: [{ key: "user-7", cursor: null }] })
+  assert.equal(ana.isConnected, true)
+  h.serverEvent("presence_update", { peers: [{ key: "user-7", cursor: null }] })
+  assert.equal(cursor(h, "user-7"), null)
+
+  h.serverEvent("presence_remove", { keys: ["user-9"] })
+  assert.equal(h.el.querySelector("[data-presence-layer]").children.length, 0)
+  assert.deepEqual(h.destroy(), [])
+  assert.equal(h.el.querySelector("[data-presence-layer]"), null)
+})
+
+test("outlines peers' fields with their selection, and says who is typing", async () => {
+  const h = await mountDoc()
+
+  h.serverEvent("presence_update", {
+    peers: [{ key: "user-7", name: "Ana", color: "#e11d48", field: "body", selection: { start: 4, end: 7 }, typing: true }]
+  })
+  const outline = field(h, "user-7")
+  assert.equal(outline.style.left, "10px")
+  assert.equal(outline.style.top, "190px")
+  assert.equal(outline.style.width, "300px")
+  assert.equal(outline.hasAttribute("data-typing"), true)
+  const mirror = outline.querySelector("[data-presence-mirror]")
+  assert.equal(mirror.querySelector("mark").textContent, "two")
+  assert.equal(mirror.textContent, "one two three\u200b")
+  assert.equal(mirror.style.whiteSpace, "pre-wrap")
+  assert.equal(typing(h).textContent, "Ana is typing…")
+  assert.equal(typing(h).getAttribute("aria-live"), "polite")
+
+  // Updates that don't change who is typing leave the live region alone
+  let writes = 0
+  const observer = new MutationObserver(records => { writes += records.length })
+  observer.observe(typing(h), { childList: true, characterData: true, subtree: true })
+  h.serverEvent("presence_update", { peers: [{ key: "user-7", selection: { start: 5, end: 7 }, typing: true }] })
+  await Promise.resolve()
+  observer.disconnect()
+  assert.equal(writes, 0)
+
+  h.serverEvent("presence_update", {
+    peers: [
+      { key: "user-9", name: "Ben", field: "title", typing: true },
+      { key: "user-3", name: "Cy", typing: true },
+      { key: "user-4", name: "Di", typing: true }
+    ]
+  })
+  assert.equal(typing(h).textContent, "Ana, Ben and 2 others are typing…")
+  // A selection past the end of this copy of the text stops at the end
+  h.serverEvent("presence_update", { peers: [{ key: "user-9", selection: { start: 2, end: 99 } }] })
+  assert.equal(field(h, "user-9").querySelector("mark").textContent, "admap")
+  assert.equal(field(h, "user-9").querySelector("[data-presence-mirror]").style.whiteSpace, "pre")
+
+  h.serverEvent("presence_remove", { keys: ["user-7", "user-3", "user-4"] })
+  assert.equal(typing(h).textContent, "Ben is typing…")
+  h.serverEvent("presence_update", { peers: [{ key: "user-9", typing: false, field: null }] })
+  assert.equal(typing(h).hidden, true)
+  assert.equal(field(h, "user-9"), null)
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("follows layout changes, and patches keep the layer", async () => {
+  const h = await mountDoc()
+  h.serverEvent("presence_update", { peers: [{ key: "user-7", cursor: { anchor: "intro", x: 0, y: 0 }, field: "body" }] })
+  assert.equal(cursor(h, "user-7").style.transform, "translate(0px, 100px)")
+
+  stubLayout(h.el.querySelector("#intro"), { rect: { left: 10, top: 160, width: 200, height: 50 } })
+  stubLayout(h.el.querySelector("textarea"), { rect: { left: 20, top: 250, width: 300, height: 80 } })
+  resize(h.el)
+  assert.equal(cursor(h, "user-7").style.transform, "translate(0px, 150px)")
+  assert.equal(field(h, "user-7").style.top, "240px")
+
+  await h.update(el => el.querySelector("[data-presence-layer]").remove())
+  assert.equal(cursor(h, "user-7").isConnected, true)
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("drops peers it stops hearing from, and keeps itself alive for others", async () => {
+  const h = await mountDoc(`data-timeout="100" data-typing-timeout="40"`)
+
+  h.serverEvent("presence_update", { peers: [{ key: "user-7", name: "Ana", cursor: { x: 0, y: 0 }, typing: true }] })
+  await wait(70)
+  // A lost "typing: false" doesn't leave the indicator up
+  assert.equal(typing(h).hidden, true)
+  assert.notEqual(cursor(h, "user-7"), null)
+  await wait(80)
+  assert.equal(cursor(h, "user-7"), null)
+
+  // Sent again while there is something to show, and after a reconnect
+  pointer(h.el, "move", 10, 10)
+  await wait(120)
+  const pushes = h.pushed("presence_sync").length
+  assert.equal(pushes >= 2, true)
+  h.disconnect()
+  pointer(h.el, "move", 20, 20)
+  await wait(120)
+  assert.equal(h.pushed("presence_sync").length, pushes)
+  h.reconnect()
+  await wait(40)
+  assert.equal(h.pushed("presence_sync").length, pushes + 1)
+  assert.deepEqual(h.pushed("presence_sync").at(-1).cursor, { anchor: null, x: 0.025, y: 0.033 })
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("ignores peers without a key", async () => {
+  const h = await mountDoc()
+  const warnings = []
+  const warn = console.warn
+  console.warn = (...args) => warnings.push(args.join(" "))
+  h.serverEvent("presence_update", { peers: [{ name: "Nobody", cursor: { x: 0, y: 0 } }] })
+  console.warn = warn
+
+  assert.match(warnings[0], /PresenceCursors #doc: ignoring a peer without a key/)
+  assert.equal(h.el.querySelector("[data-presence-layer]").children.length, 0)
+  assert.deepEqual(h.destroy(), [])
+})
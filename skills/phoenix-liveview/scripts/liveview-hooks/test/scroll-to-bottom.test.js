@@ -0,0 +1,20 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+
+import { mountHook, stubLayout } from "./harness.js"
+
+const fixture = `<div id="messages" phx-hook="ScrollToBottom"><p>one</p></div>`
+
+test("scrolls to the bottom on mount and on every update", async () => {
+  const h = await mountHook("ScrollToBottom", fixture)
+  stubLayout(h.el, { scrollHeight: 500 })
+
+  await h.update()
+  assert.equal(h.el.scrollTop, 500)
+
+  h.el.scrollTop = 0
+  await h.update()
+  assert.equal(h.el.scrollTop, 500)
+
+  assert.deepEqual(h.destroy(), [])
+})
@@ -0,0 +1,180 @@
+import { test, beforeEach } from "node:test"
+import assert from "node:assert/strict"
+
+import { mountHook, fire, keydown, wait, flush } from "./harness.js"
+
+const fixture = (attrs = "") => `
+  <div id="user-search" phx-hook="SearchBox" data-debounce="10" ${attrs}>
+    <input type="search" />
+  </div>
+`
+
+const users = (query) => ({
+  results: [
+    { value: 1, label: `${query} one` },
+    { value: 2, label: `${query} two`, description: "Admin" }
+  ]
+})
+
+async function type(h, value) {
+  const input = h.el.querySelector("input")
+  input.focus()
+  input.value = value
+  fire(input, "input")
+  await wait(20)
+  await flush()
+  return input
+}
+
+beforeEach(() => {
+  localStorage.clear()
+  history.replaceState(null, "", "/")
+})
+
+test("debounces typing into one sequenced search and shows the results", async () => {
+  const h = await mountHook("SearchBox", fixture(), { replies: { search: ({query}) => users(query) } })
+  const input = h.el.querySelector("input")
+  const list = h.el.querySelector("[data-search-results]")
+
+  input.focus()
+  for (const value of ["a", "ad", "ada"]) {
+    input.value = value
+    fire(input, "input")
+  }
+  await wait(20)
+  await flush()
+
+  assert.deepEqual(h.pushed("search"), [{ id: "user-search", query: "ada", seq: 1 }])
+  assert.equal(input.getAttribute("role"), "combobox")
+  assert.equal(input.getAttribute("aria-controls"), list.id)
+  assert.equal(input.getAttribute("aria-expanded"), "true")
+  assert.equal(list.getAttribute("role"), "listbox")
+  assert.equal(list.hidden, false)
+  assert.deepEqual(
+    [...list.querySelectorAll('[role="option"]')].map(option => option.textContent),
+    ["ada one", "ada two Admin"]
+  )
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("drops results that arrive for an older query", async () => {
+  const h = await mountHook("SearchBox", fixture())
+  const list = h.el.querySelector("[data-search-results]")
+
+  await type(h, "old")
+  await type(h, "new")
+  assert.deepEqual(h.pushed("search").map(payload => payload.seq), [1, 2])
+  assert.equal(h.el.getAttribute("aria-busy"), "true")
+
+  h.serverEvent("search_results", { id: "user-search", seq: 2, ...users("new") })
+  h.serverEvent("search_results", { id: "user-search", seq: 1, ...users("old") })
+  h.serverEvent("search_results", { id: "other-search", seq: 3, ...users("other") })
+
+  assert.equal(list.querySelector('[role="option"]').textContent, "new one")
+  assert.equal(h.el.hasAttribute("aria-busy"), false)
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("skips short queries and IME composition but sends a cleared box", async () => {
+  const h = await mountHook("SearchBox", fixture('data-min-length="3"'))
+  const input = await type(h, "ab")
+  assert.deepEqual(h.pushed("search"), [])
+
+  fire(input, "compositionstart")
+  input.value = "abc"
+  fire(input, "input", { isComposing: true })
+  await wait(20)
+  assert.deepEqual(h.pushed("search"), [])
+
+  fire(input, "compositionend")
+  await wait(20)
+  assert.deepEqual(h.pushed("search").map(payload => payload.query), ["abc"])
+
+  await type(h, "")
+  assert.deepEqual(h.pushed("search").map(payload => payload.query), ["abc", ""])
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("moves through the results with the keyboard and picks one", async () => {
+  const h = await mountHook("SearchBox", fixture(), { replies: { search: ({query}) => users(query) } })
+  const input = await type(h, "ada")
+  const options = h.el.querySelectorAll('[role="option"]')
+
+  keydown("ArrowDown")
+  assert.equal(input.getAttribute("aria-activedescendant"), options[0].id)
+  assert.equal(options[0].getAttribute("aria-selected"), "true")
+
+  keydown("ArrowDown")
+  keydown("ArrowDown")
+  assert.equal(input.getAttribute("aria-activedescendant"), options[0].id)
+
+  keydown("ArrowUp")
+  assert.equal(options[1].firstElementChild.classList.contains("menu-active"), true)
+
+  const enter = keydown("Enter")
+  assert.equal(enter.defaultPrevented, true)
+  assert.deepEqual(h.pushed("search_selected"), [{ id: "user-search", value: "2", label: "ada two", query: "ada" }])
+  assert.equal(input.getAttribute("aria-expanded"), "false")
+  assert.equal(input.hasAttribute("aria-activedescendant"), false)
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("Escape closes the list, then clears the query", async () => {
+  const h = await mountHook("SearchBox", fixture(), { replies: { search: ({query}) => users(query) } })
+  const input = await type(h, "ada")
+
+  keydown("Escape")
+  assert.equal(h.el.querySelector("[data-search-results]").hidden, true)
+  assert.equal(input.value, "ada")
+
+  keydown("Escape")
+  assert.equal(input.value, "")
+  assert.deepEqual(h.pushed("search").map(payload => payload.query), ["ada", ""])
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("recalls earlier queries with the arrow keys", async () => {
+  const h = await mountHook("SearchBox", fixture('data-history-key="users" data-history-size="2"'))
+  const input = h.el.querySelector("input")
+
+  for (const query of ["one", "two", "three"]) {
+    await type(h, query)
+    keydown("Enter")
+  }
+  assert.deepEqual(JSON.parse(localStorage.getItem("lv:search-history:users")), ["three", "two"])
+
+  input.value = "draft"
+  keydown("ArrowUp")
+  assert.equal(input.value, "three")
+  keydown("ArrowUp")
+  keydown("ArrowUp")
+  assert.equal(input.value, "two")
+  keydown("ArrowDown")
+  keydown("ArrowDown")
+  assert.equal(input.value, "draft")
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("keeps the query in the URL and starts from it", async () => {
+  history.replaceState(null, "", "/users?page=2&q=grace")
+  const h = await mountHook("SearchBox", fixture('data-url-param="q"'))
+
+  assert.equal(h.el.querySelector("input").value, "grace")
+  assert.deepEqual(h.pushed("search").map(payload => payload.query), ["grace"])
+
+  await type(h, "ada lovelace")
+  assert.equal(location.pathname + location.search, "/users?page=2&q=ada+lovelace")
+
+  await type(h, "")
+  assert.equal(location.pathname + location.search, "/users?page=2")
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("restores the last query when asked to", async () => {
+  localStorage.setItem("lv:search-history:users", JSON.stringify(["grace", "ada"]))
+  const h = await mountHook("SearchBox", fixture('data-history-key="users" data-restore'))
+
+  assert.equal(h.el.querySelector("input").value, "grace")
+  assert.deepEqual(h.pushed("search").map(payload => payload.query), ["grace"])
+  assert.deepEqual(h.destroy(), [])
+})
@@ -0,0 +1,172 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+
+import { mountHook, fire, keydown, flush } from "./harness.js"
+import { registerShortcut } from "../index.js"
+
+// jsdom reports an empty navigator.platform, so "mod" means Ctrl
+const fixture = `
+  <div id="toolbar" phx-hook="Shortcuts">
+    <button id="new" data-shortcut="n">New</button>
+    <button id="inbox" data-shortcut="g i" data-shortcut-event="go_inbox" data-shortcut-group="Navigation">Inbox</button>
+    <input id="search" data-shortcut="/" />
+    <textarea id="notes"></textarea>
+  </div>
+`
+
+test("Shortcuts clicks, focuses or pushes for the bound element", async () => {
+  const h = await mountHook("Shortcuts", fixture)
+  let clicked = 0
+  document.getElementById("new").addEventListener("click", () => clicked++)
+
+  assert.equal(document.getElementById("inbox").getAttribute("aria-keyshortcuts"), "G I")
+
+  keydown("n", {}, document.body)
+  assert.equal(clicked, 1)
+
+  keydown("g", {}, document.body)
+  keydown("i", {}, document.body)
+  assert.deepEqual(h.pushed("go_inbox"), [{ shortcut: "g i" }])
+
+  const slash = keydown("/", {}, document.body)
+  assert.equal(slash.defaultPrevented, true)
+  assert.equal(document.activeElement.id, "search")
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("Shortcuts ignores plain keys while typing", async () => {
+  const h = await mountHook("Shortcuts", fixture)
+  let clicked = 0
+  document.getElementById("new").addEventListener("click", () => clicked++)
+
+  keydown("n", {}, document.getElementById("notes"))
+  assert.equal(clicked, 0)
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("Shortcuts in region scope only fire while focus is inside", async () => {
+  const h = await mountHook("Shortcuts", `
+    <div>
+      <div id="editor" phx-hook="Shortcuts" data-shortcut-scope="region" tabindex="0">
+        <button data-shortcut="mod+s" data-shortcut-event="save">Save</button>
+      </div>
+      <button id="elsewhere">Elsewhere</button>
+    </div>
+  `)
+
+  document.getElementById("elsewhere").focus()
+  keydown("s", { ctrlKey: true })
+  assert.deepEqual(h.pushed("save"), [])
+
+  h.el.focus()
+  keydown("s", { ctrlKey: true })
+  assert.equal(h.pushed("save").length, 1)
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("Shortcuts rebinds on update and releases the document listener", async () => {
+  const h = await mountHook("Shortcuts", fixture)
+
+  await h.update(el => { el.querySelector("#new").dataset.shortcut = "c" })
+
+  let clicked = 0
+  document.getElementById("new").addEventListener("click", () => clicked++)
+  keydown("n", {}, document.body)
+  keydown("c", {}, document.body)
+  assert.equal(clicked, 1)
+  assert.deepEqual(h.destroy(), [])
+})
+
+const palette = (commands) => `
+  <dialog id="palette" phx-hook="CommandPalette" data-commands='${JSON.stringify(commands)}'>
+    <input data-palette-input />
+    <ul id="palette-results" data-palette-results></ul>
+  </dialog>
+`
+
+const COMMANDS = [
+  { id: "new-report", title: "New report", shortcut: "mod+n" },
+  { id: "settings", title: "Open settings", keywords: ["preferences"] },
+  { id: "logout", title: "Log out", section: "Account" }
+]
+
+test("CommandPalette opens on mod+k and runs the chosen command", async () => {
+  const h = await mountHook("CommandPalette", palette(COMMANDS))
+  const input = h.el.querySelector("input")
+
+  keydown("k", { ctrlKey: true }, document.body)
+  assert.equal(h.el.open, true)
+  assert.equal(document.activeElement, input)
+  assert.equal(h.el.querySelectorAll("[role=option]").length, 3)
+  assert.equal(h.el.querySelector("kbd").textContent, "Ctrl+N")
+
+  input.value = "prefs"
+  fire(input, "input")
+  const options = h.el.querySelectorAll("[role=option]")
+  assert.deepEqual([...options].map(option => option.dataset.commandId), ["settings"])
+
+  keydown("Enter", {}, input)
+  assert.deepEqual(h.pushed("palette_command"), [{ id: "settings" }])
+  assert.equal(h.el.open, false)
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("CommandPalette ranks matches and moves the active option with arrows", async () => {
+  const h = await mountHook("CommandPalette", palette(COMMANDS))
+  const input = h.el.querySelector("input")
+  keydown("k", { ctrlKey: true }, document.body)
+
+  input.value = "o"
+  fire(input, "input")
+  keydown("ArrowDown", {}, input)
+
+  const active = h.el.querySelector('[aria-selected="true"]')
+  assert.equal(input.getAttribute("aria-activedescendant"), active.id)
+  assert.equal(active.querySelectorAll("mark").length, 1)
+
+  h.serverEvent("palette_commands", { commands: [{ id: "only", title: "Only one" }] })
+  assert.equal(h.el.querySelectorAll("[role=option]").length, 1)
+
+  fire(h.el.querySelector("[data-command-id]"), "click")
+  assert.deepEqual(h.pushed("palette_command"), [{ id: "only" }])
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("CommandPalette reports missing markup instead of throwing", async () => {
+  const errors = []
+  const error = console.error
+  console.error = (...args) => errors.push(args[0])
+  let h
+  try {
+    h = await mountHook("CommandPalette", `<dialog id="palette" phx-hook="CommandPalette"><input data-palette-input /></dialog>`)
+  } finally {
+    console.error = error
+  }
+
+  assert.deepEqual(errors, ["CommandPalette #palette: no [data-palette-results] inside"])
+  // Nothing registered, so mod+k is left alone
+  assert.equal(keydown("k", { ctrlKey: true }).defaultPrevented, false)
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("ShortcutHelp lists the registered shortcuts by group", async () => {
+  const toolbar = await mountHook("Shortcuts", fixture)
+  const h = await mountHook("ShortcutHelp", `
+    <dialog id="shortcut-help" phx-hook="ShortcutHelp"><div data-shortcut-help-list></div></dialog>
+  `)
+  const unregister = registerShortcut({ shortcut: "shift+d", description: "Toggle dark mode", run: () => {} })
+
+  keydown("?", { shiftKey: true }, document.body)
+  await flush()
+
+  assert.equal(h.el.open, true)
+  const groups = [...h.el.querySelectorAll("h4")].map(heading => heading.textContent)
+  assert.deepEqual(groups.sort(), ["General", "Navigation"])
+  assert.match(h.el.textContent, /Toggle dark mode/)
+  assert.match(h.el.textContent, /G then I/)
+
+  // The key sequence timer is shared until the last binding goes
+  unregister()
+  toolbar.destroy()
+  assert.deepEqual(h.destroy(), [])
+})
@@ -0,0 +1,172 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+
+import { mountHook, fire, keydown, flush, wait, stubLayout, window } from "./harness.js"
+
+const column = (status, left, titles, attrs = "") => `
+  <ul id="column-${status}" phx-hook="Sortable" data-group="board" data-list-id="${status}" ${attrs}>
+    ${titles.map(title => `<li id="tasks-${title}">${title}</li>`).join("")}
+  </ul>
+`
+
+// Columns 200px wide side by side, rows 40px high in DOM order; the item
+// being dragged is out of the flow
+function layout(list, left) {
+  stubLayout(list, { rect: { top: 0, left, width: 200, height: 400 } })
+  const place = (el) => stubLayout(el, {
+    rect: () => {
+      const rows = [...el.parentNode.children].filter(row => !row.classList.contains("sortable-dragging"))
+      return { top: rows.indexOf(el) * 40, left, width: 200, height: 40 }
+    }
+  })
+  for (const item of list.children) place(item)
+  return place
+}
+
+const pointer = (target, type, x, y, props = {}) =>
+  fire(target, `pointer${type}`, { clientX: x, clientY: y, pointerId: 1, pointerType: "mouse", ...props }, window.MouseEvent)
+
+const titles = (list) => [...list.children].map(item => item.id.replace("tasks-", ""))
+
+test("drags an item to a new position and reports it", async () => {
+  const h = await mountHook("Sortable", column("todo", 0, ["a", "b", "c"]))
+  layout(h.el, 0)
+  const a = h.el.querySelector("#tasks-a")
+
+  pointer(a, "down", 10, 20)
+  pointer(document, "move", 10, 30)
+  assert.equal(a.classList.contains("sortable-dragging"), true)
+  assert.equal(a.style.position, "fixed")
+
+  pointer(document, "move", 10, 90)
+  assert.deepEqual(titles(h.el), ["a", "b", "", "c"])
+  assert.equal(h.el.children[2].className, "sortable-placeholder")
+
+  pointer(document, "up", 10, 90)
+  assert.deepEqual(titles(h.el), ["b", "a", "c"])
+  assert.equal(a.hasAttribute("style"), false)
+  assert.equal(a.classList.contains("sortable-dragging"), false)
+  assert.deepEqual(h.pushed("reposition"), [{ id: "tasks-a", from: "todo", to: "todo", index: 1, old_index: 0 }])
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("moves items between connected lists and rolls back a rejected move", async () => {
+  const todo = await mountHook("Sortable", column("todo", 0, ["a", "b"]), { replies: { reposition: { ok: false } } })
+  const done = await mountHook("Sortable", column("done", 300, ["c"]), { replies: { reposition: { ok: false } } })
+  layout(todo.el, 0)
+  layout(done.el, 300)
+  const a = todo.el.querySelector("#tasks-a")
+
+  pointer(a, "down", 10, 20)
+  pointer(document, "move", 310, 10)
+  assert.deepEqual(titles(done.el), ["", "c"])
+
+  pointer(document, "up", 310, 10)
+  assert.deepEqual(titles(done.el), ["a", "c"])
+  assert.deepEqual(done.pushed("reposition"), [{ id: "tasks-a", from: "todo", to: "done", index: 0, old_index: 0 }])
+
+  await flush()
+  assert.deepEqual(titles(todo.el), ["a", "b"])
+  assert.deepEqual(titles(done.el), ["c"])
+  assert.match(document.querySelector("[aria-live]").textContent, /could not be moved/)
+
+  assert.deepEqual(done.destroy(), [])
+  assert.deepEqual(todo.destroy(), [])
+})
+
+test("reorders with the keyboard, across lists too", async () => {
+  const todo = await mountHook("Sortable", column("todo", 0, ["a", "b"]))
+  const done = await mountHook("Sortable", column("done", 300, ["c"]))
+  const b = todo.el.querySelector("#tasks-b")
+  assert.equal(b.getAttribute("tabindex"), "0")
+
+  b.focus()
+  keydown(" ")
+  assert.match(document.querySelector("[aria-live]").textContent, /b grabbed, position 2 of 2/)
+  assert.equal(document.querySelector("[aria-live]").getAttribute("aria-live"), "polite")
+
+  keydown("ArrowUp")
+  assert.deepEqual(titles(todo.el).filter(Boolean), ["b", "a"])
+  assert.equal(document.activeElement, b)
+
+  keydown("ArrowRight")
+  assert.deepEqual(titles(done.el).filter(Boolean), ["b", "c"])
+  assert.match(document.querySelector("[aria-live]").textContent, /Position 1 of 2 in done/)
+
+  keydown("ArrowDown")
+  keydown("Enter")
+  assert.deepEqual(titles(done.el), ["c", "b"])
+  assert.equal(document.activeElement, b)
+  assert.deepEqual(done.pushed("reposition"), [{ id: "tasks-b", from: "todo", to: "done", index: 1, old_index: 1 }])
+
+  assert.deepEqual(done.destroy(), [])
+  assert.deepEqual(todo.destroy(), [])
+})
+
+test("Escape puts the item back and nothing is sent", async () => {
+  const h = await mountHook("Sortable", column("todo", 0, ["a", "b", "c"]))
+  layout(h.el, 0)
+  const b = h.el.querySelector("#tasks-b")
+
+  pointer(b, "down", 10, 60)
+  pointer(document, "move", 10, 130)
+  keydown("Escape", {}, document.body)
+  pointer(document, "up", 10, 130)
+  assert.deepEqual(titles(h.el), ["a", "b", "c"])
+
+  b.focus()
+  keydown("Enter")
+  keydown("ArrowDown")
+  keydown("Escape")
+  assert.deepEqual(titles(h.el), ["a", "b", "c"])
+
+  // Picked up and dropped in place
+  keydown("Enter")
+  keydown("Enter")
+  assert.deepEqual(h.pushes, [])
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("a touch that moves before the long press scrolls instead of dragging", async () => {
+  const h = await mountHook("Sortable", column("todo", 0, ["a", "b"]))
+  layout(h.el, 0)
+  const a = h.el.querySelector("#tasks-a")
+
+  pointer(a, "down", 10, 20, { pointerType: "touch" })
+  pointer(document, "move", 10, 60, { pointerType: "touch" })
+  assert.equal(a.classList.contains("sortable-dragging"), false)
+  pointer(document, "up", 10, 60, { pointerType: "touch" })
+
+  pointer(a, "down", 10, 20, { pointerType: "touch" })
+  await wait(250)
+  pointer(document, "move", 10, 70, { pointerType: "touch" })
+  assert.equal(a.classList.contains("sortable-dragging"), true)
+  pointer(document, "up", 10, 70, { pointerType: "touch" })
+
+  assert.deepEqual(titles(h.el), ["b", "a"])
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("handles don't let the browser pan, and neither does an item after the long press", async () => {
+  const h = await mountHook("Sortable", `
+    <ul id="priorities" phx-hook="Sortable" data-handle="[data-drag-handle]">
+      <li id="tasks-a"><button data-drag-handle>a</button></li>
+    </ul>
+  `)
+  assert.equal(h.el.querySelector("[data-drag-handle]").style.touchAction, "none")
+
+  await h.update(el => el.insertAdjacentHTML("beforeend", '<li id="tasks-c"><button data-drag-handle>c</button></li>'))
+  assert.equal(h.el.querySelector("#tasks-c [data-drag-handle]").style.touchAction, "none")
+  assert.deepEqual(h.destroy(), [])
+
+  const list = await mountHook("Sortable", column("todo", 0, ["a", "b"]))
+  layout(list.el, 0)
+  const item = list.el.querySelector("#tasks-a")
+
+  pointer(item, "down", 10, 20, { pointerType: "touch" })
+  assert.equal(fire(item, "touchmove").defaultPrevented, false)
+  await wait(250)
+  assert.equal(fire(item, "touchmove").defaultPrevented, true)
+  pointer(document, "up", 10, 20, { pointerType: "touch" })
+  assert.deepEqual(list.destroy(), [])
+})
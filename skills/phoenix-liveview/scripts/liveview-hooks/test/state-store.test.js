@@ -0,0 +1,124 @@
+import { test, beforeEach } from "node:test"
+import assert from "node:assert/strict"
+
+import { mountHook, fire, wait } from "./harness.js"
+import { registerStoreMigrations } from "../index.js"
+
+const fixture = (attrs = 'data-storage-key="prefs"') => `
+  <form id="prefs" phx-hook="StateStore" ${attrs}>
+    <input type="text" name="query" />
+    <input type="checkbox" name="archived" />
+  </form>
+`
+
+beforeEach(() => localStorage.clear())
+
+test("restores saved state on mount and tells the server", async () => {
+  localStorage.setItem("lv:prefs", JSON.stringify({ v: 1, exp: null, data: { query: "open", archived: true } }))
+
+  const h = await mountHook("StateStore", fixture())
+
+  assert.equal(h.el.elements.query.value, "open")
+  assert.equal(h.el.elements.archived.checked, true)
+  assert.deepEqual(h.pushed("store_sync"), [{ key: "prefs", value: { query: "open", archived: true }, source: "mount" }])
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("saves edits as a versioned entry", async () => {
+  const h = await mountHook("StateStore", fixture('data-storage-key="prefs" data-version="2" data-namespace="app"'))
+
+  h.el.elements.query.value = "late"
+  fire(h.el.elements.query, "input")
+
+  const entry = JSON.parse(localStorage.getItem("app:prefs"))
+  assert.deepEqual({ v: entry.v, data: entry.data }, { v: 2, data: { query: "late", archived: false } })
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("migrates older entries up to data-version", async () => {
+  registerStoreMigrations("prefs", { 2: (prefs) => ({ ...prefs, query: prefs.q, q: undefined }) })
+  localStorage.setItem("lv:prefs", JSON.stringify({ v: 1, data: { q: "old" } }))
+
+  const h = await mountHook("StateStore", fixture('data-storage-key="prefs" data-version="2"'))
+
+  assert.equal(h.el.elements.query.value, "old")
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("moves a value the old LocalStorage hook saved into the namespace, when asked to", async () => {
+  localStorage.setItem("user-theme", "dark")
+
+  // Without data-migrate-legacy the bare key may be another script's
+  const other = await mountHook("StateStore", `<input id="theme" phx-hook="StateStore" data-storage-key="user-theme" />`)
+  assert.equal(other.el.value, "")
+  assert.equal(localStorage.getItem("user-theme"), "dark")
+  assert.deepEqual(other.destroy(), [])
+
+  const h = await mountHook("StateStore", `<input id="theme" phx-hook="StateStore" data-storage-key="user-theme" data-migrate-legacy />`)
+
+  assert.equal(h.el.value, "dark")
+  assert.equal(localStorage.getItem("user-theme"), null)
+  assert.deepEqual(JSON.parse(localStorage.getItem("lv:user-theme")), { v: 1, exp: null, data: "dark" })
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("takes data-key under the deprecated LocalStorage name", async () => {
+  localStorage.setItem("search_query", "phoenix")
+
+  const h = await mountHook("LocalStorage", `<input id="search" phx-hook="LocalStorage" data-key="search_query" data-migrate-legacy />`)
+
+  assert.equal(h.el.value, "phoenix")
+  assert.deepEqual(h.pushed("store_sync"), [{ key: "search_query", value: "phoenix", source: "mount" }])
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("drops entries past their TTL and stamps new ones", async () => {
+  localStorage.setItem("lv:prefs", JSON.stringify({ v: 1, exp: Date.now() - 1000, data: { query: "expired" } }))
+
+  const h = await mountHook("StateStore", fixture('data-storage-key="prefs" data-ttl="60"'))
+  assert.equal(h.el.elements.query.value, "")
+  assert.equal(localStorage.getItem("lv:prefs"), null)
+  assert.deepEqual(h.pushed("store_sync"), [])
+
+  h.el.elements.query.value = "fresh"
+  fire(h.el.elements.query, "input")
+  const {exp} = JSON.parse(localStorage.getItem("lv:prefs"))
+  assert.equal(Math.abs(exp - (Date.now() + 60 * 1000)) < 1000, true)
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("applies changes from other tabs and writes from the server", async () => {
+  const h = await mountHook("StateStore", fixture())
+
+  const otherTab = new BroadcastChannel("phx-store:lv")
+  otherTab.postMessage({ key: "prefs", value: { query: "from tab", archived: false } })
+  await wait(20)
+  otherTab.close()
+
+  assert.equal(h.el.elements.query.value, "from tab")
+  assert.equal(h.pushed("store_sync").at(-1).source, "tab")
+
+  h.serverEvent("store_put", { key: "prefs", value: { query: "from server", archived: true } })
+  assert.equal(JSON.parse(localStorage.getItem("lv:prefs")).data.query, "from server")
+
+  h.reconnect()
+  assert.equal(h.pushed("store_sync").at(-1).source, "reconnect")
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("stays inert without data-storage-key", async () => {
+  const error = console.error
+  const errors = []
+  console.error = (message) => errors.push(message)
+
+  try {
+    const h = await mountHook("StateStore", fixture(""))
+    fire(h.el.elements.query, "input")
+
+    assert.match(errors[0], /data-storage-key is required/)
+    assert.equal(localStorage.length, 0)
+    assert.deepEqual(h.destroy(), [])
+  } finally {
+    console.error = error
+  }
+})
@@ -0,0 +1,138 @@
+import { test, beforeEach, afterEach } from "node:test"
+import assert from "node:assert/strict"
+
+import { mountHook, flush } from "./harness.js"
+import {
+  configureTelemetry, traceId, reportError, reportEvent, flushTelemetry
+} from "../index.js"
+
+const TRACE = "4bf92f3577b34da6a3ce929d0e0e4736"
+
+let logged
+const consoleError = console.error
+
+beforeEach(() => {
+  logged = []
+  console.error = (...args) => logged.push(args)
+})
+
+afterEach(() => {
+  console.error = consoleError
+  configureTelemetry({ enabled: false })
+  delete navigator.sendBeacon
+})
+
+function beacons() {
+  const sent = []
+  Object.defineProperty(navigator, "sendBeacon", {
+    configurable: true,
+    value: (url, body) => {
+      sent.push(body.text().then(text => ({ url, payload: JSON.parse(text) })))
+      return true
+    }
+  })
+  return () => Promise.all(sent)
+}
+
+test("stays out of the way until configured", async () => {
+  const sent = beacons()
+  reportError("Test", "Something broke")
+  flushTelemetry()
+
+  assert.deepEqual(logged, [["Something broke"]])
+  assert.deepEqual(await sent(), [])
+})
+
+test("sends hook errors through a mounted hook, with the trace id", async () => {
+  configureTelemetry({ traceId: TRACE, webVitals: false })
+  const h = await mountHook("StateStore", `<form id="prefs" phx-hook="StateStore"></form>`)
+
+  assert.match(logged[0][0], /^StateStore #prefs: data-storage-key is required/)
+  flushTelemetry()
+
+  const [batch] = h.pushed("client_telemetry")
+  assert.equal(batch.trace_id, TRACE)
+  assert.equal(batch.dropped, 0)
+  assert.equal(batch.events.length, 1)
+  const { at, ...event } = batch.events[0]
+  assert.equal(typeof at, "number")
+  assert.deepEqual(event, {
+    type: "error",
+    source: "StateStore",
+    message: "StateStore #prefs: data-storage-key is required",
+    element: "#prefs"
+  })
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("times pushEvent replies and sends a full batch right away", async () => {
+  configureTelemetry({ traceId: TRACE, webVitals: false, maxBatch: 2 })
+  const h = await mountHook("InfiniteScroll", `
+    <div id="items" phx-hook="InfiniteScroll"><div data-infinite-sentinel></div></div>
+  `, { replies: { load_more: {} } })
+
+  h.intersect(h.el.querySelector("[data-infinite-sentinel]"))
+  await flush()
+  assert.deepEqual(h.pushed("client_telemetry"), [])
+
+  reportEvent("Reports", "export_started", { format: "csv" })
+  const [batch] = h.pushed("client_telemetry")
+  assert.deepEqual(batch.events.map(({type, source, name, data}) => ({ type, source, name, data })), [
+    { type: "timing", source: "InfiniteScroll", name: "push_reply", data: { event: "load_more" } },
+    { type: "event", source: "Reports", name: "export_started", data: { format: "csv" } }
+  ])
+  assert.equal(typeof batch.events[0].duration, "number")
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("scrubs personal data before anything is queued", async () => {
+  const sent = beacons()
+  configureTelemetry({
+    endpoint: "/telemetry",
+    webVitals: false,
+    scrub: (event) => event.name === "noise" ? null : event
+  })
+
+  reportError("Checkout", "No account for jane.doe@example.com at /search?q=jane&page=2, card 4111 1111 1111 1111")
+  reportEvent("Checkout", "paid", { email: "jane.doe@example.com", plan: "pro", note: "call +44 20 7946 0958" })
+  reportEvent("Checkout", "noise")
+  reportEvent("Docs", "edited", { author: "Ana", authorization: "Bearer x", x_auth: "y", auth: "z" })
+  reportEvent("Trips", "booked", {
+    passenger: 2, compass: "N", discard: true, dashboard_card: "kpi", cardinality: 9,
+    pass: "a", user_password: "b", cardNumber: "c", card_number: "d", creditCard: "e"
+  })
+  flushTelemetry({ beacon: true })
+
+  const [{ url, payload }] = await sent()
+  assert.equal(url, "/telemetry")
+  assert.equal(payload.events[0].message, "No account for [email] at /search?q=[redacted]&page=[redacted], card [number]")
+  assert.deepEqual(payload.events[1].data, { email: "[redacted]", plan: "pro", note: "call [number]" })
+  assert.deepEqual(payload.events[2].data, { author: "Ana", authorization: "[redacted]", x_auth: "[redacted]", auth: "[redacted]" })
+  assert.deepEqual(payload.events[3].data, {
+    passenger: 2, compass: "N", discard: true, dashboard_card: "kpi", cardinality: 9,
+    pass: "[redacted]", user_password: "[redacted]", cardNumber: "[redacted]", card_number: "[redacted]", creditCard: "[redacted]"
+  })
+  assert.equal(payload.events.length, 4)
+})
+
+test("samples page loads but keeps errors, and reads the trace id from traceparent", async () => {
+  const meta = document.createElement("meta")
+  meta.name = "traceparent"
+  meta.content = `00-${TRACE}-00f067aa0ba902b7-01`
+  document.head.appendChild(meta)
+
+  const sent = beacons()
+  configureTelemetry({ endpoint: "/telemetry", sampleRate: 0 })
+  assert.equal(traceId(), TRACE)
+
+  reportEvent("Reports", "opened")
+  reportError("Reports", "Chart failed", new TypeError("x is undefined"))
+  flushTelemetry()
+
+  const [{ payload }] = await sent()
+  assert.equal(payload.trace_id, TRACE)
+  assert.deepEqual(payload.events.map(event => [event.type, event.message, event.error.name]), [
+    ["error", "Chart failed", "TypeError"]
+  ])
+  meta.remove()
+})
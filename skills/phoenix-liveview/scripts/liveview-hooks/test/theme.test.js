@@ -0,0 +1,154 @@
+import { test, beforeEach, afterEach } from "node:test"
+import assert from "node:assert/strict"
+import { readFileSync } from "node:fs"
+
+import { mountHook, fire, wait, setMediaQuery } from "./harness.js"
+import { themeState } from "../index.js"
+
+const DARK = "(prefers-color-scheme: dark)"
+const bootstrap = new Function(readFileSync(new URL("../theme-bootstrap.js", import.meta.url), "utf8"))
+const root = document.documentElement
+
+const switcher = `
+  <div id="theme-switcher" phx-hook="ThemeController">
+    <button type="button" data-set-theme="light">Light</button>
+    <button type="button" data-set-theme="dark">Dark</button>
+    <button type="button" data-set-theme="system">System</button>
+    <select name="theme"><option>system</option><option>light</option><option>dark</option><option>cupcake</option></select>
+  </div>
+`
+
+const pressed = (h) => Array.from(h.el.querySelectorAll("[aria-pressed=true]"), button => button.dataset.setTheme)
+
+beforeEach(() => {
+  localStorage.clear()
+  root.setAttribute("data-theme-light", "corporate")
+  root.setAttribute("data-theme-dark", "business")
+})
+
+afterEach(() => {
+  setMediaQuery(DARK, false)
+  for (const name of ["data-theme", "data-theme-preference", "data-theme-light", "data-theme-dark", "data-theme-default"]) {
+    root.removeAttribute(name)
+  }
+})
+
+test("the bootstrap applies the saved theme before the hook mounts, and they agree", async () => {
+  localStorage.setItem("lv:theme", "dark")
+  bootstrap()
+  assert.equal(root.getAttribute("data-theme"), "business")
+  assert.equal(root.getAttribute("data-theme-preference"), "dark")
+
+  const h = await mountHook("ThemeController", switcher)
+  assert.deepEqual(h.pushed("theme_sync"), [
+    { id: "theme-switcher", preference: "dark", theme: "business", scheme: "dark", source: "mount" }
+  ])
+  assert.deepEqual(pressed(h), ["dark"])
+  assert.equal(h.el.querySelector("select").value, "dark")
+  assert.deepEqual(h.destroy(), [])
+
+  // Nothing saved: the server's default, then the OS setting
+  localStorage.clear()
+  root.setAttribute("data-theme-default", "cupcake")
+  bootstrap()
+  assert.equal(root.getAttribute("data-theme"), "cupcake")
+  root.removeAttribute("data-theme-default")
+  setMediaQuery(DARK, true)
+  bootstrap()
+  assert.equal(root.getAttribute("data-theme"), "business")
+  assert.deepEqual(themeState(), { preference: "system", theme: "business", mode: "dark" })
+})
+
+test("switches theme from buttons and selects, and saves the choice", async () => {
+  const h = await mountHook("ThemeController", switcher)
+  assert.equal(root.getAttribute("data-theme"), "corporate")
+
+  fire(h.el.querySelector("[data-set-theme=dark]"), "click")
+  assert.equal(root.getAttribute("data-theme"), "business")
+  assert.equal(localStorage.getItem("lv:theme"), "dark")
+  assert.deepEqual(pressed(h), ["dark"])
+
+  const select = h.el.querySelector("select")
+  select.value = "cupcake"
+  fire(select, "change")
+  assert.equal(root.getAttribute("data-theme"), "cupcake")
+  assert.equal(root.getAttribute("data-theme-preference"), "cupcake")
+  assert.deepEqual(pressed(h), [])
+
+  // Choosing what is already applied doesn't tell the server again
+  fire(select, "change")
+  assert.deepEqual(h.pushed("theme_sync").map(({theme, source}) => [theme, source]), [
+    ["corporate", "mount"], ["business", "user"], ["cupcake", "user"]
+  ])
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("follows the OS setting live while the preference is system", async () => {
+  const h = await mountHook("ThemeController", `
+    <label id="theme-toggle" phx-hook="ThemeController"><input type="checkbox" class="toggle" /></label>
+  `)
+  const toggle = h.el.querySelector("input")
+  assert.equal(toggle.checked, false)
+
+  setMediaQuery(DARK, true)
+  assert.equal(root.getAttribute("data-theme"), "business")
+  assert.equal(toggle.checked, true)
+
+  // An explicit choice stops following the OS
+  toggle.checked = false
+  fire(toggle, "change")
+  assert.equal(localStorage.getItem("lv:theme"), "light")
+  setMediaQuery(DARK, false)
+  setMediaQuery(DARK, true)
+  assert.equal(root.getAttribute("data-theme"), "corporate")
+
+  assert.deepEqual(h.pushed("theme_sync").map(({theme, scheme, source}) => [theme, scheme, source]), [
+    ["corporate", "light", "mount"], ["business", "dark", "system"], ["corporate", "light", "user"]
+  ])
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("applies changes from other tabs and from the server", async () => {
+  const h = await mountHook("ThemeController", switcher)
+
+  localStorage.setItem("lv:theme", "dark")
+  const otherTab = new BroadcastChannel("lv:theme")
+  otherTab.postMessage({ preference: "dark" })
+  await wait(10)
+  otherTab.close()
+  assert.equal(root.getAttribute("data-theme"), "business")
+  assert.deepEqual(pressed(h), ["dark"])
+
+  h.serverEvent("theme_set", { preference: "light" })
+  assert.equal(localStorage.getItem("lv:theme"), "light")
+
+  const warnings = []
+  const warn = console.warn
+  console.warn = (...args) => warnings.push(args.join(" "))
+  h.serverEvent("theme_set", { preference: "<script>" })
+  console.warn = warn
+  assert.match(warnings[0], /ignoring theme "<script>"/)
+  assert.equal(root.getAttribute("data-theme"), "corporate")
+
+  assert.deepEqual(h.pushed("theme_sync").map(({preference, source}) => [preference, source]), [
+    ["system", "mount"], ["dark", "tab"], ["light", "server"]
+  ])
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("works as the control itself, and tells the server again after a reconnect", async () => {
+  localStorage.setItem("lv:theme", "cupcake")
+  const h = await mountHook("ThemeController", `
+    <select id="theme-select" phx-hook="ThemeController"><option>system</option><option>cupcake</option></select>
+  `)
+  assert.equal(h.el.value, "cupcake")
+
+  h.el.value = "system"
+  fire(h.el, "change")
+  assert.equal(root.getAttribute("data-theme"), "corporate")
+
+  h.disconnect()
+  h.reconnect()
+  assert.deepEqual(h.pushed("theme_sync").map(({source}) => source), ["mount", "user", "reconnect"])
+  assert.deepEqual(h.destroy(), [])
+})
@@ -0,0 +1,79 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+
+import { mountHook, fire, keydown, wait, flush, stubLayout } from "./harness.js"
+
+stubLayout(document.documentElement, { clientWidth: 1024, clientHeight: 768 })
+
+const fixture = (attrs = "") => `
+  <button id="save" phx-hook="Tooltip" data-tip="Save changes" data-show-delay="0" data-hide-delay="0" ${attrs}>
+    Save
+  </button>
+`
+
+function tooltipOf(h) {
+  return document.getElementById(`${h.el.id}-tooltip`)
+}
+
+test("shows after the delay on hover and hides on leave", async () => {
+  const h = await mountHook("Tooltip", fixture('data-show-delay="20"'))
+  const tooltip = tooltipOf(h)
+
+  assert.equal(tooltip.getAttribute("role"), "tooltip")
+  assert.equal(h.el.getAttribute("aria-describedby"), tooltip.id)
+
+  fire(h.el, "mouseenter")
+  assert.equal(tooltip.hidden, true)
+  await wait(30)
+  assert.equal(tooltip.hidden, false)
+  assert.equal(tooltip.textContent, "Save changes")
+
+  fire(h.el, "mouseleave")
+  await wait(10)
+  assert.equal(tooltip.hidden, true)
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("positions itself and closes on Escape", async () => {
+  const h = await mountHook("Tooltip", fixture('data-placement="bottom"'))
+  stubLayout(h.el, { rect: { top: 100, left: 100, width: 80, height: 30 } })
+  stubLayout(tooltipOf(h), { offsetWidth: 100, offsetHeight: 24 })
+
+  fire(h.el, "focusin")
+  await wait(5)
+  await flush()
+
+  const tooltip = tooltipOf(h)
+  assert.equal(tooltip.dataset.placement, "bottom")
+  assert.deepEqual([tooltip.style.left, tooltip.style.top], ["90px", "138px"])
+
+  keydown("Escape", {}, document.body)
+  assert.equal(tooltip.hidden, true)
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("follows content from the server and from patches", async () => {
+  const h = await mountHook("Tooltip", fixture())
+
+  h.serverEvent("tooltip_update", { id: "save", content: "Saving…" })
+  assert.equal(tooltipOf(h).textContent, "Saving…")
+
+  await h.update(el => { el.dataset.tip = "" })
+  assert.equal(tooltipOf(h).textContent, "")
+  assert.equal(h.el.hasAttribute("aria-describedby"), false)
+
+  fire(h.el, "mouseenter")
+  await wait(5)
+  assert.equal(tooltipOf(h).hidden, true)
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("removes the tooltip element on destroy", async () => {
+  const h = await mountHook("Tooltip", fixture())
+  fire(h.el, "mouseenter")
+  await wait(5)
+
+  assert.deepEqual(h.destroy(), [])
+  assert.equal(document.getElementById("save-tooltip"), null)
+  assert.equal(document.querySelectorAll("[role=tooltip]").length, 0)
+})
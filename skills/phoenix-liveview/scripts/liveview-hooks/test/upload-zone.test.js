@@ -0,0 +1,193 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { createHash } from "node:crypto"
+
+import { mountHook, fire, flush, wait } from "./harness.js"
+import { jpegOrientation, stripMetadata } from "../file-processing.js"
+
+const zone = (attrs = "") => `
+  <div id="imports" phx-hook="UploadZone" data-upload="imports" ${attrs}>
+    <input type="file" accept=".csv,image/*" />
+    <button type="button" data-upload-browse>browse</button>
+    <ul data-upload-list></ul>
+  </div>
+`
+
+const csv = (name, body = "id\n1\n") => new File([body], name, { type: "text/csv" })
+
+// SOI, JFIF, EXIF with an orientation, a comment, then the scan
+function jpeg(orientation = 1) {
+  const exif = [
+    0x45, 0x78, 0x69, 0x66, 0, 0, // "Exif\0\0"
+    0x4d, 0x4d, 0, 0x2a, 0, 0, 0, 8, // big-endian TIFF header
+    0, 1, 0x01, 0x12, 0, 3, 0, 0, 0, 1, 0, orientation, 0, 0, // one entry: Orientation
+    0, 0, 0, 0
+  ]
+  return new Uint8Array([
+    0xff, 0xd8,
+    0xff, 0xe0, 0, 16, 0x4a, 0x46, 0x49, 0x46, 0, 1, 1, 0, 0, 1, 0, 1, 0, 0,
+    0xff, 0xe1, 0, exif.length + 2, ...exif,
+    0xff, 0xfe, 0, 7, ...Buffer.from("hello"),
+    0xff, 0xda, 0, 8, 1, 1, 0, 0, 0x3f, 0,
+    0x12, 0x34, 0x56,
+    0xff, 0xd9
+  ])
+}
+
+const drop = (el, files) => fire(el, "drop", { dataTransfer: { files, types: ["Files"] } })
+
+const rows = (h) => [...h.el.querySelectorAll("[data-upload-key]")]
+  .map(row => [row.querySelector("[data-upload-name]").textContent, row.dataset.status])
+
+const sha256 = (body) => createHash("sha256").update(body).digest("hex")
+
+test("checks type, size and count before anything is uploaded", async () => {
+  const h = await mountHook("UploadZone", zone(`data-max-file-size="100" data-max-files="2"`))
+
+  drop(h.el, [
+    csv("a.csv"),
+    new File(["%PDF"], "report.pdf", { type: "application/pdf" }),
+    csv("big.csv", "x".repeat(200)),
+    csv("b.csv"),
+    csv("c.csv")
+  ])
+  await flush()
+
+  assert.deepEqual(rows(h), [
+    ["a.csv", "uploading"],
+    ["report.pdf", "invalid"],
+    ["big.csv", "invalid"],
+    ["b.csv", "uploading"],
+    ["c.csv", "invalid"]
+  ])
+  assert.deepEqual(h.pushed("upload_rejected"), [{
+    id: "imports",
+    upload: "imports",
+    files: [
+      { name: "report.pdf", type: "application/pdf", size: 4, reason: "not_accepted" },
+      { name: "big.csv", type: "text/csv", size: 200, reason: "too_large" },
+      { name: "c.csv", type: "text/csv", size: 5, reason: "too_many_files" }
+    ]
+  }])
+  assert.match(h.el.querySelector("[data-status=invalid] [data-upload-state]").textContent, /not accepted/)
+
+  assert.equal(h.uploads.length, 1)
+  assert.equal(h.uploads[0].name, "imports")
+  assert.deepEqual(h.uploads[0].files.map(file => file.name), ["a.csv", "b.csv"])
+
+  // Finished files make room for more
+  h.serverEvent("upload_progress", { upload: "imports", name: "a.csv", size: 5, progress: 100 })
+  drop(h.el, [csv("d.csv"), csv("e.csv")])
+  await flush()
+  assert.deepEqual(rows(h).slice(5), [["d.csv", "uploading"], ["e.csv", "invalid"]])
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("strips image metadata without touching the pixels", async () => {
+  const h = await mountHook("UploadZone", zone())
+  assert.equal(jpegOrientation(jpeg(6)), 6)
+
+  fire(h.el, "paste", { clipboardData: { files: [new File([jpeg()], "photo.jpg", { type: "image/jpeg" })] } })
+  await wait(10)
+
+  const [uploaded] = h.uploads[0].files
+  const bytes = new Uint8Array(await uploaded.arrayBuffer())
+  assert.equal(uploaded.name, "photo.jpg")
+  assert.equal(uploaded.type, "image/jpeg")
+  assert.equal(jpegOrientation(bytes), 1)
+  assert.equal(Buffer.from(bytes).includes("Exif"), false)
+  assert.equal(Buffer.from(bytes).includes("hello"), false)
+  assert.equal(Buffer.from(bytes).includes("JFIF"), true)
+  assert.deepEqual([...bytes.slice(-5)], [0x12, 0x34, 0x56, 0xff, 0xd9])
+
+  // Files with nothing to strip come back as they are
+  const plain = csv("plain.csv")
+  assert.equal(await stripMetadata(plain), plain)
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("keeps the orientation of a photo it could not re-encode upright", async () => {
+  const h = await mountHook("UploadZone", zone())
+
+  // No createImageBitmap here, so the pixels stay sideways
+  drop(h.el, [new File([jpeg(6)], "sideways.jpg", { type: "image/jpeg" })])
+  await wait(10)
+
+  const bytes = new Uint8Array(await h.uploads[0].files[0].arrayBuffer())
+  assert.equal(jpegOrientation(bytes), 6)
+  assert.equal(Buffer.from(bytes).includes("hello"), false)
+  // JFIF first, then an EXIF segment of just the orientation
+  assert.deepEqual([...bytes.slice(20, 24)], [0xff, 0xe1, 0, 34])
+  assert.equal(bytes.length, jpeg(6).length - 9)
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("hashes files and skips the ones the server already has", async () => {
+  const h = await mountHook("UploadZone", zone(`data-hash phx-target="#importer"`), {
+    replies: { upload_prepared: ({files}) => ({ skip: [files[0].sha256] }) }
+  })
+
+  drop(h.el, [csv("old.csv", "abc"), csv("new.csv", "def")])
+  // Hashing goes through crypto.subtle, which takes its time on a first call
+  await wait(100)
+
+  assert.deepEqual(h.pushes.map(push => push.target), ["#importer"])
+  assert.deepEqual(h.pushed("upload_prepared"), [{
+    id: "imports",
+    upload: "imports",
+    files: [
+      { name: "old.csv", type: "text/csv", size: 3, sha256: sha256("abc") },
+      { name: "new.csv", type: "text/csv", size: 3, sha256: sha256("def") }
+    ]
+  }])
+  assert.equal(sha256("abc"), "ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad")
+
+  assert.deepEqual(rows(h), [["old.csv", "duplicate"], ["new.csv", "uploading"]])
+  assert.equal(h.uploads[0].target, "#importer")
+  assert.deepEqual(h.uploads[0].files.map(file => file.name), ["new.csv"])
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("shows progress and retries failed files", async () => {
+  const h = await mountHook("UploadZone", zone())
+  drop(h.el, [csv("a.csv"), csv("b.csv")])
+  await flush()
+
+  h.serverEvent("upload_progress", { upload: "imports", name: "a.csv", size: 5, progress: 40 })
+  h.serverEvent("upload_progress", { upload: "other", name: "b.csv", size: 5, progress: 100 })
+  assert.equal(h.el.querySelector("[data-status=uploading] progress").value, 40)
+
+  h.serverEvent("upload_progress", { upload: "imports", name: "a.csv", size: 5, progress: 100 })
+  h.serverEvent("upload_progress", { upload: "imports", name: "b.csv", size: 5, error: "too_large" })
+  assert.deepEqual(rows(h), [["a.csv", "done"], ["b.csv", "failed"]])
+
+  const retry = h.el.querySelector("[data-status=failed] [data-upload-retry]")
+  assert.equal(retry.hidden, false)
+  assert.match(h.el.querySelector("[data-status=failed] [data-upload-state]").textContent, /too large/)
+
+  fire(retry, "click")
+  await flush()
+  assert.deepEqual(rows(h), [["a.csv", "done"], ["b.csv", "uploading"]])
+  assert.deepEqual(h.uploads.map(upload => upload.files.map(file => file.name)), [["a.csv", "b.csv"], ["b.csv"]])
+
+  // Uploads in flight fail with the connection, and can be retried after
+  h.disconnect()
+  assert.deepEqual(rows(h), [["a.csv", "done"], ["b.csv", "failed"]])
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("ignores drags without files and removes its file picker", async () => {
+  const h = await mountHook("UploadZone", zone())
+  const pickers = () => document.querySelectorAll("body > input[type=file]").length
+  assert.equal(pickers(), 1)
+
+  fire(h.el, "dragenter", { dataTransfer: { types: ["text/plain"] } })
+  assert.equal(h.el.hasAttribute("data-dragging"), false)
+  fire(h.el, "dragenter", { dataTransfer: { types: ["Files"] } })
+  assert.equal(h.el.hasAttribute("data-dragging"), true)
+  fire(h.el, "dragleave")
+  assert.equal(h.el.hasAttribute("data-dragging"), false)
+
+  assert.deepEqual(h.destroy(), [])
+  assert.equal(pickers(), 0)
+})
@@ -0,0 +1,171 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+
+import { mountHook, stubLayout, fire, wait } from "./harness.js"
+
+const ROW = 40
+
+function fixture(count, attrs = "") {
+  const rows = Array.from({ length: count }, (_, i) => `<div id="row-${i}">row ${i}</div>`).join("")
+  return `<div id="list" phx-hook="VirtualList" data-overscan="0" ${attrs}><div id="list-items" data-virtual-items>${rows}</div></div>`
+}
+
+// jsdom has no layout: every row is ROW px, the viewport 200px, and the
+// list moves up as the container scrolls
+function layout(el) {
+  const items = el.querySelector("[data-virtual-items]")
+  for (const row of items.children) stubLayout(row, { offsetHeight: ROW })
+  stubLayout(el, { clientHeight: 200, scrollHeight: () => items.children.length * ROW })
+  stubLayout(items, { rect: () => ({ top: -el.scrollTop }) })
+}
+
+// mounted() renders before the test can stub layout; the first update
+// renders again with it
+async function mountList(count, attrs) {
+  const h = await mountHook("VirtualList", fixture(count, attrs))
+  layout(h.el)
+  await h.update()
+  return h
+}
+
+const shown = h => Array.from(h.el.querySelectorAll("[data-virtual-items] > div"))
+  .filter(row => row.style.display !== "none")
+  .map(row => row.id)
+
+test("only rows in the viewport are displayed, the rest becomes padding", async () => {
+  const h = await mountList(100, 'data-load="none"')
+  const items = h.el.querySelector("[data-virtual-items]")
+
+  assert.deepEqual(shown(h), ["row-0", "row-1", "row-2", "row-3", "row-4", "row-5"])
+  assert.equal(items.style.paddingTop, "0px")
+  assert.equal(items.style.paddingBottom, `${94 * ROW}px`)
+
+  h.el.scrollTop = 50 * ROW
+  fire(h.el, "scroll")
+  await wait(40)
+
+  assert.equal(shown(h)[0], "row-49")
+  assert.equal(items.style.paddingTop, `${49 * ROW}px`)
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("scrolling only writes to the rows that enter or leave the window", async () => {
+  const h = await mountList(100, 'data-load="none"')
+  const styles = new Map([...h.el.querySelectorAll("[data-virtual-items] > div")].map(row => [row.style, row.id]))
+  const written = []
+  const proto = Object.getPrototypeOf(h.el.style)
+  const display = Object.getOwnPropertyDescriptor(proto, "display")
+  Object.defineProperty(proto, "display", {
+    ...display,
+    set(value) {
+      written.push(styles.get(this))
+      display.set.call(this, value)
+    }
+  })
+
+  try {
+    h.el.scrollTop = 2 * ROW
+    fire(h.el, "scroll")
+    await wait(40)
+  } finally {
+    Object.defineProperty(proto, "display", display)
+  }
+
+  assert.deepEqual(shown(h), ["row-1", "row-2", "row-3", "row-4", "row-5", "row-6", "row-7"])
+  assert.deepEqual(written.sort(), ["row-0", "row-6", "row-7"])
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("keeps loading after a reply while the rows don't fill the viewport", async () => {
+  let next = 2
+  const h = await mountHook("VirtualList", fixture(2, 'data-load="more"'), {
+    replies: {
+      load_more: () => {
+        // Two rows a page, and nothing past row-9
+        const items = h.el.querySelector("[data-virtual-items]")
+        for (let i = 0; i < 2 && next < 10; i++, next++) {
+          const row = document.createElement("div")
+          row.id = `row-${next}`
+          stubLayout(row, { offsetHeight: ROW })
+          items.append(row)
+        }
+        return {}
+      }
+    }
+  })
+  layout(h.el)
+  await h.update()
+
+  fire(h.el, "scroll")
+  await wait(200)
+
+  assert.deepEqual(h.pushed("load_more").map(push => push.last_id), ["row-1", "row-3", "row-5", "row-7", "row-9"])
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("asks for older rows near the top and waits for the reply", async () => {
+  const h = await mountList(20, 'data-load="previous"')
+
+  fire(h.el, "scroll")
+  fire(h.el, "scroll")
+  await wait(40)
+
+  assert.deepEqual(h.pushed("load_previous"), [{ first_id: "row-0" }])
+  assert.deepEqual(h.pushed("load_more"), [])
+
+  // A reply lost with the socket doesn't block the next request
+  h.disconnect()
+  h.reconnect()
+  await wait(40)
+  assert.equal(h.pushed("load_previous").length, 2)
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("forgets the heights of rows the stream removed", async () => {
+  const h = await mountList(20, 'data-load="none"')
+  assert.equal(h.hook.heights.size, 6)
+
+  await h.update(el => {
+    for (const row of [...el.querySelectorAll("[data-virtual-items] > div")].slice(0, 18)) row.remove()
+  })
+  assert.deepEqual([...h.hook.heights.keys()], ["row-18", "row-19"])
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("keeps the anchored row in place when rows are prepended", async () => {
+  const h = await mountList(20, 'data-load="none"')
+
+  h.el.scrollTop = 10 * ROW
+  fire(h.el, "scroll")
+  await wait(40)
+
+  await h.update(el => {
+    const items = el.querySelector("[data-virtual-items]")
+    for (let i = 0; i < 5; i++) {
+      const row = document.createElement("div")
+      row.id = `older-${i}`
+      stubLayout(row, { offsetHeight: ROW })
+      items.prepend(row)
+    }
+  })
+
+  assert.equal(h.el.scrollTop, 15 * ROW)
+  assert.deepEqual(h.destroy(), [])
+})
+
+test("data-stick-to-bottom follows new rows while at the bottom", async () => {
+  const h = await mountList(20, 'data-load="none" data-stick-to-bottom')
+  h.el.scrollTop = h.el.scrollHeight - h.el.clientHeight
+  fire(h.el, "scroll")
+  await wait(40)
+
+  await h.update(el => {
+    const row = document.createElement("div")
+    row.id = "row-new"
+    stubLayout(row, { offsetHeight: ROW })
+    el.querySelector("[data-virtual-items]").append(row)
+  })
+
+  assert.equal(h.el.scrollTop, 21 * ROW)
+  assert.deepEqual(h.destroy(), [])
+})
@@ -0,0 +1,58 @@
+/**
+ * Theme bootstrap - Inline in <head>, before the stylesheets
+ *
+ * Sets <html data-theme> from the saved preference before the first paint,
+ * so the page never shows the wrong theme while app.js loads. The
+ * ThemeController hook (./hooks/theme.js) takes over once it mounts; both
+ * read the same localStorage entry ("lv:theme") and <html> attributes:
+ *
+ * - data-theme-light="light"     DaisyUI theme for light mode
+ * - data-theme-dark="dark"       DaisyUI theme for dark mode
+ * - data-theme-default="system"  Preference when none is saved, e.g. the
+ *                                signed-in user's setting
+ *
+ * It runs as a plain script (no imports), and replaces the theme script in
+ * Phoenix 1.8's generated root layout. Inline it at compile time so there is
+ * only one copy:
+ *
+ * # lib/my_app_web/components/layouts.ex
+ * @theme_bootstrap_path "assets/js/liveview-hooks/theme-bootstrap.js"
+ * @external_resource @theme_bootstrap_path
+ * @theme_bootstrap @theme_bootstrap_path |> File.read!() |> String.replace(~r{/\*.*?\*\/}s, "")
+ *
+ * def theme_bootstrap(assigns) do
+ *   assigns = assign(assigns, :source, @theme_bootstrap)
+ *   ~H"<script>{Phoenix.HTML.raw(@source)}</script>"
+ * end
+ *
+ * <%!-- root.html.heex --%>
+ * <html lang="en" data-theme-light="corporate" data-theme-dark="business" data-theme-default={@theme}>
+ *   <head>
+ *     <.theme_bootstrap />
+ *     <link phx-track-static rel="stylesheet" href={~p"/assets/css/app.css"} />
+ */
+(function () {
+  var root = document.documentElement
+  var preference = null
+
+  try {
+    preference = localStorage.getItem("lv:theme")
+  } catch (_err) {
+    // Storage disabled: use the default
+  }
+  if (!preference || !/^[\w-]+$/.test(preference)) {
+    preference = root.getAttribute("data-theme-default") || "system"
+  }
+
+  var mode = preference
+  if (mode === "system") {
+    mode = window.matchMedia("(prefers-color-scheme: dark)").matches ? "dark" : "light"
+  }
+
+  var theme = mode
+  if (mode === "light") theme = root.getAttribute("data-theme-light") || "light"
+  if (mode === "dark") theme = root.getAttribute("data-theme-dark") || "dark"
+
+  root.setAttribute("data-theme", theme)
+  root.setAttribute("data-theme-preference", preference)
+})()
@@ -2,8 +2,15 @@
  * JavaScript Hook Patterns for Phoenix LiveView
  * Based on: assets/js/app.js
  * See also: ../reference/liveview-integration.md
+ *
+ * The hooks below come from the shared liveview-hooks package
+ * (phoenix-liveview/scripts/liveview-hooks); this file shows how to use them
+ * with DaisyUI markup. Each hook documents its data attributes in its module
+ * and reports invalid ones in the browser console on mount.
  */
 
+import { createHooks } from "../../phoenix-liveview/scripts/liveview-hooks/index.js";
+
 // ========================================
 // SCROLL TO BOTTOM HOOK (Actual Project Pattern)
 // ========================================
@@ -19,17 +26,6 @@
  *   <% end %>
  * </div>
  */
-const ScrollToBottom = {
-  mounted() {
-    this.scrollToBottom();
-  },
-  updated() {
-    this.scrollToBottom();
-  },
-  scrollToBottom() {
-    this.el.scrollTop = this.el.scrollHeight;
-  },
-};
 
 // ========================================
 // COPY TO CLIPBOARD HOOK (Actual Project Pattern)
@@ -37,27 +33,25 @@ const ScrollToBottom = {
 
 /**
  * Copies text to clipboard when LiveView sends "copy_to_clipboard" event.
- * Sends "copied" event back to LiveView on success.
+ * Sends "copied" back on success and "copy_failed" (with a reason) when the
+ * browser refuses. Also copies HTML and tables (as TSV for spreadsheets);
+ * implementation lives in the liveview-hooks package.
  *
  * Usage in LiveView:
  * def handle_event("copy_sql", %{"sql" => sql}, socket) do
  *   {:noreply, push_event(socket, "copy_to_clipboard", %{text: sql})}
  * end
  *
+ * def handle_event("copy_failed", %{"reason" => _reason}, socket) do
+ *   {:noreply, put_flash(socket, :error, "Could not copy to clipboard")}
+ * end
+ *
  * Usage in .heex:
- * <div phx-hook="CopyToClipboard">
+ * <div id="sql-actions" phx-hook="CopyToClipboard">
  *   <button phx-click="copy_sql" phx-value-sql={@sql}>Copy SQL</button>
+ *   <button data-copy="#results-table">Copy results</button>
  * </div>
  */
-const CopyToClipboard = {
-  mounted() {
-    this.handleEvent("copy_to_clipboard", ({ text }) => {
-      navigator.clipboard.writeText(text).then(() => {
-        this.pushEvent("copied", {});
-      });
-    });
-  },
-};
 
 // ========================================
 // DOWNLOAD DATA HOOK (Actual Project Pattern)
@@ -65,7 +59,11 @@ const CopyToClipboard = {
 
 /**
  * Downloads data as a file when LiveView sends "download_data" event.
- * Supports CSV, JSON, or any text-based format.
+ * Large exports are streamed with "download_start" / "download_chunk" /
+ * "download_finish" events instead of one giant payload.
+ *
+ * The implementation (chunk protocol, gzip/base64 decoding, cancel events)
+ * lives in the liveview-hooks package; this file only shows the markup.
  *
  * Usage in LiveView:
  * def handle_event("download_csv", _, socket) do
@@ -77,75 +75,113 @@ const CopyToClipboard = {
  *   })}
  * end
  *
- * Usage in .heex:
- * <div phx-hook="DownloadData">
+ * Usage in .heex (progress area is optional):
+ * <div id="results-download" phx-hook="DownloadData">
  *   <button phx-click="download_csv">Download CSV</button>
+ *
+ *   <div
+ *     id="results-download-progress"
+ *     phx-update="ignore"
+ *     data-download-progress
+ *     hidden
+ *     class="flex items-center gap-2"
+ *   >
+ *     <progress class="progress progress-primary w-56"></progress>
+ *     <span class="text-sm" data-download-status></span>
+ *     <button type="button" class="btn btn-ghost btn-xs" data-download-cancel>
+ *       Cancel
+ *     </button>
+ *   </div>
  * </div>
  */
-const DownloadData = {
-  mounted() {
-    this.handleEvent("download_data", ({ data, filename, type }) => {
-      const blob = new Blob([data], { type });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement("a");
-      a.href = url;
-      a.download = filename;
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
-    });
-  },
-};
 
 // ========================================
 // AUTO FOCUS HOOK
 // ========================================
 
 /**
- * Automatically focuses an input element on mount.
- * Useful for modals, search boxes, or forms.
+ * Focuses an input element on mount, unless the user is already focused
+ * somewhere else. Useful for modals, search boxes, or forms. FocusTrap,
+ * RovingFocus and FocusScope (server-targeted focus) live in the same
+ * liveview-hooks module.
  *
  * Usage in .heex:
- * <input type="text" phx-hook="AutoFocus" class="input" />
+ * <input type="text" id="search" phx-hook="AutoFocus" class="input" />
  */
-const AutoFocus = {
-  mounted() {
-    this.el.focus();
-  },
-};
 
 // ========================================
 // MODAL HOOK
 // ========================================
 
 /**
- * Controls modal show/hide with LiveView events.
- * Uses native <dialog> element.
+ * Dialog manager for native <dialog> modals, driven by LiveView events.
+ *
+ * - Stacked dialogs: each dialog opens above the previous one; Escape and
+ *   the focus trap only act on the topmost
+ * - Focus returns to the element that was focused when the dialog opened
+ * - Every close is reported to LiveView as "modal_closed" with a reason:
+ *   "escape", "backdrop", "server", "confirm", "cancel" or the value of the
+ *   [data-modal-close] / method="dialog" button that closed it
+ * - Confirm round trip: the server asks with "modal_confirm", the client
+ *   replies with "modal_confirm_reply" and the user's choice
+ * - data-confirm-close="Discard changes?" asks before a user-initiated close
+ *   while a form inside the dialog has unsaved edits
+ *
+ * Implementation lives in the liveview-hooks package.
  *
  * Usage in LiveView:
- * def handle_event("show_modal", _, socket) do
- *   {:noreply, push_event(socket, "show_modal", %{id: "my_modal"})}
+ * def handle_event("edit", _, socket) do
+ *   {:noreply, push_event(socket, "show_modal", %{id: "edit_modal"})}
  * end
  *
- * Usage in .heex:
- * <dialog id="my_modal" class="modal" phx-hook="Modal">
- *   <div class="modal-box">...</div>
+ * # Keep server state in sync however the dialog was closed
+ * def handle_event("modal_closed", %{"id" => "edit_modal", "reason" => _reason}, socket) do
+ *   {:noreply, assign(socket, :editing, nil)}
+ * end
+ *
+ * # Confirm round trip
+ * def handle_event("delete", %{"id" => id}, socket) do
+ *   {:noreply,
+ *    push_event(socket, "modal_confirm", %{
+ *      id: "confirm_modal",
+ *      ref: "delete:#{id}",
+ *      title: "Delete report?",
+ *      message: "This cannot be undone."
+ *    })}
+ * end
+ *
+ * def handle_event("modal_confirm_reply", %{"ref" => "delete:" <> id, "choice" => "confirm"}, socket) do
+ *   {:noreply, delete_report(socket, id)}
+ * end
+ *
+ * def handle_event("modal_confirm_reply", _params, socket), do: {:noreply, socket}
+ *
+ * Usage in .heex (JS.ignore_attributes keeps patches from removing `open`):
+ * <dialog
+ *   id="edit_modal"
+ *   class="modal"
+ *   phx-hook="Modal"
+ *   phx-mounted={JS.ignore_attributes(["open"])}
+ *   data-confirm-close="Discard your changes?"
+ * >
+ *   <div class="modal-box">
+ *     <.form for={@form} phx-submit="save">...</.form>
+ *     <button class="btn btn-ghost" data-modal-close>Cancel</button>
+ *   </div>
+ *   <form method="dialog" class="modal-backdrop"><button>close</button></form>
+ * </dialog>
+ *
+ * <dialog id="confirm_modal" class="modal" phx-hook="Modal" phx-mounted={JS.ignore_attributes(["open"])}>
+ *   <div class="modal-box">
+ *     <h3 class="font-bold text-lg" data-confirm-title>Are you sure?</h3>
+ *     <p class="py-4" data-confirm-message></p>
+ *     <div class="modal-action">
+ *       <button class="btn btn-ghost" data-confirm-choice="cancel">Cancel</button>
+ *       <button class="btn btn-error" data-confirm-choice="confirm">Confirm</button>
+ *     </div>
+ *   </div>
  * </dialog>
  */
-const Modal = {
-  mounted() {
-    this.handleEvent("show_modal", ({ id }) => {
-      const modal = document.getElementById(id);
-      if (modal) modal.showModal();
-    });
-
-    this.handleEvent("close_modal", ({ id }) => {
-      const modal = document.getElementById(id);
-      if (modal) modal.close();
-    });
-  },
-};
 
 // ========================================
 // TEXTAREA AUTO RESIZE HOOK
@@ -154,171 +190,238 @@ const Modal = {
 /**
  * Auto-resizes textarea as user types.
  * Expands up to max height, then shows scrollbar.
+ * Implementation lives in the liveview-hooks package.
  *
  * Usage in .heex:
  * <textarea
+ *   id="comment-body"
  *   phx-hook="AutoResize"
  *   data-min-rows="2"
  *   data-max-rows="10"
  *   class="textarea"
  * ></textarea>
  */
-const AutoResize = {
-  mounted() {
-    this.minRows = parseInt(this.el.dataset.minRows || "2");
-    this.maxRows = parseInt(this.el.dataset.maxRows || "10");
-    this.resize();
-
-    this.el.addEventListener("input", () => this.resize());
-  },
-
-  resize() {
-    // Reset height to recalculate
-    this.el.style.height = "auto";
-
-    const lineHeight = parseInt(getComputedStyle(this.el).lineHeight);
-    const minHeight = lineHeight * this.minRows;
-    const maxHeight = lineHeight * this.maxRows;
 
-    let newHeight = this.el.scrollHeight;
-
-    if (newHeight < minHeight) {
-      newHeight = minHeight;
-    } else if (newHeight > maxHeight) {
-      newHeight = maxHeight;
-      this.el.style.overflowY = "auto";
-    } else {
-      this.el.style.overflowY = "hidden";
-    }
+// ========================================
+// MARKDOWN EDITOR HOOK
+// ========================================
 
-    this.el.style.height = newHeight + "px";
-  },
-};
+/**
+ * AutoResize grown into a Markdown comment box around a plain <textarea>:
+ * toolbar buttons and Ctrl/Cmd shortcuts, Enter to send (Shift+Enter for a
+ * new line), @mention and /command suggestions from the server, a preview
+ * rendered by the server and pasted images sent through a LiveView upload.
+ * Implementation lives in the liveview-hooks package.
+ *
+ * Usage in LiveView:
+ * def handle_event("suggest", %{"query" => query}, socket) do
+ *   {:reply, %{suggestions: Accounts.mention_suggestions(query)}, socket}
+ * end
+ *
+ * def handle_event("preview", %{"markdown" => markdown}, socket) do
+ *   {:reply, %{html: markdown |> Earmark.as_html!() |> HtmlSanitizeEx.markdown_html()}, socket}
+ * end
+ *
+ * Usage in .heex (inside the form; see examples/forms.heex):
+ * <div id="comment-editor" phx-hook="MarkdownEditor" data-upload="images">
+ *   <button type="button" data-md="bold" class="btn btn-sm btn-ghost">B</button>
+ *   <button type="button" data-md-preview class="btn btn-sm btn-ghost">Preview</button>
+ *   <textarea name={@form[:body].name} class="textarea w-full">{@form[:body].value}</textarea>
+ * </div>
+ */
 
 // ========================================
 // TOOLTIP HOOK
 // ========================================
 
 /**
- * Shows tooltip on hover using data-tooltip attribute.
+ * Shows an accessible tooltip on hover and keyboard focus.
+ * Flips and shifts to stay on screen, follows scrolling, closes on Escape and
+ * sets role="tooltip" / aria-describedby. Implementation lives in
+ * the liveview-hooks package (positioning in liveview-hooks/positioning.js).
+ *
+ * Usage in LiveView (optional, change the text in place):
+ * push_event(socket, "tooltip_update", %{id: "save-button", content: "Saved"})
  *
  * Usage in .heex:
- * <button phx-hook="Tooltip" data-tooltip="Click to save">
+ * <button
+ *   id="save-button"
+ *   phx-hook="Tooltip"
+ *   data-tooltip="Click to save"
+ *   data-placement="bottom"
+ *   class="btn btn-primary"
+ * >
  *   Save
  * </button>
  */
-const Tooltip = {
-  mounted() {
-    const tooltip = this.el.dataset.tooltip;
-    if (!tooltip) return;
-
-    this.el.addEventListener("mouseenter", () => {
-      // Create tooltip element
-      this.tooltipEl = document.createElement("div");
-      this.tooltipEl.textContent = tooltip;
-      this.tooltipEl.className =
-        "absolute z-50 px-2 py-1 text-sm bg-base-300 rounded shadow-lg";
-
-      // Position tooltip
-      const rect = this.el.getBoundingClientRect();
-      this.tooltipEl.style.top = rect.top - 30 + "px";
-      this.tooltipEl.style.left = rect.left + "px";
-
-      document.body.appendChild(this.tooltipEl);
-    });
-
-    this.el.addEventListener("mouseleave", () => {
-      if (this.tooltipEl) {
-        this.tooltipEl.remove();
-        this.tooltipEl = null;
-      }
-    });
-  },
-
-  destroyed() {
-    if (this.tooltipEl) {
-      this.tooltipEl.remove();
-    }
-  },
-};
 
 // ========================================
 // INFINITE SCROLL HOOK
 // ========================================
 
 /**
- * Triggers "load-more" event when user scrolls near bottom.
- * Useful for paginated lists.
+ * Sends "load_more" when the end of a list scrolls into view.
+ * Waits for the server reply before asking again and stops for good when the
+ * reply is %{done: true}. Implementation lives in
+ * the liveview-hooks package (IntersectionObserver, retry, top/bottom).
  *
  * Usage in LiveView:
- * def handle_event("load-more", _, socket) do
- *   {:noreply, load_more_items(socket)}
+ * def handle_event("load_more", _, socket) do
+ *   {items, socket} = load_more_items(socket)
+ *   {:reply, %{done: items == []}, socket}
  * end
  *
  * Usage in .heex:
- * <div phx-hook="InfiniteScroll" data-threshold="200" class="overflow-y-auto">
+ * <div id="items" phx-hook="InfiniteScroll" data-threshold="200" class="overflow-y-auto">
  *   <%= for item <- @items do %>
  *     <div><%= item.name %></div>
  *   <% end %>
+ *   <div id="items-sentinel" data-infinite-sentinel>
+ *     <span class="loading loading-spinner loading-sm"></span>
+ *   </div>
  * </div>
  */
-const InfiniteScroll = {
-  mounted() {
-    this.threshold = parseInt(this.el.dataset.threshold || "200");
-    this.pending = false;
 
-    this.el.addEventListener("scroll", () => {
-      if (this.pending) return;
+// ========================================
+// STATE STORE HOOK
+// ========================================
+
+/**
+ * Persists form state in localStorage, syncs it across tabs and pushes the
+ * restored value to LiveView ("store_sync") so assigns match the UI.
+ * Implementation lives in the liveview-hooks package.
+ *
+ * Usage in LiveView:
+ * def handle_event("store_sync", %{"key" => "search-filters", "value" => filters}, socket) do
+ *   {:noreply, assign(socket, :filters, filters)}
+ * end
+ *
+ * Usage in .heex:
+ * <form id="search-filters" phx-hook="StateStore" data-storage-key="search-filters">
+ *   <input type="text" name="query" class="input input-bordered" />
+ *   <select name="status" class="select select-bordered">...</select>
+ *   <input type="checkbox" name="archived" class="toggle" />
+ * </form>
+ */
+
+// ========================================
+// SEARCH BOX HOOK
+// ========================================
 
-      const scrollTop = this.el.scrollTop;
-      const scrollHeight = this.el.scrollHeight;
-      const clientHeight = this.el.clientHeight;
+/**
+ * Search as you type: debounced "search" events with a sequence number so a
+ * slow reply never overwrites newer results, a keyboard-navigable results
+ * listbox, recent queries on ArrowUp/ArrowDown and the query kept in the URL.
+ * Implementation lives in the liveview-hooks package.
+ *
+ * Usage in LiveView:
+ * def handle_event("search", %{"query" => query}, socket) do
+ *   results = for user <- Accounts.search_users(query), do: %{value: user.id, label: user.name}
+ *   {:reply, %{results: results}, socket}
+ * end
+ *
+ * def handle_event("search_selected", %{"value" => id}, socket) do
+ *   {:noreply, push_navigate(socket, to: ~p"/users/#{id}")}
+ * end
+ *
+ * Usage in .heex:
+ * <div id="user-search" phx-hook="SearchBox" data-history-key="users" data-url-param="q"
+ *      class="dropdown dropdown-open w-full">
+ *   <label class="input input-bordered flex items-center gap-2">
+ *     <.icon name="hero-magnifying-glass" class="w-4 h-4 opacity-60" />
+ *     <input type="search" class="grow" placeholder="Search users" value={@query} />
+ *   </label>
+ *   <ul id="user-search-results" data-search-results phx-update="ignore"
+ *       class="dropdown-content menu bg-base-100 rounded-box shadow w-full z-10"></ul>
+ * </div>
+ */
 
-      if (scrollTop + clientHeight >= scrollHeight - this.threshold) {
-        this.pending = true;
-        this.pushEvent("load-more", {});
+// ========================================
+// DATA TABLE HOOK
+// ========================================
 
-        // Reset pending after 1 second to allow next trigger
-        setTimeout(() => {
-          this.pending = false;
-        }, 1000);
-      }
-    });
-  },
-};
+/**
+ * Result tables that work like a spreadsheet: drag header edges to resize
+ * columns, drag headers to move them, sticky header row and first column,
+ * arrow-key navigation between cells and Shift+click ranges that copy as TSV.
+ * The column layout is saved per table id and sent as "columns_changed".
+ * Implementation lives in the liveview-hooks package; markup in tables.heex.
+ *
+ * Usage in LiveView:
+ * def handle_event("columns_changed", %{"order" => order}, socket) do
+ *   # Export the columns in the order the user sees them
+ *   {:noreply, assign(socket, :export_columns, order)}
+ * end
+ *
+ * Usage in .heex:
+ * <div id="query-results" phx-hook="DataTable" data-sticky-columns="1"
+ *      class="overflow-auto max-h-[70vh] [&_[data-sticky]]:bg-base-100">
+ *   <table class="table table-sm">
+ *     <thead><tr><th :for={col <- @columns} data-column={col}>{col}</th></tr></thead>
+ *     <tbody id="query-rows" phx-update="stream">
+ *       <tr :for={{id, row} <- @streams.rows} id={id}><td :for={col <- @columns}>{row[col]}</td></tr>
+ *     </tbody>
+ *   </table>
+ * </div>
+ */
 
 // ========================================
-// LOCAL STORAGE HOOK
+// THEME CONTROLLER HOOK
 // ========================================
 
 /**
- * Syncs element value with localStorage.
- * Useful for remembering user preferences.
+ * Light, dark, system and named DaisyUI themes. theme-bootstrap.js, inlined
+ * in the root layout's <head>, applies the saved theme before the first
+ * paint; the hook handles the switcher, follows the OS setting while the
+ * preference is "system", syncs other tabs and tells the LiveView the
+ * effective theme ("theme_sync"). Implementation lives in the liveview-hooks
+ * package; the navbar switcher is in layouts.heex.
+ *
+ * Usage in LiveView:
+ * def handle_event("theme_sync", %{"scheme" => scheme}, socket) do
+ *   # Match server-rendered charts and code blocks
+ *   {:noreply, assign(socket, :color_scheme, scheme)}
+ * end
+ *
+ * Usage in root.html.heex:
+ * <html lang="en" data-theme-light="light" data-theme-dark="dark">
+ *   <head>
+ *     <.theme_bootstrap />
  *
  * Usage in .heex:
- * <input
- *   phx-hook="LocalStorage"
- *   data-key="search_query"
- *   type="text"
- * />
+ * <select id="theme-select" phx-hook="ThemeController" class="select select-sm">
+ *   <option value="system">System</option>
+ *   <option value="light">Light</option>
+ *   <option value="dark">Dark</option>
+ *   <option value="cupcake">Cupcake</option>
+ * </select>
  */
-const LocalStorage = {
-  mounted() {
-    const key = this.el.dataset.key;
-    if (!key) return;
 
-    // Load saved value
-    const savedValue = localStorage.getItem(key);
-    if (savedValue) {
-      this.el.value = savedValue;
-    }
+// ========================================
+// CHART HOOK
+// ========================================
 
-    // Save on change
-    this.el.addEventListener("input", () => {
-      localStorage.setItem(key, this.el.value);
-    });
-  },
-};
+/**
+ * Live line, area, bar and sparkline charts drawn in SVG, no charting
+ * library. The server seeds the series in data-series and pushes new points
+ * with "chart_points"; the chart keeps the last data-window points, slides
+ * them in, shows a crosshair tooltip on hover and takes its colors from the
+ * DaisyUI theme. Implementation lives in the liveview-hooks package; a stats
+ * layout with sparklines is in layouts.heex.
+ *
+ * Usage in LiveView:
+ * def handle_info({:stats, %{at: at, rps: rps}}, socket) do
+ *   {:noreply,
+ *    socket
+ *    |> assign(:rps, rps)
+ *    |> push_event("chart_points", %{id: "rps-chart", points: [[at, rps]]})}
+ * end
+ *
+ * Usage in .heex:
+ * <div id="rps-chart" phx-hook="Chart" phx-update="ignore" data-type="area" data-x="time"
+ *      data-label="Requests per second" data-series={Jason.encode!(@rps_history)}
+ *      class="h-48 text-base-content/60"></div>
+ */
 
 // ========================================
 // REGISTER ALL HOOKS
@@ -334,17 +437,25 @@ const LocalStorage = {
  *   hooks: Hooks
  * })
  */
-export const Hooks = {
-  ScrollToBottom,
-  CopyToClipboard,
-  DownloadData,
-  AutoFocus,
-  Modal,
-  AutoResize,
-  Tooltip,
-  InfiniteScroll,
-  LocalStorage,
-};
+export const Hooks = createHooks({
+  only: [
+    "ScrollToBottom",
+    "CopyToClipboard",
+    "DownloadData",
+    "AutoFocus",
+    "Modal",
+    "AutoResize",
+    "MarkdownEditor",
+    "Tooltip",
+    "InfiniteScroll",
+    "StateStore",
+    "ThemeController",
+    "SearchBox",
+    "DataTable",
+    "AnimateValue",
+    "Chart",
+  ],
+});
 
 // ========================================
 // HOOK LIFECYCLE CALLBACKS
@@ -367,51 +478,11 @@ export const Hooks = {
  * this.handleEvent(event, callback) - Listen for events from LiveView
  * this.upload(name, files) - Upload files
  * this.uploadTo(selector, name, files) - Upload to specific component
+ *
+ * With defineHook(), also (released automatically on destroy):
+ *
+ * this.listen(target, type, handler) - Add an event listener
+ * this.setTimeout(fn, delay) / this.clearTimeout(id) - Timers
+ * this.observe(observer, target) - Intersection/Resize/MutationObserver
+ * this.onCleanup(fn) - Any other teardown
  */
-
-// ========================================
-// EXAMPLE: COMBINED HOOK PATTERN
-// ========================================
-
-/**
- * Example of a hook that combines multiple features.
- * This pattern is useful for complex interactive elements.
- */
-const AdvancedSearchBox = {
-  mounted() {
-    // Auto-focus on mount
-    this.el.focus();
-
-    // Load from localStorage
-    const savedQuery = localStorage.getItem("search_query");
-    if (savedQuery) {
-      this.el.value = savedQuery;
-      // Trigger search with saved value
-      this.pushEvent("search", { query: savedQuery });
-    }
-
-    // Debounced search on input
-    let timeout;
-    this.el.addEventListener("input", () => {
-      clearTimeout(timeout);
-      const query = this.el.value;
-
-      // Save to localStorage
-      localStorage.setItem("search_query", query);
-
-      // Debounce search event
-      timeout = setTimeout(() => {
-        this.pushEvent("search", { query });
-      }, 300);
-    });
-
-    // Clear on escape key
-    this.el.addEventListener("keydown", (e) => {
-      if (e.key === "Escape") {
-        this.el.value = "";
-        localStorage.removeItem("search_query");
-        this.pushEvent("search", { query: "" });
-      }
-    });
-  },
-};